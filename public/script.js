@@ -1,17 +1,78 @@
 // Global variables
 let tasks = [];
 let editingTaskId = null;
+let editingBase = null;
+let pendingConflict = null;
 let currentFilters = {};
+let currentPageUrl = null;
+let pageLinks = { next: null, prev: null };
+let tagRegistry = [];
+let projects = [];
+// Open task counts per project, from /api/stats
+let projectCounts = [];
+// '' for every project, 'none' for tasks without one, or a project ID
+let currentProject = localStorage.getItem('taskProject') || '';
+let people = [];
+// The server's statuses and priorities (see /api/workflow); the built-in
+// workflow until it has loaded
+let workflow = {
+    statuses: [
+        { key: 'pending', label: 'Pending', category: 'todo', color: '#c53030' },
+        { key: 'in-progress', label: 'In Progress', category: 'active', color: '#2b6cb0' },
+        { key: 'completed', label: 'Completed', category: 'done', color: '#22543d' },
+        { key: 'cancelled', label: 'Cancelled', category: 'cancelled', color: '#4a5568' }
+    ],
+    initialStatus: 'pending',
+    priorities: [
+        { key: 'low', label: 'Low', color: '#234e52' },
+        { key: 'medium', label: 'Medium', color: '#744210' },
+        { key: 'high', label: 'High', color: '#c53030' },
+        { key: 'urgent', label: 'Urgent', color: '#9b2c2c' }
+    ],
+    defaultPriority: 'medium'
+};
+// Custom field definitions (see /api/fields)
+let customFields = [];
+let selectedTags = [];
+let selectedTaskIds = new Set();
+let commentContext = null;
+let eventSource = null;
+let lastEventId = null;
+let reconnectTimer = null;
+let pendingImport = null;
+let pendingAttachments = [];
+let querySyntax = null;
+let searchSuggestions = [];
+let activeSuggestion = -1;
+let currentView = ['board', 'calendar'].includes(localStorage.getItem('taskView')) ? localStorage.getItem('taskView') : 'grid';
+let boardDropped = false;
+let calendarMode = localStorage.getItem('calendarMode') || 'month';
+let calendarDate = new Date();
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
+let authMode = 'login';
 
 // API Base URL
 const API_BASE = '';
 
+// Tasks per page
+const PAGE_SIZE = 24;
+
+// Wait before reopening the live event stream after the browser gives up on it
+const RECONNECT_DELAY = 5000;
+
+// Calendar weeks start on Monday; the agenda looks this many days ahead
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const AGENDA_DAYS = 30;
+
+// Replies can nest this deep (matches the server)
+const MAX_COMMENT_DEPTH = 5;
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
     setupEventListeners();
-    loadTasks();
-    loadStats();
+    checkSession();
 });
 
 // Initialize the application
@@ -27,22 +88,167 @@ function initializeApp() {
 
 // Setup event listeners
 function setupEventListeners() {
+    // Login / register
+    document.getElementById('authForm').addEventListener('submit', handleAuthSubmit);
+    document.getElementById('authSwitchLink').addEventListener('click', function(e) {
+        e.preventDefault();
+        setAuthMode(authMode === 'login' ? 'register' : 'login');
+    });
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+    
     // Form submission
     document.getElementById('taskForm').addEventListener('submit', handleFormSubmit);
     
     // Cancel editing
     document.getElementById('cancelBtn').addEventListener('click', cancelEditing);
     
+    // Resolve an edit conflict
+    document.getElementById('conflictMerge').addEventListener('click', mergeConflict);
+    document.getElementById('conflictOverwrite').addEventListener('click', overwriteConflict);
+    document.getElementById('conflictTheirs').addEventListener('click', useTheirs);
+    
     // Filter and search
     document.getElementById('filterStatus').addEventListener('change', applyFilters);
     document.getElementById('filterPriority').addEventListener('change', applyFilters);
-    document.getElementById('searchInput').addEventListener('input', debounce(applyFilters, 300));
+    document.getElementById('filterPeople').addEventListener('change', applyFilters);
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('input', debounce(applyFilters, 300));
+    searchInput.addEventListener('input', updateSearchSuggestions);
+    searchInput.addEventListener('focus', loadQuerySyntax);
+    searchInput.addEventListener('keydown', handleSearchKeys);
+    searchInput.addEventListener('blur', () => setTimeout(hideSearchSuggestions, 150));
+    document.getElementById('filterTagMode').addEventListener('change', applyFilters);
     document.getElementById('sortBy').addEventListener('change', applyFilters);
     document.getElementById('sortOrder').addEventListener('change', applyFilters);
     
     // Clear filters
     document.getElementById('clearFilters').addEventListener('click', clearFilters);
     
+    // Assignee picker in the form; clicking anywhere else closes it
+    document.getElementById('assigneeButton').addEventListener('click', toggleAssigneeOptions);
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.assignee-picker')) closeAssigneeOptions();
+    });
+    
+    // History drawer
+    document.getElementById('closeHistory').addEventListener('click', closeHistory);
+    
+    // Attachments: drop files on the form, or browse for them
+    const attachmentDrop = document.getElementById('attachmentDrop');
+    attachmentDrop.addEventListener('dragover', function(e) {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        this.classList.add('drop-target');
+    });
+    attachmentDrop.addEventListener('dragleave', function(e) {
+        if (!this.contains(e.relatedTarget)) this.classList.remove('drop-target');
+    });
+    attachmentDrop.addEventListener('drop', function(e) {
+        e.preventDefault();
+        this.classList.remove('drop-target');
+        addAttachments(e.dataTransfer.files);
+    });
+    document.getElementById('chooseAttachments').addEventListener('click', function() {
+        document.getElementById('attachmentInput').click();
+    });
+    document.getElementById('attachmentInput').addEventListener('change', function() {
+        addAttachments(this.files);
+        this.value = '';
+    });
+    
+    // Task drawer with comments
+    document.getElementById('closeTaskDrawer').addEventListener('click', closeTaskDetail);
+    document.getElementById('commentForm').addEventListener('submit', submitComment);
+    document.getElementById('cancelCommentContext').addEventListener('click', () => setCommentContext(null));
+    
+    // Import and export
+    document.getElementById('exportFormat').addEventListener('change', function() {
+        if (this.value) exportTasks(this.value);
+        this.value = '';
+    });
+    document.getElementById('importBtn').addEventListener('click', function() {
+        document.getElementById('importFile').click();
+    });
+    document.getElementById('importFile').addEventListener('change', function() {
+        if (this.files[0]) previewImport(this.files[0]);
+        this.value = '';
+    });
+    document.getElementById('confirmImport').addEventListener('click', confirmImport);
+    document.getElementById('closeImport').addEventListener('click', closeImport);
+    
+    // Grid / board toggle and board drag and drop
+    document.getElementById('viewGrid').addEventListener('click', () => setView('grid'));
+    document.getElementById('viewBoard').addEventListener('click', () => setView('board'));
+    document.getElementById('viewCalendar').addEventListener('click', () => setView('calendar'));
+    const board = document.getElementById('taskBoard');
+    board.addEventListener('dragstart', handleBoardDragStart);
+    board.addEventListener('dragover', handleBoardDragOver);
+    board.addEventListener('drop', handleBoardDrop);
+    board.addEventListener('dragend', handleBoardDragEnd);
+    
+    // Calendar navigation and drag to reschedule
+    document.getElementById('calendarPrev').addEventListener('click', () => moveCalendar(-1));
+    document.getElementById('calendarNext').addEventListener('click', () => moveCalendar(1));
+    document.getElementById('calendarToday').addEventListener('click', () => {
+        calendarDate = new Date();
+        loadTasks();
+    });
+    document.querySelectorAll('[data-calendar-mode]').forEach(button => {
+        button.addEventListener('click', () => setCalendarMode(button.dataset.calendarMode));
+    });
+    const calendar = document.getElementById('calendarBody');
+    calendar.addEventListener('dragstart', handleCalendarDragStart);
+    calendar.addEventListener('dragover', handleCalendarDragOver);
+    calendar.addEventListener('dragleave', handleCalendarDragLeave);
+    calendar.addEventListener('drop', handleCalendarDrop);
+    showView();
+    
+    // Trash drawer
+    document.getElementById('openTrash').addEventListener('click', openTrash);
+    document.getElementById('closeTrash').addEventListener('click', closeTrash);
+    document.getElementById('emptyTrash').addEventListener('click', emptyTrash);
+    
+    // Reminders drawer
+    document.getElementById('openReminders').addEventListener('click', openReminders);
+    document.getElementById('closeReminders').addEventListener('click', closeReminders);
+    document.getElementById('reminderSettingsForm').addEventListener('submit', saveReminderSettings);
+    document.getElementById('testReminder').addEventListener('click', sendTestReminder);
+    
+    // Bulk actions on selected tasks
+    document.getElementById('selectAllTasks').addEventListener('change', function() {
+        toggleSelectAll(this.checked);
+    });
+    document.getElementById('bulkStatus').addEventListener('change', function() {
+        if (this.value) bulkPatch({ status: this.value });
+        this.value = '';
+    });
+    document.getElementById('bulkPriority').addEventListener('change', function() {
+        if (this.value) bulkPatch({ priority: this.value });
+        this.value = '';
+    });
+    document.getElementById('bulkProject').addEventListener('change', function() {
+        if (this.value) bulkPatch({ projectId: this.value === 'none' ? null : parseInt(this.value) });
+        this.value = '';
+    });
+    document.getElementById('bulkDelete').addEventListener('click', bulkDelete);
+    
+    // Project sidebar and switcher
+    document.getElementById('projectSwitcher').addEventListener('change', function() {
+        selectProject(this.value);
+    });
+    document.getElementById('newProject').addEventListener('click', createProject);
+    document.getElementById('renameProject').addEventListener('click', renameProject);
+    document.getElementById('archiveProject').addEventListener('click', toggleArchiveProject);
+    document.getElementById('deleteProject').addEventListener('click', deleteProject);
+    
+    // Pagination
+    document.getElementById('prevPage').addEventListener('click', function() {
+        if (pageLinks.prev) loadTasks(pageLinks.prev);
+    });
+    document.getElementById('nextPage').addEventListener('click', function() {
+        if (pageLinks.next) loadTasks(pageLinks.next);
+    });
+    
     // Refresh tasks
     document.getElementById('refreshTasks').addEventListener('click', function() {
         loadTasks();
@@ -51,198 +257,2607 @@ function setupEventListeners() {
     });
 }
 
-// Handle form submission (Create/Update)
-async function handleFormSubmit(e) {
-    e.preventDefault();
+// Fetch wrapper that sends the bearer token and falls back to the login screen on 401
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    
+    if (response.status === 401) {
+        setLoggedOut();
+    }
+    
+    return response;
+}
+
+// Restore a saved session or show the login screen
+async function checkSession() {
+    if (!authToken) {
+        setLoggedOut();
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/auth/me');
+        if (!response.ok) {
+            return;
+        }
+        
+        const result = await response.json();
+        setLoggedIn(authToken, result.data);
+        
+    } catch (error) {
+        console.error('Error checking session:', error);
+        setLoggedOut();
+    }
+}
+
+// Handle login/register form submission
+async function handleAuthSubmit(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const credentials = {
+        username: formData.get('username').trim(),
+        password: formData.get('password')
+    };
+    if (authMode === 'register') {
+        credentials.name = formData.get('name').trim();
+    }
+    
+    try {
+        const response = await fetch(`/api/auth/${authMode}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(credentials)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
+        }
+        
+        e.target.reset();
+        setLoggedIn(result.data.token, result.data.user);
+        showToast(result.message, 'success');
+        
+    } catch (error) {
+        console.error('Error authenticating:', error);
+        showToast(error.message || 'Authentication failed', 'error');
+    }
+}
+
+// Log out and revoke the token on the server
+async function logout() {
+    try {
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    setLoggedOut();
+    showToast('Logged out', 'info');
+}
+
+function setLoggedIn(token, user) {
+    authToken = token;
+    currentUser = user;
+    localStorage.setItem('authToken', token);
+    
+    document.getElementById('currentUserName').textContent = user.name || user.username;
+    document.getElementById('authContainer').style.display = 'none';
+    document.getElementById('appContainer').style.display = 'block';
+    
+    applyFilters();
+    loadStats();
+    loadTags();
+    loadProjects();
+    loadPeople();
+    loadWorkflow();
+    loadCustomFields();
+    connectEvents();
+}
+
+function setLoggedOut() {
+    authToken = null;
+    currentUser = null;
+    currentPageUrl = null;
+    tasks = [];
+    selectedTaskIds.clear();
+    lastEventId = null;
+    projects = [];
+    projectCounts = [];
+    currentProject = '';
+    people = [];
+    customFields = [];
+    renderCustomFieldInputs();
+    disconnectEvents();
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('taskProject');
+    
+    resetForm();
+    document.getElementById('appContainer').style.display = 'none';
+    document.getElementById('authContainer').style.display = 'flex';
+}
+
+// Switch the auth form between login and register
+function setAuthMode(mode) {
+    authMode = mode;
+    const isRegister = mode === 'register';
+    
+    document.getElementById('authTitle').innerHTML = isRegister
+        ? '<i class="fas fa-user-plus"></i> Create Account'
+        : '<i class="fas fa-sign-in-alt"></i> Log In';
+    document.getElementById('authSubmitBtn').innerHTML = isRegister
+        ? '<i class="fas fa-user-plus"></i> Register'
+        : '<i class="fas fa-sign-in-alt"></i> Log In';
+    document.getElementById('authNameGroup').style.display = isRegister ? 'block' : 'none';
+    document.getElementById('authPassword').autocomplete = isRegister ? 'new-password' : 'current-password';
+    document.getElementById('authSwitchText').textContent = isRegister
+        ? 'Already have an account?'
+        : "Don't have an account?";
+    document.getElementById('authSwitchLink').textContent = isRegister ? 'Log In' : 'Register';
+}
+
+// Handle form submission (Create/Update)
+async function handleFormSubmit(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const taskData = {
+        title: formData.get('title').trim(),
+        description: formData.get('description').trim(),
+        status: formData.get('status'),
+        priority: formData.get('priority'),
+        dueDate: formData.get('dueDate') || null,
+        autoComplete: formData.get('autoComplete') === 'on',
+        tags: formData.get('tags').split(',').map(tag => tag.trim()).filter(Boolean),
+        recurrence: formData.get('recurrence').trim() || null,
+        projectId: formData.get('projectId') ? parseInt(formData.get('projectId')) : null,
+        assigneeId: formData.get('assigneeId') ? parseInt(formData.get('assigneeId')) : null,
+        fields: readCustomFields()
+    };
+    
+    try {
+        if (editingTaskId) {
+            let result = await updateTask(editingTaskId, taskData, editingBase.version);
+            // Changes outside the form, such as checklist ticks, cannot clash with it
+            if (result.conflict && !formFieldsChanged(editingBase, result.conflict)) {
+                editingBase = result.conflict;
+                result = await updateTask(editingTaskId, taskData, editingBase.version);
+            }
+            if (result.conflict) {
+                showConflict(result.conflict);
+                return;
+            }
+        } else {
+            const result = await createTask(taskData);
+            // Files dropped on the new-task form go up once the task exists
+            if (pendingAttachments.length > 0) {
+                await uploadAttachments(result.data.id, pendingAttachments);
+            }
+        }
+        
+        resetForm();
+        loadTasks();
+        loadStats();
+        loadTags();
+        
+    } catch (error) {
+        console.error('Error submitting form:', error);
+        showToast(error.message || 'Error saving task. Please try again.', 'error');
+    }
+}
+
+// Create new task
+async function createTask(taskData) {
+    const response = await apiFetch('/api/tasks', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(taskData)
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.errors ? error.errors.join(', ') : (error.message || 'Failed to create task'));
+    }
+    
+    const result = await response.json();
+    showToast('Task created successfully!', 'success');
+    return result;
+}
+
+// Update existing task. Returns { conflict: serverTask } instead when someone
+// else saved a newer version first.
+async function updateTask(id, taskData, version) {
+    const response = await apiFetch(`/api/tasks/${id}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'If-Match': `"${version || 1}"`
+        },
+        body: JSON.stringify(taskData)
+    });
+    
+    if (response.status === 412) {
+        const result = await response.json();
+        return { conflict: result.data };
+    }
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.errors ? error.errors.join(', ') : (error.message || 'Failed to update task'));
+    }
+    
+    const result = await response.json();
+    showToast(result.nextOccurrence ? 'Task completed — next occurrence scheduled!' : 'Task updated successfully!', 'success');
+    return result;
+}
+
+// Delete task
+async function deleteTask(id) {
+    if (!confirm('Move this task to the trash?')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Failed to delete task');
+        }
+        
+        showToast('Task moved to trash', 'success');
+        loadTasks();
+        loadStats();
+        if (document.getElementById('trashDrawer').classList.contains('open')) {
+            openTrash();
+        }
+        
+    } catch (error) {
+        console.error('Error deleting task:', error);
+        showToast('Error deleting task. Please try again.', 'error');
+    }
+}
+
+// Load a page of tasks (the current page unless a next/prev link is given)
+async function loadTasks(pageUrl = currentPageUrl) {
+    if (currentView === 'board') {
+        return loadBoard();
+    }
+    if (currentView === 'calendar') {
+        return loadCalendar();
+    }
+    showLoading(true);
+    
+    try {
+        const queryParams = new URLSearchParams({ ...currentFilters, limit: PAGE_SIZE });
+        const url = pageUrl || `/api/tasks?${queryParams}`;
+        const response = await apiFetch(url);
+        
+        // A search query the server could not parse: say why and keep the list
+        if (response.status === 400 && currentFilters.search) {
+            const result = await response.json();
+            showSearchError(result.errors ? result.errors[0] : result.message);
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to load tasks');
+        }
+        
+        const result = await response.json();
+        showSearchError(null);
+        
+        // Step back if the page we were on has emptied out
+        if (result.count === 0 && result.links.prev) {
+            return loadTasks(result.links.prev);
+        }
+        
+        currentPageUrl = pageUrl;
+        pageLinks = result.links;
+        tasks = result.data;
+        // Selection only covers the page on screen
+        selectedTaskIds = new Set(tasks.filter(task => selectedTaskIds.has(task.id)).map(task => task.id));
+        renderTasks(tasks);
+        renderBulkBar();
+        renderPagination(result);
+        
+    } catch (error) {
+        console.error('Error loading tasks:', error);
+        showToast('Error loading tasks. Please try again.', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Load statistics
+async function loadStats() {
+    try {
+        const params = new URLSearchParams(currentProject ? { project: currentProject } : {});
+        const response = await apiFetch(`/api/stats?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to load statistics');
+        }
+        
+        const result = await response.json();
+        updateStatsDisplay(result.data);
+        projectCounts = result.data.projectBreakdown;
+        renderProjects();
+        renderWorkload(result.data.workloadBreakdown);
+        
+    } catch (error) {
+        console.error('Error loading stats:', error);
+    }
+}
+
+// Load the tag registry for colors, suggestions and the filter picker
+async function loadTags() {
+    try {
+        const response = await apiFetch('/api/tags');
+        
+        if (!response.ok) {
+            throw new Error('Failed to load tags');
+        }
+        
+        const result = await response.json();
+        tagRegistry = result.data;
+        selectedTags = selectedTags.filter(name => tagRegistry.some(tag => tag.name === name));
+        renderTagPicker();
+        
+        document.getElementById('tagSuggestions').innerHTML = tagRegistry
+            .map(tag => `<option value="${escapeHtml(tag.name)}">`)
+            .join('');
+        
+    } catch (error) {
+        console.error('Error loading tags:', error);
+    }
+}
+
+// Render tag chips in the filter bar; clicking one toggles it in the filter
+function renderTagPicker() {
+    document.getElementById('tagPicker').innerHTML = tagRegistry.map(tag => `
+        <span class="tag-chip ${selectedTags.includes(tag.name) ? 'selected' : ''}"
+              style="background: ${tag.color}"
+              data-tag="${escapeHtml(tag.name)}"
+              onclick="toggleTagFilter(this.dataset.tag)">
+            ${escapeHtml(tag.name)} (${tag.taskCount})
+        </span>
+    `).join('');
+}
+
+function toggleTagFilter(name) {
+    selectedTags = selectedTags.includes(name)
+        ? selectedTags.filter(tag => tag !== name)
+        : [...selectedTags, name];
+    renderTagPicker();
+    applyFilters();
+}
+
+// Load your projects for the sidebar, the switcher and the task form
+async function loadProjects() {
+    try {
+        const response = await apiFetch('/api/projects');
+        
+        if (!response.ok) {
+            throw new Error('Failed to load projects');
+        }
+        
+        const result = await response.json();
+        projects = result.data;
+        
+        // The project we were on may have been deleted elsewhere
+        if (currentProject && currentProject !== 'none' && !findProject(currentProject)) {
+            selectProject('');
+        }
+        renderProjects();
+        renderProjectOptions();
+        
+    } catch (error) {
+        console.error('Error loading projects:', error);
+    }
+}
+
+function findProject(id) {
+    return projects.find(project => project.id === parseInt(id)) || null;
+}
+
+// Sidebar list and switcher. Counts are open tasks, from /api/stats.
+function renderProjects() {
+    const active = projects.filter(project => !project.archived);
+    const archived = projects.filter(project => project.archived);
+    const openCount = (projectId) => {
+        const entry = projectCounts.find(item => item.projectId === projectId);
+        return entry ? entry.open : '';
+    };
+    const allOpen = projectCounts.reduce((sum, item) => sum + item.open, 0);
+    
+    const item = (value, label, color, count) => `
+        <li class="project-item ${currentProject === value ? 'active' : ''}"
+            data-project="${value}" onclick="selectProject(this.dataset.project)">
+            <span class="project-dot" style="background: ${color || 'transparent'}"></span>
+            <span class="project-name">${escapeHtml(label)}</span>
+            <span class="project-count">${count}</span>
+        </li>
+    `;
+    
+    document.getElementById('projectList').innerHTML = [
+        item('', 'All tasks', null, allOpen || ''),
+        ...active.map(project => item(String(project.id), project.name, project.color, openCount(project.id))),
+        item('none', 'No project', null, openCount(null))
+    ].join('');
+    
+    document.getElementById('archivedProjects').style.display = archived.length > 0 ? 'block' : 'none';
+    document.getElementById('archivedProjectList').innerHTML = archived
+        .map(project => item(String(project.id), project.name, project.color, ''))
+        .join('');
+    
+    document.getElementById('projectSwitcher').innerHTML = [
+        '<option value="">All tasks</option>',
+        ...active.map(project => `<option value="${project.id}">${escapeHtml(project.name)}</option>`),
+        '<option value="none">No project</option>',
+        ...archived.map(project => `<option value="${project.id}">${escapeHtml(project.name)} (archived)</option>`)
+    ].join('');
+    document.getElementById('projectSwitcher').value = currentProject;
+    
+    const selected = findProject(currentProject);
+    document.getElementById('projectActions').style.display = selected ? 'flex' : 'none';
+    if (selected) {
+        document.getElementById('archiveProject').innerHTML = selected.archived
+            ? '<i class="fas fa-box-open"></i>'
+            : '<i class="fas fa-archive"></i>';
+        document.getElementById('archiveProject').title = selected.archived ? 'Unarchive' : 'Archive';
+    }
+}
+
+// Project choices in the task form and the bulk bar. Archived projects stay
+// in the form so editing one of their tasks keeps it where it is.
+function renderProjectOptions() {
+    const projectSelect = document.getElementById('projectId');
+    const value = projectSelect.value;
+    projectSelect.innerHTML = '<option value="">No project</option>' + projects
+        .map(project => `<option value="${project.id}">${escapeHtml(project.name)}${project.archived ? ' (archived)' : ''}</option>`)
+        .join('');
+    projectSelect.value = findProject(value) ? value : defaultProjectValue();
+    
+    document.getElementById('bulkProject').innerHTML = '<option value="">Move to project...</option>' +
+        projects.filter(project => !project.archived)
+            .map(project => `<option value="${project.id}">${escapeHtml(project.name)}</option>`)
+            .join('') +
+        '<option value="none">No project</option>';
+}
+
+// New tasks go into the project on screen
+function defaultProjectValue() {
+    const project = findProject(currentProject);
+    return project && !project.archived ? String(project.id) : '';
+}
+
+function selectProject(value) {
+    currentProject = value;
+    localStorage.setItem('taskProject', value);
+    renderProjects();
+    if (!editingTaskId) {
+        document.getElementById('projectId').value = defaultProjectValue();
+    }
+    if (authToken) {
+        applyFilters();
+        loadStats();
+    }
+}
+
+// Create, rename, archive or delete a project, then refresh what shows it
+async function saveProject(url, options, successMessage) {
+    try {
+        const response = await apiFetch(url, options);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
+        }
+        
+        showToast(successMessage || result.message, 'success');
+        await loadProjects();
+        return result.data;
+        
+    } catch (error) {
+        console.error('Error saving project:', error);
+        showToast(error.message || 'Error saving project', 'error');
+        return null;
+    }
+}
+
+function projectRequest(method, body) {
+    return {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+async function createProject() {
+    const name = prompt('Project name');
+    if (!name || !name.trim()) return;
+    
+    const project = await saveProject('/api/projects', projectRequest('POST', { name }));
+    if (project) selectProject(String(project.id));
+}
+
+function renameProject() {
+    const project = findProject(currentProject);
+    const name = project && prompt('Rename project', project.name);
+    if (!name || !name.trim() || name === project.name) return;
+    saveProject(`/api/projects/${project.id}`, projectRequest('PATCH', { name }));
+}
+
+async function toggleArchiveProject() {
+    const project = findProject(currentProject);
+    if (!project) return;
+    if (!project.archived && !confirm(`Archive "${project.name}"? Its tasks are hidden until you unarchive it.`)) {
+        return;
+    }
+    
+    const updated = await saveProject(`/api/projects/${project.id}`, projectRequest('PATCH', { archived: !project.archived }));
+    // Archived projects are still open for a look at their tasks
+    if (updated) {
+        applyFilters();
+        loadStats();
+    }
+}
+
+async function deleteProject() {
+    const project = findProject(currentProject);
+    if (!project || !confirm(`Delete "${project.name}"? Its tasks are kept without a project.`)) {
+        return;
+    }
+    
+    const deleted = await saveProject(`/api/projects/${project.id}`, { method: 'DELETE' });
+    if (deleted) selectProject('');
+}
+
+// --- Workflow: statuses and priorities ---
+
+// Statuses, their categories and the priorities, from the server
+async function loadWorkflow() {
+    try {
+        const response = await apiFetch('/api/workflow');
+        
+        if (!response.ok) {
+            throw new Error('Failed to load workflow');
+        }
+        
+        const result = await response.json();
+        workflow = result.data;
+        renderWorkflowOptions();
+        // Cards and columns drawn with the built-in workflow
+        if (currentView === 'board') {
+            renderBoard(tasks);
+        } else if (currentView === 'grid' && tasks.length > 0) {
+            renderTasks(tasks);
+        }
+        
+    } catch (error) {
+        console.error('Error loading workflow:', error);
+    }
+}
+
+function findStatus(key) {
+    return workflow.statuses.find(status => status.key === key) || { key, label: key, category: null, color: '#a0aec0' };
+}
+
+function findPriority(key) {
+    return workflow.priorities.find(priority => priority.key === key) || { key, label: key, color: '#a0aec0' };
+}
+
+// Done or cancelled
+function isFinished(task) {
+    return ['done', 'cancelled'].includes(findStatus(task.status).category);
+}
+
+function statusBadge(key) {
+    const status = findStatus(key);
+    return `<span class="status-badge" style="--badge-color: ${status.color}">${escapeHtml(status.label)}</span>`;
+}
+
+function priorityBadge(key) {
+    const priority = findPriority(key);
+    return `<span class="priority-badge" style="--badge-color: ${priority.color}">${escapeHtml(priority.label)}</span>`;
+}
+
+// Status and priority menus in the form, the filters and the bulk bar. The
+// form's defaults are marked `selected` so resetting the form returns to them.
+function renderWorkflowOptions() {
+    const options = (entries, defaultKey) => entries
+        .map(entry => `<option value="${escapeHtml(entry.key)}" ${entry.key === defaultKey ? 'selected' : ''}>${escapeHtml(entry.label)}</option>`)
+        .join('');
+    const fill = (id, html) => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        select.innerHTML = html;
+        if ([...select.options].some(option => option.value === value)) select.value = value;
+    };
+    
+    fill('status', options(workflow.statuses, workflow.initialStatus));
+    fill('priority', options(workflow.priorities, workflow.defaultPriority));
+    fill('filterStatus', '<option value="">All Status</option>' + options(workflow.statuses));
+    fill('filterPriority', '<option value="">All Priorities</option>' + options(workflow.priorities));
+    fill('bulkStatus', '<option value="">Set status...</option>' + options(workflow.statuses));
+    fill('bulkPriority', '<option value="">Set priority...</option>' + options(workflow.priorities));
+    
+    // A new task starts in the workflow's initial status
+    if (!editingTaskId) {
+        document.getElementById('status').value = workflow.initialStatus;
+        document.getElementById('priority').value = workflow.defaultPriority;
+    }
+}
+
+// --- Custom fields ---
+
+// Field definitions, from the server; the task form gets an input for each
+async function loadCustomFields() {
+    try {
+        const response = await apiFetch('/api/fields');
+        
+        if (!response.ok) {
+            throw new Error('Failed to load custom fields');
+        }
+        
+        const result = await response.json();
+        customFields = result.data;
+        renderCustomFieldInputs();
+        renderCustomFieldSortOptions();
+        if (currentView === 'board') {
+            renderBoard(tasks);
+        } else if (currentView === 'grid' && tasks.length > 0) {
+            renderTasks(tasks);
+        }
+        
+    } catch (error) {
+        console.error('Error loading custom fields:', error);
+    }
+}
+
+// One form input per field, with the field's rules as input attributes (the
+// server checks them again)
+function renderCustomFieldInputs() {
+    const container = document.getElementById('customFields');
+    const editing = editingBase ? customFieldFormValues(editingBase) : null;
+    
+    container.innerHTML = customFields.map(field => {
+        const id = `field-${field.key}`;
+        const required = field.required ? 'required' : '';
+        const hint = field.description ? `<small class="custom-field-hint">${escapeHtml(field.description)}</small>` : '';
+        const label = `${escapeHtml(field.label)}${field.required ? ' *' : ''}`;
+        
+        if (field.type === 'boolean') {
+            return `
+                <div class="form-group checkbox-group">
+                    <label for="${id}">
+                        <input type="checkbox" id="${id}"> ${label}
+                    </label>
+                    ${hint}
+                </div>
+            `;
+        }
+        
+        let input;
+        if (field.type === 'enum') {
+            input = `
+                <select id="${id}" ${required}>
+                    <option value="">Not set</option>
+                    ${field.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+                </select>
+            `;
+        } else if (field.type === 'number') {
+            input = `<input type="number" id="${id}" step="${field.integer ? 1 : 'any'}"
+                ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''} ${required}>`;
+        } else if (field.type === 'date') {
+            input = `<input type="date" id="${id}"
+                ${field.min ? `min="${field.min}"` : ''} ${field.max ? `max="${field.max}"` : ''} ${required}>`;
+        } else if (field.type === 'url') {
+            input = `<input type="url" id="${id}" placeholder="https://" ${required}>`;
+        } else {
+            input = `<input type="text" id="${id}"
+                ${field.minLength !== undefined ? `minlength="${field.minLength}"` : ''}
+                maxlength="${field.maxLength !== undefined ? field.maxLength : 500}" ${required}>`;
+        }
+        
+        return `
+            <div class="form-group">
+                <label for="${id}">
+                    <i class="fas fa-sliders-h"></i> ${label}
+                </label>
+                ${input}
+                ${hint}
+            </div>
+        `;
+    }).join('');
+    
+    // Keep the task being edited filled in when the fields arrive
+    if (editing) fillForm(editing);
+}
+
+// Sort options for each field, after the built-in ones
+function renderCustomFieldSortOptions() {
+    const select = document.getElementById('sortBy');
+    const value = select.value;
+    select.querySelectorAll('option[data-custom-field]').forEach(option => option.remove());
+    customFields.forEach(field => {
+        const option = new Option(field.label, `field.${field.key}`);
+        option.dataset.customField = field.key;
+        select.appendChild(option);
+    });
+    select.value = [...select.options].some(option => option.value === value) ? value : 'createdAt';
+}
+
+// Form values ({ "field-<key>": value }) for a task's custom fields
+function customFieldFormValues(task) {
+    const values = task.fields || {};
+    return Object.fromEntries(customFields.map(field => {
+        const value = values[field.key];
+        return [`field-${field.key}`, field.type === 'boolean'
+            ? value === true
+            : (value === undefined || value === null ? '' : String(value))];
+    }));
+}
+
+// The form's custom field values as the API takes them; empty inputs send
+// null so saving clears them
+function readCustomFields() {
+    return Object.fromEntries(customFields.map(field => {
+        const input = document.getElementById(`field-${field.key}`);
+        if (field.type === 'boolean') return [field.key, input.checked];
+        const value = input.value.trim();
+        if (!value) return [field.key, null];
+        return [field.key, field.type === 'number' ? Number(value) : value];
+    }));
+}
+
+function formatCustomFieldValue(field, value) {
+    if (field.type === 'boolean') return value ? 'Yes' : 'No';
+    if (field.type === 'url') {
+        return `<a href="${escapeHtml(value)}" target="_blank" rel="noopener noreferrer">${escapeHtml(value)}</a>`;
+    }
+    return escapeHtml(String(value));
+}
+
+// A task's custom field values, in definition order
+function renderCustomFieldValues(task) {
+    const values = task.fields || {};
+    const set = customFields.filter(field => values[field.key] !== undefined && values[field.key] !== null);
+    if (set.length === 0) return '';
+    return `
+        <div class="task-fields">
+            ${set.map(field => `
+                <span class="task-field" title="${escapeHtml(field.label)}">
+                    <strong>${escapeHtml(field.label)}:</strong> ${formatCustomFieldValue(field, values[field.key])}
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
+// --- People: assignees and watchers ---
+
+// Everyone tasks can be assigned to, with their initials and avatar colors
+async function loadPeople() {
+    try {
+        const response = await apiFetch('/api/people');
+        
+        if (!response.ok) {
+            throw new Error('Failed to load people');
+        }
+        
+        const result = await response.json();
+        people = result.data;
+        renderPeopleFilter();
+        renderAssigneePicker();
+        // Cards loaded before the people list have no avatars yet
+        if (tasks.length === 0 || currentView === 'calendar') return;
+        if (currentView === 'board') {
+            renderBoard(tasks);
+        } else {
+            renderTasks(tasks);
+        }
+        
+    } catch (error) {
+        console.error('Error loading people:', error);
+    }
+}
+
+function findPerson(id) {
+    return people.find(person => person.id === parseInt(id)) || null;
+}
+
+// Round badge with a person's initials
+function avatar(userId) {
+    const person = findPerson(userId);
+    if (!person) return '';
+    return `<span class="avatar" style="background: ${person.color}" title="${escapeHtml(person.name || person.username)}">${escapeHtml(person.initials)}</span>`;
+}
+
+// Everyone is also a filter choice under "Assigned to"
+function renderPeopleFilter() {
+    const select = document.getElementById('filterPeople');
+    const value = select.value;
+    select.innerHTML = `
+        <option value="">Anyone</option>
+        <option value="assignee=me">Assigned to me</option>
+        <option value="watcher=me">Watching</option>
+        <option value="assignee=none">Unassigned</option>
+        <optgroup label="Assigned to">
+            ${people.map(person => `<option value="assignee=${person.id}">${escapeHtml(person.name || person.username)}</option>`).join('')}
+        </optgroup>
+    `;
+    select.value = value;
+    if (select.value !== value) select.value = '';
+}
+
+// The picker button shows the chosen person; the list shows everyone
+function renderAssigneePicker() {
+    const assigneeId = document.getElementById('assigneeId').value;
+    const person = findPerson(assigneeId);
+    document.getElementById('assigneeButton').innerHTML = person
+        ? `${avatar(person.id)} <span>${escapeHtml(person.name || person.username)}</span>`
+        : '<span class="avatar avatar-empty"><i class="fas fa-user"></i></span> <span>Unassigned</span>';
+    
+    const option = (id, content) => `
+        <li role="option" class="assignee-option" aria-selected="${String(id) === assigneeId}"
+            data-person-id="${id}" onclick="chooseAssignee(this.dataset.personId)">
+            ${content}
+        </li>
+    `;
+    document.getElementById('assigneeOptions').innerHTML = [
+        option('', '<span class="avatar avatar-empty"><i class="fas fa-user"></i></span> <span>Unassigned</span>'),
+        ...people.map(person => option(person.id, `${avatar(person.id)} <span>${escapeHtml(person.name || person.username)}</span>`))
+    ].join('');
+}
+
+function toggleAssigneeOptions() {
+    const options = document.getElementById('assigneeOptions');
+    options.hidden = !options.hidden;
+    document.getElementById('assigneeButton').setAttribute('aria-expanded', String(!options.hidden));
+}
+
+function closeAssigneeOptions() {
+    document.getElementById('assigneeOptions').hidden = true;
+    document.getElementById('assigneeButton').setAttribute('aria-expanded', 'false');
+}
+
+function chooseAssignee(personId) {
+    document.getElementById('assigneeId').value = personId;
+    renderAssigneePicker();
+    closeAssigneeOptions();
+}
+
+// Open tasks per assignee in the sidebar, from /api/stats
+function renderWorkload(workload) {
+    document.getElementById('workloadList').innerHTML = workload
+        .filter(row => row.open > 0)
+        .map(row => `
+            <li class="workload-item" title="${row.inProgress} in progress, ${row.overdue} overdue">
+                ${row.assignee
+                    ? `<span class="avatar" style="background: ${row.assignee.color}">${escapeHtml(row.assignee.initials)}</span>`
+                    : '<span class="avatar avatar-empty"><i class="fas fa-user"></i></span>'}
+                <span class="workload-name">${escapeHtml(row.assignee ? row.assignee.name || row.assignee.username : 'Unassigned')}</span>
+                <span class="project-count">${row.open}</span>
+            </li>
+        `).join('') || '<li class="workload-empty">No open tasks</li>';
+}
+
+function canReassign(task) {
+    return currentUser.role === 'admin' || task.ownerId === currentUser.id;
+}
+
+// Start or stop watching a task
+async function toggleWatch(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    const watchers = task.watchers || [];
+    const watching = watchers.includes(currentUser.id);
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${task.version || 1}"`
+            },
+            body: JSON.stringify({
+                watchers: watching ? watchers.filter(id => id !== currentUser.id) : [...watchers, currentUser.id]
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.errors ? error.errors.join(', ') : (error.message || 'Failed to update task'));
+        }
+        
+        showToast(watching ? 'Stopped watching the task' : 'Watching the task', 'success');
+    } catch (error) {
+        console.error('Error updating watchers:', error);
+        showToast(`Could not update watchers: ${error.message}`, 'error');
+    }
+    
+    loadTasks();
+}
+
+function tagColor(name) {
+    const tag = tagRegistry.find(t => t.name === name);
+    return tag ? tag.color : '#a0aec0';
+}
+
+// Update statistics display
+// The cards count by status category, so custom statuses are included
+function updateStatsDisplay(stats) {
+    document.getElementById('totalTasks').textContent = stats.totalTasks;
+    document.getElementById('todoTasks').textContent = stats.categoryBreakdown.todo;
+    document.getElementById('activeTasks').textContent = stats.categoryBreakdown.active;
+    document.getElementById('doneTasks').textContent = stats.categoryBreakdown.done;
+}
+
+// Render tasks to the UI
+function renderTasks(tasks) {
+    const tasksGrid = document.getElementById('tasksGrid');
+    const noTasks = document.getElementById('noTasks');
+    
+    if (tasks.length === 0) {
+        tasksGrid.innerHTML = '';
+        noTasks.style.display = 'block';
+        return;
+    }
+    
+    noTasks.style.display = 'none';
+    
+    tasksGrid.innerHTML = tasks.map(renderTaskCard).join('');
+}
+
+// --- Board view ---
+
+function setView(view) {
+    currentView = view;
+    localStorage.setItem('taskView', view);
+    showView();
+    loadTasks(null);
+}
+
+function showView() {
+    const views = {
+        grid: ['tasksGrid', 'viewGrid'],
+        board: ['taskBoard', 'viewBoard'],
+        calendar: ['taskCalendar', 'viewCalendar']
+    };
+    Object.entries(views).forEach(([view, [containerId, buttonId]]) => {
+        document.getElementById(containerId).style.display = view === currentView ? '' : 'none';
+        document.getElementById(buttonId).classList.toggle('active', view === currentView);
+    });
+    if (currentView !== 'grid') {
+        document.getElementById('pagination').style.display = 'none';
+        document.getElementById('noTasks').style.display = 'none';
+    }
+}
+
+// Every matching task (all pages) in board order
+async function loadBoard() {
+    showLoading(true);
+    
+    try {
+        const { sortBy, order, ...filters } = currentFilters;
+        let url = `/api/tasks?${new URLSearchParams({ ...filters, sortBy: 'position', limit: 200 })}`;
+        const boardTasks = [];
+        
+        while (url) {
+            const response = await apiFetch(url);
+            
+            if (response.status === 400 && currentFilters.search) {
+                const result = await response.json();
+                showSearchError(result.errors ? result.errors[0] : result.message);
+                return;
+            }
+            
+            if (!response.ok) {
+                throw new Error('Failed to load tasks');
+            }
+            
+            const result = await response.json();
+            boardTasks.push(...result.data);
+            url = result.links.next;
+        }
+        
+        showSearchError(null);
+        tasks = boardTasks;
+        selectedTaskIds = new Set(tasks.filter(task => selectedTaskIds.has(task.id)).map(task => task.id));
+        renderBoard(tasks);
+        renderBulkBar();
+        
+    } catch (error) {
+        console.error('Error loading board:', error);
+        showToast('Error loading tasks. Please try again.', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// One column per workflow status; cards can be dragged within and between columns
+function renderBoard(tasks) {
+    document.getElementById('noTasks').style.display = 'none';
+    document.getElementById('taskBoard').innerHTML = workflow.statuses.map(column => {
+        const cards = tasks.filter(task => task.status === column.key);
+        return `
+            <section class="board-column" data-status="${escapeHtml(column.key)}">
+                <header class="board-column-header">
+                    <h3><span class="project-dot" style="background: ${column.color}"></span> ${escapeHtml(column.label)}</h3>
+                    <span class="board-count">${cards.length}</span>
+                </header>
+                <div class="board-cards">
+                    ${cards.map(renderTaskCard).join('')}
+                </div>
+            </section>
+        `;
+    }).join('');
+    
+    document.querySelectorAll('#taskBoard .task-card').forEach(card => {
+        card.draggable = true;
+    });
+}
+
+function handleBoardDragStart(e) {
+    const card = e.target.closest('.task-card');
+    if (!card) return;
+    
+    boardDropped = false;
+    card.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', card.dataset.taskId);
+}
+
+// Move the dragged card to where it would land as the pointer moves
+function handleBoardDragOver(e) {
+    const list = e.target.closest('.board-cards');
+    const card = document.querySelector('#taskBoard .task-card.dragging');
+    if (!list || !card) return;
+    
+    e.preventDefault();
+    const next = [...list.querySelectorAll('.task-card:not(.dragging)')].find(other => {
+        const box = other.getBoundingClientRect();
+        return e.clientY < box.top + box.height / 2;
+    });
+    if (next !== card.nextElementSibling || card.parentElement !== list) {
+        list.insertBefore(card, next || null);
+    }
+}
+
+function handleBoardDrop(e) {
+    const list = e.target.closest('.board-cards');
+    const card = document.querySelector('#taskBoard .task-card.dragging');
+    if (!list || !card) return;
+    
+    e.preventDefault();
+    boardDropped = true;
+    const status = list.closest('.board-column').dataset.status;
+    const order = [...list.querySelectorAll('.task-card')].map(item => parseInt(item.dataset.taskId));
+    moveTask(parseInt(card.dataset.taskId), status, order);
+}
+
+// Dropped outside a column: put the card back
+function handleBoardDragEnd(e) {
+    const card = e.target.closest('.task-card');
+    if (card) card.classList.remove('dragging');
+    if (!boardDropped) renderBoard(tasks);
+}
+
+// PATCH the status when the card changed columns, then save the column's order
+async function moveTask(taskId, status, order) {
+    const task = tasks.find(t => t.id === taskId);
+    
+    try {
+        if (task && task.status !== status) {
+            const response = await apiFetch(`/api/tasks/${taskId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${task.version || 1}"`
+                },
+                body: JSON.stringify({ status })
+            });
+            
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.errors ? error.errors.join(', ') : (error.message || 'Failed to update task'));
+            }
+        }
+        
+        const response = await apiFetch('/api/tasks/order', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ order })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.errors ? error.errors.join(', ') : (error.message || 'Failed to reorder tasks'));
+        }
+        
+    } catch (error) {
+        console.error('Error moving task:', error);
+        showToast(`Could not move task: ${error.message}`, 'error');
+    }
+    
+    loadTasks();
+    loadStats();
+}
+
+// --- Calendar view ---
+
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(date, days) {
+    const day = new Date(date);
+    day.setDate(day.getDate() + days);
+    return day;
+}
+
+function startOfWeek(date) {
+    const day = startOfDay(date);
+    return addDays(day, -((day.getDay() + 6) % 7));
+}
+
+// Local calendar day as YYYY-MM-DD
+function dayKey(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Local days shown by the current mode: whole weeks around the month, one
+// week, or the agenda's days ahead
+function calendarRange() {
+    if (calendarMode === 'week') {
+        const from = startOfWeek(calendarDate);
+        return { from, to: addDays(from, 7) };
+    }
+    if (calendarMode === 'agenda') {
+        const from = startOfDay(calendarDate);
+        return { from, to: addDays(from, AGENDA_DAYS) };
+    }
+    const first = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), 1);
+    const last = new Date(calendarDate.getFullYear(), calendarDate.getMonth() + 1, 0);
+    return { from: startOfWeek(first), to: addDays(startOfWeek(last), 7) };
+}
+
+function setCalendarMode(mode) {
+    calendarMode = mode;
+    localStorage.setItem('calendarMode', mode);
+    loadTasks();
+}
+
+// Previous/next month, week or agenda page
+function moveCalendar(step) {
+    if (calendarMode === 'month') {
+        calendarDate = new Date(calendarDate.getFullYear(), calendarDate.getMonth() + step, 1);
+    } else {
+        calendarDate = addDays(calendarDate, step * (calendarMode === 'week' ? 7 : AGENDA_DAYS));
+    }
+    loadTasks();
+}
+
+async function loadCalendar() {
+    showLoading(true);
+    
+    try {
+        const { from, to } = calendarRange();
+        const { sortBy, order, ...filters } = currentFilters;
+        const params = new URLSearchParams({ ...filters, from: from.toISOString(), to: to.toISOString() });
+        if (calendarMode === 'agenda') params.set('includeOverdue', 'true');
+        const response = await apiFetch(`/api/tasks/calendar?${params}`);
+        
+        if (response.status === 400 && currentFilters.search) {
+            const result = await response.json();
+            showSearchError(result.errors ? result.errors[0] : result.message);
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to load calendar');
+        }
+        
+        const result = await response.json();
+        showSearchError(null);
+        tasks = [...(result.overdue || []), ...result.data];
+        selectedTaskIds = new Set();
+        renderCalendar(result.data, result.overdue || [], { from, to });
+        renderBulkBar();
+        
+    } catch (error) {
+        console.error('Error loading calendar:', error);
+        showToast('Error loading calendar. Please try again.', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderCalendar(scheduled, overdue, { from, to }) {
+    const shortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    document.getElementById('calendarTitle').textContent = calendarMode === 'month'
+        ? calendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+        : `${shortDate(from)} – ${shortDate(addDays(to, -1))}, ${addDays(to, -1).getFullYear()}`;
+    document.querySelectorAll('[data-calendar-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.calendarMode === calendarMode);
+    });
+    
+    const byDay = {};
+    scheduled.forEach(task => {
+        const key = dayKey(new Date(task.dueDate));
+        (byDay[key] = byDay[key] || []).push(task);
+    });
+    
+    const days = [];
+    for (let day = from; day < to; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    
+    const body = document.getElementById('calendarBody');
+    if (calendarMode === 'agenda') {
+        body.innerHTML = renderAgenda(days, byDay, overdue);
+        return;
+    }
+    
+    const today = dayKey(new Date());
+    body.innerHTML = `
+        <div class="calendar-grid calendar-${calendarMode}">
+            ${WEEKDAYS.map(name => `<div class="calendar-weekday">${name}</div>`).join('')}
+            ${days.map(day => `
+                <div class="calendar-day ${calendarMode === 'month' && day.getMonth() !== calendarDate.getMonth() ? 'outside' : ''} ${dayKey(day) === today ? 'today' : ''}"
+                     data-day="${dayKey(day)}">
+                    <div class="calendar-day-number">${day.getDate()}</div>
+                    ${(byDay[dayKey(day)] || []).map(renderCalendarTask).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Days with tasks, after an Overdue group for anything still open from before
+function renderAgenda(days, byDay, overdue) {
+    const sections = [];
+    if (overdue.length > 0) {
+        sections.push(`
+            <section class="agenda-day overdue">
+                <h4><i class="fas fa-exclamation-circle"></i> Overdue</h4>
+                ${overdue.map(renderCalendarTask).join('')}
+            </section>
+        `);
+    }
+    days.filter(day => byDay[dayKey(day)]).forEach(day => {
+        sections.push(`
+            <section class="agenda-day" data-day="${dayKey(day)}">
+                <h4>${day.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}</h4>
+                ${byDay[dayKey(day)].map(renderCalendarTask).join('')}
+            </section>
+        `);
+    });
+    return sections.join('') || `<p class="calendar-empty">Nothing due in the next ${AGENDA_DAYS} days.</p>`;
+}
+
+function renderCalendarTask(task) {
+    const time = new Date(task.dueDate).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return `
+        <div class="calendar-task ${isFinished(task) ? 'finished' : ''} ${task.overdue ? 'overdue' : ''}"
+             data-task-id="${task.id}" style="border-left-color: ${findPriority(task.priority).color}" draggable="true"
+             title="${escapeHtml(task.title)} · due ${formatDate(task.dueDate)}"
+             onclick="editTask(${task.id})">
+            ${task.overdue ? '<i class="fas fa-exclamation-circle"></i>' : ''}
+            <span class="calendar-task-time">${time}</span>
+            ${escapeHtml(task.title)}
+        </div>
+    `;
+}
+
+function handleCalendarDragStart(e) {
+    const item = e.target.closest('.calendar-task');
+    if (!item) return;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.taskId);
+}
+
+function handleCalendarDragOver(e) {
+    const day = e.target.closest('[data-day]');
+    if (!day) return;
+    e.preventDefault();
+    day.classList.add('drop-target');
+}
+
+function handleCalendarDragLeave(e) {
+    const day = e.target.closest('[data-day]');
+    if (day && !day.contains(e.relatedTarget)) day.classList.remove('drop-target');
+}
+
+function handleCalendarDrop(e) {
+    const day = e.target.closest('[data-day]');
+    if (!day) return;
+    e.preventDefault();
+    day.classList.remove('drop-target');
+    rescheduleTask(parseInt(e.dataTransfer.getData('text/plain')), day.dataset.day);
+}
+
+// Move the due date to another day, keeping its time of day
+async function rescheduleTask(taskId, day) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    const [year, month, date] = day.split('-').map(Number);
+    const dueDate = new Date(task.dueDate);
+    dueDate.setFullYear(year, month - 1, date);
+    if (dueDate.getTime() === new Date(task.dueDate).getTime()) return;
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${task.version || 1}"`
+            },
+            body: JSON.stringify({ dueDate: dueDate.toISOString() })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.errors ? error.errors.join(', ') : (error.message || 'Failed to update task'));
+        }
+        
+        showToast(`Rescheduled to ${formatDate(dueDate.toISOString())}`, 'success');
+    } catch (error) {
+        console.error('Error rescheduling task:', error);
+        showToast(`Could not reschedule task: ${error.message}`, 'error');
+    }
+    
+    loadTasks();
+    loadStats();
+}
+
+// Past due and not completed, as /api/stats counts it
+function isOverdue(task) {
+    return Boolean(task.dueDate) && new Date(task.dueDate) < new Date() && findStatus(task.status).category !== 'done';
+}
+
+function renderTaskCard(task) {
+    return `
+        <div class="task-card ${selectedTaskIds.has(task.id) ? 'selected' : ''} ${isOverdue(task) ? 'overdue' : ''}" data-task-id="${task.id}">
+            <div class="task-header">
+                <input type="checkbox" class="task-select" title="Select"
+                       ${selectedTaskIds.has(task.id) ? 'checked' : ''}
+                       onchange="toggleTaskSelection(${task.id}, this.checked)">
+                <h3 class="task-title">${task.match ? task.match.title : escapeHtml(task.title)}</h3>
+                <div class="task-actions">
+                    <button class="btn btn-secondary btn-small task-watch ${(task.watchers || []).includes(currentUser.id) ? 'watching' : ''}"
+                            onclick="toggleWatch(${task.id})" title="${(task.watchers || []).includes(currentUser.id) ? 'Stop watching' : 'Watch'}">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    <button class="btn btn-secondary btn-small task-comments" onclick="openTaskDetail(${task.id})" title="Comments and activity">
+                        <i class="fas fa-comments"></i> ${task.commentCount || 0}
+                    </button>
+                    <button class="btn btn-secondary btn-small" onclick="openHistory(${task.id})" title="History">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    <button class="btn btn-warning btn-small" onclick="editTask(${task.id})">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="deleteTask(${task.id})">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            
+            ${task.description ? `<p class="task-description">${task.match ? task.match.snippet : escapeHtml(task.description)}</p>` : ''}
+            
+            ${task.projectId && findProject(task.projectId) && !currentProject ? `
+                <div class="task-project">
+                    <span class="project-dot" style="background: ${findProject(task.projectId).color}"></span>
+                    ${escapeHtml(findProject(task.projectId).name)}
+                </div>
+            ` : ''}
+            
+            ${task.assigneeId || (task.watchers || []).length > 0 ? `
+                <div class="task-people">
+                    ${findPerson(task.assigneeId) ? `
+                        <span class="task-assignee">
+                            ${avatar(task.assigneeId)} ${escapeHtml(findPerson(task.assigneeId).name || findPerson(task.assigneeId).username)}
+                        </span>
+                    ` : ''}
+                    ${(task.watchers || []).length > 0 ? `
+                        <span class="task-watchers" title="Watchers">
+                            <i class="fas fa-eye"></i> ${task.watchers.map(avatar).join('')}
+                        </span>
+                    ` : ''}
+                </div>
+            ` : ''}
+            
+            ${task.tags && task.tags.length > 0 ? `
+                <div class="task-tags">
+                    ${task.tags.map(tag => `<span class="tag-chip" style="background: ${tagColor(tag)}">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+            ` : ''}
+            
+            ${renderCustomFieldValues(task)}
+            
+            ${renderChecklist(task)}
+            
+            <div class="task-meta">
+                <div class="task-meta-item">
+                    <i class="fas fa-flag"></i>
+                    ${statusBadge(task.status)}
+                </div>
+                <div class="task-meta-item">
+                    <i class="fas fa-exclamation"></i>
+                    ${priorityBadge(task.priority)}
+                </div>
+            </div>
+            
+            <div class="task-dates">
+                <div><i class="fas fa-plus"></i> Created: ${formatDate(task.createdAt)}</div>
+                <div><i class="fas fa-edit"></i> Updated: ${formatDate(task.updatedAt)}</div>
+                ${task.dueDate ? `<div class="${isOverdue(task) ? 'overdue-date' : ''}"><i class="fas fa-calendar"></i> Due: ${formatDate(task.dueDate)}${isOverdue(task) ? ' (overdue)' : ''}</div>` : ''}
+                ${task.recurrence ? `<div><i class="fas fa-redo"></i> Repeats: ${escapeHtml(task.recurrence.rrule)}${task.occurrence ? ` (#${task.occurrence})` : ''}</div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Render a task's checklist with its progress bar
+function renderChecklist(task) {
+    const items = task.checklist || [];
+    const done = items.filter(item => item.done).length;
+    const percent = items.length > 0 ? Math.round((done / items.length) * 100) : 0;
+    
+    return `
+        <div class="task-checklist">
+            ${items.length > 0 ? `
+                <div class="progress">
+                    <div class="progress-bar" style="width: ${percent}%"></div>
+                </div>
+                <div class="progress-label">${done}/${items.length} done (${percent}%)</div>
+            ` : ''}
+            <ul class="checklist-items">
+                ${items.map(item => `
+                    <li class="${item.done ? 'done' : ''}">
+                        <label>
+                            <input type="checkbox" ${item.done ? 'checked' : ''} onchange="toggleChecklistItem(${task.id}, ${item.id}, this.checked)">
+                            ${escapeHtml(item.text)}
+                        </label>
+                        <button class="checklist-remove" onclick="removeChecklistItem(${task.id}, ${item.id})" title="Remove item">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            <form class="checklist-add" onsubmit="addChecklistItem(event, ${task.id})">
+                <input type="text" maxlength="200" placeholder="+ Add checklist item">
+            </form>
+        </div>
+    `;
+}
+
+// Send a checklist change and refresh the grid
+async function updateChecklist(url, options, errorMessage) {
+    try {
+        const response = await apiFetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+            }
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.errors ? error.errors.join(', ') : error.message);
+        }
+        
+        loadTasks();
+        loadStats();
+        
+    } catch (error) {
+        console.error(errorMessage, error);
+        showToast(error.message || errorMessage, 'error');
+    }
+}
+
+function addChecklistItem(e, taskId) {
+    e.preventDefault();
+    const input = e.target.querySelector('input');
+    const text = input.value.trim();
+    if (!text) return;
+    
+    updateChecklist(`/api/tasks/${taskId}/checklist`, {
+        method: 'POST',
+        body: JSON.stringify({ text })
+    }, 'Error adding checklist item');
+}
+
+function toggleChecklistItem(taskId, itemId, done) {
+    updateChecklist(`/api/tasks/${taskId}/checklist/${itemId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ done })
+    }, 'Error updating checklist item');
+}
+
+function removeChecklistItem(taskId, itemId) {
+    updateChecklist(`/api/tasks/${taskId}/checklist/${itemId}`, {
+        method: 'DELETE'
+    }, 'Error removing checklist item');
+}
+
+// Files dropped on the form: uploaded straight away while editing, kept
+// until the task is created otherwise
+function addAttachments(fileList) {
+    const files = [...fileList];
+    if (files.length === 0) return;
+    
+    if (editingTaskId) {
+        uploadAttachments(editingTaskId, files).then(() => loadAttachments(editingTaskId));
+    } else {
+        pendingAttachments.push(...files);
+        renderAttachments([]);
+    }
+}
+
+async function uploadAttachments(taskId, files) {
+    const body = new FormData();
+    files.forEach(file => body.append('file', file));
+    document.getElementById('attachmentDrop').classList.add('uploading');
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/attachments`, { method: 'POST', body });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
+        }
+        
+        showToast(result.message, 'success');
+        
+    } catch (error) {
+        console.error('Error uploading attachments:', error);
+        showToast(error.message || 'Error uploading files', 'error');
+    } finally {
+        document.getElementById('attachmentDrop').classList.remove('uploading');
+    }
+}
+
+async function loadAttachments(taskId) {
+    renderAttachments([]);
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/attachments`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to load attachments');
+        }
+        
+        const result = await response.json();
+        // The form may have moved on to another task meanwhile
+        if (editingTaskId === taskId) renderAttachments(result.data);
+        
+    } catch (error) {
+        console.error('Error loading attachments:', error);
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Stored attachments, then files waiting for the task to be created
+function renderAttachments(attachments) {
+    const stored = attachments.map(attachment => `
+        <li>
+            <i class="fas fa-file"></i>
+            <button type="button" class="link-button attachment-name" onclick="downloadAttachment(${attachment.taskId}, ${attachment.id})"
+                    title="SHA-256 ${attachment.checksum.value}">${escapeHtml(attachment.filename)}</button>
+            <span class="attachment-size">${formatFileSize(attachment.size)}</span>
+            <button type="button" class="btn btn-danger btn-small" onclick="deleteAttachment(${attachment.taskId}, ${attachment.id})" title="Delete">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `);
+    const pending = pendingAttachments.map((file, index) => `
+        <li class="pending">
+            <i class="fas fa-clock"></i>
+            <span class="attachment-name">${escapeHtml(file.name)}</span>
+            <span class="attachment-size">${formatFileSize(file.size)}</span>
+            <button type="button" class="btn btn-secondary btn-small" onclick="removePendingAttachment(${index})" title="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `);
+    document.getElementById('attachmentList').innerHTML = [...stored, ...pending].join('');
+}
+
+function removePendingAttachment(index) {
+    pendingAttachments.splice(index, 1);
+    renderAttachments([]);
+}
+
+// Downloads need the bearer token, so fetch the file and save the blob
+async function downloadAttachment(taskId, attachmentId) {
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/attachments/${attachmentId}`);
+        if (!response.ok) {
+            throw new Error('Attachment not found');
+        }
+        const { data: attachment } = await response.json();
+        
+        const download = await apiFetch(attachment.downloadUrl);
+        if (!download.ok) {
+            throw new Error('Failed to download the file');
+        }
+        
+        const url = URL.createObjectURL(await download.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        showToast(error.message || 'Error downloading the file', 'error');
+    }
+}
+
+async function deleteAttachment(taskId, attachmentId) {
+    if (!confirm('Delete this attachment?')) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/attachments/${attachmentId}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+        
+        showToast(result.message, 'success');
+        loadAttachments(taskId);
+        
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        showToast(error.message || 'Error deleting attachment', 'error');
+    }
+}
+
+// Open the history drawer for a task
+async function openHistory(taskId) {
+    const drawer = document.getElementById('historyDrawer');
+    const task = tasks.find(t => t.id === taskId);
+    document.getElementById('historyTitle').textContent = task ? task.title : `Task #${taskId}`;
+    document.getElementById('historyList').innerHTML = '<p>Loading history...</p>';
+    drawer.classList.add('open');
+    drawer.dataset.taskId = taskId;
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/history`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to load history');
+        }
+        
+        const result = await response.json();
+        renderHistory(taskId, result.data);
+        
+    } catch (error) {
+        console.error('Error loading history:', error);
+        document.getElementById('historyList').innerHTML = '<p>Could not load history.</p>';
+    }
+}
+
+function closeHistory() {
+    document.getElementById('historyDrawer').classList.remove('open');
+}
+
+// Newest first, each with its field changes and a restore button
+function renderHistory(taskId, entries) {
+    const list = document.getElementById('historyList');
+    
+    if (entries.length === 0) {
+        list.innerHTML = '<p>No changes recorded yet.</p>';
+        return;
+    }
+    
+    list.innerHTML = [...entries].reverse().map((entry, index) => `
+        <div class="history-entry">
+            <div class="history-entry-header">
+                <span>
+                    <strong>${entry.action}</strong>
+                    by ${escapeHtml(entry.actor ? entry.actor.username : 'system')}
+                    · ${formatDate(entry.at)}
+                </span>
+                ${index > 0 && entry.action !== 'deleted' ? `
+                    <button class="btn btn-secondary btn-small" onclick="restoreRevision(${taskId}, ${entry.revision})" title="Restore this version">
+                        <i class="fas fa-undo"></i> Rev ${entry.revision}
+                    </button>
+                ` : `<span>Rev ${entry.revision}</span>`}
+            </div>
+            <ul class="history-changes">
+                ${entry.action === 'updated' || entry.action === 'restored'
+                    ? entry.changes.map(change => `
+                        <li><strong>${escapeHtml(change.field)}</strong>: ${formatHistoryValue(change.from)} → ${formatHistoryValue(change.to)}</li>
+                    `).join('')
+                    : ''}
+            </ul>
+        </div>
+    `).join('');
+}
+
+function formatHistoryValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '<em>empty</em>';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return escapeHtml(text.length > 80 ? `${text.slice(0, 77)}...` : text);
+}
+
+// Roll a task back to an earlier revision
+async function restoreRevision(taskId, revision) {
+    if (!confirm(`Restore this task to revision ${revision}?`)) {
+        return;
+    }
+    
+    // Only roll back the version shown in the list, not a newer one
+    const task = tasks.find(t => t.id === taskId);
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(task ? { 'If-Match': `"${task.version || 1}"` } : {})
+            },
+            body: JSON.stringify({ revision })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Failed to restore task');
+        }
+        
+        showToast(`Task restored to revision ${revision}`, 'success');
+        loadTasks();
+        loadStats();
+        openHistory(taskId);
+        
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        showToast(error.message || 'Error restoring task', 'error');
+    }
+}
+
+// Open the task drawer: its comments and status changes in one timeline
+async function openTaskDetail(taskId) {
+    const drawer = document.getElementById('taskDrawer');
+    const task = tasks.find(t => t.id === taskId);
+    if (drawer.dataset.taskId !== String(taskId)) {
+        document.getElementById('timelineList').innerHTML = '<p>Loading comments...</p>';
+        setCommentContext(null);
+    }
+    document.getElementById('taskDrawerTitle').textContent = task ? task.title : `Task #${taskId}`;
+    drawer.classList.add('open');
+    drawer.dataset.taskId = taskId;
+    
+    try {
+        const response = await apiFetch(`/api/tasks/${taskId}/timeline`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to load comments');
+        }
+        
+        const result = await response.json();
+        renderTimeline(result.data);
+        updateCommentCount(taskId, countComments(result.data.filter(entry => entry.type === 'comment').map(entry => entry.comment)));
+        
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        document.getElementById('timelineList').innerHTML = '<p>Could not load comments.</p>';
+    }
+}
+
+function closeTaskDetail() {
+    const drawer = document.getElementById('taskDrawer');
+    drawer.classList.remove('open');
+    delete drawer.dataset.taskId;
+    setCommentContext(null);
+}
+
+// Comments in a list of threads, leaving out deleted placeholders
+function countComments(threads) {
+    return threads.reduce((count, comment) => count + (comment.deletedAt ? 0 : 1) + countComments(comment.replies), 0);
+}
+
+function updateCommentCount(taskId, count) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || task.commentCount === count) return;
+    
+    task.commentCount = count;
+    const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+    if (card) card.outerHTML = renderTaskCard(task);
+}
+
+// Oldest first; a comment thread sits where it was started
+function renderTimeline(entries) {
+    const list = document.getElementById('timelineList');
+    
+    if (entries.length === 0) {
+        list.innerHTML = '<p>No activity yet.</p>';
+        return;
+    }
+    
+    list.innerHTML = entries.map(entry => entry.type === 'comment'
+        ? renderComment(entry.comment, 1)
+        : `
+            <div class="timeline-event">
+                <i class="fas ${entry.type === 'status' ? 'fa-exchange-alt' : 'fa-circle'}"></i>
+                <span>${describeTimelineEvent(entry)} · ${formatDate(entry.at)}</span>
+            </div>
+        `).join('');
+}
+
+function describeTimelineEvent(entry) {
+    const who = `<strong>${escapeHtml(entry.actor ? entry.actor.username : 'system')}</strong>`;
+    
+    switch (entry.type) {
+        case 'created': return `${who} created the task as ${statusBadge(entry.status)}`;
+        case 'status': return `${who} changed the status from ${statusBadge(entry.from)} to ${statusBadge(entry.to)}`;
+        case 'trashed': return `${who} moved the task to the trash`;
+        case 'untrashed': return `${who} restored the task from the trash`;
+        case 'restored': return `${who} restored revision ${entry.revision}`;
+        case 'deleted': return `${who} deleted the task`;
+        default: return `${who} ${escapeHtml(entry.type)}`;
+    }
+}
+
+function renderComment(comment, depth) {
+    const own = currentUser && comment.author.id === currentUser.id;
+    const canDelete = own || (currentUser && currentUser.role === 'admin');
+    
+    return `
+        <div class="comment ${comment.deletedAt ? 'deleted' : ''}" data-comment-id="${comment.id}">
+            <div class="history-entry-header">
+                <span>
+                    <strong>${escapeHtml(comment.author.name || comment.author.username)}</strong>
+                    · ${formatDate(comment.createdAt)}
+                    ${comment.editedAt && !comment.deletedAt ? `<em title="Edited ${formatDate(comment.editedAt)}">(edited)</em>` : ''}
+                </span>
+                ${comment.deletedAt ? '' : `
+                    <span class="comment-actions">
+                        ${depth < MAX_COMMENT_DEPTH ? `<button class="btn btn-secondary btn-small" onclick="replyToComment(${comment.id})" title="Reply"><i class="fas fa-reply"></i></button>` : ''}
+                        ${own ? `<button class="btn btn-warning btn-small" onclick="editComment(${comment.id})" title="Edit"><i class="fas fa-edit"></i></button>` : ''}
+                        ${canDelete ? `<button class="btn btn-danger btn-small" onclick="deleteComment(${comment.id})" title="Delete"><i class="fas fa-trash"></i></button>` : ''}
+                    </span>
+                `}
+            </div>
+            <p class="comment-body">${comment.deletedAt ? '<em>This comment was deleted.</em>' : formatCommentBody(comment)}</p>
+            ${comment.edits.length > 0 ? `
+                <details class="comment-edits">
+                    <summary>${comment.edits.length} earlier version${comment.edits.length === 1 ? '' : 's'}</summary>
+                    <ul>
+                        ${[...comment.edits].reverse().map(edit => `
+                            <li><span>Replaced ${formatDate(edit.editedAt)}</span>${escapeHtml(edit.body)}</li>
+                        `).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+            ${comment.replies.length > 0 ? `
+                <div class="comment-replies">
+                    ${comment.replies.map(reply => renderComment(reply, depth + 1)).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Escaped comment text with the resolved @mentions highlighted
+function formatCommentBody(comment) {
+    const text = escapeHtml(comment.body);
+    if (comment.mentions.length === 0) return text;
+    
+    const names = comment.mentions.map(mention => mention.username.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&'));
+    const pattern = new RegExp(`@(${names.join('|')})(?![\\w-])`, 'gi');
+    return text.replace(pattern, '<span class="mention">$&</span>');
+}
+
+function commentText(commentId) {
+    const comment = document.querySelector(`.comment[data-comment-id="${commentId}"]`);
+    return {
+        author: comment.querySelector('strong').textContent,
+        body: comment.querySelector('.comment-body').textContent
+    };
+}
+
+// Show what the composer is doing: a reply, an edit, or (null) a new comment
+function setCommentContext(context) {
+    const banner = document.getElementById('commentContext');
+    const input = document.getElementById('commentBody');
+    
+    if (commentContext && commentContext.mode === 'edit') input.value = '';
+    commentContext = context;
+    banner.hidden = !context;
+    if (!context) return;
+    
+    document.getElementById('commentContextText').textContent = context.mode === 'edit'
+        ? 'Editing your comment'
+        : `Replying to ${commentText(context.commentId).author}`;
+    if (context.mode === 'edit') input.value = commentText(context.commentId).body;
+    input.focus();
+}
+
+function replyToComment(commentId) {
+    setCommentContext({ mode: 'reply', commentId });
+}
+
+function editComment(commentId) {
+    setCommentContext({ mode: 'edit', commentId });
+}
+
+// Post a comment or reply, or save an edit, then reload the timeline
+async function submitComment(e) {
+    e.preventDefault();
+    const taskId = parseInt(document.getElementById('taskDrawer').dataset.taskId);
+    const input = document.getElementById('commentBody');
+    const body = input.value.trim();
+    if (!body) return;
+    
+    const editing = commentContext && commentContext.mode === 'edit';
+    const url = editing
+        ? `/api/tasks/${taskId}/comments/${commentContext.commentId}`
+        : `/api/tasks/${taskId}/comments`;
+    const payload = commentContext && commentContext.mode === 'reply'
+        ? { body, parentId: commentContext.commentId }
+        : { body };
+    
+    const saved = await saveComment(taskId, url, projectRequest(editing ? 'PATCH' : 'POST', payload));
+    if (saved) {
+        input.value = '';
+        setCommentContext(null);
+    }
+}
+
+function deleteComment(commentId) {
+    if (!confirm('Delete this comment?')) {
+        return;
+    }
+    const taskId = parseInt(document.getElementById('taskDrawer').dataset.taskId);
+    if (commentContext && commentContext.commentId === commentId) setCommentContext(null);
+    saveComment(taskId, `/api/tasks/${taskId}/comments/${commentId}`, { method: 'DELETE' });
+}
+
+async function saveComment(taskId, url, options) {
+    try {
+        const response = await apiFetch(url, options);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
+        }
+        
+        await openTaskDetail(taskId);
+        return true;
+        
+    } catch (error) {
+        console.error('Error saving comment:', error);
+        showToast(error.message || 'Error saving comment', 'error');
+        return false;
+    }
+}
+
+// Someone @mentioned you in a comment
+function handleMentionEvent(e) {
+    lastEventId = e.lastEventId;
+    const { data: mention } = JSON.parse(e.data);
+    
+    showToast(`${mention.author.username} mentioned you on "${mention.taskTitle}": ${mention.excerpt}`, 'info');
+    
+    if (document.getElementById('taskDrawer').dataset.taskId === String(mention.taskId)) {
+        openTaskDetail(mention.taskId);
+    }
+}
+
+// Live updates from GET /api/events. EventSource reconnects on its own and
+// replays what it missed via Last-Event-ID; we only step in once it gives up.
+function connectEvents() {
+    disconnectEvents();
+    
+    const params = new URLSearchParams({ access_token: authToken });
+    if (lastEventId) params.set('lastEventId', lastEventId);
+    eventSource = new EventSource(`/api/events?${params}`);
+    
+    eventSource.addEventListener('ready', function(e) {
+        lastEventId = e.lastEventId;
+    });
+    ['task.created', 'task.updated', 'task.deleted'].forEach(type => {
+        eventSource.addEventListener(type, handleTaskEvent);
+    });
+    eventSource.addEventListener('reminder', handleReminderEvent);
+    eventSource.addEventListener('mention', handleMentionEvent);
+    // The server could not replay everything we missed
+    eventSource.addEventListener('reset', function() {
+        loadTasks();
+        loadStats();
+    });
+    eventSource.onerror = function() {
+        if (eventSource.readyState === EventSource.CLOSED) {
+            // loadStats logs us out if the session has expired
+            reconnectTimer = setTimeout(async () => {
+                await loadStats();
+                if (authToken) connectEvents();
+            }, RECONNECT_DELAY);
+        }
+    };
+}
+
+function disconnectEvents() {
+    clearTimeout(reconnectTimer);
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+}
+
+const reloadTasksSoon = debounce(() => loadTasks(), 300);
+const reloadStatsSoon = debounce(loadStats, 1000);
+
+// Patch the grid in place. New tasks need a reload because the server decides
+// where they land under the current filters and sort.
+function handleTaskEvent(e) {
+    lastEventId = e.lastEventId;
+    const { type, data: task } = JSON.parse(e.data);
+    
+    // Board cards can change column or order and calendar items can change
+    // day, so those views reload instead
+    if (currentView !== 'grid') {
+        reloadTasksSoon();
+        reloadStatsSoon();
+        return;
+    }
+    const index = tasks.findIndex(t => t.id === task.id);
+    const card = document.querySelector(`.task-card[data-task-id="${task.id}"]`);
+    // A task moved to another project leaves the list
+    const inProject = !currentProject ||
+        (currentProject === 'none' ? !task.projectId : task.projectId === parseInt(currentProject));
+    
+    if (type === 'task.created' || (type === 'task.updated' && index !== -1 && !inProject)) {
+        reloadTasksSoon();
+    } else if (type === 'task.updated' && index !== -1) {
+        // Events carry the task itself, not its comment count
+        tasks[index] = { ...task, commentCount: tasks[index].commentCount };
+        if (card) card.outerHTML = renderTaskCard(task);
+    } else if (type === 'task.deleted' && index !== -1) {
+        if (document.getElementById('taskDrawer').dataset.taskId === String(task.id)) closeTaskDetail();
+        tasks.splice(index, 1);
+        selectedTaskIds.delete(task.id);
+        if (card) card.remove();
+        if (tasks.length === 0) {
+            reloadTasksSoon();
+        } else {
+            renderBulkBar();
+        }
+    }
+    
+    reloadStatsSoon();
+}
+
+// Multi-select: checkboxes on the cards feed the bulk bar above the grid
+function toggleTaskSelection(taskId, selected) {
+    if (selected) {
+        selectedTaskIds.add(taskId);
+    } else {
+        selectedTaskIds.delete(taskId);
+    }
+    const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+    if (card) card.classList.toggle('selected', selected);
+    renderBulkBar();
+}
+
+function toggleSelectAll(selected) {
+    selectedTaskIds = new Set(selected ? tasks.map(task => task.id) : []);
+    if (currentView === 'board') {
+        renderBoard(tasks);
+    } else {
+        renderTasks(tasks);
+    }
+    renderBulkBar();
+}
+
+function renderBulkBar() {
+    const count = selectedTaskIds.size;
+    const selectAll = document.getElementById('selectAllTasks');
+    
+    // The calendar has no checkboxes to select with
+    document.getElementById('bulkBar').style.display = tasks.length > 0 && currentView !== 'calendar' ? 'flex' : 'none';
+    document.getElementById('bulkCount').textContent = count > 0 ? `${count} selected` : 'Select all';
+    selectAll.checked = tasks.length > 0 && count === tasks.length;
+    selectAll.indeterminate = count > 0 && count < tasks.length;
+    document.querySelectorAll('.bulk-action').forEach(control => {
+        control.disabled = count === 0;
+    });
+}
+
+// Send one POST /api/tasks/bulk request; each task succeeds or fails on its own
+async function runBulk(operations, verb) {
+    try {
+        const response = await apiFetch('/api/tasks/bulk', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ operations })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.message || 'Bulk action failed');
+        }
+        
+        const { succeeded, failed } = result.summary;
+        if (failed > 0) {
+            const firstError = result.results.find(item => !item.success);
+            const reason = firstError.errors ? firstError.errors.join(', ') : firstError.message;
+            showToast(`${succeeded} task(s) ${verb}, ${failed} failed: ${reason}`, 'warning');
+        } else {
+            showToast(`${succeeded} task(s) ${verb}`, 'success');
+        }
+        
+        selectedTaskIds.clear();
+        loadTasks();
+        loadStats();
+        
+    } catch (error) {
+        console.error('Error running bulk action:', error);
+        showToast(error.message || 'Error running bulk action', 'error');
+    }
+}
+
+function bulkPatch(changes) {
+    runBulk([...selectedTaskIds].map(id => ({ action: 'patch', id, data: changes })), 'updated');
+}
+
+function bulkDelete() {
+    if (!confirm(`Move ${selectedTaskIds.size} task(s) to the trash?`)) {
+        return;
+    }
+    runBulk([...selectedTaskIds].map(id => ({ action: 'delete', id })), 'moved to trash');
+}
+
+// Download the filtered task list (all pages) as csv, json or ics
+async function exportTasks(format) {
+    try {
+        const queryParams = new URLSearchParams({ ...currentFilters, format });
+        const response = await apiFetch(`/api/tasks/export?${queryParams}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to export tasks');
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : `tasks.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+    } catch (error) {
+        console.error('Error exporting tasks:', error);
+        showToast('Error exporting tasks. Please try again.', 'error');
+    }
+}
+
+// Send an import file; a dry run only reports what would happen
+async function sendImport(file, params) {
+    const isCsv = file.name.toLowerCase().endsWith('.csv');
+    const response = await apiFetch(`/api/tasks/import?${new URLSearchParams(params)}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': isCsv ? 'text/csv' : 'application/json',
+        },
+        body: await file.text()
+    });
+    return { ok: response.ok, result: await response.json() };
+}
+
+async function previewImport(file) {
+    try {
+        const { result } = await sendImport(file, { dryRun: true });
+        if (!result.summary) {
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
+        }
+        pendingImport = result.summary.valid > 0 ? file : null;
+        renderImportPreview(file.name, result);
+        
+    } catch (error) {
+        console.error('Error reading import:', error);
+        showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+    }
+}
+
+function renderImportPreview(fileName, result) {
+    const { valid, invalid } = result.summary;
+    const confirmButton = document.getElementById('confirmImport');
+    
+    document.getElementById('importTitle').textContent = fileName;
+    confirmButton.disabled = valid === 0;
+    confirmButton.innerHTML = `<i class="fas fa-check"></i> Import ${valid} task(s)`;
+    document.getElementById('importList').innerHTML = `
+        <p>${valid} row(s) ready to import${invalid > 0 ? `, ${invalid} with errors will be skipped` : ''}.</p>
+        ${result.results.map(row => `
+            <div class="import-row ${row.success ? '' : 'invalid'}">
+                <strong>Row ${row.row}:</strong>
+                ${row.success
+                    ? `${escapeHtml(row.data.title)} <small>(${row.data.status}, ${row.data.priority})</small>`
+                    : `<ul>${row.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`}
+            </div>
+        `).join('')}
+    `;
+    document.getElementById('importDrawer').classList.add('open');
+}
+
+async function confirmImport() {
+    if (!pendingImport) return;
+    
+    try {
+        const { ok, result } = await sendImport(pendingImport, { skipInvalid: true });
+        if (!ok) {
+            throw new Error(result.message || 'Failed to import tasks');
+        }
+        
+        showToast(result.message, 'success');
+        closeImport();
+        loadTasks();
+        loadStats();
+        loadTags();
+        
+    } catch (error) {
+        console.error('Error importing tasks:', error);
+        showToast(error.message || 'Error importing tasks', 'error');
+    }
+}
+
+function closeImport() {
+    pendingImport = null;
+    document.getElementById('importDrawer').classList.remove('open');
+}
+
+// Open the trash drawer with every trashed task
+async function openTrash() {
+    const list = document.getElementById('trashList');
+    list.innerHTML = '<p>Loading trash...</p>';
+    document.getElementById('trashDrawer').classList.add('open');
     
-    const formData = new FormData(e.target);
-    const taskData = {
-        title: formData.get('title').trim(),
-        description: formData.get('description').trim(),
-        status: formData.get('status'),
-        priority: formData.get('priority'),
-        dueDate: formData.get('dueDate') || null
-    };
+    try {
+        const response = await apiFetch('/api/trash');
+        
+        if (!response.ok) {
+            throw new Error('Failed to load trash');
+        }
+        
+        const result = await response.json();
+        renderTrash(result.data, result.retentionDays);
+        
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        list.innerHTML = '<p>Could not load the trash.</p>';
+    }
+}
+
+function closeTrash() {
+    document.getElementById('trashDrawer').classList.remove('open');
+}
+
+function renderTrash(trashed, retentionDays) {
+    const list = document.getElementById('trashList');
+    document.getElementById('emptyTrash').disabled = trashed.length === 0;
+    
+    if (trashed.length === 0) {
+        list.innerHTML = `<p>The trash is empty. Deleted tasks stay here for ${retentionDays} days.</p>`;
+        return;
+    }
     
+    list.innerHTML = trashed.map(task => `
+        <div class="trash-entry">
+            <div class="trash-entry-info">
+                <strong>${escapeHtml(task.title)}</strong>
+                <small>Deleted ${formatDate(task.deletedAt)} · purged ${formatDate(task.purgeAt)}</small>
+            </div>
+            <div class="tasks-header-actions">
+                <button class="btn btn-secondary btn-small" onclick="restoreFromTrash(${task.id})" title="Restore">
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button class="btn btn-danger btn-small" onclick="purgeFromTrash(${task.id})" title="Delete forever">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Run a trash action, then refresh the trash, the task list and the stats
+async function updateTrash(url, options, successMessage) {
     try {
-        if (editingTaskId) {
-            await updateTask(editingTaskId, taskData);
-        } else {
-            await createTask(taskData);
+        const response = await apiFetch(url, options);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.message || 'Trash action failed');
         }
         
-        resetForm();
+        showToast(successMessage || result.message, 'success');
+        openTrash();
         loadTasks();
         loadStats();
         
     } catch (error) {
-        console.error('Error submitting form:', error);
-        showToast('Error saving task. Please try again.', 'error');
+        console.error('Error updating trash:', error);
+        showToast(error.message || 'Error updating trash', 'error');
     }
 }
 
-// Create new task
-async function createTask(taskData) {
-    const response = await fetch('/api/tasks', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(taskData)
-    });
-    
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Failed to create task');
+function restoreFromTrash(taskId) {
+    updateTrash(`/api/trash/${taskId}/restore`, { method: 'POST' }, 'Task restored');
+}
+
+function purgeFromTrash(taskId) {
+    if (!confirm('Delete this task forever? This cannot be undone.')) {
+        return;
+    }
+    updateTrash(`/api/trash/${taskId}`, { method: 'DELETE' }, 'Task permanently deleted');
+}
+
+function emptyTrash() {
+    if (!confirm('Permanently delete every task in the trash?')) {
+        return;
     }
+    updateTrash('/api/trash', { method: 'DELETE' });
+}
+
+// Open the reminders drawer with your settings and recent reminders
+async function openReminders() {
+    const list = document.getElementById('reminderList');
+    list.innerHTML = '<p>Loading reminders...</p>';
+    document.getElementById('remindersDrawer').classList.add('open');
     
-    const result = await response.json();
-    showToast('Task created successfully!', 'success');
-    return result;
+    try {
+        const [settingsResponse, logResponse] = await Promise.all([
+            apiFetch('/api/reminders/settings'),
+            apiFetch('/api/reminders')
+        ]);
+        
+        if (!settingsResponse.ok || !logResponse.ok) {
+            throw new Error('Failed to load reminders');
+        }
+        
+        const settings = await settingsResponse.json();
+        const reminders = await logResponse.json();
+        renderReminderSettings(settings.data, settings.channels);
+        renderReminders(reminders.data, reminders.snoozed);
+        
+    } catch (error) {
+        console.error('Error loading reminders:', error);
+        list.innerHTML = '<p>Could not load your reminders.</p>';
+    }
 }
 
-// Update existing task
-async function updateTask(id, taskData) {
-    const response = await fetch(`/api/tasks/${id}`, {
-        method: 'PUT',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(taskData)
+function closeReminders() {
+    document.getElementById('remindersDrawer').classList.remove('open');
+}
+
+// Channels the server cannot deliver to are shown but disabled
+function renderReminderSettings(settings, available) {
+    document.getElementById('reminderOffsets').value = settings.offsets.join(', ');
+    document.getElementById('reminderOverdue').checked = settings.overdue;
+    document.getElementById('reminderEmail').value = settings.email || '';
+    document.getElementById('reminderWebhookUrl').value = settings.webhookUrl || '';
+    document.querySelectorAll('input[name="reminderChannel"]').forEach(input => {
+        input.checked = settings.channels.includes(input.value);
+        input.disabled = !available.includes(input.value) && !input.checked;
+        input.closest('label').title = input.disabled ? 'Not configured on this server' : '';
     });
+}
+
+function renderReminders(reminders, snoozed) {
+    const list = document.getElementById('reminderList');
+    const snoozedUntil = new Map(snoozed.map(snooze => [snooze.taskId, snooze.until]));
     
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Failed to update task');
+    if (reminders.length === 0 && snoozed.length === 0) {
+        list.innerHTML = '<p>No reminders yet. They appear here as your tasks come due.</p>';
+        return;
     }
     
-    const result = await response.json();
-    showToast('Task updated successfully!', 'success');
-    return result;
+    const snoozeButtons = (taskId) => (snoozedUntil.has(taskId) ? `
+        <button class="btn btn-secondary btn-small" onclick="cancelSnooze(${taskId})" title="Cancel snooze">
+            <i class="fas fa-bell"></i>
+        </button>
+    ` : `
+        <button class="btn btn-secondary btn-small" onclick="snoozeTask(${taskId}, 60)" title="Snooze for an hour">1h</button>
+        <button class="btn btn-secondary btn-small" onclick="snoozeTask(${taskId}, 1440)" title="Snooze for a day">1d</button>
+    `);
+    
+    // Only the latest reminder for a task offers snoozing
+    const offered = new Set();
+    list.innerHTML = reminders.map(reminder => {
+        const failed = reminder.deliveries.filter(delivery => !delivery.success);
+        const canSnooze = reminder.taskId && !offered.has(reminder.taskId);
+        if (canSnooze) offered.add(reminder.taskId);
+        
+        return `
+            <div class="trash-entry reminder-entry ${reminder.kind}">
+                <div class="trash-entry-info">
+                    <strong>${escapeHtml(reminder.title)}</strong>
+                    <small>Sent ${formatDate(reminder.sentAt)}${snoozedUntil.has(reminder.taskId) && canSnooze
+                        ? ` · snoozed until ${formatDate(snoozedUntil.get(reminder.taskId))}` : ''}</small>
+                    ${failed.map(delivery => `
+                        <small class="reminder-failed">${escapeHtml(delivery.channel)}: ${escapeHtml(delivery.error)}</small>
+                    `).join('')}
+                </div>
+                <div class="tasks-header-actions">
+                    ${canSnooze ? snoozeButtons(reminder.taskId) : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
 }
 
-// Delete task
-async function deleteTask(id) {
-    if (!confirm('Are you sure you want to delete this task?')) {
-        return;
-    }
+function readReminderSettings() {
+    return {
+        offsets: document.getElementById('reminderOffsets').value
+            .split(',').map(offset => offset.trim()).filter(Boolean),
+        overdue: document.getElementById('reminderOverdue').checked,
+        channels: [...document.querySelectorAll('input[name="reminderChannel"]:checked')]
+            .map(input => input.value),
+        email: document.getElementById('reminderEmail').value.trim() || null,
+        webhookUrl: document.getElementById('reminderWebhookUrl').value.trim() || null
+    };
+}
+
+async function saveReminderSettings(e) {
+    e.preventDefault();
+    const settings = readReminderSettings();
     
     try {
-        const response = await fetch(`/api/tasks/${id}`, {
-            method: 'DELETE'
+        const response = await apiFetch('/api/reminders/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(settings)
         });
+        const result = await response.json();
         
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to delete task');
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
         }
         
-        showToast('Task deleted successfully!', 'success');
-        loadTasks();
-        loadStats();
+        // Browser reminders show as system notifications once allowed
+        if (settings.channels.includes('browser') && 'Notification' in window &&
+            Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        showToast(result.message, 'success');
         
     } catch (error) {
-        console.error('Error deleting task:', error);
-        showToast('Error deleting task. Please try again.', 'error');
+        console.error('Error saving reminder settings:', error);
+        showToast(error.message || 'Error saving reminder settings', 'error');
     }
 }
 
-// Load all tasks
-async function loadTasks() {
-    showLoading(true);
-    
+async function sendTestReminder() {
     try {
-        const queryParams = new URLSearchParams(currentFilters);
-        const response = await fetch(`/api/tasks?${queryParams}`);
+        const response = await apiFetch('/api/reminders/test', { method: 'POST' });
+        const result = await response.json();
         
         if (!response.ok) {
-            throw new Error('Failed to load tasks');
+            const failed = (result.data || []).filter(delivery => !delivery.success);
+            throw new Error(failed.length > 0
+                ? failed.map(delivery => `${delivery.channel}: ${delivery.error}`).join(', ')
+                : result.message);
         }
         
-        const result = await response.json();
-        tasks = result.data;
-        renderTasks(tasks);
+        showToast(result.message, 'success');
         
     } catch (error) {
-        console.error('Error loading tasks:', error);
-        showToast('Error loading tasks. Please try again.', 'error');
-    } finally {
-        showLoading(false);
+        console.error('Error sending test reminder:', error);
+        showToast(error.message || 'Error sending test reminder', 'error');
     }
 }
 
-// Load statistics
-async function loadStats() {
+// Run a snooze action, then refresh the drawer
+async function updateSnooze(taskId, options, successMessage) {
     try {
-        const response = await fetch('/api/stats');
+        const response = await apiFetch(`/api/tasks/${taskId}/snooze`, options);
+        const result = await response.json();
         
         if (!response.ok) {
-            throw new Error('Failed to load statistics');
+            throw new Error(result.errors ? result.errors.join(', ') : result.message);
         }
         
-        const result = await response.json();
-        updateStatsDisplay(result.data);
+        showToast(successMessage, 'success');
+        if (document.getElementById('remindersDrawer').classList.contains('open')) {
+            openReminders();
+        }
         
     } catch (error) {
-        console.error('Error loading stats:', error);
+        console.error('Error updating snooze:', error);
+        showToast(error.message || 'Error updating snooze', 'error');
     }
 }
 
-// Update statistics display
-function updateStatsDisplay(stats) {
-    document.getElementById('totalTasks').textContent = stats.totalTasks;
-    document.getElementById('pendingTasks').textContent = stats.statusBreakdown.pending;
-    document.getElementById('inProgressTasks').textContent = stats.statusBreakdown['in-progress'];
-    document.getElementById('completedTasks').textContent = stats.statusBreakdown.completed;
+function snoozeTask(taskId, minutes) {
+    updateSnooze(taskId, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ minutes })
+    }, minutes >= 1440 ? 'Snoozed for a day' : 'Snoozed for an hour');
 }
 
-// Render tasks to the UI
-function renderTasks(tasks) {
-    const tasksGrid = document.getElementById('tasksGrid');
-    const noTasks = document.getElementById('noTasks');
+function cancelSnooze(taskId) {
+    updateSnooze(taskId, { method: 'DELETE' }, 'Snooze cancelled');
+}
+
+// A reminder pushed over the event stream: a system notification when the
+// page is in the background and notifications are allowed, a toast otherwise
+function handleReminderEvent(e) {
+    lastEventId = e.lastEventId;
+    const { data: reminder } = JSON.parse(e.data);
     
-    if (tasks.length === 0) {
-        tasksGrid.innerHTML = '';
-        noTasks.style.display = 'block';
-        return;
+    if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification(reminder.title, { body: reminder.text, tag: `reminder-${reminder.taskId}` });
+        notification.onclick = () => {
+            window.focus();
+            openReminders();
+        };
+    } else {
+        showToast(reminder.title, reminder.kind === 'overdue' ? 'error' : 'info');
     }
     
-    noTasks.style.display = 'none';
+    if (document.getElementById('remindersDrawer').classList.contains('open')) {
+        openReminders();
+    }
+}
+
+// Render previous/next controls under the grid
+function renderPagination(result) {
+    const pagination = document.getElementById('pagination');
+    const { start, matching } = result.pagination;
     
-    tasksGrid.innerHTML = tasks.map(task => `
-        <div class="task-card" data-task-id="${task.id}">
-            <div class="task-header">
-                <h3 class="task-title">${escapeHtml(task.title)}</h3>
-                <div class="task-actions">
-                    <button class="btn btn-warning btn-small" onclick="editTask(${task.id})">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-danger btn-small" onclick="deleteTask(${task.id})">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-            
-            ${task.description ? `<p class="task-description">${escapeHtml(task.description)}</p>` : ''}
-            
-            <div class="task-meta">
-                <div class="task-meta-item">
-                    <i class="fas fa-flag"></i>
-                    <span class="status-badge status-${task.status}">${task.status}</span>
-                </div>
-                <div class="task-meta-item">
-                    <i class="fas fa-exclamation"></i>
-                    <span class="priority-badge priority-${task.priority}">${task.priority}</span>
-                </div>
-            </div>
-            
-            <div class="task-dates">
-                <div><i class="fas fa-plus"></i> Created: ${formatDate(task.createdAt)}</div>
-                <div><i class="fas fa-edit"></i> Updated: ${formatDate(task.updatedAt)}</div>
-                ${task.dueDate ? `<div><i class="fas fa-calendar"></i> Due: ${formatDate(task.dueDate)}</div>` : ''}
-            </div>
-        </div>
-    `).join('');
+    if (!result.links.next && !result.links.prev) {
+        pagination.style.display = 'none';
+        return;
+    }
+    
+    pagination.style.display = 'flex';
+    document.getElementById('prevPage').disabled = !result.links.prev;
+    document.getElementById('nextPage').disabled = !result.links.next;
+    document.getElementById('pageInfo').textContent =
+        `${start + 1}–${start + result.count} of ${matching}`;
 }
 
 // Edit task
@@ -251,18 +2866,17 @@ function editTask(id) {
     if (!task) return;
     
     editingTaskId = id;
+    // The version being edited, for If-Match and for merging conflicts
+    editingBase = task;
+    hideConflict();
     
     // Populate form
     document.getElementById('taskId').value = task.id;
-    document.getElementById('title').value = task.title;
-    document.getElementById('description').value = task.description || '';
-    document.getElementById('status').value = task.status;
-    document.getElementById('priority').value = task.priority;
-    
-    if (task.dueDate) {
-        const dueDate = new Date(task.dueDate);
-        document.getElementById('dueDate').value = dueDate.toISOString().slice(0, 16);
-    }
+    fillForm(taskFormValues(task));
+    // Only the owner (or an admin) can reassign a task
+    document.getElementById('assigneeButton').disabled = !canReassign(task);
+    pendingAttachments = [];
+    loadAttachments(task.id);
     
     // Update form UI
     document.getElementById('formTitle').innerHTML = '<i class="fas fa-edit"></i> Edit Task';
@@ -273,6 +2887,119 @@ function editTask(id) {
     document.querySelector('.form-container').scrollIntoView({ behavior: 'smooth' });
 }
 
+// The values the edit form shows for a task
+function taskFormValues(task) {
+    return {
+        title: task.title,
+        description: task.description || '',
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.dueDate ? new Date(task.dueDate).toISOString().slice(0, 16) : '',
+        autoComplete: Boolean(task.autoComplete),
+        tags: (task.tags || []).join(', '),
+        recurrence: task.recurrence ? task.recurrence.rrule : '',
+        projectId: task.projectId ? String(task.projectId) : '',
+        assigneeId: task.assigneeId ? String(task.assigneeId) : '',
+        ...customFieldFormValues(task)
+    };
+}
+
+function readForm() {
+    return {
+        title: document.getElementById('title').value,
+        description: document.getElementById('description').value,
+        status: document.getElementById('status').value,
+        priority: document.getElementById('priority').value,
+        dueDate: document.getElementById('dueDate').value,
+        autoComplete: document.getElementById('autoComplete').checked,
+        tags: document.getElementById('tags').value,
+        recurrence: document.getElementById('recurrence').value,
+        assigneeId: document.getElementById('assigneeId').value,
+        ...Object.fromEntries(customFields.map(field => {
+            const input = document.getElementById(`field-${field.key}`);
+            return [input.id, field.type === 'boolean' ? input.checked : input.value];
+        }))
+    };
+}
+
+function fillForm(values) {
+    Object.keys(values).forEach(field => {
+        const input = document.getElementById(field);
+        if (input.type === 'checkbox') {
+            input.checked = values[field];
+        } else {
+            input.value = values[field];
+        }
+    });
+    renderAssigneePicker();
+}
+
+function formFieldsChanged(before, after) {
+    const a = taskFormValues(before);
+    const b = taskFormValues(after);
+    return Object.keys(a).some(field => a[field] !== b[field]);
+}
+
+// Show what differs between the form and the newer server copy
+function showConflict(serverTask) {
+    const mine = readForm();
+    const theirs = taskFormValues(serverTask);
+    const fields = Object.keys(mine).filter(field => mine[field] !== theirs[field]);
+    
+    pendingConflict = serverTask;
+    document.getElementById('conflictFields').innerHTML = fields.length > 0
+        ? fields.map(field => `
+            <li><strong>${field}</strong>: yours ${formatHistoryValue(mine[field])} · theirs ${formatHistoryValue(theirs[field])}</li>
+        `).join('')
+        : '<li>Their changes match yours.</li>';
+    document.getElementById('conflictNotice').style.display = 'block';
+    document.getElementById('conflictNotice').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function hideConflict() {
+    pendingConflict = null;
+    document.getElementById('conflictNotice').style.display = 'none';
+}
+
+// Three-way merge: keep each field you changed, take theirs for the rest.
+// Where you both changed a field, yours wins and is listed for review.
+function mergeConflict() {
+    const base = taskFormValues(editingBase);
+    const mine = readForm();
+    const theirs = taskFormValues(pendingConflict);
+    const clashes = [];
+    const merged = {};
+    
+    Object.keys(mine).forEach(field => {
+        const changedByMe = mine[field] !== base[field];
+        if (changedByMe && theirs[field] !== base[field] && theirs[field] !== mine[field]) {
+            clashes.push(field);
+        }
+        merged[field] = changedByMe ? mine[field] : theirs[field];
+    });
+    
+    editingBase = pendingConflict;
+    hideConflict();
+    fillForm(merged);
+    showToast(clashes.length > 0
+        ? `Merged. You both changed ${clashes.join(', ')}; your version was kept. Review and save.`
+        : 'Merged with their changes. Review and save.', clashes.length > 0 ? 'warning' : 'info');
+}
+
+// Save the form as it is over the newer version
+function overwriteConflict() {
+    editingBase = pendingConflict;
+    hideConflict();
+    document.getElementById('taskForm').requestSubmit();
+}
+
+// Drop your edits and load the newer version into the form
+function useTheirs() {
+    editingBase = pendingConflict;
+    fillForm(taskFormValues(pendingConflict));
+    hideConflict();
+}
+
 // Cancel editing
 function cancelEditing() {
     resetForm();
@@ -281,8 +3008,16 @@ function cancelEditing() {
 // Reset form
 function resetForm() {
     editingTaskId = null;
+    editingBase = null;
+    hideConflict();
     document.getElementById('taskForm').reset();
     document.getElementById('taskId').value = '';
+    document.getElementById('projectId').value = defaultProjectValue();
+    document.getElementById('assigneeId').value = '';
+    document.getElementById('assigneeButton').disabled = false;
+    renderAssigneePicker();
+    pendingAttachments = [];
+    renderAttachments([]);
     document.getElementById('formTitle').innerHTML = '<i class="fas fa-plus"></i> Add New Task';
     document.getElementById('submitBtn').innerHTML = '<i class="fas fa-save"></i> Create Task';
     document.getElementById('cancelBtn').style.display = 'none';
@@ -293,33 +3028,194 @@ function applyFilters() {
     const status = document.getElementById('filterStatus').value;
     const priority = document.getElementById('filterPriority').value;
     const search = document.getElementById('searchInput').value;
+    
+    // Searching switches to best matches first; clearing the search switches back
+    const sortSelect = document.getElementById('sortBy');
+    if (search && !currentFilters.search && sortSelect.value === 'createdAt') sortSelect.value = 'relevance';
+    if (!search && sortSelect.value === 'relevance') sortSelect.value = 'createdAt';
     const sortBy = document.getElementById('sortBy').value;
     const order = document.getElementById('sortOrder').value;
+    const tagMode = document.getElementById('filterTagMode').value;
+    // "assignee=me", "watcher=me", "assignee=none" or "assignee=<userId>"
+    const [personFilter, personValue] = document.getElementById('filterPeople').value.split('=');
     
     currentFilters = {};
     
     if (status) currentFilters.status = status;
     if (priority) currentFilters.priority = priority;
     if (search) currentFilters.search = search;
+    if (personFilter) currentFilters[personFilter] = personValue;
+    if (selectedTags.length > 0) {
+        currentFilters.tags = selectedTags.join(',');
+        currentFilters.tagMode = tagMode;
+    }
     if (sortBy) currentFilters.sortBy = sortBy;
     if (order) currentFilters.order = order;
+    if (currentProject) currentFilters.project = currentProject;
     
-    loadTasks();
+    loadTasks(null);
 }
 
 // Clear filters
 function clearFilters() {
     document.getElementById('filterStatus').value = '';
     document.getElementById('filterPriority').value = '';
+    document.getElementById('filterPeople').value = '';
     document.getElementById('searchInput').value = '';
+    showSearchError(null);
     document.getElementById('sortBy').value = 'createdAt';
     document.getElementById('sortOrder').value = 'desc';
+    document.getElementById('filterTagMode').value = 'any';
+    selectedTags = [];
+    renderTagPicker();
     
-    currentFilters = {};
-    loadTasks();
+    // The project is a workspace, not a filter, so it stays
+    currentFilters = currentProject ? { project: currentProject } : {};
+    loadTasks(null);
     showToast('Filters cleared!', 'info');
 }
 
+// --- Search query autocomplete ---
+
+// Fields, operators and values (including your tags) from the server
+async function loadQuerySyntax() {
+    try {
+        const response = await apiFetch('/api/tasks/query-syntax');
+        if (!response.ok) {
+            throw new Error('Failed to load search syntax');
+        }
+        const result = await response.json();
+        querySyntax = result.data;
+    } catch (error) {
+        console.error('Error loading search syntax:', error);
+    }
+}
+
+function showSearchError(message) {
+    const element = document.getElementById('searchError');
+    element.textContent = message || '';
+    element.hidden = !message;
+    document.getElementById('searchInput').classList.toggle('invalid', Boolean(message));
+}
+
+// The part of the query being typed: from the last space or "(" up to the cursor
+function currentSearchToken(input) {
+    const before = input.value.slice(0, input.selectionStart);
+    const match = /(?:^|[\s(])-?([^\s()]*)$/.exec(before);
+    const token = match ? match[1] : '';
+    return { token, start: input.selectionStart - token.length, end: input.selectionStart };
+}
+
+function quoteValue(value) {
+    return /[\s()]/.test(value) ? `"${value}"` : value;
+}
+
+// Suggestions for a partial token: field names and keywords, then once a
+// field is typed its operators and values
+function suggestionsFor(token) {
+    if (!querySyntax || token.startsWith('"')) return [];
+    const lower = token.toLowerCase();
+    const colon = token.indexOf(':');
+    
+    if (colon === -1) {
+        if (!token) return [];
+        const fields = Object.entries(querySyntax.fields)
+            .filter(([name]) => name.startsWith(lower))
+            .map(([name, spec]) => ({ label: `${name}:`, insert: `${name}:`, hint: spec.description, more: true }));
+        const keywords = querySyntax.keywords
+            .filter(keyword => keyword.toLowerCase().startsWith(lower) && keyword !== token)
+            .map(keyword => ({ label: keyword, insert: keyword, hint: 'Keyword' }));
+        return [...fields, ...keywords];
+    }
+    
+    const field = lower.slice(0, colon);
+    const spec = querySyntax.fields[field];
+    if (!spec) return [];
+    
+    const rest = token.slice(colon + 1);
+    const operator = ['>=', '<=', '>', '<', '='].find(op => rest.startsWith(op)) || '';
+    const typed = rest.slice(operator.length);
+    // Comma lists: suggest for the value after the last comma
+    const listed = operator ? '' : typed.slice(0, typed.lastIndexOf(',') + 1);
+    const partial = typed.slice(listed.length).toLowerCase();
+    const prefix = `${field}:${operator}${listed}`;
+    
+    const values = spec.values
+        .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+        .map(value => ({ label: `${prefix}${value}`, insert: `${prefix}${quoteValue(value)}`, hint: '' }));
+    const operators = !operator && !typed
+        ? spec.operators.filter(op => op !== ':' && op !== '=')
+            .map(op => ({ label: `${field}:${op}`, insert: `${field}:${op}`, hint: 'Compare', more: true }))
+        : [];
+    return [...values, ...operators];
+}
+
+function updateSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const { token } = currentSearchToken(input);
+    searchSuggestions = suggestionsFor(token).slice(0, 8);
+    activeSuggestion = searchSuggestions.length > 0 ? 0 : -1;
+    renderSearchSuggestions();
+}
+
+function renderSearchSuggestions() {
+    const list = document.getElementById('searchSuggestions');
+    list.hidden = searchSuggestions.length === 0;
+    list.innerHTML = searchSuggestions.map((suggestion, index) => `
+        <li role="option" class="${index === activeSuggestion ? 'active' : ''}"
+            onmousedown="event.preventDefault(); acceptSuggestion(${index})">
+            <span class="suggestion-label">${escapeHtml(suggestion.label)}</span>
+            ${suggestion.hint ? `<span class="suggestion-hint">${escapeHtml(suggestion.hint)}</span>` : ''}
+        </li>
+    `).join('');
+}
+
+function hideSearchSuggestions() {
+    searchSuggestions = [];
+    activeSuggestion = -1;
+    renderSearchSuggestions();
+}
+
+// Replace the token being typed with the suggestion
+function acceptSuggestion(index) {
+    const suggestion = searchSuggestions[index];
+    if (!suggestion) return;
+    
+    const input = document.getElementById('searchInput');
+    const { start, end } = currentSearchToken(input);
+    const after = input.value.slice(end).replace(/^[^\s()]*/, '');
+    const insert = suggestion.more ? suggestion.insert : `${suggestion.insert} `;
+    input.value = input.value.slice(0, start) + insert + after.replace(/^ /, '');
+    input.setSelectionRange(start + insert.length, start + insert.length);
+    input.focus();
+    
+    // Field names and operators lead straight on to their values
+    if (suggestion.more) {
+        updateSearchSuggestions();
+    } else {
+        hideSearchSuggestions();
+    }
+    applyFilters();
+}
+
+// Arrow keys move through suggestions, Enter/Tab accept, Escape closes
+function handleSearchKeys(e) {
+    if (searchSuggestions.length === 0) return;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        activeSuggestion = (activeSuggestion + step + searchSuggestions.length) % searchSuggestions.length;
+        renderSearchSuggestions();
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && activeSuggestion >= 0) {
+        e.preventDefault();
+        acceptSuggestion(activeSuggestion);
+    } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        hideSearchSuggestions();
+    }
+}
+
 // Show/hide loading state
 function showLoading(show) {
     const loading = document.getElementById('loading');
@@ -413,6 +3309,16 @@ document.addEventListener('keydown', function(e) {
         cancelEditing();
     }
     
+    // Escape to close the drawers
+    if (e.key === 'Escape') {
+        closeAssigneeOptions();
+        closeHistory();
+        closeTaskDetail();
+        closeTrash();
+        closeReminders();
+        closeImport();
+    }
+    
     // Ctrl/Cmd + R for refresh
     if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
         e.preventDefault();
@@ -422,11 +3328,6 @@ document.addEventListener('keydown', function(e) {
     }
 });
 
-// Auto-refresh every 30 seconds
-setInterval(() => {
-    loadStats();
-}, 30000);
-
 console.log('📋 Task Management App ready! Keyboard shortcuts:');
 console.log('- Ctrl/Cmd + N: New task');
 console.log('- Escape: Cancel editing');
@@ -0,0 +1,282 @@
+const crypto = require("crypto");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const { createLocalFileStorage } = require("./local");
+const { parseMultipart, MultipartError } = require("./multipart");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_TYPES = 'image/*,text/*,application/pdf,application/json,application/zip,application/gzip,application/x-gzip';
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_ATTACHMENTS_PER_TASK = 50;
+const MAX_FILENAME_LENGTH = 255;
+
+const backends = {
+  local: (dataDir) => createLocalFileStorage({ dir: path.join(dataDir, 'attachments') })
+};
+
+// "image/*,application/pdf" -> matcher for MIME types
+const typeMatcher = (list) => {
+  const patterns = list.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  return (mimeType) => patterns.some(pattern => (pattern.endsWith('/*')
+    ? mimeType.startsWith(pattern.slice(0, -1))
+    : mimeType === pattern));
+};
+
+// Keep the last path segment and drop control characters
+const cleanFilename = (filename) => {
+  const name = String(filename).split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return name.slice(0, MAX_FILENAME_LENGTH) || 'file';
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024
+  ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+  : `${Math.ceil(bytes / 1024)} KB`);
+
+// Counts bytes and hashes them on the way to storage, failing once the file
+// goes over `maxBytes`
+const meter = (maxBytes) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(new MultipartError(`Files must be ${formatBytes(maxBytes)} or smaller`));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  return { stream, result: () => ({ size, checksum: hash.digest('hex') }) };
+};
+
+// File attachments on tasks, under /api/tasks/:id/attachments. Metadata lives
+// in the `attachments` collection; contents go to a storage backend picked by
+// ATTACHMENT_STORAGE (only `local`, files under DATA_DIR/attachments, for now).
+// A backend is { save(key, stream), open(key) -> stream, remove(key) }. Uploads
+// are limited by ATTACHMENT_MAX_BYTES and ATTACHMENT_TYPES (comma-separated
+// MIME types, `image/*` style wildcards allowed).
+const createAttachments = ({
+  store,
+  findTask,
+  storage = process.env.ATTACHMENT_STORAGE || 'local',
+  dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR,
+  maxBytes = parseInt(process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES,
+  allowedTypes = process.env.ATTACHMENT_TYPES || DEFAULT_TYPES
+}) => {
+  const factory = backends[storage.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE "${storage}". Expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+  const files = factory(dataDir);
+  const isAllowedType = typeMatcher(allowedTypes);
+  const attachments = store.collection('attachments');
+  const router = express.Router({ mergeParams: true });
+
+  const attachmentsFor = (taskId) => attachments.all().filter(attachment => attachment.taskId === taskId);
+
+  const removeFiles = (keys) => Promise.all(keys.map(key => files.remove(key).catch(err => {
+    console.error(`Could not remove attachment file ${key}:`, err.message);
+  })));
+
+  // Cleanup when a task is purged (see trash.onPurge). Files go once the
+  // purge has committed, so a rollback cannot leave records without files.
+  const removeFor = (taskId) => {
+    const removed = attachmentsFor(taskId);
+    removed.forEach(attachment => attachments.remove(attachment.id));
+    store.afterCommit(() => removeFiles(removed.map(attachment => attachment.key)));
+  };
+
+  const toJson = (attachment) => {
+    const { key, ...rest } = attachment;
+    return { ...rest, downloadUrl: `/api/tasks/${attachment.taskId}/attachments/${attachment.id}/download` };
+  };
+
+  router.use((req, res, next) => {
+    const taskId = parseInt(req.params.id);
+    const task = findTask(req, taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: `Task with ID ${taskId} not found`
+      });
+    }
+
+    req.task = task;
+    next();
+  });
+
+  const findAttachment = (req, res) => {
+    const attachmentId = parseInt(req.params.attachmentId);
+    const attachment = attachments.get(attachmentId);
+
+    if (!attachment || attachment.taskId !== req.task.id) {
+      res.status(404).json({
+        success: false,
+        message: `Attachment with ID ${attachmentId} not found on task ${req.task.id}`
+      });
+      return null;
+    }
+    return attachment;
+  };
+
+  // GET the task's attachments, oldest first
+  router.get("/", (req, res) => {
+    const list = attachmentsFor(req.task.id).sort((a, b) => a.id - b.id);
+    res.json({
+      success: true,
+      count: list.length,
+      data: list.map(toJson),
+      limits: { maxBytes, allowedTypes: allowedTypes.split(',').map(type => type.trim()) }
+    });
+  });
+
+  // UPLOAD one or more files as multipart/form-data (any field name). Either
+  // every file is stored or none is.
+  router.post("/", async (req, res, next) => {
+    const existing = attachmentsFor(req.task.id).length;
+    const saved = [];
+
+    try {
+      try {
+        await parseMultipart(req, {
+          maxParts: MAX_FILES_PER_UPLOAD + 5,
+          onFile: async ({ filename, mimeType }, stream) => {
+            if (saved.length >= MAX_FILES_PER_UPLOAD) {
+              throw new MultipartError(`At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once`);
+            }
+            if (existing + saved.length >= MAX_ATTACHMENTS_PER_TASK) {
+              throw new MultipartError(`A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`);
+            }
+            if (!isAllowedType(mimeType)) {
+              throw new MultipartError(`Files of type ${mimeType} are not allowed`);
+            }
+
+            const file = { key: `${req.task.id}/${crypto.randomUUID()}`, filename: cleanFilename(filename), mimeType };
+            saved.push(file);
+            const metered = meter(maxBytes);
+            await Promise.all([pipeline(stream, metered.stream), files.save(file.key, metered.stream)]);
+            Object.assign(file, metered.result());
+          }
+        });
+      } catch (err) {
+        await removeFiles(saved.map(file => file.key));
+        if (!(err instanceof MultipartError)) {
+          console.error('Error storing attachment:', err);
+          return res.status(500).json({ success: false, message: "Could not store the upload" });
+        }
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: [err.message]
+        });
+      }
+
+      if (saved.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: ["No file in the upload"]
+        });
+      }
+
+      const now = new Date().toISOString();
+      let created;
+      try {
+        created = store.transaction(() => saved.map(file => attachments.insert({
+          taskId: req.task.id,
+          key: file.key,
+          filename: file.filename,
+          mimeType: file.mimeType,
+          size: file.size,
+          checksum: { algorithm: 'sha256', value: file.checksum },
+          uploadedBy: { id: req.user.id, username: req.user.username },
+          createdAt: now
+        })));
+      } catch (err) {
+        // Nothing was recorded, so the stored files would be orphans
+        await removeFiles(saved.map(file => file.key));
+        throw err;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${created.length} file(s) attached`,
+        data: created.map(toJson)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/:attachmentId", (req, res) => {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+    res.json({ success: true, data: toJson(attachment) });
+  });
+
+  // DOWNLOAD the file. It is always sent as an attachment, never shown inline,
+  // so an uploaded HTML or SVG file cannot run in the app's origin.
+  router.get("/:attachmentId/download", (req, res) => {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+
+    const stream = files.open(attachment.key);
+    stream.on('error', (err) => {
+      console.error(`Could not read attachment ${attachment.id}:`, err.message);
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        res.status(404).json({
+          success: false,
+          message: `The file for attachment ${attachment.id} is missing`
+        });
+      }
+    });
+    stream.once('open', () => {
+      res.attachment(attachment.filename);
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'ETag': `"${attachment.checksum.value}"`,
+        'Digest': `sha-256=${Buffer.from(attachment.checksum.value, 'hex').toString('base64')}`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, no-cache'
+      });
+      if (req.fresh) {
+        stream.destroy();
+        res.status(304).end();
+        return;
+      }
+      stream.pipe(res);
+    });
+  });
+
+  // DELETE an attachment and its file
+  router.delete("/:attachmentId", async (req, res, next) => {
+    try {
+      const attachment = findAttachment(req, res);
+      if (!attachment) return;
+
+      attachments.remove(attachment.id);
+      await removeFiles([attachment.key]);
+
+      res.json({
+        success: true,
+        message: "Attachment deleted",
+        data: toJson(attachment)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return { router, removeFor };
+};
+
+module.exports = { createAttachments };
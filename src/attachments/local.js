@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Keys are generated by the server ("<taskId>/<uuid>"), but never let one
+// point outside the attachments directory
+const KEY_PATTERN = /^[0-9]+\/[0-9a-f-]{36}$/;
+
+// Local disk backend: each attachment is one file under `dir`. Contents are
+// written to a temp file and renamed into place, so a failed or interrupted
+// upload never leaves a partial file behind.
+const createLocalFileStorage = ({ dir }) => {
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid attachment key "${key}"`);
+    return path.join(dir, key);
+  };
+
+  const save = async (key, source) => {
+    const file = fileFor(key);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await pipeline(source, fs.createWriteStream(tmpFile));
+      await fs.promises.rename(tmpFile, file);
+    } catch (err) {
+      await fs.promises.rm(tmpFile, { force: true });
+      throw err;
+    }
+  };
+
+  const open = (key) => fs.createReadStream(fileFor(key));
+
+  // Missing files count as removed
+  const remove = (key) => fs.promises.rm(fileFor(key), { force: true });
+
+  return { save, open, remove };
+};
+
+module.exports = { createLocalFileStorage };
@@ -0,0 +1,209 @@
+const { PassThrough } = require("stream");
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_BYTES = 8 * 1024;
+const MAX_FIELD_BYTES = 64 * 1024;
+
+// Problems with the request body itself; routes answer these with a 400
+class MultipartError extends Error {}
+
+const boundaryOf = (contentType) => {
+  const match = /^multipart\/form-data\b.*?;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+};
+
+const parseHeaders = (block) => block.split('\r\n').reduce((headers, line) => {
+  const colon = line.indexOf(':');
+  if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  return headers;
+}, {});
+
+// Content-Disposition: form-data; name="file"; filename="report.pdf". Browsers
+// send the filename as raw UTF-8; filename*=UTF-8''... (RFC 5987) wins if present.
+const parseDisposition = (value = '') => {
+  const params = {};
+  const pattern = /;\s*([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+  }
+
+  let filename = params.filename;
+  const extended = /^UTF-8''(.*)$/i.exec(params['filename*'] || '');
+  if (extended) {
+    try {
+      filename = decodeURIComponent(extended[1]);
+    } catch (err) {
+      // Keep the plain filename
+    }
+  }
+  return { name: params.name, filename };
+};
+
+// Stream a multipart/form-data request. Text fields go to onField(name, value);
+// each file goes to onFile({ fieldName, filename, mimeType }, stream), which
+// must consume the stream and may return a promise. Settles once the body has
+// been read and every onFile promise has settled, rejecting with the first error.
+// The request is paused while a file stream is full, so large uploads are never
+// held in memory.
+const parseMultipart = (req, { onFile, onField = () => {}, maxParts = 20 }) => new Promise((resolve, reject) => {
+  const boundary = boundaryOf(req.headers['content-type']);
+  if (!boundary) {
+    reject(new MultipartError("Expected a multipart/form-data body"));
+    return;
+  }
+
+  // Every delimiter after the first starts on a new line; the leading CRLF
+  // lets the first one match the same way
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  let buffer = CRLF;
+  let state = 'preamble';
+  let part = null;
+  let parts = 0;
+  let failed = false;
+  const pending = [];
+
+  const fail = (err) => {
+    if (failed) return;
+    failed = true;
+    // The file's consumer sees a premature close
+    if (part && part.stream) part.stream.destroy();
+    // Read and drop the rest of the body so a response can still be sent
+    req.resume();
+    // Let earlier files finish so the caller can clean all of them up
+    Promise.all(pending).then(() => reject(err));
+  };
+
+  const startPart = (headers) => {
+    parts++;
+    if (parts > maxParts) throw new MultipartError(`At most ${maxParts} parts are allowed`);
+
+    const { name, filename } = parseDisposition(headers['content-disposition']);
+    if (!name) throw new MultipartError("Every part needs a Content-Disposition name");
+
+    if (filename === undefined) {
+      part = { name, chunks: [], size: 0 };
+      return;
+    }
+
+    const stream = new PassThrough();
+    part = { name, stream };
+    const info = {
+      fieldName: name,
+      filename,
+      mimeType: (headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase()
+    };
+    pending.push(Promise.resolve()
+      .then(() => onFile(info, stream))
+      .catch(fail));
+  };
+
+  // Stop reading until the file's consumer catches up. A stream that has
+  // been ended never emits 'drain', so its 'finish' counts too.
+  const waitFor = (stream) => {
+    req.pause();
+    const go = () => {
+      stream.off('drain', go);
+      stream.off('finish', go);
+      if (!failed) req.resume();
+    };
+    stream.on('drain', go);
+    stream.on('finish', go);
+  };
+
+  const write = (chunk) => {
+    if (chunk.length === 0) return;
+    if (part.stream) {
+      if (!part.stream.write(chunk)) waitFor(part.stream);
+      return;
+    }
+    part.size += chunk.length;
+    if (part.size > MAX_FIELD_BYTES) throw new MultipartError(`Field "${part.name}" is too long`);
+    part.chunks.push(chunk);
+  };
+
+  const endPart = () => {
+    if (part.stream) {
+      part.stream.end();
+    } else {
+      onField(part.name, Buffer.concat(part.chunks).toString('utf8'));
+    }
+    part = null;
+  };
+
+  // Work through as much of the buffer as possible, keeping back anything
+  // that could be the start of a delimiter split across chunks
+  const consume = () => {
+    for (;;) {
+      if (state === 'preamble' || state === 'body') {
+        const at = buffer.indexOf(delimiter);
+        if (at === -1) {
+          const keep = Math.min(buffer.length, delimiter.length - 1);
+          if (state === 'body') write(buffer.subarray(0, buffer.length - keep));
+          buffer = buffer.subarray(buffer.length - keep);
+          return;
+        }
+        if (state === 'body') {
+          write(buffer.subarray(0, at));
+          endPart();
+        }
+        buffer = buffer.subarray(at + delimiter.length);
+        state = 'delimiter';
+      }
+
+      if (state === 'delimiter') {
+        // "--" closes the body; otherwise the rest of the line is padding
+        if (buffer.length < 2) return;
+        if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+          state = 'done';
+          return;
+        }
+        const eol = buffer.indexOf(CRLF);
+        if (eol === -1) {
+          if (buffer.length > MAX_HEADER_BYTES) throw new MultipartError("Malformed multipart delimiter");
+          return;
+        }
+        buffer = buffer.subarray(eol + CRLF.length);
+        state = 'headers';
+      }
+
+      if (state === 'headers') {
+        const end = buffer.subarray(0, 2).equals(CRLF) ? -CRLF.length : buffer.indexOf(HEADER_END);
+        if (end === -1 && buffer.length > MAX_HEADER_BYTES) throw new MultipartError("Part headers are too large");
+        if (end === -1) return;
+        startPart(parseHeaders(end < 0 ? '' : buffer.subarray(0, end).toString('utf8')));
+        buffer = buffer.subarray(end + HEADER_END.length);
+        state = 'body';
+      }
+
+      if (state === 'done') return;
+    }
+  };
+
+  req.on('data', (chunk) => {
+    if (failed || state === 'done') return;
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    try {
+      consume();
+    } catch (err) {
+      fail(err);
+    }
+  });
+  req.on('end', () => {
+    if (state !== 'done') {
+      fail(new MultipartError("Multipart body ended early"));
+      return;
+    }
+    Promise.all(pending).then(() => {
+      if (!failed) resolve();
+    });
+  });
+  // The client went away mid-upload
+  req.on('error', () => fail(new MultipartError("Upload was interrupted")));
+  req.on('close', () => {
+    if (!req.complete) fail(new MultipartError("Upload was interrupted"));
+  });
+});
+
+module.exports = { parseMultipart, MultipartError };
@@ -0,0 +1,208 @@
+const express = require("express");
+const crypto = require("crypto");
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+// Passwords are stored as scrypt$<salt>$<hash>
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Only the SHA-256 of a token is stored, so a leaked data file cannot be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  name: user.name,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+const validateCredentials = ({ username, password, name }) => {
+  const errors = [];
+
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,30}$/.test(username)) {
+    errors.push("Username must be 3-30 characters of letters, numbers, '.', '_' or '-'");
+  }
+
+  if (typeof password !== 'string' || password.length < 8) {
+    errors.push("Password must be at least 8 characters");
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    errors.push("Name must be a string");
+  } else if (name && name.length > 100) {
+    errors.push("Name must be less than 100 characters");
+  }
+
+  return errors;
+};
+
+// Registration/login routes plus the middleware that guards the task API
+const createAuth = ({ store, onFirstUser = () => {} }) => {
+  const users = store.collection('users');
+  const sessions = store.collection('sessions');
+  const router = express.Router();
+
+  const findUserByName = (username) =>
+    users.find(u => u.username.toLowerCase() === username.toLowerCase());
+
+  const createSession = (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    sessions.insert({
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    });
+    return token;
+  };
+
+  // EventSource cannot send headers, so GET requests may pass ?access_token= instead
+  const readBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+    return req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+  };
+
+  const findSession = (token) => {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const session = sessions.find(s => s.tokenHash === tokenHash);
+    if (!session) return null;
+
+    if (new Date(session.expiresAt) < new Date()) {
+      sessions.remove(session.id);
+      return null;
+    }
+    return session;
+  };
+
+  // Reject requests without a valid bearer token and expose req.user
+  const requireAuth = (req, res, next) => {
+    const session = findSession(readBearerToken(req));
+    const user = session && users.get(session.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required"
+      });
+    }
+
+    req.user = publicUser(user);
+    req.session = session;
+    next();
+  };
+
+  // Register a new account
+  router.post("/register", (req, res) => {
+    const { username, password, name } = req.body;
+
+    const errors = validateCredentials(req.body);
+    if (errors.length === 0 && findUserByName(username)) {
+      errors.push("Username is already taken");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+
+    const isFirstUser = users.count() === 0;
+    const user = store.transaction(() => {
+      const created = users.insert({
+        username,
+        name: name ? name.trim() : username,
+        role: isFirstUser ? 'admin' : 'user',
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+      });
+      if (isFirstUser) onFirstUser(created);
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      data: {
+        token: createSession(user),
+        user: publicUser(user)
+      }
+    });
+  });
+
+  // Exchange username and password for a bearer token
+  router.post("/login", (req, res) => {
+    const { username, password } = req.body;
+    const user = typeof username === 'string' && findUserByName(username);
+
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid username or password"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Logged in successfully",
+      data: {
+        token: createSession(user),
+        user: publicUser(user)
+      }
+    });
+  });
+
+  // Revoke the current token
+  router.post("/logout", requireAuth, (req, res) => {
+    sessions.remove(req.session.id);
+    res.json({
+      success: true,
+      message: "Logged out successfully"
+    });
+  });
+
+  // Current user
+  router.get("/me", requireAuth, (req, res) => {
+    res.json({
+      success: true,
+      data: req.user
+    });
+  });
+
+  // For work done outside a request, such as webhook deliveries
+  const findUser = (userId) => {
+    const user = users.get(userId);
+    return user ? publicUser(user) : null;
+  };
+
+  // For @mentions
+  const findUserByUsername = (username) => {
+    const user = findUserByName(username);
+    return user ? publicUser(user) : null;
+  };
+
+  // For the people list (see src/people.js)
+  const listUsers = () => users.all().map(publicUser);
+
+  return { router, requireAuth, findUser, findUserByUsername, listUsers };
+};
+
+module.exports = { createAuth, hashPassword, verifyPassword };
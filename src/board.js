@@ -0,0 +1,69 @@
+const express = require("express");
+
+const MAX_ORDER = 500;
+
+// Manual ordering for the board view: every task has a `position`, and within
+// a status column lower positions come first.
+
+// Tasks stored before positions existed keep their creation order
+const positionOf = (task) => (typeof task.position === 'number' ? task.position : task.id);
+
+// Wrap the tasks collection so new tasks go to the end of their column
+const trackPositions = (collection) => ({
+  ...collection,
+  insert: (doc) => {
+    if (typeof doc.position === 'number') return collection.insert(doc);
+    const last = collection.all().reduce((max, task) => Math.max(max, positionOf(task)), 0);
+    return collection.insert({ ...doc, position: last + 1 });
+  }
+});
+
+// PUT /api/tasks/order: { order: [taskId, ...] } puts those tasks in that order,
+// usually one board column top to bottom. The listed tasks trade positions
+// among themselves, so tasks that are not listed keep theirs.
+const createBoardRouter = ({ store, tasks, findTask }) => {
+  const router = express.Router();
+
+  router.put("/order", (req, res) => {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0 || order.length > MAX_ORDER ||
+        !order.every(Number.isInteger) || new Set(order).size !== order.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: [`Order must list 1 to ${MAX_ORDER} task IDs, each at most once`]
+      });
+    }
+
+    const listed = order.map(id => findTask(req, id));
+    const missing = order.filter((id, index) => !listed[index]);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Task(s) not found: ${missing.join(', ')}`
+      });
+    }
+
+    // The same slots in the new order; tasks that shared a position are
+    // spread out so the order sticks
+    const slots = listed.map(positionOf).sort((a, b) => a - b);
+    slots.forEach((slot, index) => {
+      if (index > 0 && slot <= slots[index - 1]) slots[index] = slots[index - 1] + 1;
+    });
+
+    const reordered = store.transaction(() => listed.map((task, index) => (
+      task.position === slots[index] ? task : tasks.update(task.id, { ...task, position: slots[index] })
+    )));
+
+    res.json({
+      success: true,
+      message: "Tasks reordered successfully",
+      data: reordered
+    });
+  });
+
+  return router;
+};
+
+module.exports = { positionOf, trackPositions, createBoardRouter };
@@ -0,0 +1,132 @@
+const express = require("express");
+
+const MAX_OPERATIONS = 200;
+const ACTIONS = ['create', 'update', 'patch', 'delete'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with the shape of one operation, before it reaches validateTask
+const checkOperation = (operation) => {
+  if (!isObject(operation)) return ["Each operation must be an object"];
+
+  const { action, id, data, version } = operation;
+  if (!ACTIONS.includes(action)) {
+    return [`Action must be one of: ${ACTIONS.join(', ')}`];
+  }
+
+  const errors = [];
+  if (action !== 'create' && !Number.isInteger(id)) {
+    errors.push("id must be a task ID");
+  }
+  if (action !== 'delete' && !isObject(data)) {
+    errors.push("data must be an object");
+  }
+  if (version !== undefined && (action === 'create' || !Number.isInteger(version))) {
+    errors.push("version must be the task version you last saw (not used for create)");
+  }
+  return errors;
+};
+
+// Routes under /api/tasks/bulk. `operations` are the task writes from index.js:
+// create(req, data), update(req, id, data, version), patch(req, id, data, version),
+// delete(req, id, version), each returning { status, body } so every operation
+// gets the same response (and the same validateTask checks) as the single-task
+// routes. An operation's `version` works like If-Match.
+const createBulkRouter = ({ store, operations }) => {
+  const router = express.Router();
+
+  const run = (req, operation) => {
+    const errors = checkOperation(operation);
+    if (errors.length > 0) {
+      return { status: 400, body: { success: false, message: "Validation failed", errors } };
+    }
+
+    const { action, id, data, version } = operation;
+    const expectedVersion = version !== undefined ? [version] : null;
+    if (action === 'create') return operations.create(req, data);
+    if (action === 'delete') return operations.delete(req, id, expectedVersion);
+    return operations[action](req, id, data, expectedVersion);
+  };
+
+  const toResult = (operation, index, { status, body }) => ({
+    index,
+    action: isObject(operation) ? operation.action : undefined,
+    id: isObject(operation) && operation.id !== undefined ? operation.id : (body.data && body.data.id),
+    status,
+    ...body
+  });
+
+  // An operation that worked but was undone with the rest of the batch
+  const undoneResult = (result) => ({
+    index: result.index,
+    action: result.action,
+    id: result.action === 'create' ? undefined : result.id,
+    status: 409,
+    success: false,
+    rolledBack: true,
+    message: "Rolled back because another operation failed"
+  });
+
+  // RUN { operations: [{ action, id?, version?, data? }], transactional? }
+  router.post("/", (req, res) => {
+    const { operations: requested, transactional = false } = req.body;
+
+    if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: [`operations must be an array of 1 to ${MAX_OPERATIONS} operations`]
+      });
+    }
+    if (typeof transactional !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["transactional must be true or false"]
+      });
+    }
+
+    let results;
+    let rolledBack = false;
+
+    if (transactional) {
+      // Every operation runs (so each one reports its errors) and any failure
+      // undoes the whole batch. Later operations see the effects of earlier ones.
+      const rollback = new Error("Bulk request rolled back");
+      try {
+        store.transaction(() => {
+          results = requested.map((operation, index) => toResult(operation, index, run(req, operation)));
+          if (results.some(result => !result.success)) throw rollback;
+        });
+      } catch (err) {
+        if (err !== rollback) throw err;
+        rolledBack = true;
+        results = results.map(result => (result.success ? undoneResult(result) : result));
+      }
+    } else {
+      results = requested.map((operation, index) => toResult(operation, index, run(req, operation)));
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    const failures = results.filter(result => !result.success && !result.rolledBack);
+
+    // A rolled-back batch answers with the status of its first real failure
+    res.status(rolledBack ? failures[0].status : 200).json({
+      success: failed === 0,
+      message: rolledBack
+        ? `Bulk request rolled back: ${failures.length} of ${results.length} operation(s) failed`
+        : `${results.length - failed} of ${results.length} operation(s) succeeded`,
+      transactional,
+      summary: {
+        total: results.length,
+        succeeded: results.length - failed,
+        failed
+      },
+      results
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createBulkRouter };
@@ -0,0 +1,73 @@
+const express = require("express");
+
+const MAX_RANGE_DAYS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past due and not done; the same rule /api/stats counts. `workflow` says
+// which statuses are done (see src/workflow.js).
+const isOverdue = (task, workflow, now = new Date()) =>
+  Boolean(task.dueDate) && new Date(task.dueDate) < now && !workflow.isDone(task);
+
+const byDueDate = (a, b) => new Date(a.dueDate) - new Date(b.dueDate) || a.id - b.id;
+
+// GET /api/tasks/calendar: tasks due in [from, to), for the calendar views.
+// `queryTasks` applies the usual GET /api/tasks filters (status, priority,
+// tags, search).
+const createCalendarRouter = ({ queryTasks, workflow }) => {
+  const router = express.Router();
+
+  // from/to are dates (YYYY-MM-DD, midnight UTC) or full ISO timestamps, so the
+  // browser can ask for its own local days. ?includeOverdue=true also returns
+  // the overdue tasks due before `from`.
+  router.get("/calendar", (req, res) => {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    const errors = [];
+    if (!req.query.from || isNaN(from)) errors.push("from must be a date (YYYY-MM-DD or ISO timestamp)");
+    if (!req.query.to || isNaN(to)) errors.push("to must be a date (YYYY-MM-DD or ISO timestamp)");
+    if (errors.length === 0 && to <= from) errors.push("to must be after from");
+    if (errors.length === 0 && to - from > MAX_RANGE_DAYS * DAY_MS) {
+      errors.push(`The range can be at most ${MAX_RANGE_DAYS} days`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+        errors
+      });
+    }
+
+    const query = queryTasks(req);
+    if (query.error) {
+      return res.status(query.error.status).json(query.error.body);
+    }
+
+    const now = new Date();
+    const withOverdue = (task) => ({ ...task, overdue: isOverdue(task, workflow, now) });
+    const scheduled = query.filteredTasks.filter(task => task.dueDate);
+
+    const inRange = scheduled
+      .filter(task => new Date(task.dueDate) >= from && new Date(task.dueDate) < to)
+      .sort(byDueDate)
+      .map(withOverdue);
+
+    const response = {
+      success: true,
+      range: { from: from.toISOString(), to: to.toISOString() },
+      count: inRange.length,
+      data: inRange
+    };
+    if (req.query.includeOverdue === 'true') {
+      response.overdue = scheduled
+        .filter(task => new Date(task.dueDate) < from && isOverdue(task, workflow, now))
+        .sort(byDueDate)
+        .map(withOverdue);
+    }
+    res.json(response);
+  });
+
+  return router;
+};
+
+module.exports = { isOverdue, createCalendarRouter };
@@ -0,0 +1,241 @@
+const express = require("express");
+
+const MAX_ITEMS = 100;
+
+const validateChecklistItem = (item) => {
+  const errors = [];
+
+  if (!item || typeof item.text !== 'string' || item.text.trim().length === 0) {
+    errors.push("Checklist item text is required");
+  } else if (item.text.length > 200) {
+    errors.push("Checklist item text must be less than 200 characters");
+  }
+
+  if (item && item.done !== undefined && typeof item.done !== 'boolean') {
+    errors.push("Checklist item done must be true or false");
+  }
+
+  return errors;
+};
+
+// Items may be plain strings or { text, done } objects
+const toItemInput = (item) => (typeof item === 'string' ? { text: item } : item);
+
+// Used by validateTask when a whole checklist is sent with the task
+const validateChecklist = (checklist) => {
+  if (checklist === undefined || checklist === null) return [];
+  if (!Array.isArray(checklist)) return ["Checklist must be an array"];
+  if (checklist.length > MAX_ITEMS) return [`Checklist can have at most ${MAX_ITEMS} items`];
+
+  const errors = [];
+  checklist.forEach((item, index) => {
+    validateChecklistItem(toItemInput(item)).forEach(error => {
+      errors.push(`Checklist item ${index + 1}: ${error}`);
+    });
+  });
+  return errors;
+};
+
+const buildChecklist = (checklist) => {
+  const now = new Date().toISOString();
+  return (checklist || []).map((item, index) => {
+    const { text, done } = toItemInput(item);
+    return {
+      id: index + 1,
+      text: text.trim(),
+      done: Boolean(done),
+      createdAt: now,
+      completedAt: done ? now : null
+    };
+  });
+};
+
+const checklistProgress = (task) => {
+  const items = task.checklist || [];
+  const done = items.filter(item => item.done).length;
+  return {
+    total: items.length,
+    done,
+    percent: items.length > 0 ? Math.round((done / items.length) * 100) : 0
+  };
+};
+
+// With autoComplete on, ticking the last item moves the task to the
+// workflow's done status, if the workflow allows that move and `isBlocked`
+// says no unfinished dependency holds it back
+const shouldAutoComplete = (task, workflow, isBlocked = () => false) => {
+  const { total, done } = checklistProgress(task);
+  return Boolean(task.autoComplete) && total > 0 && done === total && !workflow.isFinished(task) &&
+    workflow.canTransition(task.status, workflow.doneStatus()) && !isBlocked(task);
+};
+
+const applyAutoComplete = (task, workflow, isBlocked) => {
+  if (shouldAutoComplete(task, workflow, isBlocked)) {
+    task.status = workflow.doneStatus();
+  }
+  return task;
+};
+
+// Routes under /api/tasks/:id/checklist. Auto-completion goes through
+// `operations.patch` (see src/index.js) so it is validated like any other
+// status change and finishes recurring tasks the same way.
+const createChecklistRouter = ({ store, tasks, findTask, workflow, operations }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Every route needs the parent task
+  router.use((req, res, next) => {
+    const taskId = parseInt(req.params.id);
+    const task = findTask(req, taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: `Task with ID ${taskId} not found`
+      });
+    }
+
+    req.task = { ...task, checklist: task.checklist || [] };
+    next();
+  });
+
+  const saveTask = (req, task) => store.transaction(() => {
+    task.updatedAt = new Date().toISOString();
+    const saved = tasks.update(task.id, task);
+    if (!shouldAutoComplete(saved, workflow)) return saved;
+
+    // A task that cannot be completed yet, e.g. because it is blocked, stays open
+    const { status, body } = operations.patch(req, saved.id, { status: workflow.doneStatus() });
+    return status === 200 ? body.data : saved;
+  });
+
+  const findItem = (req, res) => {
+    const itemId = parseInt(req.params.itemId);
+    const item = req.task.checklist.find(i => i.id === itemId);
+
+    if (!item) {
+      res.status(404).json({
+        success: false,
+        message: `Checklist item with ID ${itemId} not found on task ${req.task.id}`
+      });
+    }
+    return item;
+  };
+
+  const validationFailed = (res, errors) => res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+
+  // GET checklist
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: req.task.checklist,
+      progress: checklistProgress(req.task)
+    });
+  });
+
+  // ADD item (appended unless a 0-based position is given)
+  router.post("/", (req, res) => {
+    const { text, done, position } = req.body;
+    const errors = validateChecklistItem(req.body);
+
+    if (req.task.checklist.length >= MAX_ITEMS) {
+      errors.push(`Checklist can have at most ${MAX_ITEMS} items`);
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      errors.push("Position must be a non-negative integer");
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const now = new Date().toISOString();
+    const item = {
+      id: Math.max(0, ...req.task.checklist.map(i => i.id)) + 1,
+      text: text.trim(),
+      done: Boolean(done),
+      createdAt: now,
+      completedAt: done ? now : null
+    };
+
+    const index = position === undefined ? req.task.checklist.length : Math.min(position, req.task.checklist.length);
+    req.task.checklist.splice(index, 0, item);
+
+    res.status(201).json({
+      success: true,
+      message: "Checklist item added successfully",
+      data: saveTask(req, req.task)
+    });
+  });
+
+  // REORDER items: { order: [itemId, ...] } listing every item once
+  router.put("/order", (req, res) => {
+    const { order } = req.body;
+    const currentIds = req.task.checklist.map(i => i.id).sort((a, b) => a - b);
+    const requestedIds = Array.isArray(order) ? [...order].sort((a, b) => a - b) : [];
+
+    if (requestedIds.length !== currentIds.length || requestedIds.some((id, i) => id !== currentIds[i])) {
+      return validationFailed(res, ["Order must list every checklist item ID exactly once"]);
+    }
+
+    req.task.checklist = order.map(id => req.task.checklist.find(i => i.id === id));
+
+    res.json({
+      success: true,
+      message: "Checklist reordered successfully",
+      data: saveTask(req, req.task)
+    });
+  });
+
+  // UPDATE or toggle an item
+  router.patch("/:itemId", (req, res) => {
+    const item = findItem(req, res);
+    if (!item) return;
+
+    const { text, done } = req.body;
+    const errors = validateChecklistItem({ text: text === undefined ? item.text : text, done });
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    if (text !== undefined) {
+      item.text = text.trim();
+    }
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.completedAt = done ? new Date().toISOString() : null;
+    }
+
+    res.json({
+      success: true,
+      message: "Checklist item updated successfully",
+      data: saveTask(req, req.task)
+    });
+  });
+
+  // REMOVE an item
+  router.delete("/:itemId", (req, res) => {
+    const item = findItem(req, res);
+    if (!item) return;
+
+    req.task.checklist = req.task.checklist.filter(i => i.id !== item.id);
+
+    res.json({
+      success: true,
+      message: "Checklist item removed successfully",
+      data: saveTask(req, req.task)
+    });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createChecklistRouter,
+  validateChecklist,
+  buildChecklist,
+  checklistProgress,
+  applyAutoComplete
+};
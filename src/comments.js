@@ -0,0 +1,328 @@
+const express = require("express");
+
+const MAX_BODY_LENGTH = 2000;
+const MAX_DEPTH = 5;
+const MAX_MENTIONS = 20;
+const EXCERPT_LENGTH = 140;
+
+// "@alice" anywhere but inside a word or an email address. Usernames may
+// contain '.', so a full stop after one is trimmed off.
+const MENTION_PATTERN = /(^|[^\w@.])@([a-zA-Z0-9_.-]{3,30})/g;
+
+const mentionedNames = (body) => [...new Set(
+  [...body.matchAll(MENTION_PATTERN)].map(match => match[2].replace(/[.-]+$/, '').toLowerCase())
+)];
+
+const excerpt = (body) => (body.length > EXCERPT_LENGTH ? `${body.slice(0, EXCERPT_LENGTH - 1)}…` : body);
+
+const validateBody = (body) => {
+  if (typeof body !== 'string' || body.trim().length === 0) return ["Comment text is required"];
+  if (body.length > MAX_BODY_LENGTH) return [`Comment text must be less than ${MAX_BODY_LENGTH} characters`];
+  return [];
+};
+
+// Replies nested under their parent, each level oldest first
+const buildThreads = (comments) => {
+  const byParent = new Map();
+  comments.forEach(comment => {
+    const key = comment.parentId || null;
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(comment);
+  });
+  const nest = (parentId) => (byParent.get(parentId) || [])
+    .sort((a, b) => a.id - b.id)
+    .map(comment => ({ ...comment, replies: nest(comment.id) }));
+  return nest(null);
+};
+
+// Timeline entries from the task's change log: creation, status changes,
+// deletion and restores
+const historyEvents = (entries) => entries.flatMap(entry => {
+  const base = { at: entry.at, actor: entry.actor, revision: entry.revision };
+  const status = entry.changes.find(change => change.field === 'status');
+  const trashed = entry.changes.find(change => change.field === 'deletedAt');
+
+  if (entry.action === 'created') return [{ type: 'created', ...base, status: entry.snapshot.status }];
+  if (entry.action === 'deleted') return [{ type: 'deleted', ...base }];
+  if (entry.action === 'restored') return [{ type: 'restored', ...base }];
+
+  const events = [];
+  if (status) events.push({ type: 'status', ...base, from: status.from, to: status.to });
+  if (trashed) events.push({ type: trashed.to ? 'trashed' : 'untrashed', ...base });
+  return events;
+});
+
+// Threaded comments on tasks: routes under /api/tasks/:id/comments and the
+// combined comment + status timeline under /api/tasks/:id/timeline. Comments
+// keep every earlier version of their text, and @username mentions of people
+// who can see the task are recorded and pushed to them as `mention` events.
+const createComments = ({ store, history, events, findTask, canAccessTask, findUserByUsername }) => {
+  const router = express.Router({ mergeParams: true });
+  const timelineRouter = express.Router({ mergeParams: true });
+  const comments = store.collection('comments');
+
+  const commentsFor = (taskId) => comments.all().filter(comment => comment.taskId === taskId);
+
+  // Live comments per task ID for the task list. They are counted from the
+  // collection once and then kept up to date as comments are added and
+  // deleted; a change applies when its transaction commits.
+  let liveCounts = null;
+
+  const countFor = (taskId) => {
+    if (!liveCounts) {
+      liveCounts = comments.all().reduce((map, comment) => {
+        if (!comment.deletedAt) map.set(comment.taskId, (map.get(comment.taskId) || 0) + 1);
+        return map;
+      }, new Map());
+    }
+    return liveCounts.get(taskId) || 0;
+  };
+
+  const adjustCount = (taskId, change) => store.afterCommit(() => {
+    if (!liveCounts) return;
+    const count = (liveCounts.get(taskId) || 0) + change;
+    if (count > 0) {
+      liveCounts.set(taskId, count);
+    } else {
+      liveCounts.delete(taskId);
+    }
+  });
+
+  // Cleanup when a task is purged (see trash.onPurge)
+  const removeFor = (taskId) => {
+    commentsFor(taskId).forEach(comment => comments.remove(comment.id));
+    store.afterCommit(() => liveCounts && liveCounts.delete(taskId));
+  };
+
+  // Mentioned users who exist and can see the task
+  const resolveMentions = (body, task) => mentionedNames(body)
+    .slice(0, MAX_MENTIONS)
+    .map(findUserByUsername)
+    .filter(user => user && canAccessTask(user, task))
+    .map(user => ({ id: user.id, username: user.username }));
+
+  // Tell people who were newly mentioned
+  const notifyMentions = (comment, task, previous = []) => {
+    comment.mentions
+      .filter(mention => mention.id !== comment.author.id && !previous.some(before => before.id === mention.id))
+      .forEach(mention => events.notify(mention.id, 'mention', {
+        taskId: task.id,
+        taskTitle: task.title,
+        commentId: comment.id,
+        author: comment.author,
+        excerpt: excerpt(comment.body)
+      }));
+  };
+
+  const depthOf = (comment) => {
+    let depth = 1;
+    let current = comment;
+    while (current.parentId) {
+      current = comments.get(current.parentId);
+      if (!current) break;
+      depth++;
+    }
+    return depth;
+  };
+
+  const validationFailed = (res, errors) => res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+
+  const loadTask = (req, res, next) => {
+    const taskId = parseInt(req.params.id);
+    const task = findTask(req, taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: `Task with ID ${taskId} not found`
+      });
+    }
+
+    req.task = task;
+    next();
+  };
+
+  // Every route needs the parent task
+  router.use(loadTask);
+  timelineRouter.use(loadTask);
+
+  const findComment = (req, res) => {
+    const commentId = parseInt(req.params.commentId);
+    const comment = comments.get(commentId);
+
+    if (!comment || comment.taskId !== req.task.id) {
+      res.status(404).json({
+        success: false,
+        message: `Comment with ID ${commentId} not found on task ${req.task.id}`
+      });
+      return null;
+    }
+    return comment;
+  };
+
+  const forbidden = (res, message) => res.status(403).json({
+    success: false,
+    message
+  });
+
+  // GET the task's comments as threads (?flat=true for one list, oldest first)
+  router.get("/", (req, res) => {
+    const list = commentsFor(req.task.id).sort((a, b) => a.id - b.id);
+    res.json({
+      success: true,
+      count: list.filter(comment => !comment.deletedAt).length,
+      data: req.query.flat === 'true' ? list : buildThreads(list)
+    });
+  });
+
+  // ADD a comment, or a reply with { parentId }
+  router.post("/", (req, res) => {
+    const { body, parentId } = req.body;
+    const errors = validateBody(body);
+
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      parent = comments.get(parentId);
+      if (!parent || parent.taskId !== req.task.id) {
+        errors.push("parentId must be a comment on this task");
+      } else if (parent.deletedAt) {
+        errors.push("Cannot reply to a deleted comment");
+      } else if (depthOf(parent) >= MAX_DEPTH) {
+        errors.push(`Replies can be nested at most ${MAX_DEPTH} levels deep`);
+      }
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const now = new Date().toISOString();
+    const text = body.trim();
+    const comment = comments.insert({
+      taskId: req.task.id,
+      parentId: parent ? parent.id : null,
+      author: { id: req.user.id, username: req.user.username, name: req.user.name || null },
+      body: text,
+      mentions: resolveMentions(text, req.task),
+      edits: [],
+      createdAt: now,
+      updatedAt: now,
+      editedAt: null,
+      deletedAt: null
+    });
+    adjustCount(comment.taskId, 1);
+    notifyMentions(comment, req.task);
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added",
+      data: comment
+    });
+  });
+
+  router.get("/:commentId", (req, res) => {
+    const comment = findComment(req, res);
+    if (!comment) return;
+    res.json({ success: true, data: comment });
+  });
+
+  // EDIT your comment; the previous text goes into `edits`
+  router.patch("/:commentId", (req, res) => {
+    const comment = findComment(req, res);
+    if (!comment) return;
+
+    if (comment.author.id !== req.user.id) {
+      return forbidden(res, "Only the author can edit a comment");
+    }
+    if (comment.deletedAt) {
+      return validationFailed(res, ["Deleted comments cannot be edited"]);
+    }
+    const errors = validateBody(req.body.body);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const text = req.body.body.trim();
+    if (text === comment.body) {
+      return res.json({ success: true, message: "Comment unchanged", data: comment });
+    }
+
+    const now = new Date().toISOString();
+    const updated = comments.update(comment.id, {
+      ...comment,
+      body: text,
+      mentions: resolveMentions(text, req.task),
+      edits: [...comment.edits, { body: comment.body, editedAt: now }],
+      updatedAt: now,
+      editedAt: now
+    });
+    notifyMentions(updated, req.task, comment.mentions);
+
+    res.json({
+      success: true,
+      message: "Comment updated",
+      data: updated
+    });
+  });
+
+  // DELETE your comment (admins may delete any). A comment with replies
+  // leaves a placeholder so the thread stays readable.
+  router.delete("/:commentId", (req, res) => {
+    const comment = findComment(req, res);
+    if (!comment) return;
+
+    if (comment.author.id !== req.user.id && req.user.role !== 'admin') {
+      return forbidden(res, "Only the author or an admin can delete a comment");
+    }
+
+    const hasReplies = (id) => comments.all().some(other => other.parentId === id);
+    store.transaction(() => {
+      if (!comment.deletedAt) adjustCount(comment.taskId, -1);
+      if (hasReplies(comment.id)) {
+        comments.update(comment.id, {
+          ...comment,
+          body: "",
+          mentions: [],
+          edits: [],
+          deletedAt: new Date().toISOString()
+        });
+        return;
+      }
+      // Placeholders go once their last reply does
+      comments.remove(comment.id);
+      let parent = comment.parentId && comments.get(comment.parentId);
+      while (parent && parent.deletedAt && !hasReplies(parent.id)) {
+        comments.remove(parent.id);
+        parent = parent.parentId && comments.get(parent.parentId);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: "Comment deleted"
+    });
+  });
+
+  // GET comments and status changes in one list, oldest first. Replies are
+  // nested under their comment; the thread sits where it was started.
+  timelineRouter.get("/", (req, res) => {
+    const threads = buildThreads(commentsFor(req.task.id))
+      .map(comment => ({ type: 'comment', at: comment.createdAt, comment }));
+    const changes = historyEvents(history.entriesFor(req.task.id));
+
+    const timeline = [...changes, ...threads].sort((a, b) => a.at.localeCompare(b.at));
+
+    res.json({
+      success: true,
+      count: timeline.length,
+      data: timeline
+    });
+  });
+
+  return { router, timelineRouter, countFor, removeFor };
+};
+
+module.exports = { createComments };
@@ -0,0 +1,32 @@
+// Optimistic concurrency: every task carries a version that goes up by one on
+// each write. GET /api/tasks/:id sends it as the ETag, and writes that send
+// If-Match (or a `version` in bulk operations) fail with 412 when it is stale.
+
+// Tasks stored before versions existed count as version 1
+const versionOf = (task) => task.version || 1;
+
+const etagFor = (task) => `"${versionOf(task)}"`;
+
+// If-Match header -> '*' or a list of versions; null when there is no header
+const parseIfMatch = (header) => {
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+  return header.split(',')
+    .map(tag => parseInt(tag.trim().replace(/^W\//, '').replace(/"/g, '')))
+    .filter(version => !isNaN(version));
+};
+
+const matchesVersion = (task, expected) =>
+  expected === null || expected === undefined || expected === '*' || expected.includes(versionOf(task));
+
+// Wrap a collection so inserts start at version 1 and updates bump it
+const trackVersions = (collection) => ({
+  ...collection,
+  insert: (doc) => collection.insert({ ...doc, version: 1 }),
+  update: (id, doc) => {
+    const current = collection.get(id);
+    return collection.update(id, { ...doc, version: current ? versionOf(current) + 1 : 1 });
+  }
+});
+
+module.exports = { versionOf, etagFor, parseIfMatch, matchesVersion, trackVersions };
@@ -0,0 +1,194 @@
+const express = require("express");
+
+const summarize = (task) => ({
+  id: task.id,
+  title: task.title,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate
+});
+
+// Blockers of a task that still need doing. getTask resolves an ID to a task;
+// a blocker stops blocking once its status is done or cancelled (see
+// src/workflow.js).
+const unfinishedBlockers = (task, getTask, workflow) =>
+  (task.blockedBy || [])
+    .map(getTask)
+    .filter(blocker => blocker && !workflow.isFinished(blocker));
+
+// Follow blockedBy links from `fromId`; returns the chain of IDs to `toId`, or null
+const findDependencyPath = (fromId, toId, getTask) => {
+  const visited = new Set();
+
+  const visit = (id, pathSoFar) => {
+    if (id === toId) return [...pathSoFar, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    const task = getTask(id);
+    for (const next of (task && task.blockedBy) || []) {
+      const found = visit(next, [...pathSoFar, id]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  return visit(fromId, []);
+};
+
+// Kahn's algorithm over open tasks: blockers come before the tasks they block,
+// and `compare` decides between tasks that are ready at the same time
+const topologicalOrder = (taskList, compare, workflow) => {
+  const open = taskList.filter(task => !workflow.isFinished(task));
+  const openIds = new Set(open.map(task => task.id));
+  const remaining = new Map(open.map(task => [
+    task.id,
+    (task.blockedBy || []).filter(id => openIds.has(id)).length
+  ]));
+  const blocking = new Map(open.map(task => [task.id, []]));
+  open.forEach(task => {
+    (task.blockedBy || []).filter(id => openIds.has(id)).forEach(id => blocking.get(id).push(task));
+  });
+
+  const byId = new Map(open.map(task => [task.id, task]));
+  let ready = open.filter(task => remaining.get(task.id) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort(compare);
+    const task = ready.shift();
+    order.push(task);
+
+    blocking.get(task.id).forEach(dependent => {
+      remaining.set(dependent.id, remaining.get(dependent.id) - 1);
+      if (remaining.get(dependent.id) === 0) ready.push(byId.get(dependent.id));
+    });
+  }
+
+  return order;
+};
+
+// Routes under /api/tasks/:id/dependencies
+const createDependenciesRouter = ({ tasks, findTask, workflow }) => {
+  const router = express.Router({ mergeParams: true });
+
+  router.use((req, res, next) => {
+    const taskId = parseInt(req.params.id);
+    const task = findTask(req, taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: `Task with ID ${taskId} not found`
+      });
+    }
+
+    req.task = task;
+    next();
+  });
+
+  // GET what blocks this task and what it blocks
+  router.get("/", (req, res) => {
+    const { task } = req;
+    const getTask = (id) => findTask(req, id);
+    const blockedBy = (task.blockedBy || []).map(getTask).filter(Boolean);
+    const blocking = tasks.all().filter(t => (t.blockedBy || []).includes(task.id) && findTask(req, t.id));
+    const openBlockers = unfinishedBlockers(task, getTask, workflow);
+
+    res.json({
+      success: true,
+      data: {
+        taskId: task.id,
+        isBlocked: openBlockers.length > 0,
+        blockedBy: blockedBy.map(summarize),
+        unfinishedBlockers: openBlockers.map(summarize),
+        blocking: blocking.map(summarize)
+      }
+    });
+  });
+
+  // LINK: this task is blocked by { blockedBy: taskId }
+  router.post("/", (req, res) => {
+    const { task } = req;
+    const blockerId = req.body.blockedBy;
+    const blocker = Number.isInteger(blockerId) ? findTask(req, blockerId) : null;
+
+    if (!blocker) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: [Number.isInteger(blockerId) ? `Task with ID ${blockerId} not found` : "blockedBy must be a task ID"]
+      });
+    }
+
+    if (blocker.id === task.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["A task cannot block itself"]
+      });
+    }
+
+    if ((task.blockedBy || []).includes(blocker.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `Task ${task.id} is already blocked by task ${blocker.id}`
+      });
+    }
+
+    // The new link closes a cycle if the blocker already (indirectly) waits on this task
+    const cycle = findDependencyPath(blocker.id, task.id, id => tasks.get(id));
+    if (cycle) {
+      return res.status(409).json({
+        success: false,
+        message: `Linking would create a dependency cycle: ${[task.id, ...cycle].join(' -> ')}`,
+        cycle: [task.id, ...cycle]
+      });
+    }
+
+    const updatedTask = tasks.update(task.id, {
+      ...task,
+      blockedBy: [...(task.blockedBy || []), blocker.id],
+      updatedAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Task ${task.id} is now blocked by task ${blocker.id}`,
+      data: updatedTask
+    });
+  });
+
+  // UNLINK a blocker
+  router.delete("/:blockerId", (req, res) => {
+    const { task } = req;
+    const blockerId = parseInt(req.params.blockerId);
+
+    if (!(task.blockedBy || []).includes(blockerId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Task ${task.id} is not blocked by task ${blockerId}`
+      });
+    }
+
+    const updatedTask = tasks.update(task.id, {
+      ...task,
+      blockedBy: task.blockedBy.filter(id => id !== blockerId),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: `Task ${task.id} is no longer blocked by task ${blockerId}`,
+      data: updatedTask
+    });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createDependenciesRouter,
+  unfinishedBlockers,
+  topologicalOrder
+};
@@ -0,0 +1,154 @@
+const express = require("express");
+const { isTrashed } = require("./trash");
+
+const BUFFER_SIZE = 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+// Trashed tasks count as deleted for subscribers
+const isVisible = (task) => Boolean(task) && !isTrashed(task);
+
+// Live task events over Server-Sent Events. Wrap the tasks collection with
+// track() and every committed write is pushed to the subscribers allowed to
+// see the task. Recent events are kept in memory so a client that reconnects
+// with Last-Event-ID gets what it missed.
+const createEvents = ({ store, canAccessTask, bufferSize = BUFFER_SIZE }) => {
+  const router = express.Router();
+  const clients = new Set();
+  const buffer = [];
+  // Event IDs look like "<epoch>-<sequence>"; a new epoch per process start
+  // tells reconnecting clients that the buffer they knew is gone
+  const epoch = Date.now().toString(36);
+  let sequence = 0;
+
+  const send = (client, event) => {
+    client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Events addressed to one user (see notify) go to that user only
+  const canSee = (user, event) => (event.userId !== undefined
+    ? event.userId === user.id
+    : canAccessTask(user, event.data));
+
+  const emit = (fields) => {
+    sequence++;
+    const event = {
+      id: `${epoch}-${sequence}`,
+      ...fields,
+      at: new Date().toISOString()
+    };
+
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    clients.forEach(client => {
+      if (canSee(client.user, event)) send(client, event);
+    });
+    return event;
+  };
+
+  const publish = (type, task) => emit({ type, taskId: task.id, data: task });
+
+  // Push something that is only for one user, such as a reminder
+  const notify = (userId, type, data) => emit({ type, userId, data });
+
+  // created / updated / deleted as seen from the task list
+  const changed = (before, after) => {
+    let type = null;
+    if (!isVisible(before) && isVisible(after)) type = 'task.created';
+    if (isVisible(before) && isVisible(after)) type = 'task.updated';
+    if (isVisible(before) && !isVisible(after)) type = 'task.deleted';
+    if (type) store.afterCommit(() => publish(type, after || before));
+  };
+
+  const track = (collection) => {
+    const tracked = {
+      ...collection,
+      insert: (doc) => {
+        const created = collection.insert(doc);
+        changed(null, created);
+        return created;
+      },
+      update: (id, doc) => {
+        const before = collection.get(id);
+        const updated = collection.update(id, doc);
+        if (updated) changed(before, updated);
+        return updated;
+      },
+      remove: (id) => {
+        const removed = collection.remove(id);
+        if (removed) changed(removed, null);
+        return removed;
+      }
+    };
+    if (collection.restore) {
+      tracked.restore = (id, doc) => {
+        const before = collection.get(id);
+        const restored = collection.restore(id, doc);
+        changed(before, restored);
+        return restored;
+      };
+    }
+    return tracked;
+  };
+
+  const sequenceOf = (eventId) => parseInt(String(eventId).split('-')[1]);
+
+  // Events after `lastEventId`, or null when they are no longer buffered
+  const eventsSince = (lastEventId) => {
+    const after = sequenceOf(lastEventId);
+    if (String(lastEventId).split('-')[0] !== epoch || isNaN(after) || after > sequence) return null;
+
+    const oldest = buffer.length > 0 ? sequenceOf(buffer[0].id) : sequence + 1;
+    if (after < oldest - 1) return null;
+    return buffer.filter(event => sequenceOf(event.id) > after);
+  };
+
+  // SUBSCRIBE to task events. Replays missed events when the Last-Event-ID
+  // header (sent by EventSource on reconnect) or ?lastEventId= is given.
+  router.get("/", (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { user: req.user, res };
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    if (lastEventId) {
+      const missed = eventsSince(lastEventId);
+      if (missed) {
+        missed.filter(event => canSee(client.user, event)).forEach(event => send(client, event));
+      } else {
+        // Too far behind to replay; the client should reload everything
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: "Missed events are no longer available" })}\n\n`);
+      }
+    }
+
+    // Carries the current ID so even a client that has seen no events yet
+    // reconnects from here
+    res.write(`id: ${epoch}-${sequence}\nevent: ready\ndata: {}\n\n`);
+    clients.add(client);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  });
+
+  // End every open stream so the server can shut down
+  const close = () => {
+    clients.forEach(client => client.res.end());
+    clients.clear();
+  };
+
+  return { router, track, publish, notify, close, clientCount: () => clients.size };
+};
+
+module.exports = { createEvents };
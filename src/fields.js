@@ -0,0 +1,476 @@
+const express = require("express");
+const { SEARCH_FIELDS } = require("./query");
+
+const FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean', 'url'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_FIELDS = 50;
+const MAX_OPTIONS = 50;
+const MAX_LABEL_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_TEXT_LENGTH = 500;
+const MAX_URL_LENGTH = 2000;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_CONFLICTS_LISTED = 10;
+
+// Task properties and search fields a custom field key would shadow
+const RESERVED_KEYS = [
+  ...SEARCH_FIELDS,
+  'id', 'fields', 'checklist', 'tags', 'recurrence', 'watchers', 'position', 'version', 'relevance'
+];
+
+// Validation rules each type accepts, besides `required`
+const TYPE_RULES = {
+  text: ['minLength', 'maxLength', 'pattern'],
+  number: ['min', 'max', 'integer'],
+  date: ['min', 'max'],
+  enum: ['options'],
+  boolean: [],
+  url: []
+};
+const RULES = ['minLength', 'maxLength', 'pattern', 'min', 'max', 'integer', 'options'];
+
+// "story_points" -> "Story Points"
+const labelFor = (key) => key.split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isValidDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+  !isNaN(Date.parse(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+// A repeated group that repeats something itself or has alternatives, like
+// (a+)+, (\w*)* or (a|aa)*, or a backreference can take exponential time on a
+// value that almost matches, so patterns with any of these are refused
+const isSlowPattern = (pattern) => {
+  const groups = [{ risky: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ risky: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = /[*+{]/.test(pattern[i + 1] || '');
+      if (repeated && group.risky) return true;
+      if (repeated || group.risky) groups[groups.length - 1].risky = true;
+    } else if (char === '*' || char === '+' || char === '{' || char === '|') {
+      groups[groups.length - 1].risky = true;
+    }
+  }
+  return false;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check a definition sent to POST or PATCH /api/fields. `existing` is the
+// stored definition when updating; its key and type cannot change. Returns
+// { errors } or { definition } with the label filled in and unused rules left out.
+const validateDefinition = (input, existing) => {
+  if (!isPlainObject(input)) {
+    return { errors: ["The field must be an object"] };
+  }
+
+  const errors = [];
+  const merged = existing ? { ...existing, ...input } : input;
+  const key = typeof merged.key === 'string' ? merged.key.trim() : merged.key;
+  const type = merged.type;
+
+  if (existing && input.key !== undefined && key !== existing.key) {
+    errors.push("key cannot be changed; create a new field instead");
+  } else if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    errors.push("key must start with a lowercase letter and be 1-30 lowercase letters, digits or _");
+  } else if (RESERVED_KEYS.includes(key)) {
+    errors.push(`key "${key}" is reserved for a built-in task field`);
+  }
+
+  if (existing && input.type !== undefined && type !== existing.type) {
+    errors.push("type cannot be changed; create a new field instead");
+  } else if (!FIELD_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${FIELD_TYPES.join(', ')}`);
+  }
+
+  if (merged.label !== undefined && (typeof merged.label !== 'string' || !merged.label.trim() || merged.label.length > MAX_LABEL_LENGTH)) {
+    errors.push(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  if (merged.description !== undefined && merged.description !== null &&
+    (typeof merged.description !== 'string' || merged.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (merged.required !== undefined && typeof merged.required !== 'boolean') {
+    errors.push("required must be true or false");
+  }
+  if (errors.length > 0) return { errors };
+
+  // Rules that do not apply to the type are an error, so a typo is not ignored
+  const rules = {};
+  RULES.forEach(rule => {
+    if (merged[rule] === undefined || merged[rule] === null) return;
+    if (!TYPE_RULES[type].includes(rule)) {
+      errors.push(`${rule} does not apply to ${type} fields`);
+      return;
+    }
+    rules[rule] = merged[rule];
+  });
+
+  if (type === 'text') {
+    ['minLength', 'maxLength'].forEach(rule => {
+      if (rules[rule] !== undefined && (!Number.isInteger(rules[rule]) || rules[rule] < 0 || rules[rule] > MAX_TEXT_LENGTH)) {
+        errors.push(`${rule} must be a whole number from 0 to ${MAX_TEXT_LENGTH}`);
+      }
+    });
+    if (rules.minLength > rules.maxLength) errors.push("minLength cannot be more than maxLength");
+    if (rules.pattern !== undefined) {
+      try {
+        if (typeof rules.pattern !== 'string' || rules.pattern.length > MAX_PATTERN_LENGTH) throw new Error();
+        new RegExp(rules.pattern);
+        if (isSlowPattern(rules.pattern)) {
+          errors.push("pattern cannot repeat a group that has a repeat or | in it, like (a+)+ or (a|b)*, or use backreferences");
+        }
+      } catch (err) {
+        errors.push(`pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+      }
+    }
+  }
+
+  if (type === 'number') {
+    ['min', 'max'].forEach(rule => {
+      if (rules[rule] !== undefined && !Number.isFinite(rules[rule])) errors.push(`${rule} must be a number`);
+    });
+    if (rules.integer !== undefined && typeof rules.integer !== 'boolean') errors.push("integer must be true or false");
+    if (rules.min > rules.max) errors.push("min cannot be more than max");
+  }
+
+  if (type === 'date') {
+    ['min', 'max'].forEach(rule => {
+      if (rules[rule] !== undefined && !isValidDate(rules[rule])) errors.push(`${rule} must be a date like 2025-10-01`);
+    });
+    if (rules.min && rules.max && rules.min > rules.max) errors.push("min cannot be after max");
+  }
+
+  if (type === 'enum') {
+    const options = rules.options;
+    if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS ||
+      !options.every(option => typeof option === 'string' && option.trim() && option.length <= MAX_LABEL_LENGTH)) {
+      errors.push(`options must be an array of 1 to ${MAX_OPTIONS} strings of at most ${MAX_LABEL_LENGTH} characters`);
+    } else if (new Set(options.map(option => option.trim().toLowerCase())).size !== options.length) {
+      errors.push("options must not repeat");
+    } else {
+      rules.options = options.map(option => option.trim());
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    definition: {
+      key,
+      type,
+      label: typeof merged.label === 'string' ? merged.label.trim() : labelFor(key),
+      description: merged.description ? merged.description.trim() : '',
+      required: merged.required === true,
+      ...rules
+    }
+  };
+};
+
+// A value for a definition: null when it is valid, otherwise the error
+const checkValue = (definition, value) => {
+  const at = `fields.${definition.key}`;
+  switch (definition.type) {
+    case 'text': {
+      if (typeof value !== 'string') return `${at} must be text`;
+      const text = value.trim();
+      const maxLength = definition.maxLength !== undefined ? definition.maxLength : MAX_TEXT_LENGTH;
+      if (definition.minLength !== undefined && text.length < definition.minLength) {
+        return `${at} must be at least ${definition.minLength} characters`;
+      }
+      if (text.length > maxLength) return `${at} must be at most ${maxLength} characters`;
+      if (definition.pattern !== undefined && !new RegExp(definition.pattern).test(text)) {
+        return `${at} must match the pattern ${definition.pattern}`;
+      }
+      return null;
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${at} must be a number`;
+      if (definition.integer && !Number.isInteger(value)) return `${at} must be a whole number`;
+      if (definition.min !== undefined && value < definition.min) return `${at} must be at least ${definition.min}`;
+      if (definition.max !== undefined && value > definition.max) return `${at} must be at most ${definition.max}`;
+      return null;
+    case 'date':
+      if (!isValidDate(value)) return `${at} must be a date like 2025-10-01`;
+      if (definition.min !== undefined && value < definition.min) return `${at} must be on or after ${definition.min}`;
+      if (definition.max !== undefined && value > definition.max) return `${at} must be on or before ${definition.max}`;
+      return null;
+    case 'enum':
+      return definition.options.includes(value) ? null : `${at} must be one of: ${definition.options.join(', ')}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${at} must be true or false`;
+    default:
+      if (typeof value !== 'string' || value.trim().length > MAX_URL_LENGTH || !isHttpUrl(value.trim())) {
+        return `${at} must be an http or https URL`;
+      }
+      return null;
+  }
+};
+
+// One ?field.<key>= value as the stored value it matches; undefined if the
+// value cannot match the field's type
+const parseFilterValue = (definition, raw) => {
+  const value = raw.trim();
+  switch (definition.type) {
+    case 'number': return value !== '' && !isNaN(Number(value)) ? Number(value) : undefined;
+    case 'date': return isValidDate(value) ? value : undefined;
+    case 'enum': return definition.options.find(option => option.toLowerCase() === value.toLowerCase());
+    case 'boolean': return { true: true, yes: true, false: false, no: false }[value.toLowerCase()];
+    default: return value.toLowerCase();
+  }
+};
+
+// Custom fields: extra data on tasks, such as story points or a ticket URL.
+// Definitions are shared by every user and managed by admins through
+// /api/fields; a task keeps its values in `fields`, keyed by field key.
+const createFields = ({ store, tasks }) => {
+  const definitions = store.collection('fields');
+  const router = express.Router();
+
+  const list = () => definitions.all().sort((a, b) => a.id - b.id);
+  const findByKey = (key) => definitions.all().find(definition => definition.key === key) || null;
+
+  // Used by validateTask. Required fields are only checked when the task is
+  // created or its values change, so adding a required field does not lock
+  // every older task.
+  const validateValues = (values, { checkRequired = true } = {}) => {
+    if (values === undefined || values === null) values = {};
+    if (!isPlainObject(values)) {
+      return ["fields must be an object mapping custom field keys to values"];
+    }
+
+    const errors = [];
+    Object.keys(values).forEach(key => {
+      if (!findByKey(key)) errors.push(`Unknown custom field "${key}"`);
+    });
+    list().forEach(definition => {
+      const value = values[definition.key];
+      if (isBlank(value)) {
+        if (checkRequired && definition.required) errors.push(`${definition.label} (fields.${definition.key}) is required`);
+        return;
+      }
+      const error = checkValue(definition, value);
+      if (error) errors.push(error);
+    });
+    return errors;
+  };
+
+  // Stored values: text trimmed, blank values dropped
+  const normalizeValues = (values) => Object.fromEntries(Object.entries(values || {})
+    .filter(([, value]) => !isBlank(value))
+    .map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value]));
+
+  // PATCH merges the values it is sent; null removes one
+  const mergeValues = (current, updates) => (isPlainObject(updates) ? { ...(current || {}), ...updates } : updates);
+
+  // Apply ?field.<key>=value filters (several values comma-separated, or none
+  // for tasks without a value). Text and URL fields match when they contain the
+  // value. Returns { filters: [predicate] } or { errors }.
+  const parseFilters = (query) => {
+    const errors = [];
+    const filters = Object.keys(query)
+      .filter(param => param.startsWith('field.'))
+      .map(param => {
+        const key = param.slice('field.'.length);
+        const definition = findByKey(key);
+        if (!definition) {
+          errors.push(`Unknown custom field "${key}"`);
+          return null;
+        }
+        const raw = String(query[param]);
+        if (raw.trim().toLowerCase() === 'none') {
+          return (task) => isBlank((task.fields || {})[key]);
+        }
+        const wanted = raw.split(',').filter(part => part.trim()).map(part => parseFilterValue(definition, part));
+        if (wanted.length === 0 || wanted.includes(undefined)) {
+          errors.push(`${param} has a value that does not fit the ${definition.type} field "${key}"`);
+          return null;
+        }
+        return (task) => {
+          const value = (task.fields || {})[key];
+          if (isBlank(value)) return false;
+          return ['text', 'url'].includes(definition.type)
+            ? wanted.some(text => value.toLowerCase().includes(text))
+            : wanted.includes(value);
+        };
+      });
+    return errors.length > 0 ? { errors } : { filters };
+  };
+
+  // Sort value for ?sortBy=field.<key>: enum options sort in the order they
+  // are listed, false before true; tasks without a value have none
+  const sortValue = (task, key) => {
+    const definition = findByKey(key);
+    const value = (task.fields || {})[key];
+    if (!definition || isBlank(value)) return null;
+    if (definition.type === 'enum') return definition.options.indexOf(value) + 1;
+    if (definition.type === 'boolean') return value ? 1 : 0;
+    if (definition.type === 'text') return value.toLowerCase();
+    return value;
+  };
+
+  const usage = (key) => tasks.all().filter(task => !isBlank((task.fields || {})[key])).length;
+
+  const withUsage = (definition) => ({ ...definition, taskCount: usage(definition.key) });
+
+  const notFound = (res, id) => res.status(404).json({
+    success: false,
+    message: `Custom field with ID ${id} not found`
+  });
+
+  const requireAdmin = (req, res, next) => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change custom fields"
+      });
+    }
+    next();
+  };
+
+  // GET every field definition (everyone can read them; the task form is built from them)
+  router.get("/", (req, res) => {
+    const data = list().map(withUsage);
+    res.json({
+      success: true,
+      count: data.length,
+      types: FIELD_TYPES,
+      data
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const definition = definitions.get(parseInt(req.params.id));
+    if (!definition) return notFound(res, req.params.id);
+    res.json({ success: true, data: withUsage(definition) });
+  });
+
+  // CREATE a field ({ key, type, label?, description?, required?, ...rules })
+  router.post("/", requireAdmin, (req, res) => {
+    const { definition, errors } = validateDefinition(req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+    if (findByKey(definition.key)) {
+      return res.status(409).json({
+        success: false,
+        message: `A custom field with key "${definition.key}" already exists`
+      });
+    }
+    if (definitions.count() >= MAX_FIELDS) {
+      return res.status(400).json({
+        success: false,
+        message: `There can be at most ${MAX_FIELDS} custom fields`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const created = definitions.insert({ ...definition, createdAt: now, updatedAt: now });
+    res.status(201).json({
+      success: true,
+      message: "Custom field created",
+      data: withUsage(created)
+    });
+  });
+
+  // UPDATE a field's label, description or rules. The key and type are fixed,
+  // and rules that existing values would break are refused.
+  router.patch("/:id", requireAdmin, (req, res) => {
+    const existing = definitions.get(parseInt(req.params.id));
+    if (!existing) return notFound(res, req.params.id);
+
+    // null clears a rule
+    const input = isPlainObject(req.body) ? { ...req.body } : req.body;
+    const { id, createdAt, updatedAt, ...current } = existing;
+    const cleared = isPlainObject(input) ? RULES.filter(rule => input[rule] === null) : [];
+    cleared.forEach(rule => {
+      delete current[rule];
+      delete input[rule];
+    });
+
+    const { definition, errors } = validateDefinition(input, current);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+
+    const conflicts = tasks.all()
+      .filter(task => !isBlank((task.fields || {})[definition.key]))
+      .map(task => ({ task, error: checkValue(definition, task.fields[definition.key]) }))
+      .filter(({ error }) => error);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} task(s) have values that the new rules do not allow`,
+        errors: conflicts.slice(0, MAX_CONFLICTS_LISTED).map(({ task, error }) => `Task #${task.id}: ${error}`)
+      });
+    }
+
+    const updated = definitions.update(existing.id, {
+      ...definition,
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    res.json({
+      success: true,
+      message: "Custom field updated",
+      data: withUsage(updated)
+    });
+  });
+
+  // DELETE a field and its value on every task (trashed ones too)
+  router.delete("/:id", requireAdmin, (req, res) => {
+    const existing = definitions.get(parseInt(req.params.id));
+    if (!existing) return notFound(res, req.params.id);
+
+    const updatedTasks = store.transaction(() => {
+      const now = new Date().toISOString();
+      const changed = tasks.all()
+        .filter(task => task.fields && task.fields[existing.key] !== undefined)
+        .map(task => {
+          const { [existing.key]: removed, ...fields } = task.fields;
+          return tasks.update(task.id, { ...task, fields, updatedAt: now });
+        });
+      definitions.remove(existing.id);
+      return changed.length;
+    });
+
+    res.json({
+      success: true,
+      message: `Custom field "${existing.label}" deleted`,
+      data: existing,
+      updatedTasks
+    });
+  });
+
+  return { router, list, validateValues, normalizeValues, mergeValues, parseFilters, sortValue };
+};
+
+module.exports = { createFields, validateDefinition, FIELD_TYPES };
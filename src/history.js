@@ -0,0 +1,277 @@
+const express = require("express");
+const { AsyncLocalStorage } = require("async_hooks");
+const { parseIfMatch } = require("./concurrency");
+const { isTrashed } = require("./trash");
+
+// Fields that never change, change on every write or only record board order
+// would only add noise to diffs
+const IGNORED_FIELDS = ['id', 'updatedAt', 'version', 'position'];
+
+const diffTasks = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+    .map(field => ({
+      field,
+      from: before ? before[field] : undefined,
+      to: after ? after[field] : undefined
+    }));
+};
+
+// Append-only change log for tasks. Wrap the tasks collection with track() and
+// every insert/update/remove is recorded against the user of the current request.
+const createHistory = ({ store }) => {
+  const log = store.collection('task_history');
+  const actorStorage = new AsyncLocalStorage();
+
+  // Run the rest of the request with req.user as the actor
+  const withActor = (req, res, next) => {
+    actorStorage.run(req.user ? { id: req.user.id, username: req.user.username } : null, next);
+  };
+
+  const currentActor = () => actorStorage.getStore() || null;
+
+  const entriesFor = (taskId) =>
+    log.all().filter(entry => entry.taskId === taskId).sort((a, b) => a.revision - b.revision);
+
+  // Latest revision per task, read from the log once so writes do not scan it.
+  // A rolled-back write can leave a gap in the numbers but never a repeat.
+  let revisions = null;
+  const nextRevision = (action, taskId) => {
+    if (!revisions) {
+      revisions = new Map();
+      log.all().forEach(entry => {
+        revisions.set(entry.taskId, Math.max(revisions.get(entry.taskId) || 0, entry.revision));
+      });
+    }
+    const revision = action === 'created' ? 1 : (revisions.get(taskId) || 0) + 1;
+    revisions.set(taskId, revision);
+    return revision;
+  };
+
+  const record = (action, taskId, before, after) => {
+    const changes = diffTasks(before, after);
+    if (action === 'updated' && changes.length === 0) return null;
+
+    return log.insert({
+      taskId,
+      revision: nextRevision(action, taskId),
+      action,
+      actor: currentActor(),
+      at: new Date().toISOString(),
+      changes,
+      // State after the change; for deletions, the task as it was
+      snapshot: after || before
+    });
+  };
+
+  // Action logged for updates made inside recordAs()
+  let updateAction = 'updated';
+
+  // Log the updates fn() makes as `action`, e.g. a rollback that runs through
+  // the normal PATCH path is logged as 'restored'
+  const recordAs = (action, fn) => {
+    const previous = updateAction;
+    updateAction = action;
+    try {
+      return fn();
+    } finally {
+      updateAction = previous;
+    }
+  };
+
+  const track = (collection) => ({
+    ...collection,
+    insert: (doc) => {
+      const created = collection.insert(doc);
+      record('created', created.id, null, created);
+      return created;
+    },
+    update: (id, doc) => {
+      const before = collection.get(id);
+      const updated = collection.update(id, doc);
+      if (updated) record(updateAction, id, before, updated);
+      return updated;
+    },
+    remove: (id) => {
+      const removed = collection.remove(id);
+      if (removed) record('deleted', id, removed, null);
+      return removed;
+    },
+    // Roll back or undelete, logged as a single 'restored' entry
+    restore: (id, doc) => {
+      const before = collection.get(id);
+      const restored = before ? collection.update(id, doc) : collection.insert({ ...doc, id });
+      record('restored', id, before, restored);
+      return restored;
+    }
+  });
+
+  return { withActor, track, recordAs, entriesFor, record, log };
+};
+
+// Fields a rollback copies from the revision. Ownership, dependency links and
+// board position stay as they are now.
+const RESTORED_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'checklist', 'autoComplete',
+  'tags', 'recurrence', 'projectId', 'assigneeId', 'watchers', 'fields'];
+
+// Routes for /api/tasks/:id/history, /api/tasks/:id/restore and /api/activity.
+// Rolling back goes through `operations.patch` (see taskOperations in
+// src/index.js), so it gets the same permission, If-Match and validateTask
+// checks as PATCH /api/tasks/:id. `validateTask` checks an undeleted task
+// against today's workflow and fields.
+const createHistoryRouter = ({ history, tasks, canAccessTask, isTaskOwner, validateTask, operations }) => {
+  const router = express.Router();
+
+  // Tasks may be deleted, so access is checked against the latest snapshot
+  const loadEntries = (req, res) => {
+    const taskId = parseInt(req.params.id);
+    const entries = history.entriesFor(taskId);
+    const latest = tasks.get(taskId) || (entries.length > 0 && entries[entries.length - 1].snapshot);
+
+    if (!latest || !canAccessTask(req.user, latest)) {
+      res.status(404).json({
+        success: false,
+        message: `No history for task with ID ${taskId}`
+      });
+      return null;
+    }
+    return entries;
+  };
+
+  // GET change log for one task, oldest first
+  router.get("/tasks/:id/history", (req, res) => {
+    const entries = loadEntries(req, res);
+    if (!entries) return;
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  });
+
+  // PATCH the task back to a revision. Custom field values the revision did
+  // not have are cleared.
+  const rollBack = (req, current, target) => {
+    const { snapshot } = target;
+    const input = {};
+    RESTORED_FIELDS
+      .filter(field => snapshot[field] !== undefined)
+      .forEach(field => { input[field] = snapshot[field]; });
+    if (snapshot.fields !== undefined) {
+      const cleared = Object.keys(current.fields || {}).map(key => [key, null]);
+      input.fields = { ...Object.fromEntries(cleared), ...snapshot.fields };
+    }
+
+    const result = history.recordAs('restored', () =>
+      operations.patch(req, current.id, input, parseIfMatch(req.get('If-Match'))));
+    return result.status === 200
+      ? { ...result, body: { ...result.body, message: `Task ${current.id} restored to revision ${target.revision}` } }
+      : result;
+  };
+
+  // Bring back a task that was purged from the trash, as it was last seen.
+  // Like deleting, this is up to the task's owner (or an admin).
+  const undelete = (req, taskId, latest) => {
+    if (!isTaskOwner(req.user, latest)) {
+      return {
+        status: 403,
+        body: {
+          success: false,
+          message: "Only the task's owner can undelete it"
+        }
+      };
+    }
+
+    // Links to tasks that no longer exist are dropped. A restored task is never
+    // in the trash, even though the last snapshot of a purged task was.
+    const { deletedAt, deletedBy, ...snapshot } = latest;
+    const restored = {
+      ...snapshot,
+      blockedBy: (snapshot.blockedBy || []).filter(id => tasks.get(id)),
+      updatedAt: new Date().toISOString()
+    };
+
+    const errors = validateTask(restored);
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          message: "Validation failed",
+          errors
+        }
+      };
+    }
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Task ${taskId} undeleted`,
+        data: tasks.restore(taskId, restored)
+      }
+    };
+  };
+
+  // RESTORE a task to { revision }, or undelete it when no revision is given
+  router.post("/tasks/:id/restore", (req, res) => {
+    const entries = loadEntries(req, res);
+    if (!entries) return;
+
+    const taskId = parseInt(req.params.id);
+    const { revision } = req.body;
+    const current = tasks.get(taskId);
+    const target = revision !== undefined
+      ? entries.find(entry => entry.revision === revision)
+      : entries[entries.length - 1];
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${revision} not found for task ${taskId}`
+      });
+    }
+
+    if (isTrashed(current)) {
+      return res.status(400).json({
+        success: false,
+        message: `Task ${taskId} is in the trash; restore it from there first`
+      });
+    }
+
+    if (revision === undefined && current) {
+      return res.status(400).json({
+        success: false,
+        message: `Task ${taskId} is not deleted; pass a revision to roll it back`
+      });
+    }
+
+    const { status, headers, body } = current
+      ? rollBack(req, current, target)
+      : undelete(req, taskId, entries[entries.length - 1].snapshot);
+    if (headers) res.set(headers);
+    res.status(status).json(body);
+  });
+
+  // GET activity feed across all of your tasks, newest first
+  router.get("/activity", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const entries = history.log.all()
+      .filter(entry => canAccessTask(req.user, entry.snapshot))
+      .sort((a, b) => b.id - a.id);
+
+    res.json({
+      success: true,
+      count: Math.min(entries.length, limit),
+      total: entries.length,
+      data: entries.slice(0, limit)
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createHistory, createHistoryRouter };
@@ -1,11 +1,43 @@
 const express = require("express");
 const path = require("path");
+const { createStore } = require("./storage");
+const { createAuth } = require("./auth");
+const { parsePagination, paginate, buildPageLink } = require("./pagination");
+const {
+  createChecklistRouter,
+  validateChecklist,
+  buildChecklist,
+  checklistProgress,
+  applyAutoComplete
+} = require("./checklist");
+const { createDependenciesRouter, unfinishedBlockers, topologicalOrder } = require("./dependencies");
+const { createTags, normalizeTags, validateTags, parseTagFilter, matchesTags } = require("./tags");
+const { validateRecurrence, normalizeRecurrence, nextOccurrence } = require("./recurrence");
+const { createHistory, createHistoryRouter } = require("./history");
+const { createTrash, isTrashed } = require("./trash");
+const { createBulkRouter } = require("./bulk");
+const { createTransferRouter } = require("./transfer");
+const { createEvents } = require("./events");
+const { versionOf, etagFor, parseIfMatch, matchesVersion, trackVersions } = require("./concurrency");
+const { parseQuery, describeSyntax } = require("./query");
+const { createSearchIndex } = require("./search");
+const { positionOf, trackPositions, createBoardRouter } = require("./board");
+const { isOverdue, createCalendarRouter } = require("./calendar");
+const { createNotifier } = require("./notifications");
+const { createReminders } = require("./reminders");
+const { createWebhooks } = require("./webhooks");
+const { createProjects } = require("./projects");
+const { createComments } = require("./comments");
+const { createAttachments } = require("./attachments");
+const { createPeople, parsePersonFilter } = require("./people");
+const { createWorkflow } = require("./workflow");
+const { createFields } = require("./fields");
 const app = express();
 
-const PORT = 3000;
+const PORT = parseInt(process.env.PORT) || 3000;
 
-// Middleware
-app.use(express.json());
+// Middleware (the JSON limit leaves room for task imports)
+app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
@@ -14,8 +46,11 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 // CORS middleware for frontend integration
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  // If-Match and the ETag carry task versions (see src/concurrency.js);
+  // Last-Event-ID resumes the event stream (see src/events.js)
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, If-Match, Last-Event-ID');
+  res.header('Access-Control-Expose-Headers', 'ETag');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -31,10 +66,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// In-memory database for tasks
-let tasks = [
+// Demo tasks loaded into a brand-new store
+const demoTasks = [
   {
-    id: 1,
     title: "Setup Docker Environment",
     description: "Configure Docker for the Node.js application",
     status: "completed",
@@ -44,7 +78,6 @@ let tasks = [
     dueDate: "2025-09-15T23:59:59Z"
   },
   {
-    id: 2,
     title: "Implement CRUD API",
     description: "Create RESTful API with full CRUD operations",
     status: "in-progress",
@@ -54,7 +87,6 @@ let tasks = [
     dueDate: "2025-09-16T23:59:59Z"
   },
   {
-    id: 3,
     title: "Write Documentation",
     description: "Document all API endpoints and usage examples",
     status: "pending",
@@ -65,37 +97,683 @@ let tasks = [
   }
 ];
 
-let nextId = 4;
+// Tasks are private to their owner, their assignee and their watchers; admins
+// can reach any task. Only the owner (or an admin) can delete one.
+const isTaskOwner = (user, task) => user.role === 'admin' || task.ownerId === user.id;
+const canAccessTask = (user, task) =>
+  isTaskOwner(user, task) || task.assigneeId === user.id || (task.watchers || []).includes(user.id);
 
-// Validation functions
-const validateTask = (task) => {
+// Persistent storage (see src/storage). Every task write is recorded in the
+// change log (see src/history.js), pushed to live subscribers (see src/events.js)
+// and outgoing webhooks (see src/webhooks.js) and kept in the full-text index
+// (see src/search.js).
+// Versions and board positions are set first so history and events see them
+// (see src/concurrency.js and src/board.js).
+const store = createStore();
+const history = createHistory({ store });
+const events = createEvents({ store, canAccessTask });
+// Webhook owners are looked up when an event fires, after auth is set up below
+const webhooks = createWebhooks({ store, canAccessTask, findUser: (userId) => findUser(userId) });
+const searchIndex = createSearchIndex({ store });
+const tasks = searchIndex.track(webhooks.track(events.track(history.track(trackVersions(trackPositions(store.collection('tasks')))))));
+
+// Seed only on first run so deleting every task does not bring the demo back
+if (!store.getMeta('seeded')) {
+  if (tasks.count() === 0 && process.env.SEED_DEMO_DATA !== 'false') {
+    store.transaction(() => demoTasks.forEach(task => tasks.insert(task)));
+  }
+  store.setMeta('seeded', true);
+}
+
+// Statuses, priorities and allowed status changes (see src/workflow.js)
+const workflow = createWorkflow({ store, tasks });
+
+// Custom field definitions and the values tasks keep for them (see src/fields.js)
+const customFields = createFields({ store, tasks });
+
+// Authentication (see src/auth.js). The first account to register adopts any
+// tasks created before accounts existed, such as the demo seed.
+const { router: authRouter, requireAuth, findUser, findUserByUsername, listUsers } = createAuth({
+  store,
+  onFirstUser: (user) => {
+    tasks.all()
+      .filter(task => !task.ownerId)
+      .forEach(task => tasks.update(task.id, { ...task, ownerId: user.id }));
+  }
+});
+
+// Trashed tasks (see src/trash.js) are invisible everywhere except the trash
+const getActiveTask = (taskId) => {
+  const task = tasks.get(taskId);
+  return task && !isTrashed(task) ? task : null;
+};
+
+const activeTasks = () => tasks.all().filter(task => !isTrashed(task));
+
+const findTask = (req, taskId) => {
+  const task = getActiveTask(taskId);
+  return task && canAccessTask(req.user, task) ? task : null;
+};
+
+const ownTasks = (req) => activeTasks().filter(task => task.ownerId === req.user.id);
+
+// Tasks you own, are assigned to or watch
+const involvedTasks = (req) => activeTasks().filter(task =>
+  task.ownerId === req.user.id || task.assigneeId === req.user.id || (task.watchers || []).includes(req.user.id));
+
+const trash = createTrash({ store, tasks, canAccessTask: isTaskOwner });
+
+// Assignees, watchers and the people list (see src/people.js)
+const people = createPeople({ listUsers, findUser, workflow });
+
+// Projects that group tasks; archived projects hide theirs (see src/projects.js)
+const projects = createProjects({ store, tasks, workflow });
+
+// Threaded comments and the task timeline (see src/comments.js)
+const comments = createComments({ store, history, events, findTask, canAccessTask, findUserByUsername });
+trash.onPurge(comments.removeFor);
+
+// File attachments stored behind a pluggable backend (see src/attachments)
+const attachments = createAttachments({ store, findTask });
+trash.onPurge(attachments.removeFor);
+
+// Due-date reminders, delivered to the browser, webhooks or email (see
+// src/reminders.js and src/notifications)
+const reminders = createReminders({ store, tasks, findTask, workflow, notifier: createNotifier({ events }) });
+
+// Tag registry (see src/tags.js)
+const { router: tagsRouter, registerTags, userTags } = createTags({ store, tasks });
+
+// Validation functions. Pass the stored task as `existing` when updating.
+const validateTask = (task, existing) => {
   const errors = [];
   
-  if (!task.title || task.title.trim().length === 0) {
+  // Bodies and imported rows can hold any JSON value
+  if (task.title !== undefined && task.title !== null && typeof task.title !== 'string') {
+    errors.push("Title must be a string");
+  } else if (!task.title || task.title.trim().length === 0) {
     errors.push("Title is required");
-  }
-  
-  if (task.title && task.title.length > 100) {
+  } else if (task.title.length > 100) {
     errors.push("Title must be less than 100 characters");
   }
   
-  if (task.description && task.description.length > 500) {
+  if (task.description !== undefined && task.description !== null && typeof task.description !== 'string') {
+    errors.push("Description must be a string");
+  } else if (task.description && task.description.length > 500) {
     errors.push("Description must be less than 500 characters");
   }
   
-  if (task.status && !['pending', 'in-progress', 'completed', 'cancelled'].includes(task.status)) {
-    errors.push("Status must be one of: pending, in-progress, completed, cancelled");
+  if (task.dueDate !== undefined && task.dueDate !== null && typeof task.dueDate !== 'string') {
+    errors.push("dueDate must be a date string or null");
+  }
+  
+  // Statuses, priorities and status changes the workflow allows
+  errors.push(...workflow.validate(task, existing));
+  
+  if (task.autoComplete !== undefined && typeof task.autoComplete !== 'boolean') {
+    errors.push("autoComplete must be true or false");
+  }
+  
+  errors.push(...validateChecklist(task.checklist));
+  errors.push(...validateTags(task.tags));
+  errors.push(...validateRecurrence(task.recurrence, task.dueDate));
+  errors.push(...people.validateAssignment(task));
+  
+  // Required custom fields are checked when a task is created or its values
+  // change; PUT and PATCH pass the stored values through untouched otherwise
+  errors.push(...customFields.validateValues(task.fields, {
+    checkRequired: !existing || task.fields !== existing.fields
+  }));
+  
+  // Tasks can only move into one of their owner's active projects
+  if (!existing || existing.projectId !== task.projectId) {
+    errors.push(...projects.validateProjectId(task.projectId, task.ownerId));
   }
   
-  if (task.priority && !['low', 'medium', 'high', 'urgent'].includes(task.priority)) {
-    errors.push("Priority must be one of: low, medium, high, urgent");
+  // Work cannot start or finish while a blocker is still open
+  const statusChanged = !existing || existing.status !== task.status;
+  if (statusChanged && ['active', 'done'].includes(workflow.categoryOf(task.status))) {
+    const blockers = unfinishedBlockers(task, getActiveTask, workflow);
+    if (blockers.length > 0) {
+      errors.push(`Cannot set status to ${task.status} while blocked by unfinished task(s): ${
+        blockers.map(blocker => `#${blocker.id} "${blocker.title}"`).join(', ')}`);
+    }
   }
   
   return errors;
 };
 
+// Checklist auto-completion waits for every blocker to finish
+const isBlocked = (task) => unfinishedBlockers(task, getActiveTask, workflow).length > 0;
+
+// Completing an occurrence of a recurring task creates the next one with the
+// due date rolled forward. Returns the new task, or null.
+const spawnNextOccurrence = (previous, task) => {
+  if (!task.recurrence || !workflow.isDone(task) || workflow.isDone(previous) || task.nextOccurrenceId) {
+    return null;
+  }
+  
+  const occurrence = task.occurrence || 1;
+  const dueDate = nextOccurrence(task.recurrence, task.dueDate, occurrence);
+  if (!dueDate) return null;
+  
+  const now = new Date().toISOString();
+  // The next occurrence gets its own board slot at the end of its column
+  const { id, blockedBy, nextOccurrenceId, position, ...template } = task;
+  const next = tasks.insert({
+    ...template,
+    status: workflow.initialStatus(),
+    createdAt: now,
+    updatedAt: now,
+    dueDate,
+    checklist: (task.checklist || []).map(item => ({ ...item, done: false, completedAt: null })),
+    seriesId: task.seriesId || task.id,
+    occurrence: occurrence + 1
+  });
+  
+  task.nextOccurrenceId = next.id;
+  tasks.update(task.id, task);
+  return next;
+};
+
+// Sorting helpers shared by GET /api/tasks and its pagination cursors.
+// Priorities and statuses sort in the order the workflow lists them;
+// sortBy=field.<key> sorts by a custom field.
+const sortPosition = (task, sortBy) => {
+  let value = sortBy ? task[sortBy] : task.id;
+  if (sortBy === 'priority') {
+    value = workflow.priorityRank(task.priority);
+  }
+  if (sortBy === 'status') {
+    value = workflow.statusRank(task.status);
+  }
+  if (sortBy === 'position') {
+    value = positionOf(task);
+  }
+  if (sortBy && sortBy.startsWith('field.')) {
+    value = customFields.sortValue(task, sortBy.slice('field.'.length));
+  }
+  return { v: value === undefined ? null : value, id: task.id };
+};
+
+// Order by value, then by id so every task has a unique position. Empty values
+// always sort last.
+const comparePositions = (a, b, sortOrder) => {
+  if (a.v === null && b.v !== null) return 1;
+  if (b.v === null && a.v !== null) return -1;
+  
+  let result = 0;
+  if (a.v < b.v) result = -1;
+  if (a.v > b.v) result = 1;
+  if (result === 0) result = a.id - b.id;
+  return result * sortOrder;
+};
+
+// Owner scope, filters and sort shared by GET /api/tasks and the exports (see
+// src/transfer.js). Returns { error: { status, body } } or the matching tasks.
+// A search with words or phrases sorts by relevance unless ?sortBy= says otherwise.
+const queryTasks = (req) => {
+  const { status, priority, search, order, owner, tags, tagMode, project, assignee, watcher } = req.query;
+  let { sortBy } = req.query;
+  
+  // Owner scope: your own tasks unless an admin asks for ?owner=all or ?owner=<userId>
+  if (owner && owner !== 'me' && req.user.role !== 'admin') {
+    return {
+      error: {
+        status: 403,
+        body: {
+          success: false,
+          message: "Only admins can list other users' tasks"
+        }
+      }
+    };
+  }
+  
+  // ?assignee= and ?watcher= take me, none or a user ID
+  const assigneeId = assignee ? parsePersonFilter(assignee, req.user) : undefined;
+  const watcherId = watcher ? parsePersonFilter(watcher, req.user) : undefined;
+  if ((assignee && assigneeId === undefined) || (watcher && watcherId === undefined)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          message: "Invalid filters",
+          errors: ["assignee and watcher must be me, none or a user ID"]
+        }
+      }
+    };
+  }
+  
+  // Without ?owner=, the assignee and watcher filters look at every task you
+  // are involved in, so ?assignee=me finds work other people gave you
+  let allTasks;
+  if (!owner && (assignee || watcher)) {
+    allTasks = involvedTasks(req);
+  } else if (!owner || owner === 'me') {
+    allTasks = ownTasks(req);
+  } else if (owner === 'all') {
+    allTasks = activeTasks();
+  } else {
+    allTasks = activeTasks().filter(task => task.ownerId === parseInt(owner));
+  }
+  
+  // Project scope: ?project=<id> or none; tasks in archived projects are
+  // hidden unless their project is asked for
+  const scoped = projects.scopeTasks(allTasks, project, req.user);
+  if (scoped.error) {
+    return { error: scoped.error };
+  }
+  allTasks = scoped.tasks;
+  let filteredTasks = [...allTasks];
+  
+  // Filter by status
+  if (status) {
+    filteredTasks = filteredTasks.filter(task => 
+      task.status.toLowerCase() === status.toLowerCase()
+    );
+  }
+  
+  // Filter by priority
+  if (priority) {
+    filteredTasks = filteredTasks.filter(task => 
+      task.priority.toLowerCase() === priority.toLowerCase()
+    );
+  }
+  
+  // Filter by assignee and watcher
+  if (assignee) {
+    filteredTasks = filteredTasks.filter(task => (task.assigneeId || null) === assigneeId);
+  }
+  
+  if (watcher) {
+    filteredTasks = filteredTasks.filter(task => (watcherId === null
+      ? (task.watchers || []).length === 0
+      : (task.watchers || []).includes(watcherId)));
+  }
+  
+  // Filter by custom fields: ?field.<key>=value
+  const fieldFilters = customFields.parseFilters(req.query);
+  if (fieldFilters.errors) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          message: "Invalid filters",
+          errors: fieldFilters.errors
+        }
+      }
+    };
+  }
+  fieldFilters.filters.forEach(matches => {
+    filteredTasks = filteredTasks.filter(matches);
+  });
+  
+  // Filter by tags (tagMode=any by default, or all)
+  if (tags) {
+    const wanted = parseTagFilter(tags);
+    if (wanted.length > 0) {
+      filteredTasks = filteredTasks.filter(task => matchesTags(task, wanted, tagMode));
+    }
+  }
+  
+  // Search query: words, "phrases", field:value terms, AND/OR/NOT (see src/query.js).
+  // Words are looked up in the full-text index (see src/search.js).
+  let searchTerms = [];
+  if (search) {
+    const parsed = parseQuery(search, {
+      statuses: workflow.statusKeys(),
+      priorityOrder: workflow.priorityOrder(),
+      customFields: customFields.list(),
+      matchText: searchIndex.matchText
+    });
+    if (parsed.errors) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            success: false,
+            message: "Invalid search query",
+            errors: parsed.errors,
+            position: parsed.position
+          }
+        }
+      };
+    }
+    filteredTasks = filteredTasks.filter(parsed.filter);
+    searchTerms = parsed.terms;
+  }
+  
+  // Sort tasks; relevance is always best match first
+  if (!sortBy && searchTerms.length > 0) sortBy = 'relevance';
+  const sortOrder = order === 'desc' && sortBy !== 'relevance' ? -1 : 1;
+  const scores = new Map(searchTerms.length > 0
+    ? filteredTasks.map(task => [task.id, searchIndex.score(task, searchTerms)])
+    : []);
+  const positionOf = sortBy === 'relevance'
+    ? (task) => ({ v: -(scores.get(task.id) || 0), id: task.id })
+    : (task) => sortPosition(task, sortBy);
+  const compare = (a, b) => comparePositions(a, b, sortOrder);
+  filteredTasks.sort((a, b) => compare(positionOf(a), positionOf(b)));
+  
+  // Score and highlighted title/snippet for a task in the results
+  const matchOf = searchTerms.length > 0
+    ? (task) => ({ score: Math.round(scores.get(task.id) * 1000) / 1000, ...searchIndex.highlight(task, searchTerms) })
+    : null;
+  
+  return {
+    allTasks,
+    filteredTasks,
+    sortBy,
+    sortOrder,
+    positionOf,
+    compare,
+    matchOf,
+    filters: {
+      status, priority, search, sortBy, order, owner, tags, tagMode, project, assignee, watcher,
+      ...Object.fromEntries(Object.entries(req.query).filter(([param]) => param.startsWith('field.')))
+    }
+  };
+};
+
+// Task writes shared by the single-task routes, POST /api/tasks/bulk (see
+// src/bulk.js) and imports (see src/transfer.js). Each returns the HTTP status, optional headers and the
+// response body. `expectedVersion` is the parsed If-Match (see src/concurrency.js).
+const notFound = (taskId) => ({
+  status: 404,
+  body: {
+    success: false,
+    message: `Task with ID ${taskId} not found`
+  }
+});
+
+const validationFailed = (errors) => ({
+  status: 400,
+  body: {
+    success: false,
+    message: "Validation failed",
+    errors
+  }
+});
+
+// 412 with the current server copy so the client can merge or overwrite
+const versionConflict = (task) => ({
+  status: 412,
+  headers: { ETag: etagFor(task) },
+  body: {
+    success: false,
+    message: `Task ${task.id} was changed by someone else and is now at version ${versionOf(task)}`,
+    currentVersion: versionOf(task),
+    data: task
+  }
+});
+
+// Assignees and watchers can edit a task, but only its owner (or an admin) can
+// reassign it or add and remove other watchers. Sending the current values is
+// fine, and anyone who can see the task can start or stop watching it.
+const changesPeople = (task, { assigneeId, watchers }, user) => {
+  const reassigned = assigneeId !== undefined && (assigneeId || null) !== (task.assigneeId || null);
+  const others = (ids) => ids.filter(id => id !== user.id).sort().join();
+  return reassigned ||
+    (Array.isArray(watchers) && others(people.normalizeWatchers(watchers)) !== others(task.watchers || []));
+};
+
+const notOwnerOfPeople = () => ({
+  status: 403,
+  body: {
+    success: false,
+    message: "Only the task's owner can reassign it or change its other watchers"
+  }
+});
+
+const taskOperations = {
+  create: (req, input) => {
+    const { title, description, status, priority, dueDate, checklist, autoComplete, tags, recurrence, projectId, assigneeId, watchers, fields } = input;
+    
+    // Validate input
+    const errors = validateTask({ ...input, ownerId: req.user.id });
+    if (errors.length > 0) {
+      return validationFailed(errors);
+    }
+    
+    const now = new Date().toISOString();
+    registerTags(req.user.id, tags);
+    const newTask = tasks.insert(applyAutoComplete({
+      ownerId: req.user.id,
+      title: title.trim(),
+      description: description ? description.trim() : "",
+      status: status || workflow.initialStatus(),
+      priority: priority || workflow.defaultPriority(),
+      createdAt: now,
+      updatedAt: now,
+      dueDate: dueDate || null,
+      checklist: buildChecklist(checklist),
+      autoComplete: autoComplete === true,
+      tags: normalizeTags(tags),
+      recurrence: normalizeRecurrence(recurrence, dueDate),
+      projectId: projectId || null,
+      assigneeId: assigneeId || null,
+      watchers: people.normalizeWatchers(watchers),
+      fields: customFields.normalizeValues(fields),
+      ...(recurrence ? { occurrence: 1 } : {})
+    }, workflow, isBlocked));
+    
+    return {
+      status: 201,
+      headers: { ETag: etagFor(newTask) },
+      body: {
+        success: true,
+        message: "Task created successfully",
+        data: newTask
+      }
+    };
+  },
+  
+  update: (req, taskId, input, expectedVersion) => {
+    const originalTask = findTask(req, taskId);
+    
+    if (!originalTask) {
+      return notFound(taskId);
+    }
+    
+    if (!isTaskOwner(req.user, originalTask) && changesPeople(originalTask, input, req.user)) {
+      return notOwnerOfPeople();
+    }
+    
+    if (!matchesVersion(originalTask, expectedVersion)) {
+      return versionConflict(originalTask);
+    }
+    
+    // Validate input; a PUT without a status moves the task to the initial one
+    const errors = validateTask({
+      ...input,
+      status: input.status || workflow.initialStatus(),
+      ownerId: originalTask.ownerId,
+      blockedBy: originalTask.blockedBy,
+      projectId: input.projectId !== undefined ? input.projectId : originalTask.projectId,
+      fields: input.fields !== undefined ? input.fields : originalTask.fields
+    }, originalTask);
+    if (errors.length > 0) {
+      return validationFailed(errors);
+    }
+    
+    const { title, description, status, priority, dueDate, checklist, autoComplete, tags, recurrence, projectId, assigneeId, watchers, fields } = input;
+    
+    registerTags(originalTask.ownerId, tags);
+    
+    // The checklist has its own endpoints, so PUT only replaces it when one is
+    // sent; the project, assignee, watchers and custom fields are kept the same way
+    const { updatedTask, nextTask } = store.transaction(() => {
+      const saved = tasks.update(taskId, applyAutoComplete({
+        ...originalTask,
+        title: title.trim(),
+        description: description ? description.trim() : "",
+        status: status || workflow.initialStatus(),
+        priority: priority || workflow.defaultPriority(),
+        updatedAt: new Date().toISOString(),
+        dueDate: dueDate || null,
+        checklist: checklist !== undefined ? buildChecklist(checklist) : (originalTask.checklist || []),
+        autoComplete: autoComplete !== undefined ? autoComplete : Boolean(originalTask.autoComplete),
+        tags: normalizeTags(tags),
+        recurrence: normalizeRecurrence(recurrence, dueDate),
+        projectId: projectId !== undefined ? projectId : (originalTask.projectId || null),
+        assigneeId: assigneeId !== undefined ? assigneeId : (originalTask.assigneeId || null),
+        watchers: watchers !== undefined ? people.normalizeWatchers(watchers) : (originalTask.watchers || []),
+        fields: fields !== undefined ? customFields.normalizeValues(fields) : (originalTask.fields || {})
+      }, workflow, isBlocked));
+      return { updatedTask: saved, nextTask: spawnNextOccurrence(originalTask, saved) };
+    });
+    
+    return {
+      status: 200,
+      headers: { ETag: etagFor(updatedTask) },
+      body: {
+        success: true,
+        message: "Task updated successfully",
+        data: updatedTask,
+        nextOccurrence: nextTask
+      }
+    };
+  },
+  
+  patch: (req, taskId, input, expectedVersion) => {
+    const originalTask = findTask(req, taskId);
+    
+    if (!originalTask) {
+      return notFound(taskId);
+    }
+    
+    if (!isTaskOwner(req.user, originalTask) && changesPeople(originalTask, input, req.user)) {
+      return notOwnerOfPeople();
+    }
+    
+    if (!matchesVersion(originalTask, expectedVersion)) {
+      return versionConflict(originalTask);
+    }
+    
+    const allowedFields = ['title', 'description', 'status', 'priority', 'dueDate', 'checklist', 'autoComplete', 'tags', 'recurrence', 'projectId', 'assigneeId', 'watchers', 'fields'];
+    const updates = {};
+    
+    // Only include allowed fields that are present in request
+    allowedFields.forEach(field => {
+      if (input.hasOwnProperty(field)) {
+        updates[field] = input[field];
+      }
+    });
+    
+    // Custom field values are merged into the stored ones; null removes one
+    if (updates.hasOwnProperty('fields')) {
+      updates.fields = customFields.mergeValues(originalTask.fields, updates.fields);
+    }
+    
+    // Validate updates
+    const errors = validateTask({ ...originalTask, ...updates }, originalTask);
+    if (errors.length > 0) {
+      return validationFailed(errors);
+    }
+    
+    // Apply updates
+    const patchedTask = { ...originalTask };
+    Object.keys(updates).forEach(key => {
+      if (key === 'title' || key === 'description') {
+        patchedTask[key] = updates[key] ? updates[key].trim() : updates[key];
+      } else if (key === 'checklist') {
+        patchedTask.checklist = buildChecklist(updates.checklist);
+      } else if (key === 'tags') {
+        registerTags(originalTask.ownerId, updates.tags);
+        patchedTask.tags = normalizeTags(updates.tags);
+      } else if (key === 'recurrence') {
+        patchedTask.recurrence = normalizeRecurrence(updates.recurrence, patchedTask.dueDate || originalTask.dueDate);
+      } else if (key === 'watchers') {
+        patchedTask.watchers = people.normalizeWatchers(updates.watchers);
+      } else if (key === 'fields') {
+        patchedTask.fields = customFields.normalizeValues(updates.fields);
+      } else {
+        patchedTask[key] = updates[key];
+      }
+    });
+    
+    patchedTask.updatedAt = new Date().toISOString();
+    const { updatedTask, nextTask } = store.transaction(() => {
+      const saved = tasks.update(taskId, applyAutoComplete(patchedTask, workflow, isBlocked));
+      return { updatedTask: saved, nextTask: spawnNextOccurrence(originalTask, saved) };
+    });
+    
+    return {
+      status: 200,
+      headers: { ETag: etagFor(updatedTask) },
+      body: {
+        success: true,
+        message: "Task updated successfully",
+        data: updatedTask,
+        updated: Object.keys(updates),
+        nextOccurrence: nextTask
+      }
+    };
+  },
+  
+  delete: (req, taskId, expectedVersion) => {
+    const originalTask = findTask(req, taskId);
+    
+    if (!originalTask) {
+      return notFound(taskId);
+    }
+    
+    if (!isTaskOwner(req.user, originalTask)) {
+      return {
+        status: 403,
+        body: {
+          success: false,
+          message: "Only the task's owner can delete it"
+        }
+      };
+    }
+    
+    if (!matchesVersion(originalTask, expectedVersion)) {
+      return versionConflict(originalTask);
+    }
+    
+    // Soft delete: the task waits in the trash until restored or purged
+    const deletedTask = trash.moveToTrash(originalTask, req.user);
+    
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: "Task moved to trash",
+        data: deletedTask
+      }
+    };
+  }
+};
+
 // Routes
 
+// Everything below /api except /api/auth needs a bearer token
+app.use("/api/auth", authRouter);
+app.use(["/api/tasks", "/api/stats", "/api/tags", "/api/activity", "/api/trash", "/api/reminders", "/api/webhooks", "/api/projects", "/api/people", "/api/workflow", "/api/fields"], requireAuth, history.withActor);
+app.use("/api/tags", tagsRouter);
+app.use("/api/projects", projects.router);
+app.use("/api/people", people.router);
+app.use("/api/workflow", workflow.router);
+app.use("/api/fields", customFields.router);
+app.use("/api/trash", trash.router);
+app.use("/api/reminders", reminders.router);
+app.use("/api/webhooks", webhooks.router);
+app.use("/api/events", requireAuth, events.router);
+app.use("/api", createHistoryRouter({ history, tasks, canAccessTask, isTaskOwner, validateTask, operations: taskOperations }));
+app.use("/api/tasks/:id/checklist", createChecklistRouter({ store, tasks, findTask, workflow, operations: taskOperations }));
+app.use("/api/tasks/:id/dependencies", createDependenciesRouter({ tasks, findTask, workflow }));
+app.use("/api/tasks/:id/snooze", reminders.snoozeRouter);
+app.use("/api/tasks/:id/comments", comments.router);
+app.use("/api/tasks/:id/timeline", comments.timelineRouter);
+app.use("/api/tasks/:id/attachments", attachments.router);
+app.use("/api/tasks/bulk", createBulkRouter({ store, operations: taskOperations }));
+app.use("/api/tasks", createBoardRouter({ store, tasks, findTask }));
+app.use("/api/tasks", createCalendarRouter({ queryTasks, workflow }));
+app.use("/api/tasks", createTransferRouter({ store, queryTasks, operations: taskOperations, workflow }));
+
 // Serve the main frontend application
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
@@ -113,32 +791,130 @@ app.get("/api", (req, res) => {
       "GET /": "Web Application Interface",
       "GET /api": "API Documentation",
       "GET /health": "Health check with system information",
-      "GET /api/stats": "Application statistics",
-      "GET /api/tasks": "Get all tasks (supports filtering)",
-      "GET /api/tasks/:id": "Get task by ID",
+      "POST /api/auth/register": "Create an account and receive a bearer token",
+      "POST /api/auth/login": "Log in and receive a bearer token",
+      "POST /api/auth/logout": "Revoke the current token",
+      "GET /api/auth/me": "Current user",
+      "GET /api/stats": "Application statistics with per-project and per-assignee breakdowns (?project= to limit them to one project)",
+      "GET /api/tasks": "Get tasks (supports filtering, sorting and pagination)",
+      "GET /api/tasks/actionable": "Open tasks with no unfinished blockers, in dependency order",
+      "GET /api/tasks/query-syntax": "Fields, operators and values for the search query language (for autocomplete)",
+      "GET /api/tasks/:id": "Get task by ID (ETag header carries its version)",
       "POST /api/tasks": "Create new task",
-      "PUT /api/tasks/:id": "Update task completely",
-      "PATCH /api/tasks/:id": "Update task partially",
-      "DELETE /api/tasks/:id": "Delete task"
+      "POST /api/tasks/bulk": "Create, update, patch or delete up to 200 tasks in one request",
+      "PUT /api/tasks/order": "Reorder tasks, e.g. a board column ({ order: [taskId, ...] })",
+      "GET /api/tasks/calendar": "Tasks due in a date range (?from=&to=, to exclusive; ?includeOverdue=true adds earlier overdue tasks)",
+      "GET /api/tasks/export?format=csv|json|ics": "Download the filtered task list (takes the GET /api/tasks filters)",
+      "POST /api/tasks/import?dryRun=true&skipInvalid=true": "Import tasks from CSV (Content-Type: text/csv) or JSON",
+      "PUT /api/tasks/:id": "Update task completely (If-Match: \"<version>\" returns 412 with the current task if it changed)",
+      "PATCH /api/tasks/:id": "Update task partially (honors If-Match like PUT)",
+      "DELETE /api/tasks/:id": "Move task to the trash (owner or admin only)",
+      "GET /api/trash": "List trashed tasks with their purge dates",
+      "POST /api/trash/:id/restore": "Restore a task from the trash",
+      "DELETE /api/trash/:id": "Permanently delete a trashed task",
+      "DELETE /api/trash": "Empty the trash",
+      "GET /api/events": "Server-Sent Events stream of task.created, task.updated and task.deleted (plus reminder and mention events for you)",
+      "GET /api/reminders": "Your recent reminders with their deliveries, and snoozed tasks",
+      "GET /api/reminders/settings": "Your reminder settings and the channels this server supports",
+      "PUT /api/reminders/settings": "Update reminder settings ({ offsets: [\"1d\", \"1h\"], overdue, channels: [browser|webhook|email], email, webhookUrl })",
+      "POST /api/reminders/test": "Send a test reminder through your channels",
+      "GET /api/webhooks": "Your webhook subscriptions",
+      "POST /api/webhooks": "Subscribe a URL to task events ({ url, secret?, events: [task.created|task.updated|task.status_changed|task.deleted], active?, description? })",
+      "GET /api/webhooks/events": "Event names a webhook can subscribe to",
+      "GET /api/webhooks/:id": "One webhook",
+      "PATCH /api/webhooks/:id": "Update a webhook; secret: null generates a new secret",
+      "DELETE /api/webhooks/:id": "Delete a webhook and its delivery log",
+      "POST /api/webhooks/:id/ping": "Send a webhook.ping event",
+      "GET /api/webhooks/:id/deliveries": "Delivery log with every attempt (?status=pending|succeeded|failed, ?limit=)",
+      "GET /api/webhooks/:id/deliveries/:deliveryId": "One delivery",
+      "POST /api/webhooks/:id/deliveries/:deliveryId/replay": "Send a delivery's payload again as a new delivery",
+      "GET /api/tasks/:id/checklist": "Get a task's checklist with progress",
+      "POST /api/tasks/:id/checklist": "Add a checklist item ({ text, done?, position? })",
+      "PUT /api/tasks/:id/checklist/order": "Reorder checklist items ({ order: [itemId, ...] })",
+      "PATCH /api/tasks/:id/checklist/:itemId": "Edit or toggle a checklist item",
+      "DELETE /api/tasks/:id/checklist/:itemId": "Remove a checklist item",
+      "GET /api/tags": "List your tags with colors and usage counts",
+      "POST /api/tags": "Create a tag ({ name, color? })",
+      "PATCH /api/tags/:id": "Recolor or rename a tag (renames it on every task)",
+      "POST /api/tags/:id/merge": "Merge a tag into another ({ into: tagId })",
+      "DELETE /api/tags/:id": "Delete a tag and remove it from every task",
+      "GET /api/projects": "List your projects with task counts (?archived=true|false)",
+      "POST /api/projects": "Create a project ({ name, description?, color? })",
+      "GET /api/projects/:id": "One project with task counts",
+      "PATCH /api/projects/:id": "Rename, recolor or archive a project ({ name?, description?, color?, archived? })",
+      "DELETE /api/projects/:id": "Delete a project; its tasks move to ?moveTo=<projectId> or to no project",
+      "GET /api/workflow": "Statuses (with their category: todo, active, done or cancelled), allowed transitions and priorities",
+      "PUT /api/workflow": "Replace the workflow (admins only; { statuses, initialStatus?, transitions?, priorities, defaultPriority?, migrate? })",
+      "GET /api/fields": "Custom field definitions with how many tasks use each",
+      "POST /api/fields": "Create a custom field (admins only; { key, type: text|number|date|enum|boolean|url, label?, description?, required?, minLength?, maxLength?, pattern?, min?, max?, integer?, options? })",
+      "GET /api/fields/:id": "One custom field",
+      "PATCH /api/fields/:id": "Change a custom field's label, description or rules (admins only; the key and type are fixed; 409 if task values would break the rules)",
+      "DELETE /api/fields/:id": "Delete a custom field and its value on every task (admins only)",
+      "GET /api/people": "People tasks can be assigned to, with initials and avatar colors (?q= to search)",
+      "GET /api/tasks/:id/history": "Change log for a task (who changed which field, from what to what)",
+      "POST /api/tasks/:id/restore": "Roll a task back to { revision }, or undelete it",
+      "GET /api/activity": "Activity feed across your tasks, newest first (?limit=)",
+      "GET /api/tasks/:id/dependencies": "What blocks this task and what it blocks",
+      "POST /api/tasks/:id/dependencies": "Mark this task blocked by another ({ blockedBy: taskId })",
+      "DELETE /api/tasks/:id/dependencies/:blockerId": "Remove a blocker",
+      "GET /api/tasks/:id/comments": "A task's comments as threads (?flat=true for one list)",
+      "POST /api/tasks/:id/comments": "Comment, or reply with parentId ({ body, parentId? }); @username mentions notify that user",
+      "GET /api/tasks/:id/comments/:commentId": "One comment with its edit history",
+      "PATCH /api/tasks/:id/comments/:commentId": "Edit your comment ({ body }); the old text is kept in edits",
+      "DELETE /api/tasks/:id/comments/:commentId": "Delete your comment (admins: any comment)",
+      "GET /api/tasks/:id/timeline": "Comments and status changes together, oldest first",
+      "GET /api/tasks/:id/attachments": "A task's attachments with the upload limits",
+      "POST /api/tasks/:id/attachments": "Upload up to 10 files as multipart/form-data",
+      "GET /api/tasks/:id/attachments/:attachmentId": "One attachment's metadata (name, type, size, sha256 checksum)",
+      "GET /api/tasks/:id/attachments/:attachmentId/download": "Download the file (streamed as an attachment)",
+      "DELETE /api/tasks/:id/attachments/:attachmentId": "Delete an attachment",
+      "PUT /api/tasks/:id/snooze": "Snooze this task's reminders ({ minutes } or { until }); one reminder is sent when it ends",
+      "DELETE /api/tasks/:id/snooze": "Cancel a snooze"
     },
+    authentication: "Send 'Authorization: Bearer <token>' on all /api/tasks and /api/stats requests (GET requests such as /api/events may pass ?access_token=<token> instead)",
     queryParameters: {
       "/api/tasks": {
-        "status": "Filter by status (pending, in-progress, completed, cancelled)",
-        "priority": "Filter by priority (low, medium, high, urgent)",
-        "search": "Search in title and description",
-        "sortBy": "Sort by field (title, createdAt, updatedAt, priority)",
-        "order": "Sort order (asc, desc)"
+        "status": "Filter by status (one of the workflow's statuses; see GET /api/workflow)",
+        "priority": "Filter by priority (one of the workflow's priorities)",
+        "search": "Search query: words and \"phrases\" match title or description; field:value terms (status, priority, due, created, updated, tag, title, description, or a custom field key) with :, >, >=, <, <=; combine with AND, OR, NOT/-term and parentheses",
+        "tags": "Comma-separated tags to filter by",
+        "tagMode": "any (default: task has at least one tag) or all (task has every tag)",
+        "sortBy": "Sort by field (title, createdAt, updatedAt, priority, status, dueDate, position, relevance, or field.<key> for a custom field; priority and status follow the workflow order; searches default to relevance)",
+        "order": "Sort order (asc, desc)",
+        "owner": "me (default); admins may also use all or a user ID",
+        "project": "A project ID or none (tasks without a project); by default tasks in archived projects are hidden",
+        "assignee": "me, none or a user ID; without owner, looks at every task you own, are assigned to or watch",
+        "watcher": "me, none or a user ID (same scope as assignee)",
+        "field.<key>": "A custom field's value (comma-separated for several, none for no value; text and URL fields match when they contain it)",
+        "limit": "Page size (default 50, max 200)",
+        "offset": "Number of matching tasks to skip",
+        "cursor": "Opaque cursor from pagination.nextCursor/prevCursor or links.next/prev"
       }
     },
     taskStructure: {
       "id": "number (auto-generated)",
+      "ownerId": "number (user who created the task)",
       "title": "string (required, max 100 chars)",
       "description": "string (optional, max 500 chars)",
-      "status": "string (pending|in-progress|completed|cancelled)",
-      "priority": "string (low|medium|high|urgent)",
+      "status": "string (a workflow status; pending|in-progress|completed|cancelled by default)",
+      "priority": "string (a workflow priority; low|medium|high|urgent by default)",
       "createdAt": "ISO date string",
       "updatedAt": "ISO date string",
-      "dueDate": "ISO date string (optional)"
+      "dueDate": "ISO date string (optional)",
+      "checklist": "array of { id, text, done, createdAt, completedAt } (optional, max 100 items)",
+      "autoComplete": "boolean (complete the task when every checklist item is done)",
+      "tags": "array of strings (optional, max 20, stored lowercase)",
+      "recurrence": "{ frequency: daily|weekly|monthly, interval?, weekdays?: [MO..SU], monthDay?, until? | count? } or an RRULE string such as FREQ=WEEKLY;BYDAY=MO,WE (requires dueDate)",
+      "occurrence": "number (which occurrence of a recurring series this task is)",
+      "blockedBy": "array of task IDs that must be completed or cancelled before this task can start",
+      "deletedAt": "ISO date string (set while the task is in the trash)",
+      "version": "number (goes up by one on every change; sent as the ETag)",
+      "position": "number (manual order on the board; set with PUT /api/tasks/order)",
+      "projectId": "number (the project the task belongs to) or null",
+      "assigneeId": "number (the user doing the task) or null; assignees can see and edit the task, only the owner can reassign it",
+      "watchers": "array of user IDs following the task (max 20); watchers can see and edit the task",
+      "fields": "object of custom field values keyed by field key (see GET /api/fields); PATCH merges it and null removes a value",
+      "commentCount": "number (comments on the task; only in GET /api/tasks responses)"
     },
     examples: {
       "createTask": {
@@ -147,6 +923,14 @@ app.get("/api", (req, res) => {
         "status": "pending",
         "priority": "high",
         "dueDate": "2025-09-20T23:59:59Z"
+      },
+      "bulkRequest": {
+        "transactional": true,
+        "operations": [
+          { "action": "create", "data": { "title": "Write release notes" } },
+          { "action": "patch", "id": 2, "data": { "status": "completed" } },
+          { "action": "delete", "id": 3 }
+        ]
       }
     }
   });
@@ -155,6 +939,7 @@ app.get("/api", (req, res) => {
 // Health check endpoint
 app.get("/health", (req, res) => {
   const memoryUsage = process.memoryUsage();
+  const allTasks = activeTasks();
   
   res.json({
     status: "healthy",
@@ -171,13 +956,12 @@ app.get("/health", (req, res) => {
       }
     },
     database: {
-      totalTasks: tasks.length,
-      tasksByStatus: {
-        pending: tasks.filter(t => t.status === 'pending').length,
-        'in-progress': tasks.filter(t => t.status === 'in-progress').length,
-        completed: tasks.filter(t => t.status === 'completed').length,
-        cancelled: tasks.filter(t => t.status === 'cancelled').length
-      }
+      driver: store.driver,
+      totalTasks: allTasks.length,
+      tasksByStatus: workflow.breakdown(allTasks).statuses
+    },
+    realtime: {
+      subscribers: events.clientCount()
     }
   });
 });
@@ -185,93 +969,145 @@ app.get("/health", (req, res) => {
 // Application statistics
 app.get("/api/stats", (req, res) => {
   const now = new Date();
-  const overdueTasks = tasks.filter(task => 
-    task.dueDate && new Date(task.dueDate) < now && task.status !== 'completed'
-  );
+  // ?project= limits the stats to one project (or "none")
+  const scoped = projects.scopeTasks(ownTasks(req), req.query.project, req.user);
+  if (scoped.error) {
+    return res.status(scoped.error.status).json(scoped.error.body);
+  }
+  const allTasks = scoped.tasks;
+  const overdueTasks = allTasks.filter(task => isOverdue(task, workflow, now));
+  const breakdown = workflow.breakdown(allTasks);
+  
+  // Checklist items across all tasks
+  const checklistTotals = allTasks.reduce((totals, task) => {
+    const { total, done } = checklistProgress(task);
+    return {
+      tasks: totals.tasks + (total > 0 ? 1 : 0),
+      total: totals.total + total,
+      done: totals.done + done
+    };
+  }, { tasks: 0, total: 0, done: 0 });
   
   res.json({
     success: true,
     data: {
-      totalTasks: tasks.length,
-      statusBreakdown: {
-        pending: tasks.filter(t => t.status === 'pending').length,
-        'in-progress': tasks.filter(t => t.status === 'in-progress').length,
-        completed: tasks.filter(t => t.status === 'completed').length,
-        cancelled: tasks.filter(t => t.status === 'cancelled').length
-      },
-      priorityBreakdown: {
-        low: tasks.filter(t => t.priority === 'low').length,
-        medium: tasks.filter(t => t.priority === 'medium').length,
-        high: tasks.filter(t => t.priority === 'high').length,
-        urgent: tasks.filter(t => t.priority === 'urgent').length
-      },
+      totalTasks: allTasks.length,
+      // One entry per workflow status and priority, in workflow order
+      statusBreakdown: breakdown.statuses,
+      categoryBreakdown: breakdown.categories,
+      priorityBreakdown: breakdown.priorities,
       overdueTasks: overdueTasks.length,
-      completionRate: tasks.length > 0 ? 
-        Math.round((tasks.filter(t => t.status === 'completed').length / tasks.length) * 100) : 0
+      completionRate: allTasks.length > 0 ? 
+        Math.round((breakdown.categories.done / allTasks.length) * 100) : 0,
+      tagBreakdown: allTasks.reduce((breakdown, task) => {
+        (task.tags || []).forEach(tag => {
+          breakdown[tag] = (breakdown[tag] || 0) + 1;
+        });
+        return breakdown;
+      }, {}),
+      checklist: {
+        tasksWithChecklist: checklistTotals.tasks,
+        totalItems: checklistTotals.total,
+        completedItems: checklistTotals.done,
+        completionRate: checklistTotals.total > 0 ?
+          Math.round((checklistTotals.done / checklistTotals.total) * 100) : 0
+      },
+      projectBreakdown: projects.breakdown(req.user.id, projects.withoutArchived(ownTasks(req))),
+      workloadBreakdown: people.workload(allTasks, now)
     }
   });
 });
 
 // GET all tasks with filtering and sorting
 app.get("/api/tasks", (req, res) => {
-  let filteredTasks = [...tasks];
-  const { status, priority, search, sortBy, order } = req.query;
-  
-  // Filter by status
-  if (status) {
-    filteredTasks = filteredTasks.filter(task => 
-      task.status.toLowerCase() === status.toLowerCase()
-    );
+  const query = queryTasks(req);
+  if (query.error) {
+    return res.status(query.error.status).json(query.error.body);
   }
+  const { allTasks, filteredTasks, sortBy, sortOrder, positionOf, compare, matchOf, filters } = query;
   
-  // Filter by priority
-  if (priority) {
-    filteredTasks = filteredTasks.filter(task => 
-      task.priority.toLowerCase() === priority.toLowerCase()
-    );
-  }
-  
-  // Search in title and description
-  if (search) {
-    const searchLower = search.toLowerCase();
-    filteredTasks = filteredTasks.filter(task => 
-      task.title.toLowerCase().includes(searchLower) ||
-      (task.description && task.description.toLowerCase().includes(searchLower))
-    );
+  // Paginate with either offset or cursor
+  const { limit, offset, cursor, errors } = parsePagination(req.query);
+  const signature = `${sortBy || 'id'}:${sortOrder}`;
+  if (cursor && cursor.s !== signature) {
+    errors.push("Cursor was created for a different sortBy/order; start again from the first page");
   }
-  
-  // Sort tasks
-  if (sortBy) {
-    const sortOrder = order === 'desc' ? -1 : 1;
-    filteredTasks.sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-      
-      if (sortBy === 'priority') {
-        const priorityOrder = { low: 1, medium: 2, high: 3, urgent: 4 };
-        aValue = priorityOrder[a.priority] || 0;
-        bValue = priorityOrder[b.priority] || 0;
-      }
-      
-      if (aValue < bValue) return -1 * sortOrder;
-      if (aValue > bValue) return 1 * sortOrder;
-      return 0;
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid pagination parameters",
+      errors
     });
   }
   
+  const page = paginate(filteredTasks, { limit, offset, cursor, signature, positionOf, compare });
+  const useOffset = offset !== null;
+  
+  res.json({
+    success: true,
+    count: page.page.length,
+    total: allTasks.length,
+    filters,
+    pagination: {
+      limit,
+      start: page.start,
+      matching: filteredTasks.length,
+      hasMore: page.hasNext,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor
+    },
+    links: useOffset ? {
+      next: page.hasNext ? buildPageLink(req, { offset: page.start + limit }) : null,
+      prev: page.hasPrev ? buildPageLink(req, { offset: Math.max(0, page.start - limit) }) : null
+    } : {
+      next: page.nextCursor ? buildPageLink(req, { cursor: page.nextCursor }) : null,
+      prev: page.prevCursor ? buildPageLink(req, { cursor: page.prevCursor }) : null
+    },
+    // Each task carries its comment count; searches also add the relevance
+    // score and highlighted title/snippet
+    data: page.page.map(task => ({
+      ...task,
+      commentCount: comments.countFor(task.id),
+      ...(matchOf ? { match: matchOf(task) } : {})
+    }))
+  });
+});
+
+// GET the search query syntax with your tags, for autocomplete
+app.get("/api/tasks/query-syntax", (req, res) => {
   res.json({
     success: true,
-    count: filteredTasks.length,
-    total: tasks.length,
-    filters: { status, priority, search, sortBy, order },
-    data: filteredTasks
+    data: describeSyntax({
+      statuses: workflow.statusKeys(),
+      priorityOrder: workflow.priorityOrder(),
+      tags: userTags(req.user.id).map(tag => tag.name).sort(),
+      customFields: customFields.list()
+    })
+  });
+});
+
+// GET open tasks with no unfinished blockers, in dependency order
+app.get("/api/tasks/actionable", (req, res) => {
+  // Among tasks that are ready together: most urgent, then earliest due date
+  const byUrgency = (a, b) =>
+    workflow.priorityRank(b.priority) - workflow.priorityRank(a.priority) ||
+    comparePositions(sortPosition(a, 'dueDate'), sortPosition(b, 'dueDate'), 1);
+  
+  const plan = topologicalOrder(projects.withoutArchived(ownTasks(req)), byUrgency, workflow);
+  const actionable = plan.filter(task => unfinishedBlockers(task, getActiveTask, workflow).length === 0);
+  
+  res.json({
+    success: true,
+    count: actionable.length,
+    data: actionable,
+    plan: plan.map(task => task.id)
   });
 });
 
 // GET task by ID
 app.get("/api/tasks/:id", (req, res) => {
   const taskId = parseInt(req.params.id);
-  const task = tasks.find(t => t.id === taskId);
+  const task = findTask(req, taskId);
   
   if (!task) {
     return res.status(404).json({
@@ -280,159 +1116,37 @@ app.get("/api/tasks/:id", (req, res) => {
     });
   }
   
+  // Express answers If-None-Match with 304 once the ETag is set
+  res.set('ETag', etagFor(task));
   res.json({
     success: true,
     data: task
   });
 });
 
+const sendResult = (res, { status, headers, body }) => {
+  if (headers) res.set(headers);
+  res.status(status).json(body);
+};
+
 // CREATE new task
 app.post("/api/tasks", (req, res) => {
-  const { title, description, status, priority, dueDate } = req.body;
-  
-  // Validate input
-  const errors = validateTask(req.body);
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: "Validation failed",
-      errors
-    });
-  }
-  
-  const now = new Date().toISOString();
-  const newTask = {
-    id: nextId++,
-    title: title.trim(),
-    description: description ? description.trim() : "",
-    status: status || "pending",
-    priority: priority || "medium",
-    createdAt: now,
-    updatedAt: now,
-    dueDate: dueDate || null
-  };
-  
-  tasks.push(newTask);
-  
-  res.status(201).json({
-    success: true,
-    message: "Task created successfully",
-    data: newTask
-  });
+  sendResult(res, taskOperations.create(req, req.body));
 });
 
 // UPDATE task completely (PUT)
 app.put("/api/tasks/:id", (req, res) => {
-  const taskId = parseInt(req.params.id);
-  const taskIndex = tasks.findIndex(t => t.id === taskId);
-  
-  if (taskIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: `Task with ID ${taskId} not found`
-    });
-  }
-  
-  // Validate input
-  const errors = validateTask(req.body);
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: "Validation failed",
-      errors
-    });
-  }
-  
-  const { title, description, status, priority, dueDate } = req.body;
-  const originalTask = tasks[taskIndex];
-  
-  tasks[taskIndex] = {
-    ...originalTask,
-    title: title.trim(),
-    description: description ? description.trim() : "",
-    status: status || "pending",
-    priority: priority || "medium",
-    updatedAt: new Date().toISOString(),
-    dueDate: dueDate || null
-  };
-  
-  res.json({
-    success: true,
-    message: "Task updated successfully",
-    data: tasks[taskIndex]
-  });
+  sendResult(res, taskOperations.update(req, parseInt(req.params.id), req.body, parseIfMatch(req.get('If-Match'))));
 });
 
 // UPDATE task partially (PATCH)
 app.patch("/api/tasks/:id", (req, res) => {
-  const taskId = parseInt(req.params.id);
-  const taskIndex = tasks.findIndex(t => t.id === taskId);
-  
-  if (taskIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: `Task with ID ${taskId} not found`
-    });
-  }
-  
-  const allowedFields = ['title', 'description', 'status', 'priority', 'dueDate'];
-  const updates = {};
-  
-  // Only include allowed fields that are present in request
-  allowedFields.forEach(field => {
-    if (req.body.hasOwnProperty(field)) {
-      updates[field] = req.body[field];
-    }
-  });
-  
-  // Validate updates
-  const errors = validateTask({ ...tasks[taskIndex], ...updates });
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: "Validation failed",
-      errors
-    });
-  }
-  
-  // Apply updates
-  Object.keys(updates).forEach(key => {
-    if (key === 'title' || key === 'description') {
-      tasks[taskIndex][key] = updates[key] ? updates[key].trim() : updates[key];
-    } else {
-      tasks[taskIndex][key] = updates[key];
-    }
-  });
-  
-  tasks[taskIndex].updatedAt = new Date().toISOString();
-  
-  res.json({
-    success: true,
-    message: "Task updated successfully",
-    data: tasks[taskIndex],
-    updated: Object.keys(updates)
-  });
+  sendResult(res, taskOperations.patch(req, parseInt(req.params.id), req.body, parseIfMatch(req.get('If-Match'))));
 });
 
-// DELETE task
+// DELETE task (moves it to the trash)
 app.delete("/api/tasks/:id", (req, res) => {
-  const taskId = parseInt(req.params.id);
-  const taskIndex = tasks.findIndex(t => t.id === taskId);
-  
-  if (taskIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      message: `Task with ID ${taskId} not found`
-    });
-  }
-  
-  const deletedTask = tasks.splice(taskIndex, 1)[0];
-  
-  res.json({
-    success: true,
-    message: "Task deleted successfully",
-    data: deletedTask
-  });
+  sendResult(res, taskOperations.delete(req, parseInt(req.params.id), parseIfMatch(req.get('If-Match'))));
 });
 
 // Error handling middleware
@@ -456,12 +1170,36 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, "0.0.0.0", () => {
+const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Task Management CRUD API running on http://0.0.0.0:${PORT}`);
   console.log(`📚 API Documentation: http://0.0.0.0:${PORT}/`);
   console.log(`🏥 Health Check: http://0.0.0.0:${PORT}/health`);
   console.log(`📊 Statistics: http://0.0.0.0:${PORT}/api/stats`);
   console.log(`📋 Tasks API: http://0.0.0.0:${PORT}/api/tasks`);
+  console.log(`💾 Storage: ${store.driver} (${store.location})`);
+  console.log(`🗑️ Trash retention: ${trash.retentionDays} days`);
   console.log(`⚡ Ready to accept requests!`);
 });
 
+// Purge tasks that have outlived the trash retention period
+trash.startPurgeSchedule();
+
+// Send reminders as tasks come due
+reminders.startSchedule();
+
+// Send webhook deliveries and retry the ones that failed
+webhooks.startSchedule();
+
+// Close the store cleanly when the container is stopped
+const shutdown = (signal) => {
+  console.log(`🛑 Received ${signal}, shutting down...`);
+  events.close();
+  server.close(() => {
+    store.close();
+    process.exit(0);
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
@@ -0,0 +1,11 @@
+// Browser channel: the notification goes down the user's live event stream
+// (see src/events.js) as a `reminder` event, and the page shows it with the
+// Notification API.
+const createBrowserChannel = ({ events }) => ({
+  available: true,
+  deliver: async (notification, settings, userId) => {
+    events.notify(userId, 'reminder', notification);
+  }
+});
+
+module.exports = { createBrowserChannel };
@@ -0,0 +1,146 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Header values must stay on one line
+const headerText = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// The bare address for the SMTP envelope: "Reminders <reminders@example.com>"
+// gives reminders@example.com, while the From: header keeps the display name
+const envelopeAddress = (value) => {
+  const match = /<([^<>]*)>\s*$/.exec(String(value));
+  return headerText(match ? match[1] : value).trim();
+};
+
+// Non-ASCII subjects are sent as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const buildMessage = ({ from, to, subject, text }) => {
+  const headers = [
+    `From: ${headerText(from)}`,
+    `To: ${headerText(to)}`,
+    `Subject: ${encodeHeader(headerText(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  // Lines starting with "." are doubled so they cannot end the DATA section
+  const body = String(text).split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line));
+  return [...headers, '', ...body].join('\r\n');
+};
+
+// A minimal SMTP client: enough to hand a message to a relay or to a local
+// test server such as MailHog or smtp4dev. It speaks plain SMTP or implicit
+// TLS (`secure`, usually port 465) with optional AUTH PLAIN; it does not do
+// STARTTLS.
+const sendMail = ({ host, port, secure = false, user, pass, timeoutMs = TIMEOUT_MS }, message) =>
+  new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP server did not answer within ${timeoutMs}ms`)));
+
+    // Replies may span several lines ("250-..." then "250 ..."); complete ones
+    // wait in `replies` until a command reads them
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    let reader = null;
+    let failure = null;
+
+    const settle = () => {
+      if (!reader) return;
+      if (replies.length > 0) {
+        const next = reader;
+        reader = null;
+        next.resolve(replies.shift());
+      } else if (failure) {
+        const next = reader;
+        reader = null;
+        next.reject(failure);
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        lines.push(line.slice(4));
+        if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+          replies.push({ code: parseInt(line.slice(0, 3)), text: lines.join(' ') });
+          lines = [];
+        }
+      }
+      settle();
+    });
+    socket.on('error', (err) => {
+      failure = err;
+      settle();
+    });
+    socket.on('close', () => {
+      failure = failure || new Error("SMTP connection closed");
+      settle();
+    });
+
+    const read = () => new Promise((resolveRead, rejectRead) => {
+      reader = { resolve: resolveRead, reject: rejectRead };
+      settle();
+    });
+
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        const verb = line === null ? 'greeting' : line.split(' ')[0];
+        throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+      }
+      return reply;
+    };
+
+    (async () => {
+      await command(null, [220]);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      if (user) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+      }
+      await command(`MAIL FROM:<${envelopeAddress(message.from)}>`, [250]);
+      await command(`RCPT TO:<${envelopeAddress(message.to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${buildMessage(message)}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    })()
+      .then(resolve, reject)
+      .finally(() => socket.end());
+  });
+
+// Email channel. Configured from SMTP_HOST, SMTP_PORT (25), SMTP_SECURE,
+// SMTP_USER, SMTP_PASS and SMTP_FROM; without SMTP_HOST it is not available.
+const createEmailChannel = ({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 25,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.SMTP_FROM || 'reminders@localhost'
+} = {}) => ({
+  available: Boolean(host),
+  deliver: async (notification, settings) => {
+    if (!host) throw new Error("Email is not configured on this server (set SMTP_HOST)");
+    if (!settings.email) throw new Error("No email address in your reminder settings");
+    await sendMail({ host, port, secure, user, pass }, {
+      from,
+      to: settings.email,
+      subject: notification.title,
+      text: notification.text
+    });
+  }
+});
+
+module.exports = { createEmailChannel, sendMail };
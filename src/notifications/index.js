@@ -0,0 +1,33 @@
+const { createBrowserChannel } = require("./browser");
+const { createWebhookChannel } = require("./webhook");
+const { createEmailChannel } = require("./email");
+
+// Delivery channels for reminders. A channel is { available, deliver(notification,
+// settings, userId) }: `deliver` resolves once the notification is handed over
+// and throws when it cannot be; `available` says whether this server is set up
+// for it. Pass `channels` to add or replace channels.
+const createNotifier = ({
+  events,
+  channels = {
+    browser: createBrowserChannel({ events }),
+    webhook: createWebhookChannel(),
+    email: createEmailChannel()
+  }
+}) => {
+  // Send through every channel in the user's settings; one failing does not stop the others
+  const deliver = (notification, settings, userId) => Promise.all(settings.channels.map(async (name) => {
+    try {
+      if (!channels[name]) throw new Error(`Unknown channel "${name}"`);
+      await channels[name].deliver(notification, settings, userId);
+      return { channel: name, success: true };
+    } catch (err) {
+      return { channel: name, success: false, error: err.message };
+    }
+  }));
+
+  const available = () => Object.keys(channels).filter(name => channels[name].available);
+
+  return { deliver, available, channelNames: Object.keys(channels) };
+};
+
+module.exports = { createNotifier };
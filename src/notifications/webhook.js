@@ -0,0 +1,22 @@
+const { post } = require("../outbound");
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Webhook channel: POSTs the notification as JSON to the URL in the user's
+// reminder settings. Any 2xx answer counts as delivered. The URL is checked
+// again on every send (see src/outbound.js).
+const createWebhookChannel = ({ timeoutMs = TIMEOUT_MS } = {}) => ({
+  available: true,
+  deliver: async (notification, settings) => {
+    if (!settings.webhookUrl) throw new Error("No webhook URL in your reminder settings");
+
+    const response = await post(settings.webhookUrl, {
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'task-reminders' },
+      body: JSON.stringify(notification),
+      timeoutMs
+    });
+    if (!response.ok) throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+  }
+});
+
+module.exports = { createWebhookChannel };
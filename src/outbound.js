@@ -0,0 +1,154 @@
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Enough of a response body to report what went wrong
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// Hosts listed in WEBHOOK_ALLOWED_HOSTS (comma separated) may be reached over
+// plain http and on private addresses, e.g. a receiver inside the same network
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. BlockList also checks IPv4 addresses written as IPv6 (::ffff:a.b.c.d)
+// against the IPv4 ranges; other IPv6 forms of IPv4 are unwrapped by
+// embeddedIPv4().
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// The 16 bytes of an IPv6 address, which may end in a dotted IPv4 address
+const ipv6Bytes = (address) => {
+  let text = address.replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const split = (part) => (part ? part.split(':') : []);
+  const [head, tail] = text.split('::');
+  const groups = tail === undefined
+    ? split(head)
+    : [...split(head), ...Array(8 - split(head).length - split(tail).length).fill('0'), ...split(tail)];
+  return groups.flatMap(group => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]);
+};
+
+// The IPv4 address inside NAT64 (64:ff9b::/96), 6to4 (2002::/16) and
+// IPv4-compatible (::/96) addresses, or null. These reach the IPv4 address,
+// so it has to pass the IPv4 ranges too.
+const embeddedIPv4 = (address) => {
+  const bytes = ipv6Bytes(address);
+  const startsWith = (prefix) => prefix.every((byte, i) => bytes[i] === byte);
+  if (startsWith([0, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0]) || startsWith(Array(12).fill(0))) {
+    return bytes.slice(12).join('.');
+  }
+  if (startsWith([0x20, 0x02])) {
+    return bytes.slice(2, 6).join('.');
+  }
+  return null;
+};
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  if (family === 4) return PRIVATE_RANGES.check(address, 'ipv4');
+
+  const ipv4 = embeddedIPv4(address);
+  return PRIVATE_RANGES.check(address, 'ipv6') || (ipv4 !== null && PRIVATE_RANGES.check(ipv4, 'ipv4'));
+};
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Checks an outgoing URL before it is saved and again before every request.
+// Returns an error message, or null when the URL may be used. Host names are
+// resolved when the request is sent (see post()).
+const checkUrl = (value, allowedHosts = ALLOWED_HOSTS) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return "must be an http(s) URL";
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return "must be an http(s) URL";
+
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) return null;
+  if (url.protocol !== 'https:') return "must be an https URL";
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return "cannot point to a local or private network address";
+  }
+  return null;
+};
+
+// dns.lookup that refuses private addresses, so a public name cannot be
+// pointed at an internal service between the check and the request
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// POST a body to a URL that passes checkUrl(). Redirects are not followed.
+// Resolves with { ok, status, statusText, text } for any answer; rejects for
+// network errors and with a TimeoutError when there is no answer in time.
+const post = (value, { headers = {}, body = '', timeoutMs = TIMEOUT_MS }, allowedHosts = ALLOWED_HOSTS) =>
+  new Promise((resolve, reject) => {
+    const problem = checkUrl(value, allowedHosts);
+    if (problem) return reject(new Error(`URL ${problem}`));
+
+    const url = new URL(value);
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowedHosts.includes(hostOf(url)) ? dns.lookup : publicLookup
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        if (size < MAX_RESPONSE_BYTES) chunks.push(chunk);
+        size += chunk.length;
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode,
+          statusText: response.statusMessage || '',
+          text: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+      response.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      const err = new Error(`No answer within ${timeoutMs}ms`);
+      err.name = 'TimeoutError';
+      request.destroy(err);
+    }, timeoutMs);
+
+    request.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+
+module.exports = { checkUrl, post, isPrivateAddress };
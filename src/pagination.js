@@ -0,0 +1,98 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Cursors are base64url JSON so clients can treat them as opaque strings
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = payload && ['after', 'before'].includes(payload.d) && payload.p && Number.isInteger(payload.p.id);
+    return valid ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Read limit/offset/cursor from the query string
+const parsePagination = (query) => {
+  const errors = [];
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`Limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  let offset = null;
+  if (query.offset !== undefined) {
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push("Offset must be a non-negative integer");
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push("Cursor is invalid");
+    }
+  }
+
+  if (query.offset !== undefined && query.cursor !== undefined) {
+    errors.push("Use either offset or cursor, not both");
+  }
+
+  return { limit, offset, cursor, errors };
+};
+
+// Slice a sorted list. Cursors hold the sort position of the first/last item
+// rather than an index, so pages stay stable while tasks are added or removed.
+const paginate = (items, { limit, offset, cursor, signature, positionOf, compare }) => {
+  let start;
+  let end;
+
+  if (cursor && cursor.d === 'after') {
+    start = items.findIndex(item => compare(positionOf(item), cursor.p) > 0);
+    if (start === -1) start = items.length;
+    end = Math.min(start + limit, items.length);
+  } else if (cursor) {
+    end = items.findIndex(item => compare(positionOf(item), cursor.p) >= 0);
+    if (end === -1) end = items.length;
+    start = Math.max(0, end - limit);
+  } else {
+    start = Math.min(offset || 0, items.length);
+    end = Math.min(start + limit, items.length);
+  }
+
+  const page = items.slice(start, end);
+  const hasNext = end < items.length;
+  const hasPrev = start > 0;
+
+  return {
+    page,
+    start,
+    hasNext,
+    hasPrev,
+    nextCursor: hasNext && page.length > 0
+      ? encodeCursor({ d: 'after', p: positionOf(page[page.length - 1]), s: signature })
+      : null,
+    prevCursor: hasPrev && page.length > 0
+      ? encodeCursor({ d: 'before', p: positionOf(page[0]), s: signature })
+      : null
+  };
+};
+
+// Same URL with the paging parameters swapped out
+const buildPageLink = (req, params) => {
+  const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  query.delete('cursor');
+  query.delete('offset');
+  Object.entries(params).forEach(([key, value]) => query.set(key, value));
+  return `${req.originalUrl.split('?')[0]}?${query}`;
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parsePagination, paginate, buildPageLink };
@@ -0,0 +1,119 @@
+const express = require("express");
+const { isOverdue } = require("./calendar");
+
+const MAX_WATCHERS = 20;
+const AVATAR_COLORS = ['#667eea', '#48bb78', '#ed8936', '#e53e3e', '#38b2ac', '#9f7aea', '#d69e2e', '#3182ce'];
+
+// "Ada Lovelace" -> "AL", "bob.smith" -> "BS", "alice" -> "AL"
+const initialsOf = (user) => {
+  const words = (user.name || user.username).split(/[\s._-]+/).filter(Boolean);
+  const letters = words.length > 1 ? words[0][0] + words[words.length - 1][0] : words[0].slice(0, 2);
+  return letters.toUpperCase();
+};
+
+// Same color for a person everywhere
+const avatarColor = (userId) => AVATAR_COLORS[userId % AVATAR_COLORS.length];
+
+// ?assignee= and ?watcher= values: "me", "none" or a user ID. Returns the user
+// ID, null for none, or undefined if the value is not valid.
+const parsePersonFilter = (value, user) => {
+  if (value === 'me') return user.id;
+  if (value === 'none') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : undefined;
+};
+
+// People tasks can be assigned to and watched by. Every account is a person;
+// a task keeps one `assigneeId` (or null) and a list of `watchers` user IDs.
+// Both can see and edit the task (see canAccessTask in src/index.js).
+const createPeople = ({ listUsers, findUser, workflow }) => {
+  const router = express.Router();
+
+  const personOf = (user) => ({
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    initials: initialsOf(user),
+    color: avatarColor(user.id)
+  });
+
+  const isPerson = (userId) => Number.isInteger(userId) && Boolean(findUser(userId));
+
+  // Used by validateTask
+  const validateAssignment = ({ assigneeId, watchers }) => {
+    const errors = [];
+    if (assigneeId !== undefined && assigneeId !== null && !isPerson(assigneeId)) {
+      errors.push("assigneeId must be the ID of a user, or null");
+    }
+    if (watchers !== undefined) {
+      if (!Array.isArray(watchers)) {
+        errors.push("watchers must be an array of user IDs");
+      } else if (watchers.length > MAX_WATCHERS) {
+        errors.push(`A task can have at most ${MAX_WATCHERS} watchers`);
+      } else if (!watchers.every(isPerson)) {
+        errors.push("watchers must only contain the IDs of users");
+      }
+    }
+    return errors;
+  };
+
+  const normalizeWatchers = (watchers) => [...new Set(watchers || [])];
+
+  // Open, in-progress, completed and overdue counts per assignee for
+  // /api/stats, busiest first, then unassigned tasks
+  const workload = (taskList, now = new Date()) => {
+    const byAssignee = new Map();
+    taskList.forEach(task => {
+      const key = task.assigneeId || null;
+      if (!byAssignee.has(key)) byAssignee.set(key, []);
+      byAssignee.get(key).push(task);
+    });
+
+    const counts = (assigned) => ({
+      total: assigned.length,
+      open: assigned.filter(workflow.isOpen).length,
+      inProgress: assigned.filter(workflow.isActive).length,
+      completed: assigned.filter(workflow.isDone).length,
+      overdue: assigned.filter(task => isOverdue(task, workflow, now)).length
+    });
+
+    const rows = [...byAssignee.keys()]
+      .filter(userId => userId !== null)
+      .map(userId => {
+        const user = findUser(userId);
+        const person = user ? personOf(user) : { id: userId, username: null, name: 'Deleted user', initials: '?', color: '#a0aec0' };
+        return { assignee: person, ...counts(byAssignee.get(userId)) };
+      })
+      .sort((a, b) => b.open - a.open || a.assignee.id - b.assignee.id);
+
+    rows.push({ assignee: null, ...counts(byAssignee.get(null) || []) });
+    return rows;
+  };
+
+  // GET people to assign tasks to; ?q= matches usernames and names
+  router.get("/", (req, res) => {
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["q must be a single search string"]
+      });
+    }
+
+    const q = (req.query.q || '').toLowerCase();
+    const list = listUsers()
+      .filter(user => !q || user.username.toLowerCase().includes(q) || (user.name || '').toLowerCase().includes(q))
+      .sort((a, b) => (a.name || a.username).localeCompare(b.name || b.username))
+      .map(personOf);
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list
+    });
+  });
+
+  return { router, validateAssignment, normalizeWatchers, workload };
+};
+
+module.exports = { createPeople, parsePersonFilter };
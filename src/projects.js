@@ -0,0 +1,288 @@
+const express = require("express");
+const { isTrashed } = require("./trash");
+const { isOverdue } = require("./calendar");
+
+const MAX_PROJECTS = 100;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_COLOR = '#667eea';
+
+const normalizeName = (name) => String(name).trim();
+
+// Counts shown next to a project and in /api/stats; `workflow` says which
+// statuses are open and which are done (see src/workflow.js)
+const summarize = (projectTasks, workflow, now = new Date()) => {
+  const completed = projectTasks.filter(workflow.isDone).length;
+  return {
+    total: projectTasks.length,
+    open: projectTasks.filter(workflow.isOpen).length,
+    completed,
+    overdue: projectTasks.filter(task => isOverdue(task, workflow, now)).length,
+    completionRate: projectTasks.length > 0 ? Math.round((completed / projectTasks.length) * 100) : 0
+  };
+};
+
+// Projects group a user's tasks. A task belongs to at most one project
+// (`projectId`, null for none). Archiving a project hides its tasks from task
+// lists and stats until it is unarchived; they can still be listed with
+// ?project=<id>.
+const createProjects = ({ store, tasks, workflow }) => {
+  const projects = store.collection('projects');
+  const router = express.Router();
+
+  const canAccessProject = (user, project) => user.role === 'admin' || project.ownerId === user.id;
+
+  const userProjects = (ownerId) => projects.all().filter(project => project.ownerId === ownerId);
+
+  const findByName = (ownerId, name) => userProjects(ownerId)
+    .find(project => project.name.toLowerCase() === normalizeName(name).toLowerCase()) || null;
+
+  const archivedIds = () => new Set(projects.all().filter(project => project.archived).map(project => project.id));
+
+  // Tasks in archived projects are left out of lists and stats
+  const withoutArchived = (taskList) => {
+    const archived = archivedIds();
+    return taskList.filter(task => !archived.has(task.projectId));
+  };
+
+  // Used by validateTask: a task can only go into one of its owner's active projects
+  const validateProjectId = (projectId, ownerId) => {
+    if (projectId === undefined || projectId === null) return [];
+    const project = Number.isInteger(projectId) ? projects.get(projectId) : null;
+    if (!project || project.ownerId !== ownerId) {
+      return ["projectId must be the ID of one of your projects, or null"];
+    }
+    if (project.archived) {
+      return [`Project "${project.name}" is archived; unarchive it before adding tasks`];
+    }
+    return [];
+  };
+
+  // Apply ?project= to a task list: a project ID, "none" for tasks without a
+  // project, or nothing for every task outside archived projects. Returns
+  // { tasks } or { error: { status, body } }.
+  const scopeTasks = (taskList, project, user) => {
+    if (project === undefined || project === '') {
+      return { tasks: withoutArchived(taskList) };
+    }
+    if (project === 'none') {
+      return { tasks: taskList.filter(task => !task.projectId) };
+    }
+
+    const projectId = parseInt(project);
+    const found = projects.get(projectId);
+    if (!found || !canAccessProject(user, found)) {
+      return {
+        error: {
+          status: 404,
+          body: {
+            success: false,
+            message: `Project with ID ${project} not found`
+          }
+        }
+      };
+    }
+    return { tasks: taskList.filter(task => task.projectId === found.id) };
+  };
+
+  const ownerTasks = (ownerId) => tasks.all().filter(task => task.ownerId === ownerId && !isTrashed(task));
+
+  const withStats = (project, ownTasks = ownerTasks(project.ownerId)) => ({
+    ...project,
+    stats: summarize(ownTasks.filter(task => task.projectId === project.id), workflow)
+  });
+
+  // Per-project counts for /api/stats, active projects by name, then tasks
+  // without a project
+  const breakdown = (ownerId, taskList) => {
+    const now = new Date();
+    const byProject = userProjects(ownerId)
+      .filter(project => !project.archived)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(project => ({
+        projectId: project.id,
+        name: project.name,
+        color: project.color,
+        ...summarize(taskList.filter(task => task.projectId === project.id), workflow, now)
+      }));
+    byProject.push({
+      projectId: null,
+      name: 'No project',
+      color: null,
+      ...summarize(taskList.filter(task => !task.projectId), workflow, now)
+    });
+    return byProject;
+  };
+
+  const validateProject = ({ name, description, color, archived }) => {
+    const errors = [];
+    if (typeof name !== 'string' || normalizeName(name).length === 0 || normalizeName(name).length > 50) {
+      errors.push("Name must be 1-50 characters");
+    }
+    if (description !== undefined && description !== null &&
+        (typeof description !== 'string' || description.length > 500)) {
+      errors.push("Description must be less than 500 characters");
+    }
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      errors.push("Color must be a hex color like #667eea");
+    }
+    if (archived !== undefined && typeof archived !== 'boolean') {
+      errors.push("archived must be true or false");
+    }
+    return errors;
+  };
+
+  const loadProject = (req, res) => {
+    const projectId = parseInt(req.params.id);
+    const project = projects.get(projectId);
+
+    if (!project || !canAccessProject(req.user, project)) {
+      res.status(404).json({
+        success: false,
+        message: `Project with ID ${projectId} not found`
+      });
+      return null;
+    }
+    return project;
+  };
+
+  const validationFailed = (res, errors) => res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+
+  const nameTaken = (res, name) => res.status(409).json({
+    success: false,
+    message: `Project "${normalizeName(name)}" already exists`
+  });
+
+  // GET your projects with task counts; ?archived=true|false to pick one kind
+  router.get("/", (req, res) => {
+    const { archived } = req.query;
+    const ownTasks = ownerTasks(req.user.id);
+    const list = userProjects(req.user.id)
+      .filter(project => archived === undefined || project.archived === (archived === 'true'))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(project => withStats(project, ownTasks));
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list,
+      unassigned: summarize(ownTasks.filter(task => !task.projectId), workflow)
+    });
+  });
+
+  // CREATE project
+  router.post("/", (req, res) => {
+    const { name, description, color } = req.body;
+    const errors = validateProject({ name, description, color });
+    if (userProjects(req.user.id).length >= MAX_PROJECTS) {
+      errors.push(`You can have at most ${MAX_PROJECTS} projects`);
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+    if (findByName(req.user.id, name)) {
+      return nameTaken(res, name);
+    }
+
+    const now = new Date().toISOString();
+    const project = projects.insert({
+      ownerId: req.user.id,
+      name: normalizeName(name),
+      description: description ? description.trim() : "",
+      color: color || DEFAULT_COLOR,
+      archived: false,
+      archivedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Project created successfully",
+      data: withStats(project)
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const project = loadProject(req, res);
+    if (!project) return;
+    res.json({ success: true, data: withStats(project) });
+  });
+
+  // UPDATE name, description, color or archived; fields left out keep their value
+  router.patch("/:id", (req, res) => {
+    const project = loadProject(req, res);
+    if (!project) return;
+
+    const changes = {};
+    ['name', 'description', 'color', 'archived'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const errors = validateProject({ ...project, ...changes });
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const existing = changes.name !== undefined ? findByName(project.ownerId, changes.name) : null;
+    if (existing && existing.id !== project.id) {
+      return nameTaken(res, changes.name);
+    }
+
+    const next = { ...project, ...changes };
+    const updated = projects.update(project.id, {
+      ...next,
+      name: normalizeName(next.name),
+      description: next.description ? next.description.trim() : "",
+      archivedAt: next.archived ? (project.archivedAt || new Date().toISOString()) : null,
+      updatedAt: new Date().toISOString()
+    });
+
+    let message = "Project updated successfully";
+    if (next.archived !== project.archived) message = next.archived ? "Project archived" : "Project restored";
+
+    res.json({
+      success: true,
+      message,
+      data: withStats(updated)
+    });
+  });
+
+  // DELETE a project. Its tasks (trashed ones too) move to ?moveTo=<projectId>
+  // or, by default, to no project.
+  router.delete("/:id", (req, res) => {
+    const project = loadProject(req, res);
+    if (!project) return;
+
+    const moveTo = req.query.moveTo !== undefined ? Number(req.query.moveTo) : null;
+    if (moveTo !== null) {
+      const errors = moveTo === project.id
+        ? ["moveTo must be another project"]
+        : validateProjectId(moveTo, project.ownerId);
+      if (errors.length > 0) {
+        return validationFailed(res, errors);
+      }
+    }
+
+    const tasksMoved = store.transaction(() => {
+      const moved = tasks.all().filter(task => task.projectId === project.id);
+      moved.forEach(task => tasks.update(task.id, { ...task, projectId: moveTo, updatedAt: new Date().toISOString() }));
+      projects.remove(project.id);
+      return moved.length;
+    });
+
+    res.json({
+      success: true,
+      message: `Project "${project.name}" deleted`,
+      data: project,
+      tasksMoved
+    });
+  });
+
+  return { router, validateProjectId, scopeTasks, withoutArchived, breakdown };
+};
+
+module.exports = { createProjects };
@@ -0,0 +1,448 @@
+// Search query language for GET /api/tasks?search=
+//
+//   status:pending priority:>=high due:<2025-10-01 tag:backend "exact phrase" -excluded
+//   (tag:api OR tag:docs) AND NOT status:completed
+//
+// Words and "phrases" match the title or description. Terms next to each other
+// must all match (AND); OR and parentheses group alternatives; NOT or a leading
+// "-" excludes. A field may list several values: status:pending,in-progress.
+// Custom fields (see src/fields.js) are searched by key: story_points:>=3.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPARISONS = [':', '=', '>', '>=', '<', '<='];
+const DATE_WORDS = ['today', 'tomorrow', 'yesterday'];
+// Parentheses and NOTs inside each other; the parser recurses once per level
+const MAX_DEPTH = 50;
+
+// What each field accepts. `values` are filled in from the options.
+const FIELDS = {
+  status: { operators: [':'], description: "Task status, e.g. status:pending or status:pending,in-progress" },
+  priority: { operators: COMPARISONS, description: "Priority, e.g. priority:high or priority:>=high" },
+  due: { operators: COMPARISONS, description: "Due date, e.g. due:<2025-10-01, due:today or due:none" },
+  created: { operators: COMPARISONS, description: "Creation date, e.g. created:>=2025-09-01" },
+  updated: { operators: COMPARISONS, description: "Last update, e.g. updated:>yesterday" },
+  tag: { operators: [':'], description: "Has the tag, e.g. tag:backend or tag:api,docs" },
+  title: { operators: [':'], description: "Title contains, e.g. title:\"release notes\"" },
+  description: { operators: [':'], description: "Description contains, e.g. description:docker" }
+};
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const SEARCH_FIELDS = Object.keys(FIELDS);
+
+// Number and date custom fields compare like due:; enum and boolean fields
+// match a value; text and URL fields contain it
+const customOperators = (definition) => (['number', 'date'].includes(definition.type) ? COMPARISONS : [':']);
+
+const customDescription = (definition) => {
+  switch (definition.type) {
+    case 'number': return `${definition.label} (number), e.g. ${definition.key}:>=3 or ${definition.key}:none`;
+    case 'date': return `${definition.label} (date), e.g. ${definition.key}:<2025-10-01`;
+    case 'enum': return `${definition.label}, e.g. ${definition.key}:${definition.options[0]}`;
+    case 'boolean': return `${definition.label}, ${definition.key}:true or ${definition.key}:false`;
+    default: return `${definition.label} contains, e.g. ${definition.key}:text`;
+  }
+};
+
+const fail = (message, position) => {
+  const err = new Error(message);
+  err.position = position;
+  throw err;
+};
+
+// Edit distance, for "did you mean" hints
+const distance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+const suggest = (word, candidates) => {
+  const best = candidates
+    .map(candidate => ({ candidate, score: distance(word.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= 2 ? ` Did you mean "${best.candidate}"?` : '';
+};
+
+// --- Tokenizer ---
+
+const isBreak = (char) => char === undefined || /\s/.test(char) || char === '(' || char === ')';
+
+const readQuoted = (text, start) => {
+  const end = text.indexOf('"', start + 1);
+  if (end === -1) fail(`Unclosed quote starting at position ${start + 1}`, start + 1);
+  return { value: text.slice(start + 1, end), next: end + 1 };
+};
+
+const tokenize = (text, customFields) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const position = i + 1;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      i++;
+    } else if (char === '-' && !isBreak(text[i + 1]) && text[i + 1] !== '-') {
+      tokens.push({ type: 'NOT', position });
+      i++;
+    } else if (char === '"') {
+      const { value, next } = readQuoted(text, i);
+      tokens.push({ type: 'term', value, phrase: true, position });
+      i = next;
+    } else {
+      let end = i;
+      while (!isBreak(text[end]) && text[end] !== ':') end++;
+      const word = text.slice(i, end);
+
+      const custom = customFields.find(definition => definition.key === word.toLowerCase());
+      if (text[end] === ':' && (custom || /^[a-z]+$/i.test(word))) {
+        const field = word.toLowerCase();
+        if (!FIELDS[field] && !custom) {
+          const known = [...SEARCH_FIELDS, ...customFields.map(definition => definition.key)];
+          fail(`Unknown field "${word}" at position ${position}.${suggest(field, known)} ` +
+            `Put text in quotes to search for it as-is.`, position);
+        }
+        let cursor = end + 1;
+        const operator = [':', '>=', '<=', '>', '<', '='].find(op => op !== ':' && text.startsWith(op, cursor)) || ':';
+        if (operator !== ':') cursor += operator.length;
+
+        let value;
+        if (text[cursor] === '"') {
+          ({ value, next: cursor } = readQuoted(text, cursor));
+        } else {
+          const valueStart = cursor;
+          while (!isBreak(text[cursor])) cursor++;
+          value = text.slice(valueStart, cursor);
+        }
+        if (value.trim() === '') fail(`Missing value after "${word}:" at position ${position}`, position);
+
+        tokens.push({ type: 'field', field, custom, operator, value, position });
+        i = cursor;
+      } else {
+        while (!isBreak(text[end])) end++;
+        const value = text.slice(i, end);
+        tokens.push(KEYWORDS.includes(value) ? { type: value, position } : { type: 'term', value, phrase: false, position });
+        i = end;
+      }
+    }
+  }
+  return tokens;
+};
+
+// --- Parser: OR binds loosest, then AND (explicit or implied), then NOT ---
+
+const parse = (tokens, checkField) => {
+  let index = 0;
+  let depth = 0;
+  const peek = () => tokens[index];
+
+  const nested = (token, parseInner) => {
+    if (++depth > MAX_DEPTH) {
+      fail(`Query nests more than ${MAX_DEPTH} levels deep at position ${token.position}`, token.position);
+    }
+    const node = parseInner();
+    depth--;
+    return node;
+  };
+  const startsOperand = (token) => token && ['term', 'field', 'NOT', '('].includes(token.type);
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      const or = tokens[index++];
+      if (!startsOperand(peek())) fail(`Expected a search term after OR at position ${or.position}`, or.position);
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') {
+        const and = tokens[index++];
+        if (!startsOperand(peek())) fail(`Expected a search term after AND at position ${and.position}`, and.position);
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      index++;
+      if (!startsOperand(peek())) fail(`Expected a search term after NOT at position ${token.position}`, token.position);
+      return { type: 'not', child: nested(token, parseUnary) };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) fail("Query ended unexpectedly", null);
+
+    if (token.type === '(') {
+      if (peek() && peek().type === ')') fail(`Empty parentheses at position ${token.position}`, token.position);
+      const group = nested(token, parseOr);
+      const close = tokens[index++];
+      if (!close || close.type !== ')') {
+        fail(`Missing closing parenthesis for "(" at position ${token.position}`, token.position);
+      }
+      return group;
+    }
+    if (token.type === 'term') {
+      return { type: 'text', value: token.value, phrase: token.phrase };
+    }
+    if (token.type === 'field') {
+      return checkField(token);
+    }
+    fail(`Unexpected "${token.type}" at position ${token.position}`, token.position);
+  };
+
+  if (tokens.length === 0) return null;
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    fail(`Unexpected "${token.type === 'term' ? token.value : token.type}" at position ${token.position}`, token.position);
+  }
+  return tree;
+};
+
+// --- Field values ---
+
+const startOfDay = (ms) => Math.floor(ms / DAY_MS) * DAY_MS;
+
+// "2025-10-01" covers that whole (UTC) day; a full timestamp is a single instant
+const parseDateValue = (value, now, position) => {
+  const word = value.toLowerCase();
+  if (DATE_WORDS.includes(word)) {
+    const offset = { yesterday: -1, today: 0, tomorrow: 1 }[word];
+    const start = startOfDay(now) + offset * DAY_MS;
+    return { start, end: start + DAY_MS - 1 };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = Date.parse(`${value}T00:00:00Z`);
+    if (!isNaN(start)) return { start, end: start + DAY_MS - 1 };
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))) {
+    const instant = Date.parse(value);
+    return { start: instant, end: instant };
+  }
+  fail(`Invalid date "${value}" at position ${position}; use YYYY-MM-DD, a full ISO date, ${DATE_WORDS.join(', ')}`, position);
+};
+
+const compare = (operator, actual, { start, end }) => {
+  switch (operator) {
+    case '>': return actual > end;
+    case '>=': return actual >= start;
+    case '<': return actual < start;
+    case '<=': return actual <= end;
+    default: return actual >= start && actual <= end;
+  }
+};
+
+const DATE_FIELDS = { due: 'dueDate', created: 'createdAt', updated: 'updatedAt' };
+
+// A custom field's values; "none" finds tasks without a value
+const customFieldNode = ({ field, custom, operator, position }, values, comparing, now) => {
+  const node = (resolved) => ({ type: 'field', field, custom, operator, values: resolved });
+  if (values.length === 1 && values[0].toLowerCase() === 'none') {
+    if (comparing) fail(`${field}:none cannot be compared with ${operator} at position ${position}`, position);
+    return node([null]);
+  }
+
+  switch (custom.type) {
+    case 'number':
+      return node(values.map(value => {
+        if (isNaN(Number(value))) fail(`Invalid number "${value}" at position ${position}`, position);
+        return { start: Number(value), end: Number(value) };
+      }));
+    case 'date':
+      return node(values.map(date => parseDateValue(date, now, position)));
+    case 'enum':
+      return node(values.map(value => {
+        const option = custom.options.find(candidate => candidate.toLowerCase() === value.toLowerCase());
+        if (option === undefined) {
+          fail(`Unknown ${field} "${value}" at position ${position}.${suggest(value, custom.options)} ` +
+            `Expected one of: ${custom.options.join(', ')}`, position);
+        }
+        return option;
+      }));
+    case 'boolean':
+      return node(values.map(value => {
+        const flag = { true: true, yes: true, false: false, no: false }[value.toLowerCase()];
+        if (flag === undefined) fail(`${field} must be true or false at position ${position}`, position);
+        return flag;
+      }));
+    default:
+      return node(values.map(text => text.toLowerCase()));
+  }
+};
+
+// Check one field:value and turn it into a node with its values resolved
+const fieldNode = (token, { statuses, priorityOrder, now }) => {
+  const { field, custom, operator, value, position } = token;
+  const operators = custom ? customOperators(custom) : FIELDS[field].operators;
+  if (!operators.includes(operator)) {
+    fail(`"${field}" cannot be compared with ${operator} at position ${position}; use ${field}:value`, position);
+  }
+  const values = value.split(',').map(part => part.trim()).filter(Boolean);
+  const comparing = operator !== ':' && operator !== '=';
+  if (comparing && values.length > 1) {
+    fail(`Only one value can follow ${field}:${operator} at position ${position}`, position);
+  }
+
+  if (custom) {
+    return customFieldNode(token, values, comparing, now);
+  }
+
+  if (field === 'status') {
+    const unknown = values.find(status => !statuses.includes(status.toLowerCase()));
+    if (unknown) {
+      fail(`Unknown status "${unknown}" at position ${position}.${suggest(unknown, statuses)} Expected one of: ${statuses.join(', ')}`, position);
+    }
+    return { type: 'field', field, operator, values: values.map(status => status.toLowerCase()) };
+  }
+
+  if (field === 'priority') {
+    const priorities = Object.keys(priorityOrder);
+    const unknown = values.find(priority => !priorityOrder[priority.toLowerCase()]);
+    if (unknown) {
+      fail(`Unknown priority "${unknown}" at position ${position}.${suggest(unknown, priorities)} Expected one of: ${priorities.join(', ')}`, position);
+    }
+    return { type: 'field', field, operator, values: values.map(priority => priorityOrder[priority.toLowerCase()]) };
+  }
+
+  if (DATE_FIELDS[field]) {
+    if (field === 'due' && values.length === 1 && values[0].toLowerCase() === 'none') {
+      if (comparing) fail(`due:none cannot be compared with ${operator} at position ${position}`, position);
+      return { type: 'field', field, operator, values: [null] };
+    }
+    return { type: 'field', field, operator, values: values.map(date => parseDateValue(date, now, position)) };
+  }
+
+  // tag, title, description
+  return { type: 'field', field, operator, values: values.map(text => text.toLowerCase()) };
+};
+
+// --- Evaluation ---
+
+const taskText = (task) => `${task.title}\n${task.description || ''}`.toLowerCase();
+
+const defaultMatchText = (task, value) => taskText(task).includes(value.toLowerCase());
+
+const matchesCustomField = (task, { custom, operator, values }) => {
+  const actual = (task.fields || {})[custom.key];
+  const empty = actual === undefined || actual === null || actual === '';
+  if (values[0] === null) return empty;
+  if (empty) return false;
+
+  switch (custom.type) {
+    case 'number':
+      return values.some(range => compare(operator, actual, range));
+    case 'date':
+      return values.some(range => compare(operator, Date.parse(`${actual}T00:00:00Z`), range));
+    case 'enum':
+    case 'boolean':
+      return values.includes(actual);
+    default:
+      return values.some(text => String(actual).toLowerCase().includes(text));
+  }
+};
+
+const matchesField = (task, node, priorityOrder) => {
+  const { field, operator, values } = node;
+  if (node.custom) return matchesCustomField(task, node);
+  if (field === 'status') return values.includes(task.status);
+  if (field === 'priority') {
+    const rank = priorityOrder[task.priority] || 0;
+    return operator === ':' || operator === '='
+      ? values.includes(rank)
+      : compare(operator, rank, { start: values[0], end: values[0] });
+  }
+  if (DATE_FIELDS[field]) {
+    const raw = task[DATE_FIELDS[field]];
+    if (values[0] === null) return !raw;
+    if (!raw) return false;
+    const actual = Date.parse(raw);
+    return values.some(range => compare(operator, actual, range));
+  }
+  if (field === 'tag') return values.some(tag => (task.tags || []).includes(tag));
+  if (field === 'title') return values.some(text => task.title.toLowerCase().includes(text));
+  return values.some(text => (task.description || '').toLowerCase().includes(text));
+};
+
+const evaluate = (node, task, context) => {
+  switch (node.type) {
+    case 'and': return node.children.every(child => evaluate(child, task, context));
+    case 'or': return node.children.some(child => evaluate(child, task, context));
+    case 'not': return !evaluate(node.child, task, context);
+    case 'text': return context.matchText(task, node.value, node.phrase);
+    default: return matchesField(task, node, context.priorityOrder);
+  }
+};
+
+// Words and phrases that should count towards a match (not the excluded ones),
+// as { value, phrase } for ranking and highlighting
+const positiveTerms = (node, negated = false) => {
+  if (!node) return [];
+  if (node.type === 'not') return positiveTerms(node.child, !negated);
+  if (node.type === 'and' || node.type === 'or') return node.children.flatMap(child => positiveTerms(child, negated));
+  return node.type === 'text' && !negated ? [{ value: node.value, phrase: node.phrase }] : [];
+};
+
+// Parse a query. Returns { tree, filter, terms } or { errors, position } for a
+// bad query. `options.matchText(task, value, phrase)` replaces the default
+// substring match for free text; `options.customFields` are the custom field
+// definitions that can be searched by key.
+const parseQuery = (text, { statuses, priorityOrder, customFields = [], matchText = defaultMatchText, now = Date.now() }) => {
+  try {
+    const tree = parse(tokenize(String(text), customFields), token => fieldNode(token, { statuses, priorityOrder, now }));
+    const context = { matchText, priorityOrder };
+    return {
+      tree,
+      filter: (task) => !tree || evaluate(tree, task, context),
+      terms: positiveTerms(tree)
+    };
+  } catch (err) {
+    if (err.position === undefined) throw err;
+    return { errors: [err.message], position: err.position };
+  }
+};
+
+// Fields, operators and known values, for the search box autocomplete
+const describeSyntax = ({ statuses, priorityOrder, tags = [], customFields = [] }) => ({
+  keywords: KEYWORDS,
+  negation: "-term or NOT term",
+  fields: Object.fromEntries([
+    ...Object.entries(FIELDS).map(([field, spec]) => {
+      let values = [];
+      if (field === 'status') values = statuses;
+      if (field === 'priority') values = Object.keys(priorityOrder);
+      if (field === 'due') values = [...DATE_WORDS, 'none'];
+      if (field === 'created' || field === 'updated') values = DATE_WORDS;
+      if (field === 'tag') values = tags;
+      return [field, { ...spec, values }];
+    }),
+    ...customFields.map(definition => {
+      let values = ['none'];
+      if (definition.type === 'enum') values = [...definition.options, 'none'];
+      if (definition.type === 'boolean') values = ['true', 'false', 'none'];
+      if (definition.type === 'date') values = [...DATE_WORDS, 'none'];
+      return [definition.key, { operators: customOperators(definition), description: customDescription(definition), values }];
+    })
+  ])
+});
+
+module.exports = { parseQuery, describeSyntax, SEARCH_FIELDS };
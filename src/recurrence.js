@@ -0,0 +1,167 @@
+// Recurrence rules, accepted either as an object or an RRULE string:
+//   { frequency: 'weekly', interval: 1, weekdays: ['MO', 'WE'], until, count }
+//   "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+// Dates are calculated in UTC and keep the time of day of the original dueDate.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "20251231T235959Z" or "20251231" -> ISO string
+const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return value;
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  return `${y}-${m}-${d}T${hh}:${mm}:${ss}Z`;
+};
+
+const fromRRule = (rrule) => {
+  const parts = Object.fromEntries(rrule.replace(/^RRULE:/i, '').split(';')
+    .filter(Boolean)
+    .map(part => part.split('='))
+    .map(([key, value]) => [key.toUpperCase(), value]));
+
+  return {
+    frequency: parts.FREQ && parts.FREQ.toLowerCase(),
+    interval: parts.INTERVAL !== undefined ? Number(parts.INTERVAL) : undefined,
+    weekdays: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+    monthDay: parts.BYMONTHDAY !== undefined ? Number(parts.BYMONTHDAY) : undefined,
+    until: parts.UNTIL ? parseRRuleDate(parts.UNTIL) : undefined,
+    count: parts.COUNT !== undefined ? Number(parts.COUNT) : undefined
+  };
+};
+
+const toRRule = (rule) => [
+  `FREQ=${rule.frequency.toUpperCase()}`,
+  rule.interval > 1 ? `INTERVAL=${rule.interval}` : null,
+  rule.weekdays ? `BYDAY=${rule.weekdays.join(',')}` : null,
+  rule.monthDay ? `BYMONTHDAY=${rule.monthDay}` : null,
+  rule.until ? `UNTIL=${rule.until.replace(/[-:]/g, '').replace(/\.\d+/, '')}` : null,
+  rule.count ? `COUNT=${rule.count}` : null
+].filter(Boolean).join(';');
+
+const toRuleInput = (input) => (typeof input === 'string' ? fromRRule(input) : input);
+
+// Used by validateTask
+const validateRecurrence = (input, dueDate) => {
+  if (input === undefined || input === null) return [];
+  if (typeof input !== 'string' && typeof input !== 'object') {
+    return ["Recurrence must be an object or an RRULE string"];
+  }
+
+  const rule = toRuleInput(input);
+  const errors = [];
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365)) {
+    errors.push("Recurrence interval must be an integer between 1 and 365");
+  }
+  if (rule.weekdays !== undefined) {
+    if (rule.frequency !== 'weekly') {
+      errors.push("Recurrence weekdays only apply to weekly rules");
+    } else if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0 ||
+      rule.weekdays.some(day => !WEEKDAYS.includes(String(day).toUpperCase()))) {
+      errors.push(`Recurrence weekdays must be a list of: ${WEEKDAYS.join(', ')}`);
+    }
+  }
+  if (rule.monthDay !== undefined) {
+    if (rule.frequency !== 'monthly') {
+      errors.push("Recurrence monthDay only applies to monthly rules");
+    } else if (!Number.isInteger(rule.monthDay) || rule.monthDay < 1 || rule.monthDay > 31) {
+      errors.push("Recurrence monthDay must be between 1 and 31");
+    }
+  }
+  if (rule.until !== undefined && isNaN(new Date(rule.until).getTime())) {
+    errors.push("Recurrence until must be a valid date");
+  }
+  if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    errors.push("Recurrence count must be a positive integer");
+  }
+  if (rule.until !== undefined && rule.count !== undefined) {
+    errors.push("Recurrence can have an until date or a count, not both");
+  }
+  if (!dueDate) {
+    errors.push("Recurring tasks need a dueDate to roll forward from");
+  } else if (isNaN(Date.parse(dueDate))) {
+    errors.push("Recurring tasks need a valid dueDate to roll forward from");
+  }
+
+  return errors;
+};
+
+// Validated input -> stored rule (call validateRecurrence first). Monthly rules
+// pin the day of the month from dueDate so the 31st does not drift to the 28th.
+const normalizeRecurrence = (input, dueDate) => {
+  if (input === undefined || input === null) return null;
+
+  const rule = toRuleInput(input);
+  const normalized = {
+    frequency: rule.frequency,
+    interval: rule.interval || 1
+  };
+  if (rule.weekdays) {
+    normalized.weekdays = WEEKDAYS.filter(day => rule.weekdays.map(d => String(d).toUpperCase()).includes(day));
+  }
+  if (rule.monthDay) {
+    normalized.monthDay = rule.monthDay;
+  } else if (rule.frequency === 'monthly' && dueDate) {
+    normalized.monthDay = new Date(dueDate).getUTCDate();
+  }
+  if (rule.until) normalized.until = new Date(rule.until).toISOString();
+  if (rule.count) normalized.count = rule.count;
+  normalized.rrule = toRRule(normalized);
+  return normalized;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const nextWeekly = (from, rule) => {
+  if (!rule.weekdays) return new Date(from.getTime() + 7 * rule.interval * DAY_MS);
+
+  const days = rule.weekdays.map(day => WEEKDAYS.indexOf(day));
+  // Later in the same (Monday-based) week first...
+  const mondayOffset = (from.getUTCDay() + 6) % 7;
+  for (let offset = 1; mondayOffset + offset < 7; offset++) {
+    const candidate = new Date(from.getTime() + offset * DAY_MS);
+    if (days.includes(candidate.getUTCDay())) return candidate;
+  }
+  // ...then the first matching day `interval` weeks on
+  const weekStart = new Date(from.getTime() + (7 * rule.interval - mondayOffset) * DAY_MS);
+  for (let offset = 0; offset < 7; offset++) {
+    const candidate = new Date(weekStart.getTime() + offset * DAY_MS);
+    if (days.includes(candidate.getUTCDay())) return candidate;
+  }
+  return null;
+};
+
+const nextMonthly = (from, rule) => {
+  const targetDay = rule.monthDay || from.getUTCDate();
+  const monthIndex = from.getUTCMonth() + rule.interval;
+  const year = from.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  // Short months use their last day, e.g. the 31st becomes Feb 28th
+  const day = Math.min(targetDay, daysInMonth(year, month));
+  return new Date(Date.UTC(year, month, day,
+    from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds(), from.getUTCMilliseconds()));
+};
+
+// Due date of the occurrence after `dueDate`, or null once the series is over.
+// `occurrence` is the 1-based number of the occurrence being completed.
+const nextOccurrence = (rule, dueDate, occurrence = 1) => {
+  if (!rule || !dueDate) return null;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const from = new Date(dueDate);
+  if (isNaN(from.getTime())) return null;
+  let next;
+  if (rule.frequency === 'daily') next = new Date(from.getTime() + rule.interval * DAY_MS);
+  if (rule.frequency === 'weekly') next = nextWeekly(from, rule);
+  if (rule.frequency === 'monthly') next = nextMonthly(from, rule);
+
+  if (!next || (rule.until && next > new Date(rule.until))) return null;
+  return next.toISOString();
+};
+
+module.exports = { validateRecurrence, normalizeRecurrence, nextOccurrence };
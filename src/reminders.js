@@ -0,0 +1,370 @@
+const express = require("express");
+const { isTrashed } = require("./trash");
+const { checkUrl } = require("./outbound");
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000;
+const DEFAULT_OFFSETS = (process.env.REMINDER_OFFSETS || '1d,1h').split(',').map(offset => offset.trim()).filter(Boolean);
+const MAX_OFFSETS = 5;
+const MAX_OFFSET_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_SNOOZE_MS = MAX_OFFSET_MS;
+const DEFAULT_LOG_LIMIT = 20;
+const MAX_LOG_LIMIT = 100;
+
+const UNITS = {
+  m: { ms: 60 * 1000, name: 'minute' },
+  h: { ms: 60 * 60 * 1000, name: 'hour' },
+  d: { ms: 24 * 60 * 60 * 1000, name: 'day' },
+  w: { ms: 7 * 24 * 60 * 60 * 1000, name: 'week' }
+};
+
+// "15m", "2h", "1d", "1w" -> milliseconds, or null
+const parseOffset = (offset) => {
+  const match = /^(\d+)([mhdw])$/.exec(String(offset).trim());
+  return match ? parseInt(match[1]) * UNITS[match[2]].ms : null;
+};
+
+const describeOffset = (offset) => {
+  const [, count, unit] = /^(\d+)([mhdw])$/.exec(offset);
+  return `${count} ${UNITS[unit].name}${count === '1' ? '' : 's'}`;
+};
+
+const reminderKey = (task, kind, offset) => `${task.id}|${task.dueDate}|${kind}|${offset || ''}`;
+
+const notificationFor = (task, kind, offset) => {
+  const due = new Date(task.dueDate).toUTCString();
+  const titles = {
+    upcoming: `Due in ${offset ? describeOffset(offset) : 'a moment'}: ${task.title}`,
+    overdue: `Overdue: ${task.title}`,
+    snoozed: `Reminder: ${task.title}`
+  };
+  return {
+    kind,
+    offset: offset || null,
+    taskId: task.id,
+    title: titles[kind],
+    text: `"${task.title}" (${task.priority} priority) ${kind === 'overdue' ? 'was' : 'is'} due ${due}.`,
+    dueDate: task.dueDate,
+    sentAt: new Date().toISOString()
+  };
+};
+
+// Due-date reminders: a background check that notifies task owners at their
+// chosen offsets before a due date and once a task is overdue, the
+// /api/reminders routes for settings and the log, and per-task snooze. Delivery
+// goes through `notifier` (see src/notifications).
+const createReminders = ({
+  store,
+  tasks,
+  findTask,
+  notifier,
+  workflow,
+  intervalMs = CHECK_INTERVAL_MS,
+  defaultOffsets = DEFAULT_OFFSETS
+}) => {
+  const router = express.Router();
+  const snoozeRouter = express.Router({ mergeParams: true });
+  const settingsStore = store.collection('reminder_settings');
+  const log = store.collection('reminder_log');
+  const snoozes = store.collection('reminder_snoozes');
+  let running = false;
+
+  // Only unfinished tasks with a due date get reminders
+  const wantsReminders = (task) => Boolean(task.dueDate) && Boolean(task.ownerId) && !isTrashed(task) &&
+    !workflow.isFinished(task);
+
+  const defaults = {
+    offsets: defaultOffsets.filter(offset => parseOffset(offset) !== null),
+    overdue: true,
+    channels: ['browser'],
+    email: null,
+    webhookUrl: null
+  };
+
+  const storedSettings = (userId) => settingsStore.find(settings => settings.userId === userId);
+
+  const settingsFor = (userId) => {
+    const stored = storedSettings(userId) || {};
+    return Object.fromEntries(Object.keys(defaults).map(field => [
+      field,
+      stored[field] !== undefined ? stored[field] : defaults[field]
+    ]));
+  };
+
+  const validateSettings = (settings) => {
+    const errors = [];
+    const { offsets, overdue, channels, email, webhookUrl } = settings;
+
+    if (!Array.isArray(offsets) || offsets.length > MAX_OFFSETS ||
+        offsets.some(offset => parseOffset(offset) === null || parseOffset(offset) > MAX_OFFSET_MS)) {
+      errors.push(`offsets must be up to ${MAX_OFFSETS} offsets such as "15m", "2h", "1d" or "1w" (at most 30 days)`);
+    }
+    if (typeof overdue !== 'boolean') {
+      errors.push("overdue must be true or false");
+    }
+    if (!Array.isArray(channels) || channels.some(channel => !notifier.channelNames.includes(channel))) {
+      errors.push(`channels must be a list of: ${notifier.channelNames.join(', ')}`);
+    } else {
+      channels.filter(channel => !notifier.available().includes(channel)).forEach(channel => {
+        errors.push(`The ${channel} channel is not configured on this server`);
+      });
+    }
+    if (email !== null && (typeof email !== 'string' || !/^[^\s@<>]+@[^\s@<>]+$/.test(email))) {
+      errors.push("email must be an email address or null");
+    } else if (Array.isArray(channels) && channels.includes('email') && !email) {
+      errors.push("The email channel needs an email address");
+    }
+    const urlProblem = webhookUrl === null ? null
+      : typeof webhookUrl !== 'string' ? "must be an http(s) URL" : checkUrl(webhookUrl);
+    if (urlProblem) {
+      errors.push(`webhookUrl ${urlProblem}, or null`);
+    } else if (Array.isArray(channels) && channels.includes('webhook') && !webhookUrl) {
+      errors.push("The webhook channel needs a webhookUrl");
+    }
+    return errors;
+  };
+
+  // Reminders whose time has come and that have not been sent yet
+  const dueReminders = (task, settings, now, sentKeys) => {
+    const due = Date.parse(task.dueDate);
+    const reminders = settings.offsets
+      .map(offset => ({ kind: 'upcoming', offset, at: due - parseOffset(offset) }))
+      .filter(reminder => reminder.at <= now && now < due);
+    if (settings.overdue && now >= due) {
+      reminders.push({ kind: 'overdue', offset: null, at: due });
+    }
+    return reminders.filter(reminder => !sentKeys.has(reminderKey(task, reminder.kind, reminder.offset)));
+  };
+
+  // Log first so a slow delivery cannot make the next check send it again
+  const send = async (task, settings, kind, offset, keys) => {
+    const notification = notificationFor(task, kind, offset);
+    const entry = log.insert({ userId: task.ownerId, taskId: task.id, keys, ...notification, deliveries: [] });
+    const deliveries = await notifier.deliver(notification, settings, task.ownerId);
+    return log.update(entry.id, { ...entry, deliveries });
+  };
+
+  // One pass of the scheduler. When several reminders for a task are due at
+  // once (after downtime or a snooze), only the latest is sent.
+  const checkDue = async (now = Date.now()) => {
+    if (running) return [];
+    running = true;
+    try {
+      const sentKeys = new Set(log.all().flatMap(entry => entry.keys || []));
+      const jobs = [];
+
+      snoozes.all().forEach(snooze => {
+        const task = tasks.get(snooze.taskId);
+        if (!task || !wantsReminders(task)) snoozes.remove(snooze.id);
+      });
+
+      tasks.all().filter(wantsReminders).forEach(task => {
+        const snooze = snoozes.find(entry => entry.taskId === task.id);
+        if (snooze && Date.parse(snooze.until) > now) return;
+
+        const settings = settingsFor(task.ownerId);
+        const due = dueReminders(task, settings, now, sentKeys);
+        const keys = due.map(reminder => reminderKey(task, reminder.kind, reminder.offset));
+
+        if (snooze) {
+          snoozes.remove(snooze.id);
+          jobs.push(() => send(task, settings, 'snoozed', null, [...keys, `${task.id}|snooze|${snooze.until}`]));
+        } else if (due.length > 0) {
+          const latest = due.reduce((a, b) => (b.at > a.at ? b : a));
+          jobs.push(() => send(task, settings, latest.kind, latest.offset, keys));
+        }
+      });
+
+      const sent = [];
+      for (const job of jobs) {
+        sent.push(await job());
+      }
+      return sent;
+    } finally {
+      running = false;
+    }
+  };
+
+  const startSchedule = () => {
+    const check = () => checkDue().catch(err => console.error('Reminder check failed:', err));
+    check();
+    setInterval(check, intervalMs).unref();
+  };
+
+  // GET your recent reminders (newest first) and snoozed tasks
+  router.get("/", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT);
+    const entries = log.all()
+      .filter(entry => entry.userId === req.user.id)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(({ keys, ...entry }) => entry);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      snoozed: snoozes.all().filter(snooze => snooze.userId === req.user.id)
+    });
+  });
+
+  // GET your reminder settings and the channels this server can deliver to
+  router.get("/settings", (req, res) => {
+    res.json({
+      success: true,
+      data: settingsFor(req.user.id),
+      channels: notifier.available()
+    });
+  });
+
+  // UPDATE reminder settings; fields left out keep their current value
+  router.put("/settings", (req, res) => {
+    const current = settingsFor(req.user.id);
+    const settings = Object.fromEntries(Object.keys(defaults).map(field => [
+      field,
+      req.body[field] !== undefined ? req.body[field] : current[field]
+    ]));
+
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+
+    const stored = storedSettings(req.user.id);
+    if (stored) {
+      settingsStore.update(stored.id, { ...stored, ...settings });
+    } else {
+      settingsStore.insert({ userId: req.user.id, ...settings });
+    }
+
+    res.json({
+      success: true,
+      message: "Reminder settings saved",
+      data: settings
+    });
+  });
+
+  // SEND a test notification through your channels and report each delivery
+  router.post("/test", async (req, res, next) => {
+    try {
+      const settings = settingsFor(req.user.id);
+      const deliveries = await notifier.deliver({
+        kind: 'test',
+        offset: null,
+        taskId: null,
+        title: "Test reminder",
+        text: "Reminders are set up. You will get one like this before your tasks are due.",
+        dueDate: null,
+        sentAt: new Date().toISOString()
+      }, settings, req.user.id);
+
+      const failed = deliveries.filter(delivery => !delivery.success);
+      res.status(failed.length > 0 ? 502 : 200).json({
+        success: failed.length === 0,
+        message: failed.length === 0
+          ? "Test reminder sent"
+          : `Test reminder failed on ${failed.map(delivery => delivery.channel).join(', ')}`,
+        data: deliveries
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Routes under /api/tasks/:id/snooze
+  snoozeRouter.use((req, res, next) => {
+    const taskId = parseInt(req.params.id);
+    const task = findTask(req, taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: `Task with ID ${taskId} not found`
+      });
+    }
+
+    req.task = task;
+    next();
+  });
+
+  const snoozeOf = (task) => snoozes.find(snooze => snooze.taskId === task.id);
+
+  snoozeRouter.get("/", (req, res) => {
+    const snooze = snoozeOf(req.task);
+    if (!snooze) {
+      return res.status(404).json({
+        success: false,
+        message: "Reminders for this task are not snoozed"
+      });
+    }
+    res.json({ success: true, data: snooze });
+  });
+
+  // SNOOZE reminders for this task: { minutes } from now or { until }. One
+  // reminder is sent when the snooze ends.
+  snoozeRouter.put("/", (req, res) => {
+    const { minutes, until } = req.body;
+    const now = Date.now();
+
+    if (!wantsReminders(req.task)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only open tasks with a due date have reminders to snooze"
+      });
+    }
+
+    let untilMs = null;
+
+    if (minutes !== undefined && until === undefined && Number.isInteger(minutes) && minutes > 0) {
+      untilMs = now + minutes * UNITS.m.ms;
+    } else if (until !== undefined && minutes === undefined && !isNaN(Date.parse(until))) {
+      untilMs = Date.parse(until);
+    }
+
+    if (untilMs === null || untilMs <= now || untilMs - now > MAX_SNOOZE_MS) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["Send either minutes (a positive whole number) or until (a future date), at most 30 days ahead"]
+      });
+    }
+
+    const existing = snoozeOf(req.task);
+    const snooze = {
+      taskId: req.task.id,
+      userId: req.task.ownerId,
+      until: new Date(untilMs).toISOString(),
+      snoozedAt: new Date(now).toISOString()
+    };
+    const saved = existing ? snoozes.update(existing.id, { ...existing, ...snooze }) : snoozes.insert(snooze);
+
+    res.json({
+      success: true,
+      message: `Reminders snoozed until ${saved.until}`,
+      data: saved
+    });
+  });
+
+  snoozeRouter.delete("/", (req, res) => {
+    const snooze = snoozeOf(req.task);
+    if (!snooze) {
+      return res.status(404).json({
+        success: false,
+        message: "Reminders for this task are not snoozed"
+      });
+    }
+
+    snoozes.remove(snooze.id);
+    res.json({
+      success: true,
+      message: "Snooze cancelled"
+    });
+  });
+
+  return { router, snoozeRouter, checkDue, startSchedule, settingsFor };
+};
+
+module.exports = { createReminders };
@@ -0,0 +1,316 @@
+const { isTrashed } = require("./trash");
+
+// Full-text search over task titles and descriptions. An inverted index maps
+// each stemmed word to the tasks containing it; it is kept in step with the
+// tasks collection through track() and answers the free-text part of search
+// queries (see src/query.js) with stemming, prefix matching and typo tolerance.
+
+const TITLE_WEIGHT = 2;
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 160;
+// Saturation of repeated words, as in BM25
+const K1 = 1.2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// --- Text processing ---
+
+// Words with their offsets in the original text
+const tokenize = (text) => [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)]
+  .map(match => ({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length }));
+
+// Suffixes stripped after plurals and -ed/-ing, longest first:
+// [suffix, replacement, shortest stem that may remain]
+const SUFFIXES = [
+  ['fulness', 'ful', 3], ['iveness', 'ive', 3], ['ousness', 'ous', 3],
+  ['ization', '', 4], ['ational', '', 4], ['ation', '', 5], ['ation', 'at', 2],
+  ['ment', '', 5], ['ness', '', 3], ['ion', '', 5], ['ize', '', 4], ['ate', '', 5], ['ly', '', 4]
+];
+
+// A light English stemmer: "deployments", "deploying" and "deployed" all
+// become "deploy". Words are only ever compared stem to stem, so the stems do
+// not need to be real words.
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let result = word;
+
+  if (result.endsWith('sses')) result = result.slice(0, -2);
+  else if (result.endsWith('ies')) result = `${result.slice(0, -3)}y`;
+  else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) result = result.slice(0, -1);
+
+  const ending = /(ed|ing)$/.exec(result);
+  if (ending && !result.endsWith('eed') && /[aeiouy]/.test(result.slice(0, -ending[0].length))) {
+    result = result.slice(0, -ending[0].length);
+    if (/(at|bl|iz)$/.test(result)) {
+      result += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+  }
+
+  const rule = SUFFIXES.find(([suffix, , min]) => result.endsWith(suffix) && result.length - suffix.length >= min);
+  if (rule) result = result.slice(0, -rule[0].length) + rule[1];
+
+  if (result.length > 3 && result.endsWith('e')) result = result.slice(0, -1);
+  return result;
+};
+
+const countTerms = (text) => {
+  const counts = new Map();
+  tokenize(text).forEach(({ word }) => {
+    if (STOPWORDS.has(word)) return;
+    const term = stem(word);
+    counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  return counts;
+};
+
+// Edit distance (a swap of neighbouring letters counts as one edit) that
+// gives up once it is over `max`
+const withinDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = null;
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+    }
+    if (Math.min(...next) > max) return false;
+    previous = row;
+    row = next;
+  }
+  return row[b.length] <= max;
+};
+
+// Short words must be spelled right; longer ones may have one or two typos
+const typosAllowed = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Text with the [start, end) ranges wrapped in <mark>, HTML-escaped
+const markRanges = (text, ranges) => {
+  let html = '';
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(cursor, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return html + escapeHtml(text.slice(cursor));
+};
+
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+// --- Index ---
+
+const createSearchIndex = ({ store }) => {
+  // term -> Set of task IDs; task ID -> { title, description } term counts
+  const postings = new Map();
+  const documents = new Map();
+  // Every word seen, with the term it stems to, for prefix and typo matches
+  const vocabulary = new Map();
+  // expand() results, thrown away whenever the index changes
+  let expansions = new Map();
+
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) return;
+    expansions = new Map();
+    [...document.title.keys(), ...document.description.keys()].forEach(term => {
+      const ids = postings.get(term);
+      if (!ids) return;
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    });
+    documents.delete(id);
+  };
+
+  const add = (task) => {
+    remove(task.id);
+    if (!task || isTrashed(task)) return;
+
+    const document = { title: countTerms(task.title), description: countTerms(task.description) };
+    expansions = new Map();
+    documents.set(task.id, document);
+    [...document.title.keys(), ...document.description.keys()].forEach(term => {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(task.id);
+    });
+    tokenize(`${task.title} ${task.description || ''}`).forEach(({ word }) => {
+      if (!vocabulary.has(word)) vocabulary.set(word, stem(word));
+    });
+  };
+
+  // Index terms a query word can match, with how well: 1 for the same stem,
+  // less for a word it is the start of or a near-miss spelling
+  const expand = (word) => {
+    const lower = word.toLowerCase();
+    if (expansions.has(lower)) return expansions.get(lower);
+    const matches = new Map();
+    const offer = (term, weight) => {
+      if (postings.has(term) && (matches.get(term) || 0) < weight) matches.set(term, weight);
+    };
+
+    offer(stem(lower), 1);
+    const typos = typosAllowed(lower);
+    vocabulary.forEach((term, known) => {
+      if (known.length > lower.length && known.startsWith(lower)) {
+        offer(term, PREFIX_WEIGHT);
+      } else if (typos > 0 && known !== lower && withinDistance(lower, known, typos)) {
+        offer(term, FUZZY_WEIGHT);
+      }
+    });
+    expansions.set(lower, matches);
+    return matches;
+  };
+
+  // A query value can hold several words ("docker-compose"); each must match.
+  // Empty when it has no searchable words (only stopwords or punctuation).
+  const queryWords = (value) => tokenize(value).map(({ word }) => word).filter(word => !STOPWORDS.has(word));
+
+  const matchesWord = (document, word) => {
+    for (const term of expand(word).keys()) {
+      if (document.title.has(term) || document.description.has(term)) return true;
+    }
+    return false;
+  };
+
+  // Free-text matcher for parseQuery: phrases match exactly, words through the index
+  const matchText = (task, value, phrase) => {
+    const words = queryWords(value);
+    if (phrase || words.length === 0) {
+      return `${task.title}\n${task.description || ''}`.toLowerCase().includes(value.toLowerCase());
+    }
+    const document = documents.get(task.id);
+    return Boolean(document) && words.every(word => matchesWord(document, word));
+  };
+
+  // Relevance of a task for the query terms ({ value, phrase } from parseQuery):
+  // rarer words count for more, title matches twice as much as description ones
+  const score = (task, terms) => {
+    const document = documents.get(task.id);
+    if (!document) return 0;
+
+    const total = documents.size;
+    return terms.flatMap(({ value }) => queryWords(value)).reduce((sum, word) => {
+      let best = 0;
+      expand(word).forEach((weight, term) => {
+        const frequency = TITLE_WEIGHT * (document.title.get(term) || 0) + (document.description.get(term) || 0);
+        if (frequency === 0) return;
+        const idf = Math.log(1 + (total - postings.get(term).size + 0.5) / (postings.get(term).size + 0.5));
+        best = Math.max(best, weight * idf * (frequency * (K1 + 1)) / (frequency + K1));
+      });
+      return sum + best;
+    }, 0);
+  };
+
+  // Where the query terms appear in some text
+  const matchRanges = (text, terms) => {
+    const matched = new Set();
+    terms.filter(term => !term.phrase)
+      .flatMap(({ value }) => queryWords(value))
+      .forEach(word => expand(word).forEach((weight, term) => matched.add(term)));
+
+    const ranges = tokenize(text)
+      .filter(({ word }) => !STOPWORDS.has(word) && matched.has(stem(word)))
+      .map(({ start, end }) => [start, end]);
+
+    const lower = text.toLowerCase();
+    terms.filter(term => term.phrase && term.value).forEach(({ value }) => {
+      const needle = value.toLowerCase();
+      for (let at = lower.indexOf(needle); at !== -1; at = lower.indexOf(needle, at + needle.length)) {
+        ranges.push([at, at + needle.length]);
+      }
+    });
+    return mergeRanges(ranges);
+  };
+
+  // The title and a piece of the description around the first match, as HTML
+  // with the matches in <mark>
+  const highlight = (task, terms) => {
+    const description = task.description || '';
+    const ranges = matchRanges(description, terms);
+
+    let start = 0;
+    if (ranges.length > 0 && ranges[0][0] > SNIPPET_LENGTH / 3) {
+      start = description.lastIndexOf(' ', ranges[0][0] - SNIPPET_LENGTH / 4) + 1;
+    }
+    let end = Math.min(description.length, start + SNIPPET_LENGTH);
+    if (end < description.length) {
+      const space = description.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+    const inSnippet = ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start, to - start]);
+
+    return {
+      title: markRanges(task.title, matchRanges(task.title, terms)),
+      snippet: (start > 0 ? '…' : '') +
+        markRanges(description.slice(start, end), inSnippet) +
+        (end < description.length ? '…' : '')
+    };
+  };
+
+  // Wrap the tasks collection so the index follows every committed write.
+  // Existing tasks are indexed straight away.
+  const track = (collection) => {
+    collection.all().forEach(add);
+    const reindex = (id) => store.afterCommit(() => {
+      const task = collection.get(id);
+      if (task) add(task); else remove(id);
+    });
+
+    const tracked = {
+      ...collection,
+      insert: (doc) => {
+        const created = collection.insert(doc);
+        reindex(created.id);
+        return created;
+      },
+      update: (id, doc) => {
+        const updated = collection.update(id, doc);
+        if (updated) reindex(id);
+        return updated;
+      },
+      remove: (id) => {
+        const removed = collection.remove(id);
+        if (removed) reindex(id);
+        return removed;
+      }
+    };
+    if (collection.restore) {
+      tracked.restore = (id, doc) => {
+        const restored = collection.restore(id, doc);
+        reindex(id);
+        return restored;
+      };
+    }
+    return tracked;
+  };
+
+  return { track, matchText, score, highlight, size: () => documents.size };
+};
+
+module.exports = { createSearchIndex };
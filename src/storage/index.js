@@ -0,0 +1,68 @@
+const path = require("path");
+const { createJsonStore } = require("./json");
+const { createSqliteStore } = require("./sqlite");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+const drivers = {
+  json: (dataDir) => createJsonStore({ file: path.join(dataDir, 'tasks.json') }),
+  sqlite: (dataDir) => createSqliteStore({ file: path.join(dataDir, 'tasks.db') })
+};
+
+// Pick the storage backend from STORAGE_DRIVER (json | sqlite) and DATA_DIR
+const createStore = ({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR
+} = {}) => {
+  const factory = drivers[driver.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  const backend = factory(dataDir);
+
+  // Convenience wrapper so routes can work with one collection at a time
+  const collection = (name) => ({
+    all: () => backend.list(name),
+    get: (id) => backend.get(name, id),
+    find: (predicate) => backend.list(name).find(predicate) || null,
+    insert: (doc) => backend.insert(name, doc),
+    update: (id, doc) => backend.update(name, id, doc),
+    remove: (id) => backend.remove(name, id),
+    count: () => backend.list(name).length
+  });
+
+  // Callbacks passed to afterCommit() inside a transaction wait until the
+  // outermost transaction commits and are dropped if it rolls back
+  const pending = [];
+
+  const transaction = (fn) => {
+    pending.push([]);
+    let result;
+    try {
+      result = backend.transaction(fn);
+    } catch (err) {
+      pending.pop();
+      throw err;
+    }
+    const callbacks = pending.pop();
+    if (pending.length > 0) {
+      pending[pending.length - 1].push(...callbacks);
+    } else {
+      callbacks.forEach(callback => callback());
+    }
+    return result;
+  };
+
+  const afterCommit = (callback) => {
+    if (pending.length > 0) {
+      pending[pending.length - 1].push(callback);
+    } else {
+      callback();
+    }
+  };
+
+  return { ...backend, transaction, afterCommit, collection };
+};
+
+module.exports = { createStore };
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+
+// JSON file backend: the whole database lives in memory and is flushed to a
+// single file after every write (or once per transaction).
+//
+// Each flush rewrites and fsyncs the entire file, so a single-row write costs
+// as much as the whole data set, and the event loop waits for the disk. That
+// keeps the file simple and crash-safe and is fine for small to medium data
+// sets. Code that writes many rows at once should wrap them in transaction()
+// so they share one flush; larger installations should use the SQLite
+// backend, which only writes what changed.
+const createJsonStore = ({ file }) => {
+  let state = { meta: {}, sequences: {}, collections: {} };
+  let transactionDepth = 0;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  if (fs.existsSync(file)) {
+    const raw = fs.readFileSync(file, "utf8");
+    try {
+      state = { ...state, ...JSON.parse(raw) };
+    } catch (err) {
+      // Refuse to start rather than overwrite a file we cannot read
+      throw new Error(`Cannot parse data file ${file}: ${err.message}`);
+    }
+  }
+
+  // Write to a temp file, fsync it, then rename over the real file so a crash
+  // leaves either the old or the new contents, never a partial write.
+  const flush = () => {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpFile, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(state, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+
+    try {
+      const dirFd = fs.openSync(path.dirname(file), "r");
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch (err) {
+      // Directory fsync is not supported on every platform
+    }
+  };
+
+  const persist = () => {
+    if (transactionDepth === 0) flush();
+  };
+
+  const rows = (name) => {
+    if (!state.collections[name]) state.collections[name] = [];
+    return state.collections[name];
+  };
+
+  const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+  // Keep id as the first key so the file stays readable
+  const withId = (doc, id) => {
+    const { id: ignored, ...data } = clone(doc);
+    return { id, ...data };
+  };
+
+  return {
+    driver: "json",
+    location: file,
+
+    list(name) {
+      return clone(rows(name));
+    },
+
+    get(name, id) {
+      return clone(rows(name).find(doc => doc.id === id)) || null;
+    },
+
+    insert(name, doc) {
+      const id = doc.id || (state.sequences[name] || 1);
+      state.sequences[name] = Math.max(state.sequences[name] || 1, id + 1);
+      const stored = withId(doc, id);
+      rows(name).push(stored);
+      persist();
+      return clone(stored);
+    },
+
+    update(name, id, doc) {
+      const list = rows(name);
+      const index = list.findIndex(d => d.id === id);
+      if (index === -1) return null;
+      list[index] = withId(doc, id);
+      persist();
+      return clone(list[index]);
+    },
+
+    remove(name, id) {
+      const list = rows(name);
+      const index = list.findIndex(d => d.id === id);
+      if (index === -1) return null;
+      const removed = list.splice(index, 1)[0];
+      persist();
+      return removed;
+    },
+
+    getMeta(key) {
+      return clone(state.meta[key]);
+    },
+
+    setMeta(key, value) {
+      state.meta[key] = clone(value);
+      persist();
+    },
+
+    // Changes inside fn are rolled back if it throws and flushed once if not
+    transaction(fn) {
+      const snapshot = clone(state);
+      transactionDepth++;
+      try {
+        const result = fn();
+        transactionDepth--;
+        if (transactionDepth === 0) flush();
+        return result;
+      } catch (err) {
+        transactionDepth--;
+        state = snapshot;
+        throw err;
+      }
+    },
+
+    close() {}
+  };
+};
+
+module.exports = { createJsonStore };
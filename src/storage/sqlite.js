@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+
+// Embedded SQLite backend: one table per collection, documents stored as JSON.
+const createSqliteStore = ({ file }) => {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error("STORAGE_DRIVER=sqlite requires the better-sqlite3 package to be installed");
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = FULL");
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)");
+
+  const tables = new Set();
+
+  // Collection names become table names, so only allow plain identifiers
+  const table = (name) => {
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    if (!tables.has(name)) {
+      db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL)`);
+      tables.add(name);
+    }
+    return `"${name}"`;
+  };
+
+  const toDoc = (row) => (row ? { id: row.id, ...JSON.parse(row.data) } : null);
+
+  const toData = (doc) => {
+    const { id, ...data } = doc;
+    return JSON.stringify(data);
+  };
+
+  return {
+    driver: "sqlite",
+    location: file,
+
+    list(name) {
+      return db.prepare(`SELECT id, data FROM ${table(name)} ORDER BY id`).all().map(toDoc);
+    },
+
+    get(name, id) {
+      return toDoc(db.prepare(`SELECT id, data FROM ${table(name)} WHERE id = ?`).get(id));
+    },
+
+    insert(name, doc) {
+      const result = doc.id
+        ? db.prepare(`INSERT INTO ${table(name)} (id, data) VALUES (?, ?)`).run(doc.id, toData(doc))
+        : db.prepare(`INSERT INTO ${table(name)} (data) VALUES (?)`).run(toData(doc));
+      return this.get(name, Number(result.lastInsertRowid));
+    },
+
+    update(name, id, doc) {
+      const result = db.prepare(`UPDATE ${table(name)} SET data = ? WHERE id = ?`).run(toData(doc), id);
+      return result.changes === 0 ? null : this.get(name, id);
+    },
+
+    remove(name, id) {
+      const existing = this.get(name, id);
+      if (!existing) return null;
+      db.prepare(`DELETE FROM ${table(name)} WHERE id = ?`).run(id);
+      return existing;
+    },
+
+    getMeta(key) {
+      const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    setMeta(key, value) {
+      db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+        .run(key, JSON.stringify(value));
+    },
+
+    transaction(fn) {
+      try {
+        return db.transaction(fn)();
+      } catch (err) {
+        // Tables created inside a rolled-back transaction no longer exist
+        tables.clear();
+        throw err;
+      }
+    },
+
+    close() {
+      db.close();
+    }
+  };
+};
+
+module.exports = { createSqliteStore };
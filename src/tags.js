@@ -0,0 +1,228 @@
+const express = require("express");
+
+const MAX_TAGS_PER_TASK = 20;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _.-]{0,29}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const PALETTE = ['#667eea', '#38a169', '#dd6b20', '#e53e3e', '#3182ce', '#805ad5', '#d69e2e', '#319795'];
+
+// Tags are case-insensitive, so store them trimmed and lowercased
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag))];
+
+const TAG_RULE = "Tag names must be 1-30 characters of letters, numbers, spaces, '.', '_' or '-'";
+
+const isValidTagName = (name) => typeof name === 'string' && TAG_PATTERN.test(normalizeTag(name));
+
+const validateTagName = (name) => (isValidTagName(name) ? [] : [TAG_RULE]);
+
+// Used by validateTask
+const validateTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) return ["Tags must be an array of strings"];
+  if (normalizeTags(tags).length > MAX_TAGS_PER_TASK) return [`A task can have at most ${MAX_TAGS_PER_TASK} tags`];
+
+  const invalid = tags.find(tag => !isValidTagName(tag));
+  return invalid !== undefined ? [`Invalid tag "${invalid}": ${TAG_RULE}`] : [];
+};
+
+// Stable default color so a tag keeps its color until someone picks one
+const defaultColor = (name) => {
+  const hash = [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return PALETTE[hash % PALETTE.length];
+};
+
+const parseTagFilter = (value) =>
+  normalizeTags(String(value).split(',').filter(tag => tag.trim().length > 0));
+
+// any: task has at least one of the tags; all: task has every tag
+const matchesTags = (task, tags, mode) => {
+  const taskTags = task.tags || [];
+  return mode === 'all'
+    ? tags.every(tag => taskTags.includes(tag))
+    : tags.some(tag => taskTags.includes(tag));
+};
+
+// Tag registry (one per user) plus the routes under /api/tags
+const createTags = ({ store, tasks }) => {
+  const registry = store.collection('tags');
+  const router = express.Router();
+
+  const userTags = (ownerId) => registry.all().filter(tag => tag.ownerId === ownerId);
+
+  const findTag = (ownerId, name) => userTags(ownerId).find(tag => tag.name === normalizeTag(name)) || null;
+
+  // Make sure every tag used on a task exists in the owner's registry
+  const registerTags = (ownerId, names) => {
+    normalizeTags(names).forEach(name => {
+      if (!findTag(ownerId, name)) {
+        registry.insert({ ownerId, name, color: defaultColor(name), createdAt: new Date().toISOString() });
+      }
+    });
+  };
+
+  // Swap a tag for another (or drop it when `to` is null) on all of a user's tasks
+  const retagTasks = (ownerId, from, to) => {
+    let changed = 0;
+    tasks.all()
+      .filter(task => task.ownerId === ownerId && (task.tags || []).includes(from))
+      .forEach(task => {
+        const tags = task.tags.map(tag => (tag === from ? to : tag)).filter(Boolean);
+        tasks.update(task.id, { ...task, tags: normalizeTags(tags), updatedAt: new Date().toISOString() });
+        changed++;
+      });
+    return changed;
+  };
+
+  const withUsage = (tag, ownerId) => ({
+    ...tag,
+    taskCount: tasks.all().filter(task => task.ownerId === ownerId && (task.tags || []).includes(tag.name)).length
+  });
+
+  const loadTag = (req, res) => {
+    const tagId = parseInt(req.params.id);
+    const tag = registry.get(tagId);
+
+    if (!tag || tag.ownerId !== req.user.id) {
+      res.status(404).json({
+        success: false,
+        message: `Tag with ID ${tagId} not found`
+      });
+      return null;
+    }
+    return tag;
+  };
+
+  const validationFailed = (res, errors) => res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+
+  // GET all tags with how many tasks use each
+  router.get("/", (req, res) => {
+    const tags = userTags(req.user.id).map(tag => withUsage(tag, req.user.id));
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags.sort((a, b) => a.name.localeCompare(b.name))
+    });
+  });
+
+  // CREATE tag
+  router.post("/", (req, res) => {
+    const { name, color } = req.body;
+    const errors = validateTagName(name);
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      errors.push("Color must be a hex color like #667eea");
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    if (findTag(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: `Tag "${normalizeTag(name)}" already exists`
+      });
+    }
+
+    const tagName = normalizeTag(name);
+    const tag = registry.insert({
+      ownerId: req.user.id,
+      name: tagName,
+      color: color || defaultColor(tagName),
+      createdAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Tag created successfully",
+      data: withUsage(tag, req.user.id)
+    });
+  });
+
+  // UPDATE color and/or rename (renaming updates every task using the tag)
+  router.patch("/:id", (req, res) => {
+    const tag = loadTag(req, res);
+    if (!tag) return;
+
+    const { name, color } = req.body;
+    const errors = name !== undefined ? validateTagName(name) : [];
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      errors.push("Color must be a hex color like #667eea");
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const newName = name !== undefined ? normalizeTag(name) : tag.name;
+    const existing = findTag(req.user.id, newName);
+    if (existing && existing.id !== tag.id) {
+      return res.status(409).json({
+        success: false,
+        message: `Tag "${newName}" already exists; merge into it instead`
+      });
+    }
+
+    const result = store.transaction(() => {
+      const renamedTasks = newName !== tag.name ? retagTasks(req.user.id, tag.name, newName) : 0;
+      const updated = registry.update(tag.id, { ...tag, name: newName, color: color || tag.color });
+      return { updated, renamedTasks };
+    });
+
+    res.json({
+      success: true,
+      message: "Tag updated successfully",
+      data: withUsage(result.updated, req.user.id),
+      tasksUpdated: result.renamedTasks
+    });
+  });
+
+  // MERGE this tag into { into: tagId }
+  router.post("/:id/merge", (req, res) => {
+    const tag = loadTag(req, res);
+    if (!tag) return;
+
+    const target = registry.get(req.body.into);
+    if (!target || target.ownerId !== req.user.id || target.id === tag.id) {
+      return validationFailed(res, ["into must be the ID of another of your tags"]);
+    }
+
+    const tasksUpdated = store.transaction(() => {
+      const changed = retagTasks(req.user.id, tag.name, target.name);
+      registry.remove(tag.id);
+      return changed;
+    });
+
+    res.json({
+      success: true,
+      message: `Tag "${tag.name}" merged into "${target.name}"`,
+      data: withUsage(target, req.user.id),
+      tasksUpdated
+    });
+  });
+
+  // DELETE tag and remove it from every task
+  router.delete("/:id", (req, res) => {
+    const tag = loadTag(req, res);
+    if (!tag) return;
+
+    const tasksUpdated = store.transaction(() => {
+      const changed = retagTasks(req.user.id, tag.name, null);
+      registry.remove(tag.id);
+      return changed;
+    });
+
+    res.json({
+      success: true,
+      message: "Tag deleted successfully",
+      data: tag,
+      tasksUpdated
+    });
+  });
+
+  return { router, registerTags, userTags };
+};
+
+module.exports = { createTags, normalizeTags, validateTags, parseTagFilter, matchesTags };
@@ -0,0 +1,369 @@
+const express = require("express");
+
+const MAX_IMPORT_ROWS = 1000;
+const FORMATS = ['csv', 'json', 'ics'];
+const CSV_COLUMNS = ['id', 'title', 'description', 'status', 'priority', 'dueDate', 'tags', 'recurrence', 'autoComplete', 'checklist', 'projectId', 'assigneeId', 'watchers', 'fields', 'createdAt', 'updatedAt'];
+
+// --- CSV (RFC 4180) ---
+
+// Cells starting with these are formulas (or tab and carriage return, which
+// spreadsheets skip before one) to a spreadsheet, so they are written with a
+// leading ' (and read back without it)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const unescapeFormula = (value) => (value && value[0] === "'" && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+
+// One line per checklist item: "[x] Done thing" / "[ ] Open thing"
+const checklistToText = (checklist) =>
+  (checklist || []).map(item => `${item.done ? '[x]' : '[ ]'} ${item.text}`).join('\n');
+
+const textToChecklist = (text) => text.split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const match = /^\[( |x|X)\]\s*(.*)$/.exec(line);
+    return match ? { text: match[2], done: match[1].toLowerCase() === 'x' } : { text: line, done: false };
+  });
+
+const toCsv = (tasks) => {
+  const rows = tasks.map(task => [
+    task.id,
+    task.title,
+    task.description,
+    task.status,
+    task.priority,
+    task.dueDate,
+    (task.tags || []).join(', '),
+    task.recurrence ? task.recurrence.rrule : '',
+    Boolean(task.autoComplete),
+    checklistToText(task.checklist),
+    task.projectId,
+    task.assigneeId,
+    (task.watchers || []).join(', '),
+    task.fields && Object.keys(task.fields).length > 0 ? JSON.stringify(task.fields) : '',
+    task.createdAt,
+    task.updatedAt
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// CSV text -> array of rows (arrays of strings). Quoted fields may contain
+// commas, doubled quotes and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Header row + data rows -> objects keyed by column name (case-insensitive)
+const csvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(name => {
+    const known = CSV_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase());
+    return known || name.trim();
+  });
+  return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, unescapeFormula(cells[index])])));
+};
+
+// --- iCalendar (RFC 5545) ---
+
+// By workflow status category (see src/workflow.js)
+const ICS_STATUS = {
+  todo: 'NEEDS-ACTION',
+  active: 'IN-PROCESS',
+  done: 'COMPLETED',
+  cancelled: 'CANCELLED'
+};
+const ICS_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+// null for a date that does not parse; its line is left out
+const icsDate = (iso) => {
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+const icsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const toICalendar = (tasks, host, workflow) => {
+  const now = icsDate(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Task Management App//Tasks//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  tasks.forEach(task => {
+    const created = icsDate(task.createdAt);
+    const modified = icsDate(task.updatedAt);
+    const due = task.dueDate ? icsDate(task.dueDate) : null;
+    lines.push('BEGIN:VTODO', `UID:task-${task.id}@${host}`, `DTSTAMP:${now}`);
+    if (created) lines.push(`CREATED:${created}`);
+    if (modified) lines.push(`LAST-MODIFIED:${modified}`);
+    lines.push(`SUMMARY:${icsText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${icsText(task.description)}`);
+    if (due) lines.push(`DUE:${due}`);
+    lines.push(`STATUS:${ICS_STATUS[workflow.categoryOf(task.status)] || 'NEEDS-ACTION'}`);
+    lines.push(`PRIORITY:${ICS_PRIORITY[task.priority] || 0}`);
+    if (workflow.isDone(task) && modified) lines.push(`COMPLETED:${modified}`);
+    if (task.tags && task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(icsText).join(',')}`);
+    if (task.recurrence && due) lines.push(`RRULE:${task.recurrence.rrule}`);
+    lines.push('END:VTODO');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- Import ---
+
+const blank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// CSV cells are strings; whole numbers become IDs and anything else is left
+// for validation to reject
+const toId = (value) => (typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value);
+
+// A CSV record or JSON object -> input for the create operation. IDs and
+// timestamps are not imported; every row becomes a new task.
+const recordToTask = (record) => {
+  const input = {};
+  ['title', 'description', 'status', 'priority', 'dueDate'].forEach(field => {
+    if (!blank(record[field])) input[field] = typeof record[field] === 'string' ? record[field].trim() : record[field];
+  });
+  if (input.title === undefined) input.title = '';
+
+  if (!blank(record.tags)) {
+    input.tags = typeof record.tags === 'string'
+      ? record.tags.split(/[,;]/).map(tag => tag.trim()).filter(Boolean)
+      : record.tags;
+  }
+  if (!blank(record.recurrence)) input.recurrence = record.recurrence;
+  if (!blank(record.projectId)) input.projectId = toId(record.projectId);
+  if (!blank(record.assigneeId)) input.assigneeId = toId(record.assigneeId);
+  if (!blank(record.watchers)) {
+    input.watchers = typeof record.watchers === 'string'
+      ? record.watchers.split(/[,;]/).map(id => id.trim()).filter(Boolean).map(toId)
+      : record.watchers;
+  }
+  // Custom field values are a JSON object in CSV; a cell that is not JSON is
+  // passed on as text for validation to reject
+  if (!blank(record.fields)) {
+    input.fields = record.fields;
+    if (typeof record.fields === 'string') {
+      try {
+        input.fields = JSON.parse(record.fields);
+      } catch (err) {
+        // keep the text
+      }
+    }
+  }
+  if (!blank(record.checklist)) {
+    input.checklist = typeof record.checklist === 'string' ? textToChecklist(record.checklist) : record.checklist;
+  }
+  if (!blank(record.autoComplete)) {
+    const value = String(record.autoComplete).trim().toLowerCase();
+    input.autoComplete = ['true', 'yes', '1'].includes(value) ? true
+      : ['false', 'no', '0'].includes(value) ? false
+      : record.autoComplete;
+  }
+  return input;
+};
+
+// JSON import accepts an array of tasks or an export ({ data: [...] })
+const jsonRecords = (body) => {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.data)) return body.data;
+  if (body && Array.isArray(body.tasks)) return body.tasks;
+  throw new Error("JSON import must be an array of tasks or an object with a data array");
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Routes for GET /api/tasks/export and POST /api/tasks/import. `queryTasks`
+// applies the GET /api/tasks filters; `operations.create` validates each row
+// with validateTask and creates it.
+const createTransferRouter = ({ store, queryTasks, operations, workflow }) => {
+  const router = express.Router();
+
+  // EXPORT the filtered view (all pages) as ?format=csv|json|ics
+  router.get("/export", (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${FORMATS.join(', ')}`
+      });
+    }
+
+    const query = queryTasks(req);
+    if (query.error) {
+      return res.status(query.error.status).json(query.error.body);
+    }
+
+    const { filteredTasks, filters } = query;
+    const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(toCsv(filteredTasks));
+    }
+    if (format === 'ics') {
+      return res.type('text/calendar; charset=utf-8').send(toICalendar(filteredTasks, req.hostname, workflow));
+    }
+    res.json({
+      exportedAt: new Date().toISOString(),
+      count: filteredTasks.length,
+      filters,
+      data: filteredTasks
+    });
+  });
+
+  // IMPORT tasks from a CSV body (Content-Type: text/csv) or JSON.
+  // ?dryRun=true validates everything and writes nothing; ?skipInvalid=true
+  // imports the valid rows even when others fail.
+  router.post("/import", express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+    const dryRun = isTrue(req.query.dryRun);
+    const skipInvalid = isTrue(req.query.skipInvalid);
+    const format = (req.query.format || (req.is('text/csv') || req.is('text/plain') ? 'csv' : 'json')).toLowerCase();
+
+    let records;
+    try {
+      if (format === 'csv') {
+        records = csvRecords(typeof req.body === 'string' ? req.body : '');
+      } else if (format === 'json') {
+        records = jsonRecords(req.body);
+      } else {
+        throw new Error("Import format must be csv or json");
+      }
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not read import",
+        errors: [err.message]
+      });
+    }
+
+    if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not read import",
+        errors: [`An import must contain 1 to ${MAX_IMPORT_ROWS} tasks`]
+      });
+    }
+
+    // Rows are created inside a transaction that is rolled back for a dry run,
+    // or when a row fails and skipInvalid is off
+    const rollback = new Error("Import rolled back");
+    let results;
+    try {
+      store.transaction(() => {
+        results = records.map((record, index) => {
+          const input = record !== null && typeof record === 'object' ? recordToTask(record) : null;
+          const { status, body } = input
+            ? operations.create(req, input)
+            : { status: 400, body: { success: false, errors: ["Row must be an object"] } };
+          return body.success
+            ? { row: index + 1, success: true, data: body.data }
+            : { row: index + 1, success: false, errors: body.errors || [body.message], status };
+        });
+        const invalid = results.some(result => !result.success);
+        if (dryRun || (invalid && !skipInvalid)) throw rollback;
+      });
+    } catch (err) {
+      if (err !== rollback) throw err;
+    }
+
+    const valid = results.filter(result => result.success).length;
+    const invalid = results.length - valid;
+    const imported = dryRun || (invalid > 0 && !skipInvalid) ? 0 : valid;
+
+    // Dry runs show what would be created, without the IDs it would get
+    if (dryRun || imported === 0) {
+      results = results.map(result => (result.success
+        ? { ...result, data: { ...result.data, id: undefined, version: undefined } }
+        : result));
+    }
+
+    res.status(imported === 0 && !dryRun ? 400 : (dryRun ? 200 : 201)).json({
+      success: dryRun ? invalid === 0 : imported > 0,
+      message: dryRun
+        ? `Dry run: ${valid} of ${results.length} row(s) would be imported`
+        : imported > 0
+          ? `${imported} task(s) imported${invalid > 0 ? `, ${invalid} invalid row(s) skipped` : ''}`
+          : `Nothing imported: ${invalid} of ${results.length} row(s) are invalid`,
+      dryRun,
+      summary: {
+        total: results.length,
+        valid,
+        invalid,
+        imported
+      },
+      results
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createTransferRouter, toCsv };
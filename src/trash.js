@@ -0,0 +1,130 @@
+const express = require("express");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const isTrashed = (task) => Boolean(task && task.deletedAt);
+
+// Trash bin for soft-deleted tasks: routes under /api/trash plus the purge job
+const createTrash = ({
+  store,
+  tasks,
+  canAccessTask,
+  retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+}) => {
+  const router = express.Router();
+  // Other modules' cleanup for data that belongs to a task (see onPurge)
+  const purgeListeners = [];
+
+  // Permanently remove a task and every link pointing at it
+  const purgeTask = (taskId) => store.transaction(() => {
+    tasks.all()
+      .filter(task => (task.blockedBy || []).includes(taskId))
+      .forEach(task => tasks.update(task.id, { ...task, blockedBy: task.blockedBy.filter(id => id !== taskId) }));
+    const removed = tasks.remove(taskId);
+    purgeListeners.forEach(listener => listener(taskId));
+    return removed;
+  });
+
+  // Run `listener(taskId)` inside the purge transaction of every task
+  const onPurge = (listener) => {
+    purgeListeners.push(listener);
+  };
+
+  const moveToTrash = (task, user) => tasks.update(task.id, {
+    ...task,
+    deletedAt: new Date().toISOString(),
+    deletedBy: user.id
+  });
+
+  const expiresAt = (task) => new Date(new Date(task.deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+
+  // Purge everything that has been in the trash longer than the retention period
+  const purgeExpired = () => {
+    const now = new Date().toISOString();
+    const expired = tasks.all().filter(task => isTrashed(task) && expiresAt(task) <= now);
+    expired.forEach(task => purgeTask(task.id));
+    if (expired.length > 0) {
+      console.log(`🗑️ Purged ${expired.length} task(s) older than ${retentionDays} days from the trash`);
+    }
+    return expired.length;
+  };
+
+  const startPurgeSchedule = () => {
+    purgeExpired();
+    setInterval(purgeExpired, PURGE_INTERVAL_MS).unref();
+  };
+
+  const userTrash = (user) => tasks.all().filter(task => isTrashed(task) && canAccessTask(user, task));
+
+  const findTrashed = (req, res) => {
+    const taskId = parseInt(req.params.id);
+    const task = tasks.get(taskId);
+
+    if (!isTrashed(task) || !canAccessTask(req.user, task)) {
+      res.status(404).json({
+        success: false,
+        message: `Task with ID ${taskId} is not in the trash`
+      });
+      return null;
+    }
+    return task;
+  };
+
+  // GET trashed tasks, most recently deleted first
+  router.get("/", (req, res) => {
+    const trashed = userTrash(req.user)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(task => ({ ...task, purgeAt: expiresAt(task) }));
+
+    res.json({
+      success: true,
+      count: trashed.length,
+      retentionDays,
+      data: trashed
+    });
+  });
+
+  // RESTORE a task from the trash
+  router.post("/:id/restore", (req, res) => {
+    const task = findTrashed(req, res);
+    if (!task) return;
+
+    const { deletedAt, deletedBy, ...restored } = task;
+    const updatedTask = tasks.update(task.id, { ...restored, updatedAt: new Date().toISOString() });
+
+    res.json({
+      success: true,
+      message: "Task restored from trash",
+      data: updatedTask
+    });
+  });
+
+  // PURGE one task permanently
+  router.delete("/:id", (req, res) => {
+    const task = findTrashed(req, res);
+    if (!task) return;
+
+    res.json({
+      success: true,
+      message: "Task permanently deleted",
+      data: purgeTask(task.id)
+    });
+  });
+
+  // EMPTY the trash
+  router.delete("/", (req, res) => {
+    const trashed = userTrash(req.user);
+    store.transaction(() => trashed.forEach(task => purgeTask(task.id)));
+
+    res.json({
+      success: true,
+      message: `${trashed.length} task(s) permanently deleted`,
+      count: trashed.length
+    });
+  });
+
+  return { router, moveToTrash, purgeTask, purgeExpired, startPurgeSchedule, onPurge, retentionDays };
+};
+
+module.exports = { createTrash, isTrashed };
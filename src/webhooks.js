@@ -0,0 +1,461 @@
+const express = require("express");
+const crypto = require("crypto");
+const { isTrashed } = require("./trash");
+const { checkUrl, post } = require("./outbound");
+
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+const RETRY_INTERVAL_MS = 5 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+const MAX_WEBHOOKS_PER_USER = 20;
+const MAX_DELIVERIES_PER_WEBHOOK = 200;
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+// Enough of a failed response body to see what went wrong
+const MAX_RESPONSE_TEXT = 500;
+
+// Trashed tasks count as deleted, as they do for live events
+const isVisible = (task) => Boolean(task) && !isTrashed(task);
+
+// Wait before attempt n + 1: base, 2 x base, 4 x base...
+const backoff = (attempts, base) => base * 2 ** (attempts - 1);
+
+// "sha256=<hex>" over "<timestamp>.<body>", so a captured request cannot be
+// replayed later with a new timestamp
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// The secret is only shown when a webhook is created or its secret changes
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+// Outgoing webhooks: users subscribe a URL to task lifecycle events, and every
+// committed task write (from the task routes, bulk, import, undo...) is POSTed
+// to the matching subscriptions as a signed JSON payload. Wrap the tasks
+// collection with track(). Deliveries are stored, retried with exponential
+// backoff until they succeed or run out of attempts, and can be replayed.
+const createWebhooks = ({
+  store,
+  canAccessTask,
+  findUser,
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseMs = RETRY_BASE_MS,
+  intervalMs = RETRY_INTERVAL_MS,
+  timeoutMs = TIMEOUT_MS
+}) => {
+  const router = express.Router();
+  const webhooks = store.collection('webhooks');
+  const deliveries = store.collection('webhook_deliveries');
+  let running = false;
+  let runAgain = false;
+
+  // --- Delivery ---
+
+  // Drop the oldest finished deliveries once a webhook has too many
+  const prune = (webhookId) => {
+    const finished = deliveries.all()
+      .filter(delivery => delivery.webhookId === webhookId)
+      .sort((a, b) => a.id - b.id);
+    finished.slice(0, Math.max(0, finished.length - MAX_DELIVERIES_PER_WEBHOOK))
+      .filter(delivery => delivery.status !== 'pending')
+      .forEach(delivery => deliveries.remove(delivery.id));
+  };
+
+  const enqueue = (webhook, event, replayOf = null) => {
+    const delivery = deliveries.insert({
+      webhookId: webhook.id,
+      ownerId: webhook.ownerId,
+      event: event.type,
+      eventId: event.id,
+      payload: event,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      replayOf,
+      createdAt: new Date().toISOString()
+    });
+    prune(webhook.id);
+    return delivery;
+  };
+
+  // One HTTP attempt; any 2xx answer counts as delivered. The URL is checked
+  // again here, so a host that now resolves to a private address is refused.
+  const attempt = async (delivery, webhook) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString() };
+
+    try {
+      const response = await post(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'task-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        timeoutMs
+      });
+      result.statusCode = response.status;
+      result.success = response.ok;
+      if (!response.ok) {
+        result.error = `Answered ${response.status} ${response.statusText}`.trim();
+        result.response = response.text.slice(0, MAX_RESPONSE_TEXT);
+      }
+    } catch (err) {
+      result.success = false;
+      result.error = err.message;
+    }
+    result.durationMs = Date.now() - started;
+    return result;
+  };
+
+  const deliver = async (delivery) => {
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      return deliveries.remove(delivery.id);
+    }
+
+    const result = await attempt(delivery, webhook);
+    const current = deliveries.get(delivery.id);
+    if (!current) return null;
+
+    const attempts = [...current.attempts, result];
+    let status = 'pending';
+    let nextAttemptAt = null;
+    if (result.success) {
+      status = 'succeeded';
+    } else if (attempts.length >= maxAttempts) {
+      status = 'failed';
+    } else {
+      nextAttemptAt = new Date(Date.now() + backoff(attempts.length, retryBaseMs)).toISOString();
+    }
+    return deliveries.update(delivery.id, { ...current, status, attempts, nextAttemptAt });
+  };
+
+  // Send every pending delivery whose time has come. Runs on a timer and
+  // straight after a write; a call while a run is going makes it run once more.
+  const processDue = async (now = Date.now()) => {
+    if (running) {
+      runAgain = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        runAgain = false;
+        // Deliveries of paused webhooks wait until it is active again
+        const due = deliveries.all().filter(delivery => {
+          if (delivery.status !== 'pending' || Date.parse(delivery.nextAttemptAt) > now) return false;
+          const webhook = webhooks.get(delivery.webhookId);
+          return !webhook || webhook.active;
+        });
+        await Promise.all(due.map(deliver));
+        now = Date.now();
+      } while (runAgain);
+    } finally {
+      running = false;
+    }
+  };
+
+  const kick = () => {
+    setImmediate(() => processDue().catch(err => console.error('Webhook delivery failed:', err)));
+  };
+
+  const startSchedule = () => {
+    kick();
+    setInterval(kick, intervalMs).unref();
+  };
+
+  // --- Events ---
+
+  const dispatch = (type, task, previous) => {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      taskId: task.id,
+      at: new Date().toISOString(),
+      data: task
+    };
+    if (previous) event.previous = previous;
+
+    const matching = webhooks.all().filter(webhook => {
+      if (!webhook.active || !webhook.events.includes(type)) return false;
+      const owner = findUser(webhook.ownerId);
+      return Boolean(owner) && canAccessTask(owner, task);
+    });
+    matching.forEach(webhook => enqueue(webhook, event));
+    if (matching.length > 0) kick();
+  };
+
+  const changed = (before, after) => {
+    const types = [];
+    if (!isVisible(before) && isVisible(after)) types.push(['task.created', after]);
+    if (isVisible(before) && isVisible(after)) {
+      types.push(['task.updated', after]);
+      if (before.status !== after.status) {
+        types.push(['task.status_changed', after, { status: before.status }]);
+      }
+    }
+    if (isVisible(before) && !isVisible(after)) types.push(['task.deleted', after || before]);
+    if (types.length > 0) {
+      store.afterCommit(() => types.forEach(([type, task, previous]) => dispatch(type, task, previous)));
+    }
+  };
+
+  const track = (collection) => {
+    const tracked = {
+      ...collection,
+      insert: (doc) => {
+        const created = collection.insert(doc);
+        changed(null, created);
+        return created;
+      },
+      update: (id, doc) => {
+        const before = collection.get(id);
+        const updated = collection.update(id, doc);
+        if (updated) changed(before, updated);
+        return updated;
+      },
+      remove: (id) => {
+        const removed = collection.remove(id);
+        if (removed) changed(removed, null);
+        return removed;
+      }
+    };
+    if (collection.restore) {
+      tracked.restore = (id, doc) => {
+        const before = collection.get(id);
+        const restored = collection.restore(id, doc);
+        changed(before, restored);
+        return restored;
+      };
+    }
+    return tracked;
+  };
+
+  // --- Routes ---
+
+  const validateWebhook = ({ url, secret, events, active, description }) => {
+    const errors = [];
+    const urlProblem = typeof url !== 'string' ? "must be an http(s) URL" : checkUrl(url);
+    if (urlProblem) {
+      errors.push(`url ${urlProblem}`);
+    }
+    if (typeof secret !== 'string' || secret.length < 16 || secret.length > 200) {
+      errors.push("secret must be 16 to 200 characters");
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (typeof active !== 'boolean') {
+      errors.push("active must be true or false");
+    }
+    if (description !== null && (typeof description !== 'string' || description.length > 200)) {
+      errors.push("description must be at most 200 characters");
+    }
+    return errors;
+  };
+
+  const validationFailed = (res, errors) => res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+
+  const userWebhooks = (userId) => webhooks.all().filter(webhook => webhook.ownerId === userId);
+
+  // Routes with :id work on one of your webhooks
+  router.param('id', (req, res, next, id) => {
+    const webhookId = parseInt(id);
+    const webhook = webhooks.get(webhookId);
+
+    if (!webhook || webhook.ownerId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook with ID ${webhookId} not found`
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  });
+
+  // The event names a subscription can filter on
+  router.get("/events", (req, res) => {
+    res.json({ success: true, data: WEBHOOK_EVENTS });
+  });
+
+  // GET your webhooks
+  router.get("/", (req, res) => {
+    const data = userWebhooks(req.user.id).map(withoutSecret);
+    res.json({ success: true, count: data.length, data });
+  });
+
+  // CREATE a webhook. Without a secret one is generated; either way it is
+  // returned only in this response.
+  router.post("/", (req, res) => {
+    const webhook = {
+      url: req.body.url,
+      secret: req.body.secret !== undefined ? req.body.secret : newSecret(),
+      events: req.body.events !== undefined ? req.body.events : WEBHOOK_EVENTS,
+      active: req.body.active !== undefined ? req.body.active : true,
+      description: req.body.description !== undefined ? req.body.description : null
+    };
+
+    const errors = validateWebhook(webhook);
+    if (userWebhooks(req.user.id).length >= MAX_WEBHOOKS_PER_USER) {
+      errors.push(`You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    }
+    if (errors.length > 0) return validationFailed(res, errors);
+
+    const now = new Date().toISOString();
+    const created = webhooks.insert({
+      ownerId: req.user.id,
+      ...webhook,
+      events: [...new Set(webhook.events)],
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created successfully",
+      data: created
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    res.json({ success: true, data: withoutSecret(req.webhook) });
+  });
+
+  // UPDATE a webhook; fields left out keep their value. `secret: null`
+  // generates a new secret, which is returned in the response.
+  router.patch("/:id", (req, res) => {
+    const current = req.webhook;
+    const rotated = req.body.secret !== undefined;
+    const webhook = {
+      url: req.body.url !== undefined ? req.body.url : current.url,
+      secret: !rotated ? current.secret : (req.body.secret === null ? newSecret() : req.body.secret),
+      events: req.body.events !== undefined ? req.body.events : current.events,
+      active: req.body.active !== undefined ? req.body.active : current.active,
+      description: req.body.description !== undefined ? req.body.description : current.description
+    };
+
+    const errors = validateWebhook(webhook);
+    if (errors.length > 0) return validationFailed(res, errors);
+
+    const updated = webhooks.update(current.id, {
+      ...current,
+      ...webhook,
+      events: [...new Set(webhook.events)],
+      updatedAt: new Date().toISOString()
+    });
+    if (updated.active && !current.active) kick();
+
+    res.json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: rotated ? updated : withoutSecret(updated)
+    });
+  });
+
+  // DELETE a webhook and its delivery log
+  router.delete("/:id", (req, res) => {
+    store.transaction(() => {
+      deliveries.all()
+        .filter(delivery => delivery.webhookId === req.webhook.id)
+        .forEach(delivery => deliveries.remove(delivery.id));
+      webhooks.remove(req.webhook.id);
+    });
+
+    res.json({
+      success: true,
+      message: "Webhook deleted successfully",
+      data: withoutSecret(req.webhook)
+    });
+  });
+
+  // SEND a webhook.ping event to check the URL and the signature
+  router.post("/:id/ping", (req, res) => {
+    const delivery = enqueue(req.webhook, {
+      id: crypto.randomUUID(),
+      type: 'webhook.ping',
+      at: new Date().toISOString(),
+      data: { webhookId: req.webhook.id, events: req.webhook.events }
+    });
+    kick();
+
+    res.status(202).json({
+      success: true,
+      message: "Ping queued",
+      data: delivery
+    });
+  });
+
+  // GET the delivery log, newest first: ?status=pending|succeeded|failed, ?limit=
+  router.get("/:id/deliveries", (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !['pending', 'succeeded', 'failed'].includes(status)) {
+      return validationFailed(res, ["status must be one of: pending, succeeded, failed"]);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT);
+    const log = deliveries.all()
+      .filter(delivery => delivery.webhookId === req.webhook.id && (!status || delivery.status === status))
+      .sort((a, b) => b.id - a.id);
+
+    res.json({
+      success: true,
+      count: Math.min(log.length, limit),
+      total: log.length,
+      data: log.slice(0, limit)
+    });
+  });
+
+  const findDelivery = (req, res) => {
+    const deliveryId = parseInt(req.params.deliveryId);
+    const delivery = deliveries.get(deliveryId);
+
+    if (!delivery || delivery.webhookId !== req.webhook.id) {
+      res.status(404).json({
+        success: false,
+        message: `Delivery with ID ${deliveryId} not found`
+      });
+      return null;
+    }
+    return delivery;
+  };
+
+  router.get("/:id/deliveries/:deliveryId", (req, res) => {
+    const delivery = findDelivery(req, res);
+    if (!delivery) return;
+    res.json({ success: true, data: delivery });
+  });
+
+  // REPLAY a delivery: the same payload (and X-Webhook-Id) as a new delivery,
+  // signed with the current secret and with a fresh set of attempts
+  router.post("/:id/deliveries/:deliveryId/replay", (req, res) => {
+    const original = findDelivery(req, res);
+    if (!original) return;
+
+    const delivery = enqueue(req.webhook, original.payload, original.id);
+    kick();
+
+    res.status(202).json({
+      success: true,
+      message: "Delivery queued for replay",
+      data: delivery
+    });
+  });
+
+  return { router, track, processDue, startSchedule, events: WEBHOOK_EVENTS };
+};
+
+module.exports = { createWebhooks, sign };
@@ -0,0 +1,314 @@
+const express = require("express");
+
+// What a status means to the rest of the app: open work (todo, active), done
+// (counts as completed, unblocks dependants, stops reminders) or cancelled
+const STATUS_CATEGORIES = ['todo', 'active', 'done', 'cancelled'];
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_STATUSES = 20;
+const MAX_PRIORITIES = 10;
+const MAX_LABEL_LENGTH = 30;
+const CATEGORY_COLORS = { todo: '#c53030', active: '#2b6cb0', done: '#22543d', cancelled: '#4a5568' };
+const PRIORITY_COLOR = '#744210';
+
+// The statuses and priorities tasks had before workflows were configurable
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'pending', label: 'Pending', category: 'todo', color: '#c53030' },
+    { key: 'in-progress', label: 'In Progress', category: 'active', color: '#2b6cb0' },
+    { key: 'completed', label: 'Completed', category: 'done', color: '#22543d' },
+    { key: 'cancelled', label: 'Cancelled', category: 'cancelled', color: '#4a5568' }
+  ],
+  initialStatus: 'pending',
+  transitions: null,
+  priorities: [
+    { key: 'low', label: 'Low', color: '#234e52' },
+    { key: 'medium', label: 'Medium', color: '#744210' },
+    { key: 'high', label: 'High', color: '#c53030' },
+    { key: 'urgent', label: 'Urgent', color: '#9b2c2c' }
+  ],
+  defaultPriority: 'medium'
+};
+
+// "in review" -> "In Review"
+const labelFor = (key) => key.split(/[-_]/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+// Statuses or priorities: [{ key, label?, color? }] with unique keys
+const validateEntries = (entries, name, max, extra) => {
+  const errors = [];
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > max) {
+    return { errors: [`${name} must be an array of 1 to ${max} entries`], entries: [] };
+  }
+
+  const seen = new Set();
+  const normalized = entries.map((entry, index) => {
+    const at = `${name}[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${at} must be an object with a key`);
+      return null;
+    }
+    const key = typeof entry.key === 'string' ? entry.key.trim().toLowerCase() : '';
+    if (!KEY_PATTERN.test(key)) {
+      errors.push(`${at}.key must be 1-30 lowercase letters, digits, - or _`);
+    } else if (seen.has(key)) {
+      errors.push(`${at}.key "${key}" is used twice`);
+    }
+    seen.add(key);
+    if (entry.label !== undefined && (typeof entry.label !== 'string' || !entry.label.trim() || entry.label.length > MAX_LABEL_LENGTH)) {
+      errors.push(`${at}.label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    if (entry.color !== undefined && !COLOR_PATTERN.test(entry.color)) {
+      errors.push(`${at}.color must be a hex color like #667eea`);
+    }
+    return {
+      key,
+      label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : labelFor(key),
+      ...extra(entry, at, errors)
+    };
+  });
+
+  return { errors, entries: normalized.filter(Boolean) };
+};
+
+// Check a workflow sent to PUT /api/workflow. Returns { errors } or
+// { workflow } with labels, colors and defaults filled in.
+const validateWorkflow = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { errors: ["The workflow must be an object"] };
+  }
+
+  const statuses = validateEntries(input.statuses, 'statuses', MAX_STATUSES, (entry, at, errors) => {
+    if (!STATUS_CATEGORIES.includes(entry.category)) {
+      errors.push(`${at}.category must be one of: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+    return { category: entry.category, color: entry.color || CATEGORY_COLORS[entry.category] || PRIORITY_COLOR };
+  });
+  const priorities = validateEntries(input.priorities, 'priorities', MAX_PRIORITIES, (entry) => ({
+    color: entry.color || PRIORITY_COLOR
+  }));
+  const errors = [...statuses.errors, ...priorities.errors];
+  if (errors.length > 0) return { errors };
+
+  const statusKeys = statuses.entries.map(status => status.key);
+  const byKey = new Map(statuses.entries.map(status => [status.key, status]));
+
+  // Completing a checklist or a recurring task needs somewhere to go
+  if (!statuses.entries.some(status => status.category === 'done')) {
+    errors.push("At least one status must be in the done category");
+  }
+
+  const initialStatus = input.initialStatus === undefined ? statusKeys[0] : input.initialStatus;
+  if (!byKey.has(initialStatus)) {
+    errors.push(`initialStatus must be one of: ${statusKeys.join(', ')}`);
+  } else if (!['todo', 'active'].includes(byKey.get(initialStatus).category)) {
+    errors.push("initialStatus must be a todo or active status");
+  }
+
+  // { from: [to, ...] }; statuses that are not listed can move anywhere
+  let transitions = null;
+  if (input.transitions !== undefined && input.transitions !== null) {
+    if (typeof input.transitions !== 'object' || Array.isArray(input.transitions)) {
+      errors.push("transitions must be an object mapping a status to the statuses it can move to, or null");
+    } else {
+      transitions = {};
+      Object.entries(input.transitions).forEach(([from, targets]) => {
+        if (!byKey.has(from)) {
+          errors.push(`transitions has unknown status "${from}"`);
+        } else if (!Array.isArray(targets) || !targets.every(to => byKey.has(to))) {
+          errors.push(`transitions.${from} must be an array of statuses from: ${statusKeys.join(', ')}`);
+        } else {
+          transitions[from] = [...new Set(targets.filter(to => to !== from))];
+        }
+      });
+    }
+  }
+
+  const priorityKeys = priorities.entries.map(priority => priority.key);
+  const defaultPriority = input.defaultPriority === undefined ? priorityKeys[0] : input.defaultPriority;
+  if (!priorityKeys.includes(defaultPriority)) {
+    errors.push(`defaultPriority must be one of: ${priorityKeys.join(', ')}`);
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    workflow: {
+      statuses: statuses.entries,
+      initialStatus,
+      transitions,
+      priorities: priorities.entries,
+      defaultPriority
+    }
+  };
+};
+
+// The server's task workflow: which statuses and priorities exist, what each
+// status means and which status changes are allowed. Kept in the store's meta
+// and edited by admins through /api/workflow. Everything that used to assume
+// pending/in-progress/completed/cancelled asks this object instead.
+const createWorkflow = ({ store, tasks }) => {
+  const router = express.Router();
+  let current = store.getMeta('workflow') || DEFAULT_WORKFLOW;
+
+  const findStatus = (key) => current.statuses.find(status => status.key === key) || null;
+  const categoryOf = (key) => (findStatus(key) || {}).category || null;
+
+  const statusKeys = () => current.statuses.map(status => status.key);
+  const priorityKeys = () => current.priorities.map(priority => priority.key);
+
+  // { low: 1, medium: 2, ... }: lowest priority first, as listed
+  const priorityOrder = () => Object.fromEntries(current.priorities.map((priority, index) => [priority.key, index + 1]));
+
+  // Positions in the status and priority lists, for sorting; 0 if unknown
+  const statusRank = (key) => statusKeys().indexOf(key) + 1;
+  const priorityRank = (key) => priorityKeys().indexOf(key) + 1;
+
+  const isDone = (task) => categoryOf(task.status) === 'done';
+  const isFinished = (task) => ['done', 'cancelled'].includes(categoryOf(task.status));
+  const isOpen = (task) => ['todo', 'active'].includes(categoryOf(task.status));
+  const isActive = (task) => categoryOf(task.status) === 'active';
+
+  // Where auto-completed checklists and finished recurring tasks go
+  const doneStatus = () => current.statuses.find(status => status.category === 'done').key;
+  const initialStatus = () => current.initialStatus;
+  const defaultPriority = () => current.defaultPriority;
+
+  const canTransition = (from, to) => {
+    if (from === to || !current.transitions || !current.transitions[from]) return true;
+    return current.transitions[from].includes(to);
+  };
+
+  // Status and priority checks for validateTask. `existing` is the stored
+  // task when updating, so the transition can be checked.
+  const validate = (task, existing) => {
+    const errors = [];
+    if (task.status && !findStatus(task.status)) {
+      errors.push(`Status must be one of: ${statusKeys().join(', ')}`);
+    } else if (task.status && existing && !canTransition(existing.status, task.status)) {
+      const allowed = current.transitions[existing.status];
+      errors.push(`Status cannot change from ${existing.status} to ${task.status}; ${
+        allowed.length > 0 ? `it can move to: ${allowed.join(', ')}` : 'it is final'}`);
+    }
+    if (task.priority && !priorityKeys().includes(task.priority)) {
+      errors.push(`Priority must be one of: ${priorityKeys().join(', ')}`);
+    }
+    return errors;
+  };
+
+  // Count per status (or priority), every configured one included
+  const countBy = (taskList, field, keys) => Object.fromEntries(
+    keys.map(key => [key, taskList.filter(task => task[field] === key).length])
+  );
+
+  const breakdown = (taskList) => ({
+    statuses: countBy(taskList, 'status', statusKeys()),
+    priorities: countBy(taskList, 'priority', priorityKeys()),
+    categories: Object.fromEntries(STATUS_CATEGORIES.map(category => [
+      category, taskList.filter(task => categoryOf(task.status) === category).length
+    ]))
+  });
+
+  // Tasks (trashed ones too, so they can be restored) whose status or priority
+  // the new workflow drops must be mapped onto one it keeps
+  const planMigration = (workflow, migrate = {}) => {
+    const errors = [];
+    const moves = { statuses: {}, priorities: {} };
+    const check = (name, field, keys) => {
+      const map = (migrate && migrate[name]) || {};
+      const used = new Map();
+      tasks.all().forEach(task => {
+        if (task[field] && !keys.includes(task[field])) used.set(task[field], (used.get(task[field]) || 0) + 1);
+      });
+      used.forEach((count, key) => {
+        if (map[key] === undefined) {
+          errors.push(`${count} task(s) still have ${field} "${key}"; map it with migrate.${name}.${key}`);
+        } else if (!keys.includes(map[key])) {
+          errors.push(`migrate.${name}.${key} must be one of: ${keys.join(', ')}`);
+        } else {
+          moves[name][key] = map[key];
+        }
+      });
+    };
+    check('statuses', 'status', workflow.statuses.map(status => status.key));
+    check('priorities', 'priority', workflow.priorities.map(priority => priority.key));
+    return { errors, moves };
+  };
+
+  const toJson = () => ({ ...current, categories: STATUS_CATEGORIES });
+
+  // GET the workflow (everyone can read it; the app builds its menus from it)
+  router.get("/", (req, res) => {
+    res.json({ success: true, data: toJson() });
+  });
+
+  // REPLACE the workflow (admins only). Tasks in a status or priority that is
+  // removed move to the one named in { migrate: { statuses: { old: new } } }.
+  router.put("/", (req, res) => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change the workflow"
+      });
+    }
+
+    const { workflow, errors } = validateWorkflow(req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+
+    const plan = planMigration(workflow, req.body.migrate);
+    if (plan.errors.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Some tasks use statuses or priorities that would be removed",
+        errors: plan.errors
+      });
+    }
+
+    const migrated = store.transaction(() => {
+      store.setMeta('workflow', workflow);
+      const now = new Date().toISOString();
+      return tasks.all()
+        .filter(task => plan.moves.statuses[task.status] || plan.moves.priorities[task.priority])
+        .map(task => tasks.update(task.id, {
+          ...task,
+          status: plan.moves.statuses[task.status] || task.status,
+          priority: plan.moves.priorities[task.priority] || task.priority,
+          updatedAt: now
+        }));
+    });
+    current = workflow;
+
+    res.json({
+      success: true,
+      message: "Workflow updated",
+      data: toJson(),
+      migratedTasks: migrated.length
+    });
+  });
+
+  return {
+    router,
+    statusKeys,
+    priorityKeys,
+    priorityOrder,
+    statusRank,
+    priorityRank,
+    categoryOf,
+    isDone,
+    isFinished,
+    isOpen,
+    isActive,
+    doneStatus,
+    initialStatus,
+    defaultPriority,
+    canTransition,
+    validate,
+    breakdown
+  };
+};
+
+module.exports = { createWorkflow, validateWorkflow, DEFAULT_WORKFLOW, STATUS_CATEGORIES };
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const { parseMultipart } = require("../src/attachments/multipart");
+const { startServer } = require("./helpers/server");
+
+const BOUNDARY = "----test-boundary";
+
+const multipartBody = (parts) => Buffer.concat([
+  ...parts.map(({ name, filename, type, content }) => Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"` +
+      `${filename !== undefined ? `; filename="${filename}"` : ''}\r\n` +
+      `${type ? `Content-Type: ${type}\r\n` : ''}\r\n`),
+    Buffer.from(content),
+    Buffer.from('\r\n')
+  ])),
+  Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+const upload = (request, taskId, body) => request('POST', `/api/tasks/${taskId}/attachments`, {
+  raw: true,
+  body,
+  headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` }
+});
+
+// Files left in the attachment directory, temp files included
+const storedFiles = (dataDir) => {
+  const dir = path.join(dataDir, 'attachments');
+  return fs.existsSync(dir) ? fs.readdirSync(dir, { recursive: true }).filter(name => name.includes('-')) : [];
+};
+
+test("the parser finds fields and files split across any chunk boundary", async () => {
+  const content = 'x'.repeat(300) + `\r\n--${BOUNDARY.slice(0, 5)}` + 'y'.repeat(50);
+  const body = multipartBody([
+    { name: 'note', content: 'hello' },
+    { name: 'file', filename: 'a.txt', type: 'text/plain', content }
+  ]);
+
+  for (const size of [1, 7, 64, body.length]) {
+    const req = new PassThrough();
+    req.headers = { 'content-type': `multipart/form-data; boundary="${BOUNDARY}"` };
+    const fields = {};
+    const received = [];
+    const parsed = parseMultipart(req, {
+      onField: (name, value) => { fields[name] = value; },
+      onFile: async (info, stream) => {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        received.push({ ...info, content: Buffer.concat(chunks).toString() });
+      }
+    });
+    for (let i = 0; i < body.length; i += size) req.write(body.subarray(i, i + size));
+    req.complete = true;
+    req.end();
+    await parsed;
+
+    assert.deepEqual(fields, { note: 'hello' }, `chunks of ${size}`);
+    assert.deepEqual(received, [{ fieldName: 'file', filename: 'a.txt', mimeType: 'text/plain', content }], `chunks of ${size}`);
+  }
+});
+
+test("uploads are stored, listed and downloaded with their checksum", async (t) => {
+  const { api, request, stop, dataDir } = await startServer();
+  t.after(stop);
+
+  const taskId = (await api('POST', '/api/tasks', { title: "With files" })).body.data.id;
+  const uploaded = await upload(request, taskId, multipartBody([
+    { name: 'file', filename: 'notes.txt', type: 'text/plain', content: 'first' },
+    { name: 'file', filename: '../../evil\u0007.json', type: 'application/json', content: '{}' }
+  ]));
+  assert.equal(uploaded.status, 201);
+  const data = (await uploaded.json()).data;
+  assert.deepEqual(data.map(file => [file.filename, file.size]), [['notes.txt', 5], ['evil.json', 2]]);
+  assert.equal(storedFiles(dataDir).length, 2);
+
+  const download = await request('GET', data[0].downloadUrl);
+  assert.equal(download.status, 200);
+  assert.equal(await download.text(), 'first');
+  assert.match(download.headers.get('content-disposition'), /^attachment; filename="notes.txt"/);
+  assert.equal(download.headers.get('etag'), `"${crypto.createHash('sha256').update('first').digest('hex')}"`);
+
+  const removed = await api('DELETE', `/api/tasks/${taskId}/attachments/${data[1].id}`);
+  assert.equal(removed.status, 200);
+  assert.equal(storedFiles(dataDir).length, 1);
+});
+
+test("oversized, disallowed and malformed uploads are refused without leaving files", async (t) => {
+  const { api, request, stop, dataDir } = await startServer({ ATTACHMENT_MAX_BYTES: '1024' });
+  t.after(stop);
+
+  const taskId = (await api('POST', '/api/tasks', { title: "Strict" })).body.data.id;
+  const refused = async (response, message) => {
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).errors[0], message);
+  };
+
+  // A good file is dropped again when a later one in the same upload fails
+  await refused(await upload(request, taskId, multipartBody([
+    { name: 'file', filename: 'ok.txt', type: 'text/plain', content: 'fine' },
+    { name: 'file', filename: 'big.txt', type: 'text/plain', content: 'x'.repeat(2048) }
+  ])), /^Files must be 1 KB or smaller/);
+  await refused(await upload(request, taskId, multipartBody([
+    { name: 'file', filename: 'run.exe', type: 'application/x-msdownload', content: 'MZ' }
+  ])), /^Files of type application\/x-msdownload are not allowed/);
+
+  const whole = multipartBody([{ name: 'file', filename: 'cut.txt', type: 'text/plain', content: 'cut short' }]);
+  await refused(await upload(request, taskId, whole.subarray(0, whole.length - 20)), /^Multipart body ended early/);
+  await refused(await upload(request, taskId, Buffer.from(`--${BOUNDARY}\r\nContent-Type: text/plain\r\n\r\nx\r\n--${BOUNDARY}--\r\n`)),
+    /^Every part needs a Content-Disposition name/);
+  await refused(await upload(request, taskId, multipartBody([{ name: 'note', content: 'no file' }])), /^No file in the upload/);
+  await refused(await request('POST', `/api/tasks/${taskId}/attachments`, { body: { file: 'json' } }), /^Expected a multipart\/form-data body/);
+
+  assert.deepEqual(storedFiles(dataDir), []);
+  assert.equal((await api('GET', `/api/tasks/${taskId}/attachments`)).body.count, 0);
+});
+
+test("files stay in the trash and go when the task is purged", async (t) => {
+  const { api, request, stop, dataDir } = await startServer();
+  t.after(stop);
+
+  const taskId = (await api('POST', '/api/tasks', { title: "Doomed" })).body.data.id;
+  await upload(request, taskId, multipartBody([{ name: 'file', filename: 'a.txt', type: 'text/plain', content: 'a' }]));
+
+  await api('DELETE', `/api/tasks/${taskId}`);
+  assert.equal(storedFiles(dataDir).length, 1);
+
+  assert.equal((await api('DELETE', `/api/trash/${taskId}`)).status, 200);
+  // The files are removed after the purge commits
+  for (let i = 0; i < 20 && storedFiles(dataDir).length > 0; i++) await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(storedFiles(dataDir), []);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+test("the task API needs a valid bearer token", async (t) => {
+  const { api, request, stop } = await startServer();
+  t.after(stop);
+
+  for (const url of ['/api/tasks', '/api/stats', '/api/tasks/1']) {
+    const anonymous = await request('GET', url, { headers: { Authorization: '' } });
+    assert.equal(anonymous.status, 401, url);
+  }
+  assert.equal((await api('GET', '/api/tasks', undefined, { Authorization: 'Bearer nope' })).status, 401);
+
+  const me = await api('GET', '/api/auth/me');
+  assert.equal(me.body.data.username, 'alice');
+  assert.equal(me.body.data.role, 'admin');
+  assert.equal(me.body.data.passwordHash, undefined);
+
+  // Logging out revokes the token
+  const login = await api('POST', '/api/auth/login', { username: 'ALICE', password: 'secret123' });
+  assert.equal(login.status, 200);
+  const token = { Authorization: `Bearer ${login.body.data.token}` };
+  assert.equal((await api('POST', '/api/auth/logout', undefined, token)).status, 200);
+  assert.equal((await api('GET', '/api/tasks', undefined, token)).status, 401);
+});
+
+test("registration and login check their input", async (t) => {
+  const { api, stop, dataDir } = await startServer();
+  t.after(stop);
+
+  const register = (body) => api('POST', '/api/auth/register', body);
+  assert.deepEqual((await register({ username: 'bob', password: 'secret123', name: 5 })).body.errors, ["Name must be a string"]);
+  assert.deepEqual((await register({ username: 'b', password: 'short' })).body.errors, [
+    "Username must be 3-30 characters of letters, numbers, '.', '_' or '-'",
+    "Password must be at least 8 characters"
+  ]);
+  assert.deepEqual((await register({ username: 'Alice', password: 'secret123' })).body.errors, ["Username is already taken"]);
+
+  const bob = await register({ username: 'bob', password: 'hunter2hunter2', name: '  Bob  ' });
+  assert.equal(bob.status, 201);
+  assert.equal(bob.body.data.user.name, 'Bob');
+  assert.equal(bob.body.data.user.role, 'user');
+
+  assert.equal((await api('POST', '/api/auth/login', { username: 'bob', password: 'wrong-password' })).status, 401);
+  assert.equal((await api('POST', '/api/auth/login', { username: ['bob'], password: 'hunter2hunter2' })).status, 401);
+
+  // Only hashes of passwords and tokens are stored
+  const stored = fs.readFileSync(path.join(dataDir, 'tasks.json'), 'utf8');
+  assert.ok(!stored.includes('hunter2hunter2'));
+  assert.ok(!stored.includes(bob.body.data.token));
+  assert.match(stored, /scrypt\$/);
+});
+
+test("users only see and change their own tasks; admins can list everyone's", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+
+  const alicesTask = (await api('POST', '/api/tasks', { title: "Alice's" })).body.data;
+  const bobsTask = (await api('POST', '/api/tasks', { title: "Bob's" }, asBob)).body.data;
+  assert.equal(bobsTask.ownerId, bob.user.id);
+
+  assert.deepEqual((await api('GET', '/api/tasks', undefined, asBob)).body.data.map(task => task.id), [bobsTask.id]);
+  assert.equal((await api('GET', `/api/tasks/${alicesTask.id}`, undefined, asBob)).status, 404);
+  assert.equal((await api('PATCH', `/api/tasks/${alicesTask.id}`, { title: "Mine now" }, asBob)).status, 404);
+  assert.equal((await api('DELETE', `/api/tasks/${alicesTask.id}`, undefined, asBob)).status, 404);
+  assert.equal((await api('GET', '/api/tasks?owner=all', undefined, asBob)).status, 403);
+
+  assert.deepEqual((await api('GET', '/api/tasks')).body.data.map(task => task.id), [alicesTask.id]);
+  const everyone = await api('GET', '/api/tasks?owner=all');
+  assert.deepEqual(everyone.body.data.map(task => task.id).sort(), [alicesTask.id, bobsTask.id].sort());
+  assert.deepEqual((await api('GET', `/api/tasks?owner=${bob.user.id}`)).body.data.map(task => task.id), [bobsTask.id]);
+});
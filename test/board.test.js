@@ -0,0 +1,20 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+test("the next occurrence of a recurring task gets its own board position", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const recurring = await api('POST', '/api/tasks', {
+    title: "Water plants",
+    dueDate: "2025-09-15T09:00:00.000Z",
+    recurrence: "FREQ=WEEKLY"
+  });
+  const other = await api('POST', '/api/tasks', { title: "Other" });
+
+  const completed = await api('PATCH', `/api/tasks/${recurring.body.data.id}`, { status: "completed" });
+  const next = completed.body.nextOccurrence;
+  assert.ok(next.position > recurring.body.data.position);
+  assert.ok(next.position > other.body.data.position);
+});
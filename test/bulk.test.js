@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const ids = (result) => result.body.data.map(task => task.id);
+
+test("operations run independently and each gets its own result", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const first = (await api('POST', '/api/tasks', { title: "First" })).body.data;
+  const second = (await api('POST', '/api/tasks', { title: "Second" })).body.data;
+  const third = (await api('POST', '/api/tasks', { title: "Third" })).body.data;
+
+  const result = await api('POST', '/api/tasks/bulk', {
+    operations: [
+      { action: 'create', data: { title: "Fourth" } },
+      { action: 'update', id: first.id, data: { title: "First, again", status: 'completed' } },
+      { action: 'patch', id: second.id, data: { priority: 'high' } },
+      { action: 'delete', id: third.id },
+      { action: 'patch', id: 999, data: { priority: 'high' } },
+      { action: 'create', data: { title: "" } },
+      { action: 'move', id: first.id }
+    ]
+  });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.success, false);
+  assert.deepEqual(result.body.summary, { total: 7, succeeded: 4, failed: 3 });
+  assert.deepEqual(result.body.results.map(entry => [entry.index, entry.status]),
+    [[0, 201], [1, 200], [2, 200], [3, 200], [4, 404], [5, 400], [6, 400]]);
+  assert.equal(result.body.results[4].message, "Task with ID 999 not found");
+  assert.deepEqual(result.body.results[5].errors, ["Title is required"]);
+  assert.deepEqual(result.body.results[6].errors, ["Action must be one of: create, update, patch, delete"]);
+
+  const created = result.body.results[0].id;
+  assert.deepEqual(ids(await api('GET', '/api/tasks')), [first.id, second.id, created]);
+  assert.equal((await api('GET', `/api/tasks/${first.id}`)).body.data.status, 'completed');
+  assert.equal((await api('GET', `/api/tasks/${second.id}`)).body.data.priority, 'high');
+  assert.equal((await api('GET', '/api/trash')).body.data[0].id, third.id);
+});
+
+test("a transactional batch is all or nothing", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const task = (await api('POST', '/api/tasks', { title: "Original" })).body.data;
+
+  const failed = await api('POST', '/api/tasks/bulk', {
+    transactional: true,
+    operations: [
+      { action: 'create', data: { title: "New" } },
+      { action: 'patch', id: task.id, data: { title: "Changed" } },
+      { action: 'patch', id: task.id, data: { status: 'not-a-status' } }
+    ]
+  });
+  assert.equal(failed.status, 400);
+  assert.equal(failed.body.message, "Bulk request rolled back: 1 of 3 operation(s) failed");
+  assert.deepEqual(failed.body.results.map(entry => [entry.status, entry.rolledBack || false]),
+    [[409, true], [409, true], [400, false]]);
+  assert.deepEqual(ids(await api('GET', '/api/tasks')), [task.id]);
+  assert.equal((await api('GET', `/api/tasks/${task.id}`)).body.data.title, "Original");
+
+  // Later operations see the earlier ones, including the version they bumped
+  const passed = await api('POST', '/api/tasks/bulk', {
+    transactional: true,
+    operations: [
+      { action: 'patch', id: task.id, version: task.version, data: { title: "Changed" } },
+      { action: 'patch', id: task.id, version: task.version + 1, data: { priority: 'high' } }
+    ]
+  });
+  assert.equal(passed.status, 200);
+  assert.equal(passed.body.success, true);
+  const current = (await api('GET', `/api/tasks/${task.id}`)).body.data;
+  assert.equal(current.title, "Changed");
+  assert.equal(current.priority, 'high');
+
+  const stale = await api('POST', '/api/tasks/bulk', {
+    operations: [{ action: 'delete', id: task.id, version: task.version }]
+  });
+  assert.equal(stale.body.results[0].status, 412);
+});
+
+test("bulk requests are checked before anything runs", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const task = (await api('POST', '/api/tasks', { title: "Alice's" })).body.data;
+  const tooMany = Array.from({ length: 201 }, () => ({ action: 'create', data: { title: "x" } }));
+
+  const cases = [
+    [{}, "operations must be an array of 1 to 200 operations"],
+    [{ operations: [] }, "operations must be an array of 1 to 200 operations"],
+    [{ operations: tooMany }, "operations must be an array of 1 to 200 operations"],
+    [{ operations: [{ action: 'create', data: {} }], transactional: 'yes' }, "transactional must be true or false"]
+  ];
+  for (const [body, error] of cases) {
+    const result = await api('POST', '/api/tasks/bulk', body);
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.errors, [error]);
+  }
+
+  const malformed = await api('POST', '/api/tasks/bulk', {
+    operations: [null, { action: 'patch', id: '1', data: [] }, { action: 'create', version: 1, data: { title: "x" } }]
+  });
+  assert.deepEqual(malformed.body.results.map(entry => entry.errors), [
+    ["Each operation must be an object"],
+    ["id must be a task ID", "data must be an object"],
+    ["version must be the task version you last saw (not used for create)"]
+  ]);
+
+  // Bulk writes get the same permission checks as the single-task routes
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+  const denied = await api('POST', '/api/tasks/bulk', { operations: [{ action: 'delete', id: task.id }] }, asBob);
+  assert.equal(denied.body.results[0].status, 404);
+  assert.equal((await api('GET', `/api/tasks/${task.id}`)).status, 200);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+test("ticking the last item auto-completes through the normal status change", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const blocker = await api('POST', '/api/tasks', { title: "Blocker" });
+  const blocked = await api('POST', '/api/tasks', { title: "Blocked", autoComplete: true, checklist: ["Only item"] });
+  await api('POST', `/api/tasks/${blocked.body.data.id}/dependencies`, { blockedBy: blocker.body.data.id });
+
+  // An open blocker keeps the task open
+  const ticked = await api('PATCH', `/api/tasks/${blocked.body.data.id}/checklist/1`, { done: true });
+  assert.equal(ticked.status, 200);
+  assert.equal(ticked.body.data.checklist[0].done, true);
+  assert.equal(ticked.body.data.status, "pending");
+
+  // A recurring task finished by its checklist rolls forward
+  const recurring = await api('POST', '/api/tasks', {
+    title: "Weekly review",
+    autoComplete: true,
+    checklist: ["Inbox zero"],
+    dueDate: "2025-09-15T09:00:00.000Z",
+    recurrence: "FREQ=WEEKLY"
+  });
+  const completed = await api('PATCH', `/api/tasks/${recurring.body.data.id}/checklist/1`, { done: true });
+  assert.equal(completed.body.data.status, "completed");
+  assert.ok(completed.body.data.nextOccurrenceId);
+
+  const next = await api('GET', `/api/tasks/${completed.body.data.nextOccurrenceId}`);
+  assert.equal(next.body.data.dueDate, "2025-09-22T09:00:00.000Z");
+  assert.equal(next.body.data.checklist[0].done, false);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+test("the task list counts live comments as they are added and deleted", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const task = (await api('POST', '/api/tasks', { title: "Discuss" })).body.data;
+  const other = (await api('POST', '/api/tasks', { title: "Quiet" })).body.data;
+  const countOf = async (id) => (await api('GET', '/api/tasks')).body.data.find(entry => entry.id === id).commentCount;
+
+  assert.equal(await countOf(task.id), 0);
+  const first = (await api('POST', `/api/tasks/${task.id}/comments`, { body: "First" })).body.data;
+  await api('POST', `/api/tasks/${task.id}/comments`, { body: "Reply", parentId: first.id });
+  assert.equal(await countOf(task.id), 2);
+  assert.equal(await countOf(other.id), 0);
+
+  // A comment with replies becomes a placeholder; deleting it again changes nothing
+  await api('DELETE', `/api/tasks/${task.id}/comments/${first.id}`);
+  await api('DELETE', `/api/tasks/${task.id}/comments/${first.id}`);
+  assert.equal(await countOf(task.id), 1);
+
+  await api('POST', `/api/tasks/${other.id}/comments`, { body: "Hello" });
+  assert.equal(await countOf(other.id), 1);
+});
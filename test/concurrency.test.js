@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseIfMatch, matchesVersion } = require("../src/concurrency");
+const { startServer } = require("./helpers/server");
+
+test("If-Match headers parse to versions", () => {
+  assert.equal(parseIfMatch(undefined), null);
+  assert.equal(parseIfMatch(' * '), '*');
+  assert.deepEqual(parseIfMatch('"3", W/"4"'), [3, 4]);
+  assert.equal(matchesVersion({ version: 2 }, [3]), false);
+  assert.equal(matchesVersion({}, [1]), true);
+});
+
+test("a stale If-Match gets 412 with the current task", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const created = await api('POST', '/api/tasks', { title: "Shared" });
+  const etag = created.headers.get('etag');
+  assert.equal(etag, '"1"');
+
+  const first = await api('PATCH', `/api/tasks/${created.body.data.id}`, { title: "Mine" }, { 'If-Match': etag });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('etag'), '"2"');
+
+  const stale = await api('PATCH', `/api/tasks/${created.body.data.id}`, { title: "Theirs" }, { 'If-Match': etag });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.currentVersion, 2);
+  assert.equal(stale.body.data.title, "Mine");
+  assert.equal(stale.headers.get('etag'), '"2"');
+});
+
+test("CORS lets other origins send If-Match and read the ETag", async (t) => {
+  const { request, stop } = await startServer();
+  t.after(stop);
+
+  const preflight = await request('OPTIONS', '/api/tasks/1');
+  assert.match(preflight.headers.get('access-control-allow-methods'), /PATCH/);
+  assert.match(preflight.headers.get('access-control-allow-headers'), /If-Match/);
+  assert.match(preflight.headers.get('access-control-allow-headers'), /Last-Event-ID/);
+  assert.equal(preflight.headers.get('access-control-expose-headers'), 'ETag');
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { sendMail } = require("../src/notifications/email");
+
+// An SMTP server that accepts everything and records the commands it got
+const startSmtp = () => new Promise((resolve) => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        received.push(line);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          }
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+});
+
+test("the envelope uses the bare address and the header keeps the display name", async (t) => {
+  const { server, received, port } = await startSmtp();
+  t.after(() => server.close());
+
+  await sendMail({ host: '127.0.0.1', port }, {
+    from: 'Task Reminders <reminders@example.com>',
+    to: 'alice@example.com',
+    subject: 'Due soon',
+    text: 'Ship it'
+  });
+
+  assert.ok(received.includes('MAIL FROM:<reminders@example.com>'));
+  assert.ok(received.includes('RCPT TO:<alice@example.com>'));
+  assert.ok(received.includes('From: Task Reminders <reminders@example.com>'));
+});
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateDefinition } = require("../src/fields");
+
+const withPattern = (pattern) => validateDefinition({ key: "code", type: "text", pattern });
+
+test("text patterns are checked when the field is defined", () => {
+  assert.equal(withPattern("^[A-Z]{2,4}-\\d+$").errors, undefined);
+  assert.equal(withPattern("^(foo|bar)-[(+*|]+$").errors, undefined);
+  assert.equal(withPattern("^(ab)+(c|d)?$").errors, undefined);
+
+  const slow = ["^(a+)+$", "(\\w*)*x", "((ab)*c)+", "(x|y{2})*", "(a)\\1", "(a|a)*$", "(a|aa)+$", "((a|b)c)*"];
+  slow.forEach(pattern => {
+    assert.match(withPattern(pattern).errors[0], /^pattern cannot repeat a group/, pattern);
+  });
+
+  assert.match(withPattern("a".repeat(101)).errors[0], /at most 100 characters/);
+  assert.match(withPattern("(unclosed").errors[0], /at most 100 characters/);
+});
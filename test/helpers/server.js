@@ -0,0 +1,72 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ENTRY = path.join(__dirname, '..', '..', 'src', 'index.js');
+const START_TIMEOUT_MS = 15000;
+
+// Start the app on its own port with an empty store in a temp directory and
+// log in the first (admin) user. Returns { api, request, stop, dataDir }.
+const startServer = async (env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-app-test-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [ENTRY], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, SEED_DEMO_DATA: 'false', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Ready to accept requests')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  let token = null;
+
+  // Raw fetch with the session token; JSON bodies are encoded
+  const request = (method, url, { body, headers = {}, raw } = {}) => fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined && !raw ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (raw ? body : JSON.stringify(body))
+  });
+
+  // { status, headers, body } with the body parsed as JSON
+  const api = async (method, url, body, headers) => {
+    const response = await request(method, url, { body, headers });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const registered = await api('POST', '/api/auth/register', { username: 'alice', password: 'secret123' });
+  token = registered.body.data.token;
+
+  const stop = () => new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    child.once('exit', () => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+
+  return { api, request, stop, dataDir };
+};
+
+module.exports = { startServer };
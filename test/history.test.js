@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+test("revisions count up and a purged task can be undeleted", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const created = await api('POST', '/api/tasks', { title: "Draft" });
+  const id = created.body.data.id;
+  await api('PATCH', `/api/tasks/${id}`, { title: "Final" });
+  await api('DELETE', `/api/tasks/${id}`);
+  await api('DELETE', `/api/trash/${id}`);
+
+  const history = await api('GET', `/api/tasks/${id}/history`);
+  assert.deepEqual(history.body.data.map(entry => entry.revision), [1, 2, 3, 4]);
+
+  const undeleted = await api('POST', `/api/tasks/${id}/restore`, {});
+  assert.equal(undeleted.status, 200);
+  assert.equal(undeleted.body.data.deletedAt, undefined);
+  assert.equal(undeleted.body.data.title, "Final");
+
+  const listed = await api('GET', '/api/tasks');
+  assert.deepEqual(listed.body.data.map(task => task.id), [id]);
+});
+
+test("a revision the current workflow does not allow is not restored", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const created = await api('POST', '/api/tasks', { title: "Review me", status: "in-progress" });
+  const id = created.body.data.id;
+  await api('PATCH', `/api/tasks/${id}`, { status: "pending" });
+
+  const workflow = (await api('GET', '/api/workflow')).body.data;
+  const changed = await api('PUT', '/api/workflow', {
+    ...workflow,
+    statuses: workflow.statuses.filter(status => status.key !== 'in-progress')
+  });
+  assert.equal(changed.status, 200);
+
+  const restored = await api('POST', `/api/tasks/${id}/restore`, { revision: 1 });
+  assert.equal(restored.status, 400);
+  assert.match(restored.body.errors[0], /^Status must be one of/);
+});
+
+test("rolling back checks If-Match and the same permissions as PATCH", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+
+  const created = await api('POST', '/api/tasks', { title: "Draft", priority: 'low' });
+  const id = created.body.data.id;
+  await api('PATCH', `/api/tasks/${id}`, { title: "Final", priority: 'high', assigneeId: bob.user.id });
+  const current = (await api('GET', `/api/tasks/${id}`)).body.data;
+
+  const stale = await api('POST', `/api/tasks/${id}/restore`, { revision: 1 }, { 'If-Match': `"${current.version - 1}"` });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.currentVersion, current.version);
+
+  // Revision 1 had no assignee, so only the owner may roll back to it
+  const denied = await api('POST', `/api/tasks/${id}/restore`, { revision: 1 }, asBob);
+  assert.equal(denied.status, 403);
+  assert.equal((await api('GET', `/api/tasks/${id}`)).body.data.title, "Final");
+
+  const restored = await api('POST', `/api/tasks/${id}/restore`, { revision: 1 }, { 'If-Match': `"${current.version}"` });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.message, `Task ${id} restored to revision 1`);
+  assert.equal(restored.headers.get('etag'), `"${current.version + 1}"`);
+  assert.deepEqual([restored.body.data.title, restored.body.data.priority, restored.body.data.assigneeId], ["Draft", 'low', null]);
+  assert.equal(restored.body.data.ownerId, created.body.data.ownerId);
+
+  const history = (await api('GET', `/api/tasks/${id}/history`)).body.data;
+  assert.deepEqual(history.map(entry => entry.action), ['created', 'updated', 'restored']);
+
+  // A task in the trash is restored from there first
+  await api('DELETE', `/api/tasks/${id}`);
+  const trashed = await api('POST', `/api/tasks/${id}/restore`, { revision: 2 });
+  assert.equal(trashed.status, 400);
+  assert.equal(trashed.body.message, `Task ${id} is in the trash; restore it from there first`);
+});
+
+test("only the owner can undelete a purged task", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+
+  const id = (await api('POST', '/api/tasks', { title: "Shared", watchers: [bob.user.id] })).body.data.id;
+  await api('DELETE', `/api/tasks/${id}`);
+  await api('DELETE', `/api/trash/${id}`);
+
+  const denied = await api('POST', `/api/tasks/${id}/restore`, {}, asBob);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.message, "Only the task's owner can undelete it");
+
+  const undeleted = await api('POST', `/api/tasks/${id}/restore`, {});
+  assert.equal(undeleted.status, 200);
+  assert.equal(undeleted.body.message, `Task ${id} undeleted`);
+  assert.equal((await api('GET', `/api/tasks/${id}`, undefined, asBob)).body.data.title, "Shared");
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const ids = (result) => result.body.data.map(task => task.id);
+
+// Follow a links.next/prev URL, which already holds the /api/tasks path
+const follow = (api, link) => api('GET', link.replace(/^.*(?=\/api\/)/, ''));
+
+test("pages by offset with next/prev links", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  for (let i = 1; i <= 5; i++) {
+    await api('POST', '/api/tasks', { title: `Task ${i}` });
+  }
+
+  const all = await api('GET', '/api/tasks');
+  assert.equal(all.body.pagination.limit, 50);
+  assert.equal(all.body.total, 5);
+  assert.deepEqual(all.body.links, { next: null, prev: null });
+
+  const second = await api('GET', '/api/tasks?limit=2&offset=2');
+  assert.deepEqual(ids(second), [3, 4]);
+  assert.equal(second.body.count, 2);
+  assert.equal(second.body.pagination.start, 2);
+  assert.equal(second.body.pagination.matching, 5);
+  assert.equal(second.body.pagination.hasMore, true);
+  assert.match(second.body.links.next, /\/api\/tasks\?limit=2&offset=4$/);
+  assert.match(second.body.links.prev, /\/api\/tasks\?limit=2&offset=0$/);
+
+  const last = await follow(api, second.body.links.next);
+  assert.deepEqual(ids(last), [5]);
+  assert.equal(last.body.links.next, null);
+});
+
+test("cursors walk a sorted list and do not shift when tasks are added", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  // Ties on priority are broken by id
+  for (const priority of ['low', 'high', 'medium', 'high', 'low', 'medium']) {
+    await api('POST', '/api/tasks', { title: `A ${priority} task`, priority });
+  }
+
+  const first = await api('GET', '/api/tasks?sortBy=priority&order=desc&limit=2');
+  assert.deepEqual(ids(first), [4, 2]);
+  assert.equal(first.body.links.prev, null);
+
+  // A task that sorts before the cursor does not push the next page along
+  await api('POST', '/api/tasks', { title: "Urgent", priority: 'high' });
+
+  const second = await follow(api, first.body.links.next);
+  assert.deepEqual(ids(second), [6, 3]);
+  const third = await follow(api, second.body.links.next);
+  assert.deepEqual(ids(third), [5, 1]);
+  assert.equal(third.body.pagination.hasMore, false);
+  assert.equal(third.body.links.next, null);
+
+  const back = await api('GET', `/api/tasks?sortBy=priority&order=desc&limit=2&cursor=${third.body.pagination.prevCursor}`);
+  assert.deepEqual(ids(back), [6, 3]);
+  const start = await follow(api, back.body.links.prev);
+  assert.deepEqual(ids(start), [4, 2]);
+  assert.notEqual(start.body.links.prev, null);
+  assert.deepEqual(ids(await follow(api, start.body.links.prev)), [7]);
+});
+
+test("bad paging parameters are rejected", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  await api('POST', '/api/tasks', { title: "One" });
+  await api('POST', '/api/tasks', { title: "Two" });
+  const cursor = (await api('GET', '/api/tasks?limit=1')).body.pagination.nextCursor;
+
+  const cases = [
+    ['limit=0', "Limit must be an integer between 1 and 200"],
+    ['limit=201', "Limit must be an integer between 1 and 200"],
+    ['offset=-1', "Offset must be a non-negative integer"],
+    ['cursor=nonsense', "Cursor is invalid"],
+    [`offset=1&cursor=${cursor}`, "Use either offset or cursor, not both"],
+    [`sortBy=title&cursor=${cursor}`, "Cursor was created for a different sortBy/order; start again from the first page"]
+  ];
+  for (const [query, error] of cases) {
+    const result = await api('GET', `/api/tasks?${query}`);
+    assert.equal(result.status, 400, query);
+    assert.ok(result.body.errors.includes(error), `${query}: ${result.body.errors}`);
+  }
+});
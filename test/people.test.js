@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const ids = (result) => result.body.data.map(task => task.id);
+
+// alice (admin) plus bob and carol, with headers to act as them
+const withPeople = async (api) => {
+  const register = async (username, name) => {
+    const { user, token } = (await api('POST', '/api/auth/register', { username, password: 'secret123', name })).body.data;
+    return { ...user, headers: { Authorization: `Bearer ${token}` } };
+  };
+  return { bob: await register('bob', 'Bob Stone'), carol: await register('carol.king') };
+};
+
+test("the people list has initials and avatar colors and can be searched", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+  await withPeople(api);
+
+  const everyone = await api('GET', '/api/people');
+  assert.deepEqual(everyone.body.data.map(person => [person.username, person.initials]),
+    [['alice', 'AL'], ['bob', 'BS'], ['carol.king', 'CK']]);
+  assert.ok(everyone.body.data.every(person => /^#[0-9a-f]{6}$/i.test(person.color)));
+
+  assert.deepEqual((await api('GET', '/api/people?q=STONE')).body.data.map(person => person.username), ['bob']);
+
+  const repeated = await api('GET', '/api/people?q=a&q=b');
+  assert.equal(repeated.status, 400);
+  assert.deepEqual(repeated.body.errors, ["q must be a single search string"]);
+});
+
+test("assignees and watchers see the task and filters find it", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+  const { bob, carol } = await withPeople(api);
+
+  const assigned = (await api('POST', '/api/tasks', { title: "For Bob", assigneeId: bob.id, watchers: [carol.id, carol.id] })).body.data;
+  const open = (await api('POST', '/api/tasks', { title: "Nobody's" })).body.data;
+  assert.deepEqual(assigned.watchers, [carol.id]);
+
+  assert.deepEqual(ids(await api('GET', '/api/tasks?assignee=me', undefined, bob.headers)), [assigned.id]);
+  assert.deepEqual(ids(await api('GET', '/api/tasks?watcher=me', undefined, carol.headers)), [assigned.id]);
+  assert.deepEqual(ids(await api('GET', '/api/tasks?assignee=none')), [open.id]);
+  assert.deepEqual(ids(await api('GET', `/api/tasks?assignee=${bob.id}`)), [assigned.id]);
+  assert.deepEqual((await api('GET', '/api/tasks?assignee=someone')).body.errors,
+    ["assignee and watcher must be me, none or a user ID"]);
+  assert.equal((await api('GET', `/api/tasks/${open.id}`, undefined, bob.headers)).status, 404);
+
+  // The assignee can edit the task but not delete it
+  const edited = await api('PATCH', `/api/tasks/${assigned.id}`, { status: 'in-progress' }, bob.headers);
+  assert.equal(edited.status, 200);
+  assert.equal((await api('DELETE', `/api/tasks/${assigned.id}`, undefined, bob.headers)).status, 403);
+
+  const workload = (await api('GET', '/api/stats')).body.data.workloadBreakdown;
+  assert.deepEqual(workload.map(row => [row.assignee && row.assignee.username, row.total, row.inProgress]),
+    [['bob', 1, 1], [null, 1, 0]]);
+
+  assert.deepEqual((await api('POST', '/api/tasks', { title: "x", assigneeId: 999, watchers: 'bob' })).body.errors, [
+    "assigneeId must be the ID of a user, or null",
+    "watchers must be an array of user IDs"
+  ]);
+});
+
+test("only the owner can reassign a task or change the other watchers", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+  const { bob, carol } = await withPeople(api);
+
+  const task = (await api('POST', '/api/tasks', { title: "Shared", assigneeId: bob.id, watchers: [carol.id] })).body.data;
+  const url = `/api/tasks/${task.id}`;
+  const denied = "Only the task's owner can reassign it or change its other watchers";
+
+  for (const [body, headers] of [
+    [{ assigneeId: carol.id }, bob.headers],
+    [{ assigneeId: null }, bob.headers],
+    [{ watchers: [] }, bob.headers],
+    [{ watchers: [carol.id, bob.id, 1] }, carol.headers]
+  ]) {
+    const result = await api('PATCH', url, body, headers);
+    assert.equal(result.status, 403, JSON.stringify(body));
+    assert.equal(result.body.message, denied);
+  }
+  const put = await api('PUT', url, { title: "Mine now", assigneeId: carol.id }, carol.headers);
+  assert.equal(put.status, 403);
+  const bulk = await api('POST', '/api/tasks/bulk', {
+    operations: [{ action: 'patch', id: task.id, data: { assigneeId: carol.id } }]
+  }, carol.headers);
+  assert.equal(bulk.body.results[0].status, 403);
+
+  // Unchanged values and watching or unwatching yourself are fine
+  assert.equal((await api('PUT', url, { title: "Renamed", assigneeId: bob.id }, bob.headers)).status, 200);
+  assert.equal((await api('PATCH', url, { watchers: [bob.id, carol.id] }, bob.headers)).status, 200);
+  assert.equal((await api('PATCH', url, { watchers: [bob.id] }, carol.headers)).status, 200);
+
+  // The owner can reassign
+  const reassigned = await api('PATCH', url, { assigneeId: carol.id, watchers: [] });
+  assert.equal(reassigned.status, 200);
+  assert.equal(reassigned.body.data.assigneeId, carol.id);
+  assert.equal((await api('GET', url, undefined, bob.headers)).status, 404);
+});
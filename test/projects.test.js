@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const ids = (result) => result.body.data.map(task => task.id);
+
+test("projects can be created, renamed and checked", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const created = await api('POST', '/api/projects', { name: "  Website ", description: "Relaunch", color: '#38a169' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.name, "Website");
+  assert.deepEqual(created.body.data.stats, { total: 0, open: 0, completed: 0, overdue: 0, completionRate: 0 });
+
+  assert.equal((await api('POST', '/api/projects', { name: "WEBSITE" })).status, 409);
+  assert.deepEqual((await api('POST', '/api/projects', { name: 7, color: 'green', description: 5 })).body.errors, [
+    "Name must be 1-50 characters",
+    "Description must be less than 500 characters",
+    "Color must be a hex color like #667eea"
+  ]);
+
+  const renamed = await api('PATCH', `/api/projects/${created.body.data.id}`, { name: "Site" });
+  assert.equal(renamed.body.data.name, "Site");
+  assert.equal(renamed.body.data.color, '#38a169');
+  assert.deepEqual((await api('PATCH', `/api/projects/${created.body.data.id}`, { archived: 'yes' })).body.errors,
+    ["archived must be true or false"]);
+  assert.equal((await api('GET', '/api/projects/999')).status, 404);
+
+  // Another user's projects are out of reach
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+  assert.equal((await api('GET', '/api/projects', undefined, asBob)).body.count, 0);
+  assert.equal((await api('GET', `/api/projects/${created.body.data.id}`, undefined, asBob)).status, 404);
+  assert.deepEqual((await api('POST', '/api/tasks', { title: "x", projectId: created.body.data.id }, asBob)).body.errors,
+    ["projectId must be the ID of one of your projects, or null"]);
+});
+
+test("tasks are scoped to projects, move between them and count in stats", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const website = (await api('POST', '/api/projects', { name: "Website" })).body.data;
+  const mobile = (await api('POST', '/api/projects', { name: "Mobile" })).body.data;
+  const page = (await api('POST', '/api/tasks', { title: "Landing page", projectId: website.id })).body.data;
+  const app = (await api('POST', '/api/tasks', { title: "App store", projectId: mobile.id, status: 'completed' })).body.data;
+  const loose = (await api('POST', '/api/tasks', { title: "Loose end" })).body.data;
+  assert.equal(loose.projectId, null);
+
+  assert.deepEqual(ids(await api('GET', `/api/tasks?project=${website.id}`)), [page.id]);
+  assert.deepEqual(ids(await api('GET', '/api/tasks?project=none')), [loose.id]);
+  assert.equal((await api('GET', '/api/tasks?project=999')).status, 404);
+
+  // Moving a task with PATCH; PUT without projectId keeps it
+  await api('PATCH', `/api/tasks/${loose.id}`, { projectId: website.id });
+  await api('PUT', `/api/tasks/${page.id}`, { title: "Landing page v2" });
+  assert.deepEqual(ids(await api('GET', `/api/tasks?project=${website.id}`)), [page.id, loose.id]);
+
+  const stats = (await api('GET', '/api/stats')).body.data;
+  assert.deepEqual(stats.projectBreakdown.map(entry => [entry.name, entry.total, entry.open, entry.completed]),
+    [["Mobile", 1, 0, 1], ["Website", 2, 2, 0], ["No project", 0, 0, 0]]);
+  assert.equal((await api('GET', `/api/stats?project=${mobile.id}`)).body.data.totalTasks, 1);
+
+  const listed = await api('GET', '/api/projects');
+  assert.deepEqual(listed.body.data.map(project => [project.name, project.stats.total]), [["Mobile", 1], ["Website", 2]]);
+
+  // Deleting a project moves its tasks to another one, or to no project
+  const deleted = await api('DELETE', `/api/projects/${website.id}?moveTo=${mobile.id}`);
+  assert.equal(deleted.body.tasksMoved, 2);
+  assert.deepEqual(ids(await api('GET', `/api/tasks?project=${mobile.id}`)), [page.id, app.id, loose.id]);
+  assert.deepEqual((await api('DELETE', `/api/projects/${mobile.id}?moveTo=${mobile.id}`)).body.errors,
+    ["moveTo must be another project"]);
+  await api('DELETE', `/api/projects/${mobile.id}`);
+  assert.deepEqual(ids(await api('GET', '/api/tasks?project=none')), [page.id, app.id, loose.id]);
+});
+
+test("archiving a project hides its tasks until it is restored", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const project = (await api('POST', '/api/projects', { name: "Old stuff" })).body.data;
+  const hidden = (await api('POST', '/api/tasks', { title: "Hidden", projectId: project.id })).body.data;
+  const visible = (await api('POST', '/api/tasks', { title: "Visible" })).body.data;
+
+  const archived = await api('PATCH', `/api/projects/${project.id}`, { archived: true });
+  assert.equal(archived.body.message, "Project archived");
+  assert.ok(archived.body.data.archivedAt);
+
+  assert.deepEqual(ids(await api('GET', '/api/tasks')), [visible.id]);
+  assert.deepEqual(ids(await api('GET', `/api/tasks?project=${project.id}`)), [hidden.id]);
+  assert.equal((await api('GET', '/api/stats')).body.data.totalTasks, 1);
+  assert.deepEqual((await api('GET', '/api/projects?archived=false')).body.data, []);
+  assert.deepEqual((await api('PATCH', `/api/tasks/${visible.id}`, { projectId: project.id })).body.errors,
+    ['Project "Old stuff" is archived; unarchive it before adding tasks']);
+
+  const restored = await api('PATCH', `/api/projects/${project.id}`, { archived: false });
+  assert.equal(restored.body.message, "Project restored");
+  assert.equal(restored.body.data.archivedAt, null);
+  assert.deepEqual(ids(await api('GET', '/api/tasks')), [hidden.id, visible.id]);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseQuery } = require("../src/query");
+const { startServer } = require("./helpers/server");
+
+const options = {
+  statuses: ['pending', 'in-progress', 'completed', 'cancelled'],
+  priorityOrder: { low: 1, medium: 2, high: 3, urgent: 4 },
+  now: Date.parse("2025-10-01T12:00:00Z")
+};
+
+const tasks = [
+  { id: 1, title: "Write release notes", description: "for the API", status: 'pending', priority: 'high', tags: ['docs'], dueDate: "2025-09-30T10:00:00Z" },
+  { id: 2, title: "Fix login bug", description: "", status: 'in-progress', priority: 'urgent', tags: ['api', 'backend'], dueDate: null },
+  { id: 3, title: "Release party", description: "notes optional", status: 'completed', priority: 'low', tags: [], dueDate: "2025-10-01T18:00:00Z" }
+];
+
+const matching = (query) => {
+  const parsed = parseQuery(query, options);
+  assert.equal(parsed.errors, undefined, query);
+  return tasks.filter(parsed.filter).map(task => task.id);
+};
+
+test("terms, phrases, fields and boolean operators filter tasks", () => {
+  assert.deepEqual(matching(""), [1, 2, 3]);
+  assert.deepEqual(matching("release notes"), [1, 3]);
+  assert.deepEqual(matching('"release notes"'), [1]);
+  assert.deepEqual(matching("status:pending,in-progress"), [1, 2]);
+  assert.deepEqual(matching("priority:>=high"), [1, 2]);
+  assert.deepEqual(matching("tag:api OR tag:docs"), [1, 2]);
+  assert.deepEqual(matching("(tag:api OR tag:docs) AND NOT status:pending"), [2]);
+  assert.deepEqual(matching("release -party"), [1]);
+  assert.deepEqual(matching("due:<today"), [1]);
+  assert.deepEqual(matching("due:today"), [3]);
+  assert.deepEqual(matching("due:none"), [2]);
+  assert.deepEqual(matching("title:bug OR description:optional"), [2, 3]);
+});
+
+test("bad queries report what is wrong and where", () => {
+  const check = (query, message, position) => {
+    const parsed = parseQuery(query, options);
+    assert.match(parsed.errors[0], message, query);
+    assert.equal(parsed.position, position, query);
+  };
+  check("stauts:pending", /^Unknown field "stauts" at position 1\. Did you mean "status"\?/, 1);
+  check("bug status:pendng", /^Unknown status "pendng" at position 5\. Did you mean "pending"\?/, 5);
+  check("tag:api OR", /^Expected a search term after OR at position 9/, 9);
+  check("(tag:api", /^Missing closing parenthesis for "\(" at position 1/, 1);
+  check('"open quote', /^Unclosed quote starting at position 1/, 1);
+  check("due:soon", /^Invalid date "soon" at position 1/, 1);
+  check("status:>pending", /^"status" cannot be compared with >/, 1);
+});
+
+test("deeply nested queries are refused with a position", () => {
+  const nested = `${'('.repeat(50)}bug${')'.repeat(50)}`;
+  assert.deepEqual(matching(nested), [2]);
+
+  const parens = parseQuery(`${'('.repeat(3000)}a`, options);
+  assert.deepEqual(parens, { errors: ["Query nests more than 50 levels deep at position 51"], position: 51 });
+  const nots = parseQuery(`${'NOT '.repeat(3000)}a`, options);
+  assert.equal(nots.position, 201);
+});
+
+test("GET /api/tasks answers a bad search with 400", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  await api('POST', '/api/tasks', { title: "Fix login bug", tags: ['api'] });
+  const found = await api('GET', `/api/tasks?search=${encodeURIComponent('tag:api bug')}`);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.length, 1);
+
+  const deep = await api('GET', `/api/tasks?search=${encodeURIComponent('('.repeat(3000) + 'a')}`);
+  assert.equal(deep.status, 400);
+  assert.equal(deep.body.position, 51);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateRecurrence, normalizeRecurrence, nextOccurrence } = require("../src/recurrence");
+const { startServer } = require("./helpers/server");
+
+test("rules need a due date that parses", () => {
+  assert.deepEqual(validateRecurrence("FREQ=DAILY", "2025-09-15T09:00:00Z"), []);
+  assert.deepEqual(validateRecurrence("FREQ=DAILY", null), ["Recurring tasks need a dueDate to roll forward from"]);
+  assert.deepEqual(validateRecurrence("FREQ=DAILY", "garbage"), ["Recurring tasks need a valid dueDate to roll forward from"]);
+});
+
+test("nextOccurrence rolls daily, weekly and monthly rules forward", () => {
+  const due = "2025-01-31T09:00:00.000Z";
+  assert.equal(nextOccurrence(normalizeRecurrence("FREQ=DAILY;INTERVAL=2", due), due), "2025-02-02T09:00:00.000Z");
+  assert.equal(nextOccurrence(normalizeRecurrence("FREQ=WEEKLY", due), due), "2025-02-07T09:00:00.000Z");
+  // The 31st becomes the last day of a short month, then goes back to the 31st
+  const monthly = normalizeRecurrence("FREQ=MONTHLY", due);
+  assert.equal(nextOccurrence(monthly, due), "2025-02-28T09:00:00.000Z");
+  assert.equal(nextOccurrence(monthly, "2025-02-28T09:00:00.000Z"), "2025-03-31T09:00:00.000Z");
+});
+
+test("nextOccurrence stops at the count and for bad dates", () => {
+  const rule = normalizeRecurrence("FREQ=DAILY;COUNT=2", "2025-01-01T00:00:00Z");
+  assert.equal(nextOccurrence(rule, "2025-01-01T00:00:00Z", 2), null);
+  assert.equal(nextOccurrence(normalizeRecurrence("FREQ=DAILY", "2025-01-01"), "garbage"), null);
+});
+
+test("completing a recurring task creates the next occurrence", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const rejected = await api('POST', '/api/tasks', { title: "x", dueDate: "garbage", recurrence: "FREQ=DAILY" });
+  assert.equal(rejected.status, 400);
+
+  const created = await api('POST', '/api/tasks', {
+    title: "Standup",
+    dueDate: "2025-09-15T09:00:00.000Z",
+    recurrence: "FREQ=DAILY"
+  });
+  assert.equal(created.status, 201);
+
+  const completed = await api('PATCH', `/api/tasks/${created.body.data.id}`, { status: "completed" });
+  assert.equal(completed.status, 200);
+  const next = completed.body.nextOccurrence;
+  assert.equal(next.dueDate, "2025-09-16T09:00:00.000Z");
+  assert.equal(next.status, "pending");
+  assert.equal(next.occurrence, 2);
+  assert.equal(next.seriesId, created.body.data.id);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { checkUrl, isPrivateAddress } = require("../src/outbound");
+const { startServer } = require("./helpers/server");
+
+// A receiver that records what it was sent
+const startReceiver = () => new Promise((resolve) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+});
+
+test("outgoing URLs must be https on a public address unless the host is allowed", () => {
+  assert.equal(checkUrl("https://hooks.example.com/x"), null);
+  assert.equal(checkUrl("http://hooks.example.com/x"), "must be an https URL");
+  assert.equal(checkUrl("ftp://hooks.example.com/x"), "must be an http(s) URL");
+  ["https://localhost/x", "https://127.0.0.1/x", "https://2130706433/x", "https://10.1.2.3/x",
+    "https://169.254.169.254/latest", "https://[::1]/x", "https://[::ffff:127.0.0.1]/x", "https://[fd00::1]/x"
+  ].forEach(url => assert.equal(checkUrl(url), "cannot point to a local or private network address", url));
+  assert.equal(checkUrl("http://127.0.0.1:8080/x", ['127.0.0.1']), null);
+
+  assert.equal(isPrivateAddress("192.168.1.20"), true);
+  assert.equal(isPrivateAddress("100.64.0.1"), true);
+  assert.equal(isPrivateAddress("93.184.216.34"), false);
+  assert.equal(isPrivateAddress("2606:4700::1111"), false);
+});
+
+test("IPv6 addresses that carry an IPv4 address are checked against the IPv4 ranges", () => {
+  // NAT64, 6to4 and IPv4-compatible forms of private addresses
+  ["64:ff9b::7f00:1", "64:ff9b::10.0.0.1", "2002:a9fe:a9fe::1", "2002:c0a8:101::", "::7f00:1", "::127.0.0.1",
+    "::a00:1", "64:ff9b:1::5db8:d822"
+  ].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  // The same forms of a public address
+  ["64:ff9b::5db8:d822", "64:ff9b::93.184.216.34", "2002:5db8:d822::1", "::5db8:d822"
+  ].forEach(address => assert.equal(isPrivateAddress(address), false, address));
+
+  ["https://[64:ff9b::a9fe:a9fe]/latest", "https://[2002:7f00:1::]/x", "https://[::127.0.0.1]/x"
+  ].forEach(url => assert.equal(checkUrl(url), "cannot point to a local or private network address", url));
+  assert.equal(checkUrl("https://[64:ff9b::5db8:d822]/x"), null);
+});
+
+test("reminder webhooks are refused on private addresses", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const saved = await api('PUT', '/api/reminders/settings', { channels: ['webhook'], webhookUrl: "https://192.168.0.10/hook" });
+  assert.equal(saved.status, 400);
+  assert.deepEqual(saved.body.errors, ["webhookUrl cannot point to a local or private network address, or null"]);
+});
+
+test("an allowed host can receive reminder webhooks over http", async (t) => {
+  const receiver = await startReceiver();
+  t.after(() => receiver.server.close());
+  const { api, stop } = await startServer({ WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' });
+  t.after(stop);
+
+  const saved = await api('PUT', '/api/reminders/settings', { channels: ['webhook'], webhookUrl: receiver.url });
+  assert.equal(saved.status, 200);
+  const sent = await api('POST', '/api/reminders/test');
+  assert.equal(sent.status, 200);
+  assert.equal(receiver.received[0].kind, 'test');
+});
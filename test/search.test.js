@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+const { createStore } = require("../src/storage");
+const { createSearchIndex } = require("../src/search");
+
+const setup = (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-app-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = createStore({ driver: 'json', dataDir });
+  const search = createSearchIndex({ store });
+  return { store, search, tasks: search.track(store.collection('tasks')) };
+};
+
+const word = (value) => [{ value, phrase: false }];
+
+test("words match through stems, prefixes and typos", (t) => {
+  const { search, tasks } = setup(t);
+  const task = tasks.insert({ title: "Deployments to Kubernetes", description: "Update the Docker images" });
+
+  for (const query of ['deploying', 'deployed', 'kube', 'dokcer', 'kubernets', 'IMAGE']) {
+    assert.ok(search.matchText(task, query, false), query);
+  }
+  // Short words have to be spelled right, and a phrase has to appear as written
+  assert.ok(!search.matchText(task, 'dok', false));
+  assert.ok(!search.matchText(task, 'docker update', true));
+  assert.ok(search.matchText(task, 'the docker', true));
+  assert.ok(search.matchText(task, 'update docker', false));
+  assert.ok(!search.matchText(task, 'update podman', false));
+});
+
+test("the index follows creates, updates, deletes and the trash", (t) => {
+  const { store, search, tasks } = setup(t);
+  const task = tasks.insert({ title: "Write changelog" });
+  assert.ok(search.matchText(task, 'changelog', false));
+
+  const renamed = tasks.update(task.id, { ...task, title: "Write release notes" });
+  assert.ok(!search.matchText(renamed, 'changelog', false));
+  assert.ok(search.matchText(renamed, 'release', false));
+
+  // Writes inside a transaction that rolls back never reach the index
+  assert.throws(() => store.transaction(() => {
+    tasks.update(task.id, { ...renamed, title: "Rolled back" });
+    throw new Error("rollback");
+  }));
+  assert.ok(search.matchText(renamed, 'release', false));
+
+  tasks.update(task.id, { ...renamed, deletedAt: new Date().toISOString() });
+  assert.equal(search.size(), 0);
+  tasks.update(task.id, renamed);
+  assert.equal(search.size(), 1);
+  tasks.remove(task.id);
+  assert.ok(!search.matchText(renamed, 'release', false));
+});
+
+test("scores favour title matches and rare words", (t) => {
+  const { search, tasks } = setup(t);
+  const inTitle = tasks.insert({ title: "Fix login bug", description: "" });
+  const inDescription = tasks.insert({ title: "Sprint chores", description: "Fix the login page" });
+  const common = tasks.insert({ title: "Fix typo", description: "" });
+
+  assert.ok(search.score(inTitle, word('login')) > search.score(inDescription, word('login')));
+  assert.ok(search.score(inTitle, word('login')) > search.score(inTitle, word('fix')));
+  assert.ok(search.score(inTitle, word('logging')) < search.score(inTitle, word('login')));
+  assert.equal(search.score(common, word('login')), 0);
+});
+
+test("highlights are HTML-escaped and the snippet is cut around the first match", (t) => {
+  const { search, tasks } = setup(t);
+  const filler = 'lorem ipsum '.repeat(20);
+  const task = tasks.insert({ title: "<b>Deploy</b> & ship", description: `${filler}then deploying it${filler}` });
+
+  const { title, snippet } = search.highlight(task, word('deploy'));
+  assert.equal(title, "&lt;b&gt;<mark>Deploy</mark>&lt;/b&gt; &amp; ship");
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.ok(snippet.includes('then <mark>deploying</mark> it'));
+  assert.ok(snippet.length < 200);
+});
+
+test("GET /api/tasks?search= ranks results and returns their matches", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const description = (await api('POST', '/api/tasks', { title: "Release", description: "Build the docker image" })).body.data;
+  const title = (await api('POST', '/api/tasks', { title: "Docker image cleanup" })).body.data;
+  await api('POST', '/api/tasks', { title: "Unrelated" });
+
+  const ranked = await api('GET', '/api/tasks?search=dockr');
+  assert.deepEqual(ranked.body.data.map(task => task.id), [title.id, description.id]);
+  const [best, next] = ranked.body.data.map(task => task.match);
+  assert.ok(best.score > next.score);
+  assert.equal(best.title, "<mark>Docker</mark> image cleanup");
+  assert.equal(next.snippet, "Build the <mark>docker</mark> image");
+
+  const sorted = await api('GET', '/api/tasks?search=docker&sortBy=title');
+  assert.deepEqual(sorted.body.data.map(task => task.id), [title.id, description.id]);
+  const byId = await api('GET', '/api/tasks?search=docker&sortBy=createdAt');
+  assert.deepEqual(byId.body.data.map(task => task.id), [description.id, title.id]);
+
+  await api('PATCH', `/api/tasks/${title.id}`, { title: "Image cleanup" });
+  await api('DELETE', `/api/tasks/${description.id}`);
+  assert.equal((await api('GET', '/api/tasks?search=docker')).body.count, 0);
+});
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+test("the server starts on its own port with an empty store", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const health = await api('GET', '/health');
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, "healthy");
+
+  const listed = await api('GET', '/api/tasks');
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.data, []);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const ids = (result) => result.body.data.map(task => task.id);
+
+test("tags are normalized, registered and filtered with any/all", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const api1 = (await api('POST', '/api/tasks', { title: "API", tags: [' Backend ', 'API', 'backend'] })).body.data;
+  const docs = (await api('POST', '/api/tasks', { title: "Docs", tags: ['docs'] })).body.data;
+  const both = (await api('POST', '/api/tasks', { title: "API docs", tags: ['api', 'docs'] })).body.data;
+  await api('POST', '/api/tasks', { title: "Untagged" });
+  assert.deepEqual(api1.tags, ['backend', 'api']);
+
+  assert.deepEqual(ids(await api('GET', '/api/tasks?tags=api,DOCS')), [api1.id, docs.id, both.id]);
+  assert.deepEqual(ids(await api('GET', '/api/tasks?tags=api,docs&tagMode=all')), [both.id]);
+
+  const registry = await api('GET', '/api/tags');
+  assert.deepEqual(registry.body.data.map(tag => [tag.name, tag.taskCount]), [['api', 2], ['backend', 1], ['docs', 2]]);
+  assert.ok(registry.body.data.every(tag => /^#[0-9a-f]{6}$/i.test(tag.color)));
+
+  const stats = await api('GET', '/api/stats');
+  assert.deepEqual(stats.body.data.tagBreakdown, { backend: 1, api: 2, docs: 2 });
+
+  const invalid = [
+    [{ title: "x", tags: 'api' }, "Tags must be an array of strings"],
+    [{ title: "x", tags: ['no/slash'] }, `Invalid tag "no/slash": Tag names must be 1-30 characters of letters, numbers, spaces, '.', '_' or '-'`],
+    [{ title: "x", tags: [7] }, `Invalid tag "7": Tag names must be 1-30 characters of letters, numbers, spaces, '.', '_' or '-'`],
+    [{ title: "x", tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }, "A task can have at most 20 tags"]
+  ];
+  for (const [body, error] of invalid) {
+    const result = await api('POST', '/api/tasks', body);
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.errors, [error]);
+  }
+});
+
+test("renaming, merging and deleting a tag changes every task at once", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const first = (await api('POST', '/api/tasks', { title: "One", tags: ['bug', 'ui'] })).body.data;
+  const second = (await api('POST', '/api/tasks', { title: "Two", tags: ['bug'] })).body.data;
+  const third = (await api('POST', '/api/tasks', { title: "Three", tags: ['defect', 'ui'] })).body.data;
+  const tagId = async (name) => (await api('GET', '/api/tags')).body.data.find(tag => tag.name === name).id;
+  const tagsOf = async (id) => (await api('GET', `/api/tasks/${id}`)).body.data.tags;
+
+  const renamed = await api('PATCH', `/api/tags/${await tagId('bug')}`, { name: 'Defect ' });
+  assert.equal(renamed.status, 409);
+  assert.equal(renamed.body.message, 'Tag "defect" already exists; merge into it instead');
+
+  const recolored = await api('PATCH', `/api/tags/${await tagId('bug')}`, { name: 'Issue', color: '#123abc' });
+  assert.equal(recolored.status, 200);
+  assert.equal(recolored.body.tasksUpdated, 2);
+  assert.equal(recolored.body.data.color, '#123abc');
+  assert.deepEqual(await tagsOf(first.id), ['issue', 'ui']);
+  assert.deepEqual(await tagsOf(second.id), ['issue']);
+
+  const merged = await api('POST', `/api/tags/${await tagId('issue')}/merge`, { into: await tagId('defect') });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.tasksUpdated, 2);
+  assert.equal(merged.body.data.taskCount, 3);
+  assert.deepEqual(await tagsOf(first.id), ['defect', 'ui']);
+
+  const removed = await api('DELETE', `/api/tags/${await tagId('ui')}`);
+  assert.equal(removed.body.tasksUpdated, 2);
+  assert.deepEqual(await tagsOf(third.id), ['defect']);
+  assert.deepEqual((await api('GET', '/api/tags')).body.data.map(tag => tag.name), ['defect']);
+
+  assert.deepEqual((await api('POST', `/api/tags/${await tagId('defect')}/merge`, { into: 999 })).body.errors,
+    ["into must be the ID of another of your tags"]);
+  assert.equal((await api('PATCH', '/api/tags/999', { color: '#000000' })).status, 404);
+});
+
+test("each user has their own tag registry", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  await api('POST', '/api/tasks', { title: "Alice's", tags: ['shared'] });
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+  await api('POST', '/api/tasks', { title: "Bob's", tags: ['shared'] }, asBob);
+
+  const bobsTag = (await api('GET', '/api/tags', undefined, asBob)).body.data[0];
+  assert.equal(bobsTag.taskCount, 1);
+  await api('DELETE', `/api/tags/${bobsTag.id}`, undefined, asBob);
+
+  const alicesTags = await api('GET', '/api/tags');
+  assert.deepEqual(alicesTags.body.data.map(tag => [tag.name, tag.taskCount]), [['shared', 1]]);
+  assert.equal((await api('DELETE', `/api/tags/${alicesTags.body.data[0].id}`, undefined, asBob)).status, 404);
+});
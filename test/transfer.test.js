@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv } = require("../src/transfer");
+const { startServer } = require("./helpers/server");
+
+// The parts of a task that an export and import carry over
+const portable = (task) => ({
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  tags: task.tags,
+  recurrence: task.recurrence ? task.recurrence.rrule : null,
+  autoComplete: task.autoComplete,
+  checklist: task.checklist.map(item => [item.text, item.done]),
+  projectId: task.projectId,
+  assigneeId: task.assigneeId,
+  watchers: task.watchers,
+  fields: task.fields
+});
+
+const originals = [
+  {
+    title: "=HYPERLINK(\"http://example.com\")",
+    description: "Commas, \"quotes\"\nand line breaks",
+    status: "in-progress",
+    priority: "high",
+    dueDate: "2025-09-15T09:00:00.000Z",
+    tags: ["backend", "docs"],
+    recurrence: "FREQ=WEEKLY;BYDAY=MO,WE",
+    autoComplete: true,
+    checklist: [{ text: "First", done: true }, "-second"],
+    fields: { story_points: 3, customer: "=Acme, \"Inc\"" }
+  },
+  { title: "@mention and +plus", priority: "low" }
+];
+
+test("CSV and JSON exports import back to the same tasks", async (t) => {
+  const { api, request, stop } = await startServer();
+  t.after(stop);
+
+  const project = await api('POST', '/api/projects', { name: "Launch" });
+  await api('POST', '/api/fields', { key: "story_points", type: "number", integer: true });
+  await api('POST', '/api/fields', { key: "customer", type: "text" });
+  const [first, ...rest] = originals;
+  const created = [];
+  for (const task of [{ ...first, projectId: project.body.data.id }, ...rest]) {
+    created.push(await api('POST', '/api/tasks', task));
+  }
+  assert.deepEqual(created.map(response => response.status), [201, 201]);
+  const me = created[0].body.data.ownerId;
+  await api('PATCH', `/api/tasks/${created[0].body.data.id}`, { assigneeId: me, watchers: [me] });
+  const byTitle = (a, b) => a.title.localeCompare(b.title);
+  const before = (await api('GET', '/api/tasks')).body.data.map(portable).sort(byTitle);
+
+  const csv = await (await request('GET', '/api/tasks/export?format=csv')).text();
+  assert.match(csv, /\n\d+,"'=HYPERLINK/);
+  assert.match(csv, /\n\d+,'@mention and \+plus/);
+
+  const json = await (await request('GET', '/api/tasks/export?format=json')).json();
+
+  for (const [format, body] of [['csv', csv], ['json', JSON.stringify(json)]]) {
+    const preview = await request('POST', '/api/tasks/import?dryRun=true', {
+      body,
+      raw: true,
+      headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' }
+    });
+    const result = await preview.json();
+    assert.equal(result.summary.valid, 2, format);
+    const imported = result.results.map(row => portable(row.data)).sort(byTitle);
+    assert.deepEqual(imported, before, format);
+  }
+});
+
+test("an iCalendar export skips due dates that do not parse", async (t) => {
+  const { api, request, stop } = await startServer();
+  t.after(stop);
+
+  await api('POST', '/api/tasks', { title: "Someday", dueDate: "next week" });
+  await api('POST', '/api/tasks', { title: "Dated", dueDate: "2025-09-15T09:00:00Z" });
+
+  const response = await request('GET', '/api/tasks/export?format=ics');
+  assert.equal(response.status, 200);
+  const ics = await response.text();
+  assert.equal((ics.match(/BEGIN:VTODO/g) || []).length, 2);
+  assert.deepEqual(ics.match(/^DUE:.*$/gm), ['DUE:20250915T090000Z']);
+});
+
+test("rows with values of the wrong type are reported per row", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const rows = [
+    { title: 5 },
+    { title: "Described", description: {} },
+    { title: "Status", status: ["pending"] },
+    { title: "Priority", priority: { high: true } },
+    { title: "Due", dueDate: {} },
+    { title: "Tags", tags: 5, checklist: 7, autoComplete: "maybe", recurrence: 3 },
+    { title: "People", projectId: "x", assigneeId: [], watchers: "1", fields: [] },
+    { title: "Fine" }
+  ];
+  const imported = await api('POST', '/api/tasks/import?skipInvalid=true', rows);
+  assert.equal(imported.status, 201);
+  assert.deepEqual(imported.body.summary, { total: 8, valid: 1, invalid: 7, imported: 1 });
+  assert.deepEqual(imported.body.results[0].errors, ["Title must be a string"]);
+  assert.deepEqual(imported.body.results[1].errors, ["Description must be a string"]);
+  assert.deepEqual(imported.body.results[4].errors, ["dueDate must be a date string or null"]);
+  imported.body.results.slice(0, 7).forEach(result => assert.ok(result.errors.length > 0, `row ${result.row}`));
+
+  const created = await api('POST', '/api/tasks', { title: ["not", "text"] });
+  assert.equal(created.status, 400);
+});
+
+test("CSV cells starting with a tab or carriage return are escaped too", () => {
+  const csv = toCsv([{ id: 1, title: "\t=1+1", description: "\r=1+1", tags: [], checklist: [] }]);
+  assert.equal(csv.split('\r\n')[1].slice(0, 18), `1,'\t=1+1,"'\r=1+1",`);
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+const { createStore } = require("../src/storage");
+const { createTrash } = require("../src/trash");
+
+test("deleted tasks wait in the trash, hidden from lists, stats and health", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const kept = (await api('POST', '/api/tasks', { title: "Keep" })).body.data;
+  const binned = (await api('POST', '/api/tasks', { title: "Bin" })).body.data;
+
+  const deleted = await api('DELETE', `/api/tasks/${binned.id}`);
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.message, "Task moved to trash");
+
+  assert.deepEqual((await api('GET', '/api/tasks')).body.data.map(task => task.id), [kept.id]);
+  assert.equal((await api('GET', `/api/tasks/${binned.id}`)).status, 404);
+  assert.equal((await api('PATCH', `/api/tasks/${binned.id}`, { title: "Back" })).status, 404);
+  assert.equal((await api('GET', '/api/stats')).body.data.totalTasks, 1);
+  assert.equal((await api('GET', '/health')).body.database.totalTasks, 1);
+
+  const trash = await api('GET', '/api/trash');
+  assert.equal(trash.body.retentionDays, 30);
+  assert.deepEqual(trash.body.data.map(task => task.id), [binned.id]);
+  const { deletedAt, purgeAt } = trash.body.data[0];
+  assert.equal(new Date(purgeAt) - new Date(deletedAt), 30 * 24 * 60 * 60 * 1000);
+
+  const restored = await api('POST', `/api/trash/${binned.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.deletedAt, undefined);
+  assert.equal((await api('GET', `/api/tasks/${binned.id}`)).body.data.title, "Bin");
+  assert.equal((await api('GET', '/api/trash')).body.count, 0);
+  assert.equal((await api('POST', `/api/trash/${binned.id}/restore`)).status, 404);
+});
+
+test("trashed tasks can be purged one at a time or all at once", async (t) => {
+  const { api, stop } = await startServer({ TRASH_RETENTION_DAYS: '7' });
+  t.after(stop);
+
+  const ids = [];
+  for (const title of ["One", "Two", "Three"]) {
+    const id = (await api('POST', '/api/tasks', { title })).body.data.id;
+    await api('DELETE', `/api/tasks/${id}`);
+    ids.push(id);
+  }
+  assert.equal((await api('GET', '/api/trash')).body.retentionDays, 7);
+
+  const purged = await api('DELETE', `/api/trash/${ids[0]}`);
+  assert.equal(purged.body.message, "Task permanently deleted");
+  assert.equal((await api('POST', `/api/trash/${ids[0]}/restore`)).status, 404);
+
+  const emptied = await api('DELETE', '/api/trash');
+  assert.equal(emptied.body.count, 2);
+  assert.equal((await api('GET', '/api/trash')).body.count, 0);
+});
+
+test("only the owner sees and restores their trashed tasks", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  const bob = (await api('POST', '/api/auth/register', { username: 'bob', password: 'secret123' })).body.data;
+  const asBob = { Authorization: `Bearer ${bob.token}` };
+  const task = (await api('POST', '/api/tasks', { title: "Bob's" }, asBob)).body.data;
+  await api('DELETE', `/api/tasks/${task.id}`, undefined, asBob);
+
+  const carol = (await api('POST', '/api/auth/register', { username: 'carol', password: 'secret123' })).body.data;
+  const asCarol = { Authorization: `Bearer ${carol.token}` };
+  assert.equal((await api('GET', '/api/trash', undefined, asCarol)).body.count, 0);
+  assert.equal((await api('POST', `/api/trash/${task.id}/restore`, undefined, asCarol)).status, 404);
+  assert.equal((await api('DELETE', `/api/trash/${task.id}`, undefined, asCarol)).status, 404);
+  assert.equal((await api('GET', '/api/trash', undefined, asBob)).body.count, 1);
+});
+
+test("purgeExpired removes tasks that outlived the retention period", (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-app-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const store = createStore({ driver: 'json', dataDir });
+  const tasks = store.collection('tasks');
+  const trash = createTrash({ store, tasks, canAccessTask: () => true, retentionDays: 7 });
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const old = tasks.insert({ title: "Old", deletedAt: daysAgo(8) });
+  const recent = tasks.insert({ title: "Recent", deletedAt: daysAgo(6) });
+  const active = tasks.insert({ title: "Active" });
+  const blocked = tasks.insert({ title: "Blocked", blockedBy: [old.id, active.id] });
+
+  const purgedIds = [];
+  trash.onPurge(taskId => purgedIds.push(taskId));
+
+  assert.equal(trash.purgeExpired(), 1);
+  assert.deepEqual(purgedIds, [old.id]);
+  assert.deepEqual(tasks.all().map(task => task.id), [recent.id, active.id, blocked.id]);
+  assert.deepEqual(tasks.get(blocked.id).blockedBy, [active.id]);
+});
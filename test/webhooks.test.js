@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const { post } = require("../src/outbound");
+const { startServer } = require("./helpers/server");
+
+// A receiver that records each request's headers and body
+const startReceiver = () => new Promise((resolve) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+});
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error("Timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+test("webhooks cannot point at local or private addresses", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  for (const url of ["http://example.com/hook", "https://127.0.0.1/hook", "https://[::1]/hook", "https://10.0.0.5/hook"]) {
+    const created = await api('POST', '/api/webhooks', { url });
+    assert.equal(created.status, 400, url);
+    assert.match(created.body.errors[0], /^url must be an https URL|^url cannot point to a local or private network address/);
+  }
+});
+
+test("an allowed host gets signed deliveries", async (t) => {
+  const receiver = await startReceiver();
+  t.after(() => receiver.server.close());
+  const { api, stop } = await startServer({ WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' });
+  t.after(stop);
+
+  const created = await api('POST', '/api/webhooks', { url: receiver.url, events: ['task.created'] });
+  assert.equal(created.status, 201);
+  await api('POST', '/api/tasks', { title: "Hooked" });
+
+  await waitFor(() => receiver.received.length > 0);
+  const [{ headers, body }] = receiver.received;
+  assert.equal(headers['x-webhook-event'], 'task.created');
+  assert.equal(JSON.parse(body).data.title, "Hooked");
+  const expected = 'sha256=' + crypto.createHmac('sha256', created.body.data.secret)
+    .update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], expected);
+
+  // Without the allowance the same URL is refused at send time too
+  await assert.rejects(post(receiver.url, { body: '{}' }, []), /URL must be an https URL/);
+  assert.equal(receiver.received.length, 1);
+});
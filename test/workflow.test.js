@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateWorkflow, DEFAULT_WORKFLOW } = require("../src/workflow");
+const { startServer } = require("./helpers/server");
+
+const REVIEW_WORKFLOW = {
+  statuses: [
+    { key: "pending", category: "todo" },
+    { key: "in-progress", category: "active" },
+    { key: "review", category: "active" },
+    { key: "completed", category: "done" },
+    { key: "cancelled", category: "cancelled" }
+  ],
+  transitions: { review: ["in-progress", "completed", "review"], cancelled: [] },
+  priorities: [{ key: "low" }, { key: "high" }]
+};
+
+test("workflows need a done status and known transition targets", () => {
+  assert.ok(validateWorkflow(DEFAULT_WORKFLOW).workflow);
+
+  const { workflow } = validateWorkflow(REVIEW_WORKFLOW);
+  assert.equal(workflow.initialStatus, "pending");
+  assert.equal(workflow.defaultPriority, "low");
+  assert.deepEqual(workflow.transitions, { review: ["in-progress", "completed"], cancelled: [] });
+
+  const { errors } = validateWorkflow({
+    statuses: [{ key: "open", category: "todo" }],
+    transitions: { open: ["closed"], gone: [] },
+    priorities: [{ key: "normal" }]
+  });
+  assert.deepEqual(errors, [
+    "At least one status must be in the done category",
+    "transitions.open must be an array of statuses from: open",
+    'transitions has unknown status "gone"'
+  ]);
+});
+
+test("status changes follow the workflow's transitions", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  assert.equal((await api('PUT', '/api/workflow', REVIEW_WORKFLOW)).status, 200);
+  const id = (await api('POST', '/api/tasks', { title: "Ship" })).body.data.id;
+
+  // Statuses without rules can move anywhere
+  assert.equal((await api('PATCH', `/api/tasks/${id}`, { status: "review" })).status, 200);
+
+  const refused = await api('PATCH', `/api/tasks/${id}`, { status: "pending" });
+  assert.equal(refused.status, 400);
+  assert.deepEqual(refused.body.errors, ["Status cannot change from review to pending; it can move to: in-progress, completed"]);
+  const replaced = await api('PUT', `/api/tasks/${id}`, { title: "Ship", status: "cancelled" });
+  assert.equal(replaced.status, 400);
+
+  assert.equal((await api('PATCH', `/api/tasks/${id}`, { status: "completed" })).status, 200);
+  assert.equal((await api('PATCH', `/api/tasks/${id}`, { status: "cancelled" })).status, 200);
+  const final = await api('PATCH', `/api/tasks/${id}`, { status: "pending" });
+  assert.deepEqual(final.body.errors, ["Status cannot change from cancelled to pending; it is final"]);
+});
+
+test("removing a status in use needs a migration", async (t) => {
+  const { api, stop } = await startServer();
+  t.after(stop);
+
+  assert.equal((await api('PUT', '/api/workflow', REVIEW_WORKFLOW)).status, 200);
+  const id = (await api('POST', '/api/tasks', { title: "Check", status: "review" })).body.data.id;
+
+  const withoutReview = { ...REVIEW_WORKFLOW, statuses: REVIEW_WORKFLOW.statuses.filter(status => status.key !== 'review'), transitions: null };
+  assert.equal((await api('PUT', '/api/workflow', withoutReview)).status, 409);
+
+  const migrated = await api('PUT', '/api/workflow', { ...withoutReview, migrate: { statuses: { review: "in-progress" } } });
+  assert.equal(migrated.status, 200);
+  assert.equal((await api('GET', `/api/tasks/${id}`)).body.data.status, "in-progress");
+});